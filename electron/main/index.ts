@@ -1,4 +1,4 @@
-import { app, BrowserWindow, shell, ipcMain } from 'electron'
+import { app, BrowserWindow, shell, ipcMain, type WebContents } from 'electron'
 import { dialog } from 'electron'
 import { createRequire } from 'node:module'
 import { fileURLToPath } from 'node:url'
@@ -25,27 +25,55 @@ process.env.APP_ROOT = path.join(__dirname, '../..')
 let database: any = null
 let libraryManager: any = null
 let settings: any = null
-let MusicDatabase: any = null
+let migrationStatus: any = null
+let backupService: any = null
+let trashService: any = null
+let watchService: any = null
+let DatabaseClient: any = null
 let LibraryManager: any = null
 let Settings: any = null
+let BackupService: any = null
+let TrashService: any = null
+let writeRatingTag: any = null
+let fingerprintFile: any = null
+let checkTrackFiles: any = null
+let backfillContentHashes: any = null
+let recoverImportJobs: any = null
+let unfinishedImports: any[] = []
 let importFolder: any = null
+let runImportJob: any = null
 let scanFolder: any = null
+let WatchService: any = null
 
 /**
- * Lazy-load core backend modules (database, library manager, settings)
+ * Lazy-load core backend modules (database, library manager, settings, backups, trash)
  * These don't depend on ESM modules
  */
 function loadCoreModules() {
-  if (MusicDatabase) return // Already loaded
+  if (DatabaseClient) return // Already loaded
 
   try {
-    const databasePath = path.join(process.env.APP_ROOT!, 'src/main/database.js')
+    const databasePath = path.join(process.env.APP_ROOT!, 'src/main/database-client.js')
     const libraryManagerPath = path.join(process.env.APP_ROOT!, 'src/main/library-manager.js')
     const settingsPath = path.join(process.env.APP_ROOT!, 'src/main/settings.js')
-
-    MusicDatabase = require(databasePath)
+    const backupPath = path.join(process.env.APP_ROOT!, 'src/main/backup.js')
+    const trashPath = path.join(process.env.APP_ROOT!, 'src/main/trash.js')
+    const ratingTagsPath = path.join(process.env.APP_ROOT!, 'src/main/rating-tags.js')
+    const fingerprintPath = path.join(process.env.APP_ROOT!, 'src/main/fingerprint.js')
+    const trackFilesPath = path.join(process.env.APP_ROOT!, 'src/main/track-files.js')
+    const contentHashPath = path.join(process.env.APP_ROOT!, 'src/main/content-hash.js')
+    const importJobsPath = path.join(process.env.APP_ROOT!, 'src/main/import-jobs.js')
+
+    DatabaseClient = require(databasePath).DatabaseClient
     LibraryManager = require(libraryManagerPath)
     Settings = require(settingsPath)
+    BackupService = require(backupPath).BackupService
+    TrashService = require(trashPath).TrashService
+    writeRatingTag = require(ratingTagsPath).writeRatingTag
+    fingerprintFile = require(fingerprintPath).fingerprintFile
+    checkTrackFiles = require(trackFilesPath).checkTrackFiles
+    backfillContentHashes = require(contentHashPath).backfillContentHashes
+    recoverImportJobs = require(importJobsPath).recoverImportJobs
 
     console.log('[IPC] Core modules loaded successfully')
   } catch (error) {
@@ -55,17 +83,20 @@ function loadCoreModules() {
 }
 
 /**
- * Lazy-load import module (depends on ESM modules like music-metadata)
- * Load this only when actually needed for import operations
+ * Lazy-load import modules (depend on ESM modules like music-metadata)
+ * Load these only when actually needed for import operations or watched folders
  */
 function loadImportModules() {
   if (importFolder) return // Already loaded
 
   try {
     const importPath = path.join(process.env.APP_ROOT!, 'src/main/import.js')
+    const watchFoldersPath = path.join(process.env.APP_ROOT!, 'src/main/watch-folders.js')
     const importModule = require(importPath)
     importFolder = importModule.importFolder
+    runImportJob = importModule.runImportJob
     scanFolder = importModule.scanFolder
+    WatchService = require(watchFoldersPath).WatchService
 
     console.log('[IPC] Import modules loaded successfully')
   } catch (error) {
@@ -97,11 +128,175 @@ let win: BrowserWindow | null = null
 const preload = path.join(__dirname, '../preload/index.js')
 const indexHtml = path.join(RENDERER_DIST, 'index.html')
 
+/**
+ * Get the watched folders from settings that may be read
+ * Folders failing the same path checks as a manual import are skipped.
+ */
+function getWatchedFolders() {
+  return (Settings.get('watchedFolders') || []).filter((folder: any) => {
+    if (libraryManager.isValidPath(folder.path)) return true
+    console.warn('[IPC] Not watching restricted folder:', folder.path)
+    return false
+  })
+}
+
+/**
+ * Start or update the watched folder service to match settings
+ */
+function applyWatchedFolders() {
+  const folders = getWatchedFolders()
+  if (!watchService && folders.length === 0) return
+
+  loadImportModules()
+  if (!watchService) {
+    watchService = new WatchService(database, libraryManager, {
+      onDuplicate: Settings.get('import.skipDuplicates'),
+    })
+    watchService.start()
+  }
+  watchService.setFolders(folders)
+}
+
+/**
+ * Apply changed settings without a restart
+ * @param keys - Changed setting keys, top-level or dotted
+ */
+function applySettings(keys: string[]) {
+  const changed = (section: string) => keys.some((key) => key === section || key.startsWith(`${section}.`))
+
+  if (backupService && changed('backup')) {
+    backupService.setPolicy(Settings.get('backup'))
+  }
+  if (trashService && changed('trash')) {
+    trashService.setPolicy(Settings.get('trash'))
+  }
+  if (database && changed('watchedFolders')) {
+    applyWatchedFolders()
+  }
+  if (watchService && changed('import')) {
+    watchService.onDuplicate = Settings.get('import.skipDuplicates')
+  }
+}
+
+/**
+ * Run an import, sending its progress to a renderer
+ * A backup is taken first so a bad import can be rolled back.
+ * @param sender - Receives import:progress and, once done, import:complete
+ * @param start - Starts the import with a progress callback and returns its results
+ */
+async function runImport(sender: WebContents, start: (onProgress: Function) => Promise<any>) {
+  // Load import modules on first use
+  loadImportModules()
+
+  // Snapshot the library so a bad import can be rolled back
+  if (backupService) {
+    await backupService.createBackup('pre-import')
+  }
+
+  let imported = 0
+  let skipped = 0
+  let errors = 0
+
+  // Progress callback sends events to renderer
+  const onProgress = (processed: number, total: number, message: string, isError = false) => {
+    if (isError) {
+      errors++
+    } else if (processed <= total) {
+      imported++
+    }
+
+    sender.send('import:progress', {
+      processed,
+      total,
+      message,
+      imported,
+      skipped,
+      errors,
+    })
+  }
+
+  const result = await start(onProgress)
+
+  sender.send('import:complete', {
+    success: true,
+    imported: result.imported,
+    skipped: result.skipped,
+    errors: result.errors,
+  })
+
+  return {
+    success: true,
+    imported: result.imported,
+    skipped: result.skipped,
+    errors: result.errors,
+  }
+}
+
+/**
+ * Options for importing, from settings
+ * The import mode and duplicate handling of a resumed job are its own.
+ */
+function getImportOptions() {
+  return {
+    mode: Settings.get('import.mode'),
+    onDuplicate: Settings.get('import.skipDuplicates'),
+    concurrency: Settings.get('import.concurrency'),
+    batchSize: Settings.get('import.batchSize'),
+  }
+}
+
+/**
+ * Resume an import job, sending its progress to a renderer
+ * @param sender - Receives the import events
+ * @param jobId - Job to resume
+ */
+function resumeImport(sender: WebContents, jobId: number) {
+  const { concurrency, batchSize } = getImportOptions()
+  return runImport(sender, (onProgress) => runImportJob(jobId, database, libraryManager, {
+    concurrency,
+    batchSize,
+    onProgress,
+  }))
+}
+
+/**
+ * Ask whether to resume the imports that didn't finish last time
+ * Resumed jobs run one after another; discarded ones keep what they imported.
+ * @param jobs - Unfinished jobs, as from recoverImportJobs
+ */
+async function offerToResumeImports(jobs: any[]) {
+  if (!win) return
+
+  const remaining = jobs.reduce((sum, job) => sum + job.remaining, 0)
+  const { response } = await dialog.showMessageBox(win, {
+    type: 'question',
+    buttons: ['Resume', 'Discard', 'Not Now'],
+    defaultId: 0,
+    cancelId: 2,
+    message: jobs.length === 1 ? 'An import didn\'t finish' : `${jobs.length} imports didn't finish`,
+    detail: `${remaining} files from ${jobs.map((job) => job.folder_path).join(', ')} are still to be imported. `
+      + 'Discarding keeps the files imported so far.',
+  })
+
+  for (const job of jobs) {
+    try {
+      if (response === 0 && win) {
+        await resumeImport(win.webContents, job.job_id)
+      } else if (response === 1) {
+        await database.deleteImportJob(job.job_id)
+      }
+    } catch (error) {
+      console.error(`[IPC] Failed to resume import job ${job.job_id}:`, error)
+      win?.webContents.send('import:error', error instanceof Error ? error.message : String(error))
+    }
+  }
+}
+
 /**
  * Initialize database and library manager
  * This must be called before any IPC handlers can work
  */
-function initializeBackend() {
+async function initializeBackend() {
   try {
     // Load core modules (database, library manager)
     loadCoreModules()
@@ -112,9 +307,67 @@ function initializeBackend() {
     // Create database path
     const dbPath = path.join(libraryManager.libraryPath, 'Database', 'library.db')
 
-    // Initialize database
-    database = new MusicDatabase(dbPath)
-    database.initialize()
+    // Initialize database and apply pending schema migrations
+    // Queries run in worker threads so they never block the main process
+    database = new DatabaseClient(dbPath)
+    try {
+      migrationStatus = await database.initialize()
+    } catch (error) {
+      // Keep the failed status for the renderer, but don't serve a half-migrated library
+      migrationStatus = await database.getMigrationStatus()
+      await database.terminate()
+      database = null
+      throw error
+    }
+
+    console.log('[IPC] Schema version:', migrationStatus.currentVersion, `(${migrationStatus.state})`)
+    migrationStatus.applied.forEach((migration: any) => {
+      console.log(`[IPC] Applied migration ${migration.version}: ${migration.description}`)
+    })
+
+    // Forward batched library changes so open views can refresh just what changed
+    database.changes.on('changes', (events: any[]) => {
+      win?.webContents.send('library:changed', events)
+    })
+
+    // Scheduled backups; pre-operation backups are taken by the handlers that need them
+    backupService = new BackupService(database, { policy: Settings.get('backup') })
+    backupService.start()
+
+    // Tracks in Recently Deleted are purged, with their files, once they expire
+    trashService = new TrashService(database, libraryManager, { policy: Settings.get('trash') })
+    trashService.start()
+
+    // Referenced files may have gone missing, or their drive unplugged, since the last run
+    checkTrackFiles(database)
+      .then((result: any) => {
+        console.log(`[IPC] Checked ${result.checked} referenced files: ${result.missing.length} missing, ${result.offline.length} offline`)
+      })
+      .catch((error: any) => console.error('[IPC] Failed to check referenced files:', error))
+
+    // Tracks imported before content hashes existed get theirs, so duplicates can be told apart
+    backfillContentHashes(database)
+      .then((result: any) => {
+        if (result.hashed > 0 || result.failed > 0) {
+          console.log(`[IPC] Hashed ${result.hashed} tracks (${result.failed} files unreadable)`)
+        }
+      })
+      .catch((error: any) => console.error('[IPC] Failed to hash tracks:', error))
+
+    // Imports cut short last time are cleaned up before anything else imports;
+    // the window offers to resume them once it has loaded
+    try {
+      unfinishedImports = await recoverImportJobs(database)
+    } catch (error) {
+      console.error('[IPC] Failed to recover import jobs:', error)
+    }
+
+    // Watched folders catch up on what changed while the app was closed, then import as files arrive
+    try {
+      applyWatchedFolders()
+    } catch (error) {
+      console.error('[IPC] Failed to start watched folders:', error)
+    }
 
     console.log('[IPC] Backend initialized successfully')
     console.log('[IPC] Library path:', libraryManager.libraryPath)
@@ -127,341 +380,1148 @@ function initializeBackend() {
   }
 }
 
-/**
- * Register all IPC handlers for the music library application
- */
-function registerIPCHandlers() {
-  // ===== FILE OPERATIONS =====
+/**
+ * Register all IPC handlers for the music library application
+ */
+function registerIPCHandlers() {
+  // ===== FILE OPERATIONS =====
+
+  /**
+   * Open folder picker dialog
+   */
+  ipcMain.handle('file:select-folder', async () => {
+    try {
+      const result = await dialog.showOpenDialog({
+        properties: ['openDirectory'],
+      })
+      return result.filePaths[0] || null
+    } catch (error) {
+      console.error('[IPC] Error in file:select-folder:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Scan folder for audio files without importing
+   */
+  ipcMain.handle('file:scan-folder', async (_event, folderPath: string) => {
+    try {
+      if (!folderPath) {
+        throw new Error('Folder path is required')
+      }
+
+      // Security: Validate path before filesystem access
+      if (!libraryManager) {
+        throw new Error('Library manager not initialized')
+      }
+      if (!libraryManager.isValidPath(folderPath)) {
+        throw new Error('Access denied: invalid or restricted path')
+      }
+
+      // Load import modules on first use
+      loadImportModules()
+      const files = await scanFolder(folderPath)
+      return files
+    } catch (error) {
+      console.error('[IPC] Error in file:scan-folder:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Import music files from a folder
+   * Sends progress events during import
+   */
+  ipcMain.handle('file:import', async (event, folderPath: string) => {
+    try {
+      if (!database || !libraryManager) {
+        throw new Error('Backend not initialized')
+      }
+
+      if (!folderPath) {
+        throw new Error('Folder path is required')
+      }
+
+      // Security: Validate path before filesystem access
+      if (!libraryManager.isValidPath(folderPath)) {
+        throw new Error('Access denied: invalid or restricted path')
+      }
+
+      // Run import; copy, move or reference according to the import.mode setting,
+      // and skip, replace or keep duplicates according to import.skipDuplicates.
+      // The files found are kept as an import job until all are done
+      return await runImport(event.sender, (onProgress) => importFolder(folderPath, database, libraryManager, {
+        ...getImportOptions(),
+        onProgress,
+      }))
+    } catch (error) {
+      console.error('[IPC] Error in file:import:', error)
+      event.sender.send('import:error', error instanceof Error ? error.message : String(error))
+      throw error
+    }
+  })
+
+  /**
+   * Get the imports that didn't finish, with how many files each has left
+   */
+  ipcMain.handle('import:get-unfinished', async () => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.getUnfinishedImportJobs()
+    } catch (error) {
+      console.error('[IPC] Error in import:get-unfinished:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Import the files an unfinished import has left
+   * Sends progress events as file:import does
+   */
+  ipcMain.handle('import:resume', async (event, jobId: number) => {
+    try {
+      if (!database || !libraryManager) {
+        throw new Error('Backend not initialized')
+      }
+      return await resumeImport(event.sender, jobId)
+    } catch (error) {
+      console.error('[IPC] Error in import:resume:', error)
+      event.sender.send('import:error', error instanceof Error ? error.message : String(error))
+      throw error
+    }
+  })
+
+  /**
+   * Forget an unfinished import; the tracks it imported stay
+   */
+  ipcMain.handle('import:discard', async (_event, jobId: number) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      const job = await database.getImportJob(jobId)
+      if (job?.state === 'running') {
+        throw new Error('The import is still running')
+      }
+      return await database.deleteImportJob(jobId)
+    } catch (error) {
+      console.error('[IPC] Error in import:discard:', error)
+      throw error
+    }
+  })
+
+  // ===== DATABASE OPERATIONS: TRACKS =====
+
+  /**
+   * Get one page of tracks with optional filtering and sorting
+   * Returns { tracks, total, nextCursor }; pass nextCursor back in page to continue
+   */
+  ipcMain.handle('db:get-tracks', async (_event, filters?: object, sort?: object | object[] | string, page?: object) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.queryTracks({ ...page, filters, sort })
+    } catch (error) {
+      console.error('[IPC] Error in db:get-tracks:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Get a single track by ID
+   */
+  ipcMain.handle('db:get-track', async (_event, trackId: number) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.getTrack(trackId)
+    } catch (error) {
+      console.error('[IPC] Error in db:get-track:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Update track metadata
+   */
+  ipcMain.handle('db:update-track', async (_event, trackId: number, updates: object) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      const result = await database.updateTrack(trackId, updates)
+
+      // Optionally mirror rating changes into the file's POPM tag
+      if (updates && 'rating' in updates && Settings.get('library.writeRatingTags')) {
+        const track = await database.getTrack(trackId)
+        if (track) {
+          try {
+            await writeRatingTag(track.file_path, (updates as any).rating)
+          } catch (tagError) {
+            // The library rating is already saved; a file we can't tag shouldn't undo it
+            console.warn('[IPC] Could not write rating tag:', tagError)
+          }
+        }
+      }
+      return result
+    } catch (error) {
+      console.error('[IPC] Error in db:update-track:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Apply the same metadata edits to many tracks in one transaction
+   * The library is backed up first, since a bad batch edit can touch thousands of tracks.
+   */
+  ipcMain.handle('db:update-tracks', async (_event, trackIds: number[], updates: object) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+
+      if (backupService) {
+        await backupService.createBackup('pre-bulk-edit')
+      }
+      const result = await database.updateTracks(trackIds, updates)
+
+      // Optionally mirror rating changes into the files' POPM tags
+      if (updates && 'rating' in updates && Settings.get('library.writeRatingTags')) {
+        for (const trackId of trackIds) {
+          const track = await database.getTrack(trackId)
+          try {
+            await writeRatingTag(track.file_path, (updates as any).rating)
+          } catch (tagError) {
+            console.warn('[IPC] Could not write rating tag:', tagError)
+          }
+        }
+      }
+      return result
+    } catch (error) {
+      console.error('[IPC] Error in db:update-tracks:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Search returning tracks, albums and artists grouped separately
+   * Accepts plain words or the library query language (artist:x year:1995..2001 -live)
+   */
+  ipcMain.handle('db:search-tracks', async (_event, query: string, options?: object) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.searchTracks(query, options)
+    } catch (error) {
+      console.error('[IPC] Error in db:search-tracks:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Check query language text as it is typed; returns { valid, error, position }
+   */
+  ipcMain.handle('db:validate-query', async (_event, query: string) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.validateQuery(query)
+    } catch (error) {
+      console.error('[IPC] Error in db:validate-query:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Save a query as a live smart playlist
+   */
+  ipcMain.handle('db:save-search', async (_event, name: string, query: string, parentId?: number | null) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.saveSearch(name, query, { parent_id: parentId ?? null })
+    } catch (error) {
+      console.error('[IPC] Error in db:save-search:', error)
+      throw error
+    }
+  })
+
+  // ===== DATABASE OPERATIONS: RECENTLY DELETED =====
+
+  /**
+   * Move tracks to Recently Deleted; files stay on disk until the bin is purged
+   */
+  ipcMain.handle('db:delete-tracks', async (_event, trackIds: number[]) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.deleteTracks(trackIds)
+    } catch (error) {
+      console.error('[IPC] Error in db:delete-tracks:', error)
+      throw error
+    }
+  })
+
+  /**
+   * List tracks in Recently Deleted, newest first
+   */
+  ipcMain.handle('db:get-deleted-tracks', async () => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.getDeletedTracks()
+    } catch (error) {
+      console.error('[IPC] Error in db:get-deleted-tracks:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Put tracks back with their metadata, history and playlist positions
+   */
+  ipcMain.handle('db:restore-tracks', async (_event, trackIds: number[]) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.restoreTracks(trackIds)
+    } catch (error) {
+      console.error('[IPC] Error in db:restore-tracks:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Permanently delete tracks from the bin (all of them without trackIds)
+   * Files inside the library folder that nothing else uses are deleted too.
+   */
+  ipcMain.handle('trash:purge', async (_event, trackIds?: number[]) => {
+    try {
+      if (!trashService) {
+        throw new Error('Trash service not initialized')
+      }
+      return await trashService.purge(trackIds ? { trackIds } : {})
+    } catch (error) {
+      console.error('[IPC] Error in trash:purge:', error)
+      throw error
+    }
+  })
+
+  // ===== DATABASE OPERATIONS: TRACK FILES =====
+
+  /**
+   * Check whether the files of referenced tracks can be reached (all of them without trackIds)
+   * Tracks are marked missing when their drive is mounted but the file is gone,
+   * and offline when the drive isn't mounted.
+   */
+  ipcMain.handle('db:check-track-files', async (_event, trackIds?: number[]) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await checkTrackFiles(database, { trackIds })
+    } catch (error) {
+      console.error('[IPC] Error in db:check-track-files:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Point a referenced track at the new location of its file
+   */
+  ipcMain.handle('db:relink-track-file', async (_event, trackId: number, filePath: string) => {
+    try {
+      if (!database || !libraryManager) {
+        throw new Error('Backend not initialized')
+      }
+
+      // Security: Validate path before filesystem access
+      if (!filePath || !libraryManager.isValidPath(filePath)) {
+        throw new Error('Access denied: invalid or restricted path')
+      }
+
+      return await database.relinkTrackFile(trackId, path.resolve(filePath))
+    } catch (error) {
+      console.error('[IPC] Error in db:relink-track-file:', error)
+      throw error
+    }
+  })
+
+  // ===== DATABASE OPERATIONS: ALBUMS =====
+
+  /**
+   * Get all albums with optional filtering and sorting
+   */
+  ipcMain.handle('db:get-albums', async (_event, filters?: object, sort?: object) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.getAlbums(filters, sort)
+    } catch (error) {
+      console.error('[IPC] Error in db:get-albums:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Get details for a specific album with its tracks grouped by disc
+   * albumArtist is null for compilations and albums without an album artist
+   */
+  ipcMain.handle('db:get-album-details', async (_event, albumTitle: string, albumArtist: string | null) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.getAlbumDetails(albumTitle, albumArtist)
+    } catch (error) {
+      console.error('[IPC] Error in db:get-album-details:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Set an album's rating, or clear it (null) to use the average of its tracks
+   */
+  ipcMain.handle('db:set-album-rating', async (_event, albumId: number, rating: number | null) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.setAlbumRating(albumId, rating)
+    } catch (error) {
+      console.error('[IPC] Error in db:set-album-rating:', error)
+      throw error
+    }
+  })
+
+  // ===== DATABASE OPERATIONS: ARTISTS =====
+
+  /**
+   * Get artists with at least one credit, in sort name order
+   */
+  ipcMain.handle('db:get-artists', async (_event, options?: { role?: string }) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.getArtists(options)
+    } catch (error) {
+      console.error('[IPC] Error in db:get-artists:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Get an artist with its aliases
+   */
+  ipcMain.handle('db:get-artist', async (_event, artistId: number) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.getArtist(artistId)
+    } catch (error) {
+      console.error('[IPC] Error in db:get-artist:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Get a track's artist credits by role
+   */
+  ipcMain.handle('db:get-track-artists', async (_event, trackId: number) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.getTrackArtists(trackId)
+    } catch (error) {
+      console.error('[IPC] Error in db:get-track-artists:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Get the tracks credited to an artist, optionally in one role
+   */
+  ipcMain.handle('db:get-artist-tracks', async (_event, artistId: number, role?: string | null) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.getArtistTracks(artistId, role ?? null)
+    } catch (error) {
+      console.error('[IPC] Error in db:get-artist-tracks:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Create an artist; tracks whose tags mention it are re-credited
+   */
+  ipcMain.handle('db:create-artist', async (_event, name: string, sortName?: string | null) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.createArtist({ name, sort_name: sortName })
+    } catch (error) {
+      console.error('[IPC] Error in db:create-artist:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Set how an artist sorts (null = generate from the name)
+   */
+  ipcMain.handle('db:set-artist-sort-name', async (_event, artistId: number, sortName: string | null) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.setArtistSortName(artistId, sortName)
+    } catch (error) {
+      console.error('[IPC] Error in db:set-artist-sort-name:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Add an alternate spelling for an artist, merging an artist of that name
+   */
+  ipcMain.handle('db:add-artist-alias', async (_event, artistId: number, alias: string) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.addArtistAlias(artistId, alias)
+    } catch (error) {
+      console.error('[IPC] Error in db:add-artist-alias:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Remove an artist alias
+   */
+  ipcMain.handle('db:remove-artist-alias', async (_event, alias: string) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.removeArtistAlias(alias)
+    } catch (error) {
+      console.error('[IPC] Error in db:remove-artist-alias:', error)
+      throw error
+    }
+  })
+
+  // ===== DATABASE OPERATIONS: GENRES =====
+
+  /**
+   * Get genres nested under their parent genres
+   */
+  ipcMain.handle('db:get-genre-tree', async (_event) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.getGenreTree()
+    } catch (error) {
+      console.error('[IPC] Error in db:get-genre-tree:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Get a genre with its aliases and track count
+   */
+  ipcMain.handle('db:get-genre', async (_event, genreId: number) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.getGenre(genreId)
+    } catch (error) {
+      console.error('[IPC] Error in db:get-genre:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Rename a genre; the old name becomes an alias
+   */
+  ipcMain.handle('db:rename-genre', async (_event, genreId: number, name: string) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.renameGenre(genreId, name)
+    } catch (error) {
+      console.error('[IPC] Error in db:rename-genre:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Place a genre under a parent genre (null = top level)
+   */
+  ipcMain.handle('db:set-genre-parent', async (_event, genreId: number, parentId: number | null) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.setGenreParent(genreId, parentId ?? null)
+    } catch (error) {
+      console.error('[IPC] Error in db:set-genre-parent:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Add an alternate spelling for a genre, merging any genre that has that name
+   */
+  ipcMain.handle('db:add-genre-alias', async (_event, genreId: number, alias: string) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.addGenreAlias(genreId, alias)
+    } catch (error) {
+      console.error('[IPC] Error in db:add-genre-alias:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Remove a genre alias
+   */
+  ipcMain.handle('db:remove-genre-alias', async (_event, alias: string) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.removeGenreAlias(alias)
+    } catch (error) {
+      console.error('[IPC] Error in db:remove-genre-alias:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Merge genres into one, moving their tracks, subgenres and aliases
+   */
+  ipcMain.handle('db:merge-genres', async (_event, genreIds: number[], targetId: number) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.mergeGenres(genreIds, targetId)
+    } catch (error) {
+      console.error('[IPC] Error in db:merge-genres:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Delete genres no track is tagged with
+   */
+  ipcMain.handle('db:remove-unused-genres', async (_event) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.removeUnusedGenres()
+    } catch (error) {
+      console.error('[IPC] Error in db:remove-unused-genres:', error)
+      throw error
+    }
+  })
+
+  // ===== DATABASE OPERATIONS: DUPLICATES =====
+
+  /**
+   * Find groups of tracks that are probably the same recording
+   */
+  ipcMain.handle('db:find-duplicates', async (_event, options?: { durationTolerance?: number; matchAlbum?: boolean }) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.findDuplicates(options)
+    } catch (error) {
+      console.error('[IPC] Error in db:find-duplicates:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Merge duplicate tracks into the best one (or keepTrackId); the others go to Recently Deleted
+   */
+  ipcMain.handle('db:merge-duplicates', async (_event, trackIds: number[], keepTrackId?: number | null) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.mergeDuplicates(trackIds, keepTrackId ?? null)
+    } catch (error) {
+      console.error('[IPC] Error in db:merge-duplicates:', error)
+      throw error
+    }
+  })
+
+  // ===== DATABASE OPERATIONS: FINGERPRINTS =====
 
   /**
-   * Open folder picker dialog
+   * Find other tracks of the same recording as a track, by acoustic fingerprint
    */
-  ipcMain.handle('file:select-folder', async () => {
+  ipcMain.handle('db:find-similar-recordings', async (_event, trackId: number, options?: { minSimilarity?: number; durationTolerance?: number }) => {
     try {
-      const result = await dialog.showOpenDialog({
-        properties: ['openDirectory'],
-      })
-      return result.filePaths[0] || null
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.findSimilarRecordings(trackId, options)
     } catch (error) {
-      console.error('[IPC] Error in file:select-folder:', error)
+      console.error('[IPC] Error in db:find-similar-recordings:', error)
       throw error
     }
   })
 
   /**
-   * Scan folder for audio files without importing
+   * Identify an audio file (e.g. a re-encode) by fingerprint, returning the library tracks it matches
+   * Returns an empty list when the file's format can't be fingerprinted.
    */
-  ipcMain.handle('file:scan-folder', async (_event, folderPath: string) => {
+  ipcMain.handle('file:identify', async (_event, filePath: string) => {
     try {
-      if (!folderPath) {
-        throw new Error('Folder path is required')
+      if (!database || !libraryManager) {
+        throw new Error('Backend not initialized')
       }
 
       // Security: Validate path before filesystem access
-      if (!libraryManager) {
-        throw new Error('Library manager not initialized')
-      }
-      if (!libraryManager.isValidPath(folderPath)) {
+      if (!filePath || !libraryManager.isValidPath(filePath)) {
         throw new Error('Access denied: invalid or restricted path')
       }
 
-      // Load import modules on first use
-      loadImportModules()
-      const files = await scanFolder(folderPath)
-      return files
+      const result = await fingerprintFile(filePath)
+      if (!result) {
+        return []
+      }
+      return await database.findTracksByFingerprint(result.fingerprint, { durationSeconds: result.duration_seconds })
     } catch (error) {
-      console.error('[IPC] Error in file:scan-folder:', error)
+      console.error('[IPC] Error in file:identify:', error)
       throw error
     }
   })
 
+  // ===== DATABASE OPERATIONS: PLAYLISTS =====
+
   /**
-   * Import music files from a folder
-   * Sends progress events during import
+   * Get all playlists
    */
-  ipcMain.handle('file:import', async (event, folderPath: string) => {
+  ipcMain.handle('db:get-playlists', async () => {
     try {
-      if (!database || !libraryManager) {
-        throw new Error('Backend not initialized')
+      if (!database) {
+        throw new Error('Database not initialized')
       }
+      return await database.getAllPlaylists()
+    } catch (error) {
+      console.error('[IPC] Error in db:get-playlists:', error)
+      throw error
+    }
+  })
 
-      if (!folderPath) {
-        throw new Error('Folder path is required')
+  /**
+   * Get a single playlist by ID
+   */
+  ipcMain.handle('db:get-playlist', async (_event, playlistId: number) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
       }
+      return await database.getPlaylist(playlistId)
+    } catch (error) {
+      console.error('[IPC] Error in db:get-playlist:', error)
+      throw error
+    }
+  })
 
-      // Security: Validate path before filesystem access
-      if (!libraryManager.isValidPath(folderPath)) {
-        throw new Error('Access denied: invalid or restricted path')
+  /**
+   * Get all tracks in a playlist
+   */
+  ipcMain.handle('db:get-playlist-tracks', async (_event, playlistId: number) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
       }
+      return await database.getPlaylistTracks(playlistId)
+    } catch (error) {
+      console.error('[IPC] Error in db:get-playlist-tracks:', error)
+      throw error
+    }
+  })
 
-      // Load import modules on first use
-      loadImportModules()
-
-      let imported = 0
-      let skipped = 0
-      let errors = 0
+  /**
+   * Create a new playlist
+   */
+  ipcMain.handle('db:create-playlist', async (_event, name: string, description?: string, parentId?: number | null) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.createPlaylist({ name, description, parent_id: parentId ?? null })
+    } catch (error) {
+      console.error('[IPC] Error in db:create-playlist:', error)
+      throw error
+    }
+  })
 
-      // Progress callback sends events to renderer
-      const onProgress = (processed: number, total: number, message: string, isError = false) => {
-        if (isError) {
-          errors++
-        } else if (processed <= total) {
-          imported++
-        }
+  /**
+   * Update playlist metadata
+   */
+  ipcMain.handle('db:update-playlist', async (_event, playlistId: number, updates: object) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      await database.updatePlaylist(playlistId, updates)
+    } catch (error) {
+      console.error('[IPC] Error in db:update-playlist:', error)
+      throw error
+    }
+  })
 
-        event.sender.send('import:progress', {
-          processed,
-          total,
-          message,
-          imported,
-          skipped,
-          errors,
-        })
+  /**
+   * Delete a playlist (folders: contents move up unless options.recursive is set)
+   */
+  ipcMain.handle('db:delete-playlist', async (_event, playlistId: number, options?: { recursive?: boolean }) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
       }
+      return await database.deletePlaylist(playlistId, options)
+    } catch (error) {
+      console.error('[IPC] Error in db:delete-playlist:', error)
+      throw error
+    }
+  })
 
-      // Run import
-      const result = await importFolder(folderPath, database, libraryManager, {
-        onProgress,
-      })
+  /**
+   * Add tracks to a playlist, appending or inserting at a 0-based index
+   */
+  ipcMain.handle('db:add-tracks-to-playlist', async (_event, playlistId: number, trackIds: number[], index?: number) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.addTracksToPlaylist(playlistId, trackIds, index)
+    } catch (error) {
+      console.error('[IPC] Error in db:add-tracks-to-playlist:', error)
+      throw error
+    }
+  })
 
-      event.sender.send('import:complete', {
-        success: true,
-        imported: result.imported,
-        skipped: result.skipped,
-        errors: result.errors,
-      })
+  /**
+   * Remove a track from a playlist
+   */
+  ipcMain.handle('db:remove-track-from-playlist', async (_event, playlistId: number, trackId: number) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.removeTrackFromPlaylist(playlistId, trackId)
+    } catch (error) {
+      console.error('[IPC] Error in db:remove-track-from-playlist:', error)
+      throw error
+    }
+  })
 
-      return {
-        success: true,
-        imported: result.imported,
-        skipped: result.skipped,
-        errors: result.errors,
+  /**
+   * Move playlist entries (a drag-and-drop selection) to a 0-based index
+   */
+  ipcMain.handle('db:move-playlist-entries', async (_event, playlistId: number, entryIds: number[], index: number) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
       }
+      return await database.movePlaylistEntries(playlistId, entryIds, index)
     } catch (error) {
-      console.error('[IPC] Error in file:import:', error)
-      event.sender.send('import:error', error instanceof Error ? error.message : String(error))
+      console.error('[IPC] Error in db:move-playlist-entries:', error)
       throw error
     }
   })
 
-  // ===== DATABASE OPERATIONS: TRACKS =====
+  /**
+   * Move a run of consecutive playlist entries; positions are 1-based
+   */
+  ipcMain.handle('db:move-playlist-range', async (_event, playlistId: number, start: number, count: number, position: number) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.movePlaylistRange(playlistId, start, count, position)
+    } catch (error) {
+      console.error('[IPC] Error in db:move-playlist-range:', error)
+      throw error
+    }
+  })
 
   /**
-   * Get all tracks with optional filtering and sorting
+   * Remove specific playlist entries
    */
-  ipcMain.handle('db:get-tracks', async (_event, filters?: object, sort?: object) => {
+  ipcMain.handle('db:remove-playlist-entries', async (_event, playlistId: number, entryIds: number[]) => {
     try {
       if (!database) {
         throw new Error('Database not initialized')
       }
-      return database.getAllTracks(filters, sort)
+      return await database.removePlaylistEntries(playlistId, entryIds)
     } catch (error) {
-      console.error('[IPC] Error in db:get-tracks:', error)
+      console.error('[IPC] Error in db:remove-playlist-entries:', error)
       throw error
     }
   })
 
+  // ===== DATABASE OPERATIONS: PLAYLIST FOLDERS =====
+
   /**
-   * Get a single track by ID
+   * Get playlists and folders nested in sidebar order
    */
-  ipcMain.handle('db:get-track', async (_event, trackId: number) => {
+  ipcMain.handle('db:get-playlist-tree', async () => {
     try {
       if (!database) {
         throw new Error('Database not initialized')
       }
-      return database.getTrack(trackId)
+      return await database.getPlaylistTree()
     } catch (error) {
-      console.error('[IPC] Error in db:get-track:', error)
+      console.error('[IPC] Error in db:get-playlist-tree:', error)
       throw error
     }
   })
 
   /**
-   * Update track metadata
+   * Create a playlist folder
    */
-  ipcMain.handle('db:update-track', async (_event, trackId: number, updates: object) => {
+  ipcMain.handle('db:create-playlist-folder', async (_event, name: string, parentId?: number | null) => {
     try {
       if (!database) {
         throw new Error('Database not initialized')
       }
-      database.updateTrack(trackId, updates)
+      return await database.createPlaylistFolder({ name, parent_id: parentId ?? null })
     } catch (error) {
-      console.error('[IPC] Error in db:update-track:', error)
+      console.error('[IPC] Error in db:create-playlist-folder:', error)
       throw error
     }
   })
 
   /**
-   * Search tracks by query
+   * Move a playlist or folder into a folder at a position
    */
-  ipcMain.handle('db:search-tracks', async (_event, query: string) => {
+  ipcMain.handle('db:move-playlist', async (_event, playlistId: number, parentId: number | null, index?: number) => {
     try {
       if (!database) {
         throw new Error('Database not initialized')
       }
-      return database.searchTracks(query)
+      return await database.movePlaylist(playlistId, parentId, index)
     } catch (error) {
-      console.error('[IPC] Error in db:search-tracks:', error)
+      console.error('[IPC] Error in db:move-playlist:', error)
       throw error
     }
   })
 
-  // ===== DATABASE OPERATIONS: ALBUMS =====
+  // ===== DATABASE OPERATIONS: SMART PLAYLISTS =====
 
   /**
-   * Get all albums with optional filtering and sorting
+   * Create a smart playlist from JSON rules
    */
-  ipcMain.handle('db:get-albums', async (_event, filters?: object, sort?: object) => {
+  ipcMain.handle('db:create-smart-playlist', async (_event, name: string, rules: object, description?: string) => {
     try {
       if (!database) {
         throw new Error('Database not initialized')
       }
-      return database.getAlbums(filters, sort)
+      return await database.createPlaylist({ name, description, smart_rules: rules })
     } catch (error) {
-      console.error('[IPC] Error in db:get-albums:', error)
+      console.error('[IPC] Error in db:create-smart-playlist:', error)
       throw error
     }
   })
 
   /**
-   * Get details for a specific album
+   * Evaluate smart playlist rules without saving them
    */
-  ipcMain.handle('db:get-album-details', async (_event, albumTitle: string, albumArtist: string) => {
+  ipcMain.handle('db:preview-smart-playlist', async (_event, rules: object) => {
     try {
       if (!database) {
         throw new Error('Database not initialized')
       }
-      return database.getAlbumDetails(albumTitle, albumArtist)
+      return await database.previewSmartPlaylist(rules)
     } catch (error) {
-      console.error('[IPC] Error in db:get-album-details:', error)
+      console.error('[IPC] Error in db:preview-smart-playlist:', error)
       throw error
     }
   })
 
-  // ===== DATABASE OPERATIONS: PLAYLISTS =====
+  /**
+   * Re-run a smart playlist's rules
+   */
+  ipcMain.handle('db:refresh-smart-playlist', async (_event, playlistId: number) => {
+    try {
+      if (!database) {
+        throw new Error('Database not initialized')
+      }
+      return await database.refreshSmartPlaylist(playlistId)
+    } catch (error) {
+      console.error('[IPC] Error in db:refresh-smart-playlist:', error)
+      throw error
+    }
+  })
+
+  // ===== DATABASE OPERATIONS: UNDO / REDO =====
 
   /**
-   * Get all playlists
+   * Undo the most recent library edit
    */
-  ipcMain.handle('db:get-playlists', async () => {
+  ipcMain.handle('db:undo', async () => {
     try {
       if (!database) {
         throw new Error('Database not initialized')
       }
-      return database.getAllPlaylists()
+      return await database.undo()
     } catch (error) {
-      console.error('[IPC] Error in db:get-playlists:', error)
+      console.error('[IPC] Error in db:undo:', error)
       throw error
     }
   })
 
   /**
-   * Get a single playlist by ID
+   * Redo the most recently undone library edit
    */
-  ipcMain.handle('db:get-playlist', async (_event, playlistId: number) => {
+  ipcMain.handle('db:redo', async () => {
     try {
       if (!database) {
         throw new Error('Database not initialized')
       }
-      return database.getPlaylist(playlistId)
+      return await database.redo()
     } catch (error) {
-      console.error('[IPC] Error in db:get-playlist:', error)
+      console.error('[IPC] Error in db:redo:', error)
       throw error
     }
   })
 
   /**
-   * Get all tracks in a playlist
+   * Get the labels of the next undo and redo
    */
-  ipcMain.handle('db:get-playlist-tracks', async (_event, playlistId: number) => {
+  ipcMain.handle('db:get-undo-state', async () => {
     try {
       if (!database) {
         throw new Error('Database not initialized')
       }
-      return database.getPlaylistTracks(playlistId)
+      return await database.getUndoState()
     } catch (error) {
-      console.error('[IPC] Error in db:get-playlist-tracks:', error)
+      console.error('[IPC] Error in db:get-undo-state:', error)
       throw error
     }
   })
 
   /**
-   * Create a new playlist
+   * Get recent library edits with before/after values
    */
-  ipcMain.handle('db:create-playlist', async (_event, name: string, description?: string) => {
+  ipcMain.handle('db:get-change-history', async (_event, limit?: number) => {
     try {
       if (!database) {
         throw new Error('Database not initialized')
       }
-      return database.createPlaylist(name, description)
+      return await database.getChangeHistory(limit)
     } catch (error) {
-      console.error('[IPC] Error in db:create-playlist:', error)
+      console.error('[IPC] Error in db:get-change-history:', error)
       throw error
     }
   })
 
+  // ===== DATABASE OPERATIONS: PLAY STATISTICS =====
+
   /**
-   * Update playlist metadata
+   * Record a finished listen as a play or skip, using the play threshold from settings
    */
-  ipcMain.handle('db:update-playlist', async (_event, playlistId: number, updates: object) => {
+  ipcMain.handle('db:record-playback', async (_event, trackId: number, playback: object) => {
     try {
       if (!database) {
         throw new Error('Database not initialized')
       }
-      database.updatePlaylist(playlistId, updates)
+      const playbackSettings = Settings.get('playback') || {}
+      return await database.recordPlayback(trackId, playback, {
+        percent: playbackSettings.playThresholdPercent,
+        seconds: playbackSettings.playThresholdSeconds,
+      })
     } catch (error) {
-      console.error('[IPC] Error in db:update-playlist:', error)
+      console.error('[IPC] Error in db:record-playback:', error)
       throw error
     }
   })
 
   /**
-   * Delete a playlist
+   * Get recently played tracks
    */
-  ipcMain.handle('db:delete-playlist', async (_event, playlistId: number) => {
+  ipcMain.handle('db:get-recently-played', async (_event, limit?: number) => {
     try {
       if (!database) {
         throw new Error('Database not initialized')
       }
-      database.deletePlaylist(playlistId)
+      return await database.getRecentlyPlayed(limit)
     } catch (error) {
-      console.error('[IPC] Error in db:delete-playlist:', error)
+      console.error('[IPC] Error in db:get-recently-played:', error)
       throw error
     }
   })
 
   /**
-   * Add tracks to a playlist
+   * Get most played tracks, optionally counting only plays since a timestamp
    */
-  ipcMain.handle('db:add-tracks-to-playlist', async (_event, playlistId: number, trackIds: number[]) => {
+  ipcMain.handle('db:get-most-played', async (_event, options?: object) => {
     try {
       if (!database) {
         throw new Error('Database not initialized')
       }
-      database.addTracksToPlaylist(playlistId, trackIds)
+      return await database.getMostPlayed(options)
     } catch (error) {
-      console.error('[IPC] Error in db:add-tracks-to-playlist:', error)
+      console.error('[IPC] Error in db:get-most-played:', error)
       throw error
     }
   })
 
   /**
-   * Remove a track from a playlist
+   * Get the play and skip history of a track
    */
-  ipcMain.handle('db:remove-track-from-playlist', async (_event, playlistId: number, trackId: number) => {
+  ipcMain.handle('db:get-play-history', async (_event, trackId: number, limit?: number) => {
     try {
       if (!database) {
         throw new Error('Database not initialized')
       }
-      database.removeTrackFromPlaylist(playlistId, trackId)
+      return await database.getTrackPlayHistory(trackId, limit)
     } catch (error) {
-      console.error('[IPC] Error in db:remove-track-from-playlist:', error)
+      console.error('[IPC] Error in db:get-play-history:', error)
       throw error
     }
   })
 
   // ===== SYSTEM / LIBRARY OPERATIONS =====
 
+  /**
+   * Get the result of the schema migrations run at startup
+   * Also pushed to the renderer as 'db:migration-status' when the window loads
+   */
+  ipcMain.handle('db:get-migration-status', async () => {
+    return migrationStatus
+  })
+
   /**
    * Get the library folder path
    */
@@ -485,7 +1545,7 @@ function registerIPCHandlers() {
       if (!database) {
         throw new Error('Database not initialized')
       }
-      return database.getLibraryStats()
+      return await database.getLibraryStats()
     } catch (error) {
       console.error('[IPC] Error in app:get-library-stats:', error)
       throw error
@@ -507,6 +1567,71 @@ function registerIPCHandlers() {
     }
   })
 
+  // ===== BACKUP OPERATIONS =====
+
+  /**
+   * List database backups, newest first
+   */
+  ipcMain.handle('backup:list', async () => {
+    try {
+      if (!backupService) {
+        throw new Error('Backup service not initialized')
+      }
+      return await backupService.listBackups()
+    } catch (error) {
+      console.error('[IPC] Error in backup:list:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Take a manual backup now
+   */
+  ipcMain.handle('backup:create', async () => {
+    try {
+      if (!backupService) {
+        throw new Error('Backup service not initialized')
+      }
+      return await backupService.createBackup('manual')
+    } catch (error) {
+      console.error('[IPC] Error in backup:create:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Check that a backup is a healthy library database
+   */
+  ipcMain.handle('backup:verify', async (_event, backupPath: string) => {
+    try {
+      if (!backupService) {
+        throw new Error('Backup service not initialized')
+      }
+      return await backupService.verifyBackup(backupPath)
+    } catch (error) {
+      console.error('[IPC] Error in backup:verify:', error)
+      throw error
+    }
+  })
+
+  /**
+   * Replace the library database with a backup
+   * The current database is backed up first so a restore can be undone.
+   */
+  ipcMain.handle('backup:restore', async (_event, backupPath: string) => {
+    try {
+      if (!backupService) {
+        throw new Error('Backup service not initialized')
+      }
+      const result = await backupService.restoreBackup(backupPath)
+      migrationStatus = result.migrationStatus
+      return result
+    } catch (error) {
+      console.error('[IPC] Error in backup:restore:', error)
+      throw error
+    }
+  })
+
   // ===== SETTINGS OPERATIONS =====
 
   /**
@@ -533,6 +1658,7 @@ function registerIPCHandlers() {
         throw new Error('Settings not initialized')
       }
       Settings.set(key, value)
+      applySettings([key])
       return true
     } catch (error) {
       console.error('[IPC] Error in settings:set:', error)
@@ -564,6 +1690,7 @@ function registerIPCHandlers() {
         throw new Error('Settings not initialized')
       }
       Settings.setAll(settings)
+      applySettings(Object.keys(settings))
       return true
     } catch (error) {
       console.error('[IPC] Error in settings:set-all:', error)
@@ -580,6 +1707,7 @@ function registerIPCHandlers() {
         throw new Error('Settings not initialized')
       }
       Settings.reset(key)
+      applySettings([key])
       return true
     } catch (error) {
       console.error('[IPC] Error in settings:reset:', error)
@@ -596,6 +1724,7 @@ function registerIPCHandlers() {
         throw new Error('Settings not initialized')
       }
       Settings.resetAll()
+      applySettings(['backup', 'trash', 'watchedFolders', 'import'])
       return true
     } catch (error) {
       console.error('[IPC] Error in settings:reset-all:', error)
@@ -708,6 +1837,17 @@ async function createWindow() {
   // Test actively push message to the Electron-Renderer
   win.webContents.on('did-finish-load', () => {
     win?.webContents.send('main-process-message', new Date().toLocaleString())
+
+    // Let the renderer know whether the library was migrated or needs attention
+    if (migrationStatus) {
+      win?.webContents.send('db:migration-status', migrationStatus)
+    }
+
+    // Offer once to finish imports that were cut short
+    if (unfinishedImports.length > 0) {
+      offerToResumeImports(unfinishedImports)
+      unfinishedImports = []
+    }
   })
 
   // Make all links open with the browser, not with the application
@@ -720,9 +1860,9 @@ async function createWindow() {
   // update(win)
 }
 
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
   // Initialize backend (database, library manager) before creating window
-  initializeBackend()
+  await initializeBackend()
 
   // Register IPC handlers
   registerIPCHandlers()
@@ -736,6 +1876,19 @@ app.on('window-all-closed', () => {
   if (win && Settings) {
     Settings.saveWindowState(win)
   }
+  if (backupService) {
+    backupService.stop()
+  }
+  if (trashService) {
+    trashService.stop()
+  }
+  if (watchService) {
+    watchService.stop()
+  }
+  if (database) {
+    database.terminate().catch((error: any) => console.error('[IPC] Error closing database:', error))
+    database = null
+  }
   win = null
   if (process.platform !== 'darwin') app.quit()
 })
@@ -1,4 +1,4 @@
-import { ipcRenderer, contextBridge } from 'electron'
+import { ipcRenderer, contextBridge, type IpcRendererEvent } from 'electron'
 
 // --------- Expose Music Library API to the Renderer process ---------
 contextBridge.exposeInMainWorld('api', {
@@ -6,34 +6,126 @@ contextBridge.exposeInMainWorld('api', {
   selectFolder: () => ipcRenderer.invoke('file:select-folder'),
   importMusic: (path: string) => ipcRenderer.invoke('file:import', path),
   scanFolder: (path: string) => ipcRenderer.invoke('file:scan-folder', path),
+  getUnfinishedImports: () => ipcRenderer.invoke('import:get-unfinished'),
+  resumeImport: (jobId: number) => ipcRenderer.invoke('import:resume', jobId),
+  discardImport: (jobId: number) => ipcRenderer.invoke('import:discard', jobId),
 
   // ===== DATABASE: TRACKS =====
-  getTracks: (filters?: object, sort?: object) => ipcRenderer.invoke('db:get-tracks', filters, sort),
+  getTracks: (filters?: object, sort?: object | object[] | string, page?: object) =>
+    ipcRenderer.invoke('db:get-tracks', filters, sort, page),
   getTrack: (trackId: number) => ipcRenderer.invoke('db:get-track', trackId),
   updateTrack: (trackId: number, updates: object) => ipcRenderer.invoke('db:update-track', trackId, updates),
-  searchTracks: (query: string) => ipcRenderer.invoke('db:search-tracks', query),
+  updateTracks: (trackIds: number[], updates: object) => ipcRenderer.invoke('db:update-tracks', trackIds, updates),
+  searchTracks: (query: string, options?: object) => ipcRenderer.invoke('db:search-tracks', query, options),
+  validateQuery: (query: string) => ipcRenderer.invoke('db:validate-query', query),
+  saveSearch: (name: string, query: string, parentId?: number | null) =>
+    ipcRenderer.invoke('db:save-search', name, query, parentId),
+
+  // ===== DATABASE: RECENTLY DELETED =====
+  deleteTracks: (trackIds: number[]) => ipcRenderer.invoke('db:delete-tracks', trackIds),
+  getDeletedTracks: () => ipcRenderer.invoke('db:get-deleted-tracks'),
+  restoreTracks: (trackIds: number[]) => ipcRenderer.invoke('db:restore-tracks', trackIds),
+  purgeDeletedTracks: (trackIds?: number[]) => ipcRenderer.invoke('trash:purge', trackIds),
+
+  // ===== DATABASE: TRACK FILES =====
+  checkTrackFiles: (trackIds?: number[]) => ipcRenderer.invoke('db:check-track-files', trackIds),
+  relinkTrackFile: (trackId: number, filePath: string) => ipcRenderer.invoke('db:relink-track-file', trackId, filePath),
 
   // ===== DATABASE: ALBUMS =====
   getAlbums: (filters?: object, sort?: object) => ipcRenderer.invoke('db:get-albums', filters, sort),
-  getAlbumDetails: (albumTitle: string, albumArtist: string) =>
+  getAlbumDetails: (albumTitle: string, albumArtist: string | null) =>
     ipcRenderer.invoke('db:get-album-details', albumTitle, albumArtist),
+  setAlbumRating: (albumId: number, rating: number | null) =>
+    ipcRenderer.invoke('db:set-album-rating', albumId, rating),
+
+  // ===== DATABASE: ARTISTS =====
+  getArtists: (options?: object) => ipcRenderer.invoke('db:get-artists', options),
+  getArtist: (artistId: number) => ipcRenderer.invoke('db:get-artist', artistId),
+  getTrackArtists: (trackId: number) => ipcRenderer.invoke('db:get-track-artists', trackId),
+  getArtistTracks: (artistId: number, role?: string | null) => ipcRenderer.invoke('db:get-artist-tracks', artistId, role),
+  createArtist: (name: string, sortName?: string | null) => ipcRenderer.invoke('db:create-artist', name, sortName),
+  setArtistSortName: (artistId: number, sortName: string | null) =>
+    ipcRenderer.invoke('db:set-artist-sort-name', artistId, sortName),
+  addArtistAlias: (artistId: number, alias: string) => ipcRenderer.invoke('db:add-artist-alias', artistId, alias),
+  removeArtistAlias: (alias: string) => ipcRenderer.invoke('db:remove-artist-alias', alias),
+
+  // ===== DATABASE: GENRES =====
+  getGenreTree: () => ipcRenderer.invoke('db:get-genre-tree'),
+  getGenre: (genreId: number) => ipcRenderer.invoke('db:get-genre', genreId),
+  renameGenre: (genreId: number, name: string) => ipcRenderer.invoke('db:rename-genre', genreId, name),
+  setGenreParent: (genreId: number, parentId: number | null) =>
+    ipcRenderer.invoke('db:set-genre-parent', genreId, parentId),
+  addGenreAlias: (genreId: number, alias: string) => ipcRenderer.invoke('db:add-genre-alias', genreId, alias),
+  removeGenreAlias: (alias: string) => ipcRenderer.invoke('db:remove-genre-alias', alias),
+  mergeGenres: (genreIds: number[], targetId: number) => ipcRenderer.invoke('db:merge-genres', genreIds, targetId),
+  removeUnusedGenres: () => ipcRenderer.invoke('db:remove-unused-genres'),
+
+  // ===== DATABASE: DUPLICATES =====
+  findDuplicates: (options?: object) => ipcRenderer.invoke('db:find-duplicates', options),
+  mergeDuplicates: (trackIds: number[], keepTrackId?: number | null) =>
+    ipcRenderer.invoke('db:merge-duplicates', trackIds, keepTrackId),
+
+  // ===== DATABASE: FINGERPRINTS =====
+  findSimilarRecordings: (trackId: number, options?: object) =>
+    ipcRenderer.invoke('db:find-similar-recordings', trackId, options),
+  identifyFile: (filePath: string) => ipcRenderer.invoke('file:identify', filePath),
 
   // ===== DATABASE: PLAYLISTS =====
   getPlaylists: () => ipcRenderer.invoke('db:get-playlists'),
   getPlaylist: (playlistId: number) => ipcRenderer.invoke('db:get-playlist', playlistId),
   getPlaylistTracks: (playlistId: number) => ipcRenderer.invoke('db:get-playlist-tracks', playlistId),
-  createPlaylist: (name: string, description?: string) => ipcRenderer.invoke('db:create-playlist', name, description),
+  createPlaylist: (name: string, description?: string, parentId?: number | null) =>
+    ipcRenderer.invoke('db:create-playlist', name, description, parentId),
   updatePlaylist: (playlistId: number, updates: object) => ipcRenderer.invoke('db:update-playlist', playlistId, updates),
-  deletePlaylist: (playlistId: number) => ipcRenderer.invoke('db:delete-playlist', playlistId),
-  addTracksToPlaylist: (playlistId: number, trackIds: number[]) =>
-    ipcRenderer.invoke('db:add-tracks-to-playlist', playlistId, trackIds),
+  deletePlaylist: (playlistId: number, options?: { recursive?: boolean }) =>
+    ipcRenderer.invoke('db:delete-playlist', playlistId, options),
+  addTracksToPlaylist: (playlistId: number, trackIds: number[], index?: number) =>
+    ipcRenderer.invoke('db:add-tracks-to-playlist', playlistId, trackIds, index),
   removeTrackFromPlaylist: (playlistId: number, trackId: number) =>
     ipcRenderer.invoke('db:remove-track-from-playlist', playlistId, trackId),
+  movePlaylistEntries: (playlistId: number, entryIds: number[], index: number) =>
+    ipcRenderer.invoke('db:move-playlist-entries', playlistId, entryIds, index),
+  movePlaylistRange: (playlistId: number, start: number, count: number, position: number) =>
+    ipcRenderer.invoke('db:move-playlist-range', playlistId, start, count, position),
+  removePlaylistEntries: (playlistId: number, entryIds: number[]) =>
+    ipcRenderer.invoke('db:remove-playlist-entries', playlistId, entryIds),
+
+  // ===== DATABASE: PLAYLIST FOLDERS =====
+  getPlaylistTree: () => ipcRenderer.invoke('db:get-playlist-tree'),
+  createPlaylistFolder: (name: string, parentId?: number | null) =>
+    ipcRenderer.invoke('db:create-playlist-folder', name, parentId),
+  movePlaylist: (playlistId: number, parentId: number | null, index?: number) =>
+    ipcRenderer.invoke('db:move-playlist', playlistId, parentId, index),
+
+  // ===== DATABASE: SMART PLAYLISTS =====
+  createSmartPlaylist: (name: string, rules: object, description?: string) =>
+    ipcRenderer.invoke('db:create-smart-playlist', name, rules, description),
+  previewSmartPlaylist: (rules: object) => ipcRenderer.invoke('db:preview-smart-playlist', rules),
+  refreshSmartPlaylist: (playlistId: number) => ipcRenderer.invoke('db:refresh-smart-playlist', playlistId),
+
+  // ===== DATABASE: UNDO / REDO =====
+  undo: () => ipcRenderer.invoke('db:undo'),
+  redo: () => ipcRenderer.invoke('db:redo'),
+  getUndoState: () => ipcRenderer.invoke('db:get-undo-state'),
+  getChangeHistory: (limit?: number) => ipcRenderer.invoke('db:get-change-history', limit),
+
+  // ===== DATABASE: PLAY STATISTICS =====
+  recordPlayback: (trackId: number, playback: object) => ipcRenderer.invoke('db:record-playback', trackId, playback),
+  getRecentlyPlayed: (limit?: number) => ipcRenderer.invoke('db:get-recently-played', limit),
+  getMostPlayed: (options?: object) => ipcRenderer.invoke('db:get-most-played', options),
+  getPlayHistory: (trackId: number, limit?: number) => ipcRenderer.invoke('db:get-play-history', trackId, limit),
 
   // ===== SYSTEM / LIBRARY =====
   getLibraryPath: () => ipcRenderer.invoke('app:get-library-path'),
   getLibraryStats: () => ipcRenderer.invoke('app:get-library-stats'),
   checkLibraryExists: () => ipcRenderer.invoke('app:check-library-exists'),
+  getMigrationStatus: () => ipcRenderer.invoke('db:get-migration-status'),
+
+  // ===== BACKUPS =====
+  listBackups: () => ipcRenderer.invoke('backup:list'),
+  createBackup: () => ipcRenderer.invoke('backup:create'),
+  verifyBackup: (backupPath: string) => ipcRenderer.invoke('backup:verify', backupPath),
+  restoreBackup: (backupPath: string) => ipcRenderer.invoke('backup:restore', backupPath),
 
   // ===== SETTINGS =====
   getSetting: (key: string) => ipcRenderer.invoke('settings:get', key),
@@ -56,6 +148,17 @@ contextBridge.exposeInMainWorld('api', {
   onImportError: (callback: (error: string) => void) => {
     ipcRenderer.on('import:error', (_, error) => callback(error))
   },
+  onMigrationStatus: (callback: (status: any) => void) => {
+    ipcRenderer.on('db:migration-status', (_, status) => callback(status))
+  },
+  // Returns a function that unsubscribes
+  onLibraryChange: (callback: (events: any[]) => void) => {
+    const listener = (_: IpcRendererEvent, events: any[]) => callback(events)
+    ipcRenderer.on('library:changed', listener)
+    return () => {
+      ipcRenderer.removeListener('library:changed', listener)
+    }
+  },
 })
 
 // SECURITY: Raw ipcRenderer is NOT exposed to prevent bypassing context isolation.
@@ -0,0 +1,241 @@
+/**
+ * Album Aggregation
+ *
+ * Keeps the albums table in sync with tracks using SQLite triggers, so every
+ * insert, update or delete path (import, metadata edits, cascades) is covered.
+ *
+ * An album is identified by (album_title, album_artist):
+ * - Tracks without an album are not grouped
+ * - Compilation tracks are grouped by title alone (album_artist NULL), so a
+ *   compilation with per-track artists stays a single album
+ * - NULL album artists are matched with IS, never with =
+ */
+
+/**
+ * SQL expression for the album artist a track is grouped under
+ *
+ * @param {string} ref - Row reference (e.g. 'NEW', 'OLD' or a table alias)
+ * @returns {string} SQL expression
+ */
+function albumArtistKey(ref) {
+  return `(CASE WHEN ${ref}.is_compilation THEN NULL ELSE ${ref}.album_artist END)`;
+}
+
+/**
+ * SQL condition matching the tracks that belong to an album
+ *
+ * @param {string} trackRef - Alias of the tracks table
+ * @param {string} titleExpr - SQL expression for the album title
+ * @param {string} artistExpr - SQL expression for the album artist key
+ * @returns {string} SQL condition
+ */
+function albumMembership(trackRef, titleExpr, artistExpr) {
+  return `${trackRef}.album = ${titleExpr} AND ${albumArtistKey(trackRef)} IS ${artistExpr}`;
+}
+
+// Aggregate columns computed from an album's tracks (used with GROUP BY or a single album)
+const AGGREGATE_SELECT = `
+  COUNT(*) AS track_count,
+  COALESCE(SUM(t.duration_seconds), 0) AS total_duration_seconds,
+  COUNT(DISTINCT COALESCE(t.disc_number, 1)) AS disc_count,
+  MIN(t.release_year) AS min_year,
+  MAX(t.release_year) AS max_year,
+  MAX(t.is_compilation) AS is_compilation
+`;
+
+/**
+ * SQL statement that recomputes one album's aggregates from its tracks
+ *
+ * @param {string} titleExpr - SQL expression for the album title
+ * @param {string} artistExpr - SQL expression for the album artist key
+ * @returns {string} SQL statement
+ */
+function refreshAlbumStatement(titleExpr, artistExpr) {
+  return `
+    UPDATE albums
+    SET track_count = agg.track_count,
+        total_duration_seconds = agg.total_duration_seconds,
+        disc_count = agg.disc_count,
+        release_year = agg.min_year,
+        min_year = agg.min_year,
+        max_year = agg.max_year,
+        is_compilation = COALESCE(agg.is_compilation, 0),
+        artwork_path = (
+          SELECT t.artwork_path FROM tracks t
+          WHERE ${albumMembership('t', titleExpr, artistExpr)} AND t.artwork_path IS NOT NULL
+          ORDER BY t.disc_number, t.track_number, t.track_id
+          LIMIT 1
+        ),
+        updated_at = strftime('%s', 'now')
+    FROM (
+      SELECT ${AGGREGATE_SELECT}
+      FROM tracks t
+      WHERE ${albumMembership('t', titleExpr, artistExpr)}
+    ) AS agg
+    WHERE albums.album_title = ${titleExpr} AND albums.album_artist IS ${artistExpr};
+  `;
+}
+
+/**
+ * SQL statements that create the album for a track row if it doesn't exist yet
+ *
+ * @param {string} ref - Row reference ('NEW')
+ * @returns {string} SQL statement
+ */
+function ensureAlbumStatement(ref) {
+  return `
+    INSERT INTO albums (album_title, album_artist)
+    SELECT ${ref}.album, ${albumArtistKey(ref)}
+    WHERE ${ref}.album IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM albums
+        WHERE album_title = ${ref}.album AND album_artist IS ${albumArtistKey(ref)}
+      );
+  `;
+}
+
+/**
+ * SQL statement that removes the album for a track row once it has no tracks
+ *
+ * @param {string} ref - Row reference ('OLD')
+ * @returns {string} SQL statement
+ */
+function pruneAlbumStatement(ref) {
+  return `
+    DELETE FROM albums
+    WHERE album_title = ${ref}.album
+      AND album_artist IS ${albumArtistKey(ref)}
+      AND track_count = 0;
+  `;
+}
+
+/**
+ * Add aggregate columns to the albums table
+ * The albums table shipped without them and was never populated, so no data is lost.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function addAlbumAggregateColumns(db) {
+  db.exec(`
+    ALTER TABLE albums ADD COLUMN total_duration_seconds INTEGER DEFAULT 0;
+    ALTER TABLE albums ADD COLUMN disc_count INTEGER DEFAULT 0;
+    ALTER TABLE albums ADD COLUMN min_year INTEGER;
+    ALTER TABLE albums ADD COLUMN max_year INTEGER;
+    ALTER TABLE albums ADD COLUMN updated_at INTEGER;
+  `);
+}
+
+/**
+ * Create the triggers that maintain albums as tracks change
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createAlbumTriggers(db) {
+  const newKey = ['NEW.album', albumArtistKey('NEW')];
+  const oldKey = ['OLD.album', albumArtistKey('OLD')];
+
+  db.exec(`
+    CREATE TRIGGER IF NOT EXISTS tracks_albums_insert
+    AFTER INSERT ON tracks
+    FOR EACH ROW
+    WHEN NEW.album IS NOT NULL
+    BEGIN
+      ${ensureAlbumStatement('NEW')}
+      ${refreshAlbumStatement(...newKey)}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS tracks_albums_update
+    AFTER UPDATE OF album, album_artist, is_compilation, duration_seconds,
+      disc_number, track_number, release_year, artwork_path ON tracks
+    FOR EACH ROW
+    BEGIN
+      ${ensureAlbumStatement('NEW')}
+      ${refreshAlbumStatement(...newKey)}
+      ${refreshAlbumStatement(...oldKey)}
+      ${pruneAlbumStatement('OLD')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS tracks_albums_delete
+    AFTER DELETE ON tracks
+    FOR EACH ROW
+    WHEN OLD.album IS NOT NULL
+    BEGIN
+      ${refreshAlbumStatement(...oldKey)}
+      ${pruneAlbumStatement('OLD')}
+    END;
+  `);
+}
+
+/**
+ * Rebuild the albums table from scratch using the current tracks
+ * Existing album rows (and their IDs) are kept where they still have tracks.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function rebuildAlbums(db) {
+  db.exec(`
+    INSERT INTO albums (album_title, album_artist)
+    SELECT DISTINCT t.album, ${albumArtistKey('t')}
+    FROM tracks t
+    WHERE t.album IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM albums a
+        WHERE a.album_title = t.album AND a.album_artist IS ${albumArtistKey('t')}
+      );
+
+    UPDATE albums SET track_count = 0;
+
+    UPDATE albums
+    SET track_count = agg.track_count,
+        total_duration_seconds = agg.total_duration_seconds,
+        disc_count = agg.disc_count,
+        release_year = agg.min_year,
+        min_year = agg.min_year,
+        max_year = agg.max_year,
+        is_compilation = COALESCE(agg.is_compilation, 0),
+        artwork_path = (
+          SELECT t.artwork_path FROM tracks t
+          WHERE ${albumMembership('t', 'albums.album_title', 'albums.album_artist')}
+            AND t.artwork_path IS NOT NULL
+          ORDER BY t.disc_number, t.track_number, t.track_id
+          LIMIT 1
+        ),
+        updated_at = strftime('%s', 'now')
+    FROM (
+      SELECT t.album AS album_title, ${albumArtistKey('t')} AS album_artist, ${AGGREGATE_SELECT}
+      FROM tracks t
+      WHERE t.album IS NOT NULL
+      GROUP BY 1, 2
+    ) AS agg
+    WHERE albums.album_title = agg.album_title AND albums.album_artist IS agg.album_artist;
+
+    DELETE FROM albums WHERE track_count = 0;
+  `);
+}
+
+/**
+ * Recompute the aggregates of a single album
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} albumId - Album ID
+ */
+function refreshAlbum(db, albumId) {
+  const album = db.prepare(`
+    SELECT album_title, album_artist FROM albums WHERE album_id = ?
+  `).get(albumId);
+
+  if (!album) {
+    return;
+  }
+
+  db.prepare(refreshAlbumStatement('@album_title', '@album_artist')).run(album);
+}
+
+module.exports = {
+  albumArtistKey,
+  albumMembership,
+  addAlbumAggregateColumns,
+  createAlbumTriggers,
+  rebuildAlbums,
+  refreshAlbum
+};
@@ -0,0 +1,354 @@
+/**
+ * Artists
+ *
+ * Artists are normalized out of the free-text artist, album_artist and title
+ * tags into the artists table, with a sort name ("Beatles, The") and any number
+ * of aliases. track_artists credits each track's artists by role:
+ * - primary: the artists named in the artist tag
+ * - featured: "feat."/"ft."/"featuring" credits in the artist tag or the title
+ * - remixer, composer: from the matching tags at import
+ * - album_artist: the artists named in the album_artist tag
+ *
+ * The tags stay the source of truth: track_artists is rebuilt from them
+ * whenever they change. Credits joined with "&" are split into separate
+ * artists unless the whole credit is already a known artist or alias, so
+ * creating "Simon & Garfunkel" as an artist keeps the duo together.
+ *
+ * tracks.artist_sort and tracks.album_artist_sort hold the sort name of the
+ * first primary and album artist credit, so track lists can sort by sort name
+ * without a join.
+ */
+
+const ARTIST_ROLES = ['primary', 'featured', 'remixer', 'composer', 'album_artist'];
+
+// Leading articles moved to the end of generated sort names
+const SORT_ARTICLES = ['the', 'a', 'an'];
+
+// Featuring marker in an artist tag or a title, e.g. "A feat. B" or "Song (ft. B)"
+const FEATURING_PATTERN = /(?:^|\s+)[([]?\s*(?:featuring|feat\.?|ft\.?)\s+/i;
+const TITLE_FEATURING_PATTERN = /[([]\s*(?:featuring|feat\.?|ft\.?)\s+([^)\]]+)[)\]]/i;
+
+// Separators between several artists in one credit
+const PRIMARY_SEPARATOR = /\s+&\s+/;
+const FEATURED_SEPARATOR = /\s*,\s*|\s+&\s+|\s+and\s+/i;
+const CONTRIBUTOR_SEPARATOR = /\s*[/;]\s*|\s+&\s+/;
+
+/**
+ * Create the artist tables and sort name columns, then credit existing tracks
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createArtistsSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS artists (
+      artist_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      sort_name TEXT NOT NULL,
+      created_at INTEGER DEFAULT (strftime('%s', 'now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_artists_sort_name ON artists(sort_name);
+
+    CREATE TABLE IF NOT EXISTS artist_aliases (
+      alias TEXT PRIMARY KEY COLLATE NOCASE,
+      artist_id INTEGER NOT NULL,
+      FOREIGN KEY (artist_id) REFERENCES artists(artist_id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_artist_aliases_artist ON artist_aliases(artist_id);
+
+    CREATE TABLE IF NOT EXISTS track_artists (
+      track_id INTEGER NOT NULL,
+      artist_id INTEGER NOT NULL,
+      role TEXT NOT NULL CHECK (role IN (${ARTIST_ROLES.map(role => `'${role}'`).join(', ')})),
+      position INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (track_id, role, artist_id),
+      FOREIGN KEY (track_id) REFERENCES tracks(track_id) ON DELETE CASCADE,
+      FOREIGN KEY (artist_id) REFERENCES artists(artist_id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_track_artists_artist ON track_artists(artist_id, role);
+
+    ALTER TABLE tracks ADD COLUMN artist_sort TEXT;
+    ALTER TABLE tracks ADD COLUMN album_artist_sort TEXT;
+
+    CREATE INDEX IF NOT EXISTS idx_tracks_artist_sort ON tracks(artist_sort);
+    CREATE INDEX IF NOT EXISTS idx_tracks_album_artist_sort ON tracks(album_artist_sort);
+  `);
+
+  db.prepare('SELECT track_id FROM tracks ORDER BY track_id').all()
+    .forEach(({ track_id: trackId }) => syncTrackArtists(db, trackId));
+}
+
+/**
+ * Generate a sort name by moving a leading article to the end
+ * "The Beatles" sorts as "Beatles, The"; other names sort as themselves.
+ *
+ * @param {string} name - Artist name
+ * @returns {string} Sort name
+ */
+function generateSortName(name) {
+  const trimmed = String(name).trim();
+  const match = /^(\S+)\s+(.+)$/.exec(trimmed);
+
+  if (match && SORT_ARTICLES.includes(match[1].toLowerCase())) {
+    return `${match[2]}, ${match[1]}`;
+  }
+  return trimmed;
+}
+
+/**
+ * Split a credit into artist names
+ *
+ * @param {string} text - Credit text
+ * @param {RegExp} separator - Separator between names
+ * @param {Function} isKnownArtist - Returns true for names that must not be split
+ * @returns {Array<string>} Names, without blanks or case-insensitive duplicates
+ */
+function splitNames(text, separator, isKnownArtist) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) {
+    return [];
+  }
+
+  const names = isKnownArtist(trimmed) ? [trimmed] : trimmed.split(separator);
+  const seen = new Set();
+
+  return names.map(name => name.trim()).filter(name => {
+    const key = name.toLowerCase();
+    if (!name || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Parse an artist tag into primary and featured artists
+ * "A & B feat. C, D" gives primary [A, B] and featured [C, D].
+ *
+ * @param {string|null} credit - Artist tag
+ * @param {Function} isKnownArtist - Returns true for names that must not be split
+ * @returns {Object} { primary, featured } arrays of names
+ */
+function parseArtistCredit(credit, isKnownArtist = () => false) {
+  const text = String(credit || '').trim();
+  const match = isKnownArtist(text) ? null : FEATURING_PATTERN.exec(text);
+
+  if (!match) {
+    return { primary: splitNames(text, PRIMARY_SEPARATOR, isKnownArtist), featured: [] };
+  }
+
+  const featured = text.slice(match.index + match[0].length).replace(/[)\]]\s*$/, '');
+  return {
+    primary: splitNames(text.slice(0, match.index), PRIMARY_SEPARATOR, isKnownArtist),
+    featured: splitNames(featured, FEATURED_SEPARATOR, isKnownArtist)
+  };
+}
+
+/**
+ * Parse featured artists from a title such as "Song (feat. A & B)"
+ *
+ * @param {string|null} title - Track title
+ * @param {Function} isKnownArtist - Returns true for names that must not be split
+ * @returns {Array<string>} Featured artist names
+ */
+function parseTitleCredits(title, isKnownArtist = () => false) {
+  const match = TITLE_FEATURING_PATTERN.exec(String(title || ''));
+  return match ? splitNames(match[1], FEATURED_SEPARATOR, isKnownArtist) : [];
+}
+
+/**
+ * Find an artist by name or alias (case-insensitive)
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} name - Artist name or alias
+ * @returns {number|null} artist_id
+ */
+function findArtistId(db, name) {
+  const row = db.prepare(`
+    SELECT artist_id FROM artist_aliases WHERE alias = @name
+    UNION ALL
+    SELECT artist_id FROM artists WHERE name = @name
+    LIMIT 1
+  `).get({ name: String(name).trim() });
+
+  return row ? row.artist_id : null;
+}
+
+/**
+ * Find an artist by name or alias, creating it if there is none
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} name - Artist name
+ * @returns {number} artist_id
+ */
+function resolveArtist(db, name) {
+  const existing = findArtistId(db, name);
+  if (existing !== null) {
+    return existing;
+  }
+
+  const trimmed = String(name).trim();
+  return Number(db.prepare('INSERT INTO artists (name, sort_name) VALUES (?, ?)')
+    .run(trimmed, generateSortName(trimmed)).lastInsertRowid);
+}
+
+/**
+ * Replace a track's credits for one role, leaving them alone if they're unchanged
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} trackId - Track ID
+ * @param {string} role - Credit role
+ * @param {Array<string>} names - Artist names in credit order
+ */
+function replaceCredits(db, trackId, role, names) {
+  const artistIds = [...new Set(names.map(name => resolveArtist(db, name)))];
+  const current = db.prepare(`
+    SELECT artist_id FROM track_artists WHERE track_id = ? AND role = ? ORDER BY position
+  `).all(trackId, role).map(row => row.artist_id);
+
+  if (current.length === artistIds.length && current.every((id, index) => id === artistIds[index])) {
+    return;
+  }
+
+  db.prepare('DELETE FROM track_artists WHERE track_id = ? AND role = ?').run(trackId, role);
+  const insert = db.prepare(`
+    INSERT INTO track_artists (track_id, artist_id, role, position) VALUES (?, ?, ?, ?)
+  `);
+  artistIds.forEach((artistId, position) => insert.run(trackId, artistId, role, position));
+}
+
+/**
+ * Rebuild a track's credits from its tags
+ * primary, featured and album_artist credits always follow the artist, title and
+ * album_artist columns; composer and remixer credits are only replaced when given.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} trackId - Track ID
+ * @param {Object} contributors - Optional composers and remixers arrays
+ */
+function syncTrackArtists(db, trackId, contributors = {}) {
+  const track = db.prepare('SELECT artist, album_artist, title FROM tracks WHERE track_id = ?').get(trackId);
+  if (!track) {
+    return;
+  }
+
+  const isKnownArtist = name => findArtistId(db, name) !== null;
+  const credit = parseArtistCredit(track.artist, isKnownArtist);
+  const credits = {
+    primary: credit.primary,
+    featured: [...credit.featured, ...parseTitleCredits(track.title, isKnownArtist)],
+    album_artist: parseArtistCredit(track.album_artist, isKnownArtist).primary
+  };
+
+  [['composer', contributors.composers], ['remixer', contributors.remixers]].forEach(([role, values]) => {
+    if (Array.isArray(values)) {
+      credits[role] = values.flatMap(value => splitNames(value, CONTRIBUTOR_SEPARATOR, isKnownArtist));
+    }
+  });
+
+  Object.entries(credits).forEach(([role, names]) => replaceCredits(db, trackId, role, names));
+  refreshTrackSortNames(db, [trackId]);
+}
+
+/**
+ * Rebuild credits for tracks whose tags mention a name
+ * Used after an artist or alias is added, so credits that were split apart
+ * (or credited to someone else) pick it up.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} name - Artist name or alias
+ */
+function syncTracksMentioning(db, name) {
+  db.prepare(`
+    SELECT track_id FROM tracks
+    WHERE instr(lower(artist), lower(@name)) OR instr(lower(album_artist), lower(@name))
+      OR instr(lower(title), lower(@name))
+  `).all({ name }).forEach(({ track_id: trackId }) => syncTrackArtists(db, trackId));
+}
+
+/**
+ * SQL expression for the sort name of a track's first credit in a role
+ *
+ * @param {string} role - Credit role
+ * @returns {string} SQL expression
+ */
+function firstCreditSortName(role) {
+  return `(
+    SELECT ar.sort_name FROM track_artists ta
+    JOIN artists ar ON ar.artist_id = ta.artist_id
+    WHERE ta.track_id = tracks.track_id AND ta.role = '${role}'
+    ORDER BY ta.position
+    LIMIT 1
+  )`;
+}
+
+/**
+ * Recompute tracks.artist_sort and album_artist_sort from their credits
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Array<number>} trackIds - Tracks to update
+ */
+function refreshTrackSortNames(db, trackIds) {
+  const stmt = db.prepare(`
+    UPDATE tracks
+    SET artist_sort = ${firstCreditSortName('primary')},
+        album_artist_sort = ${firstCreditSortName('album_artist')}
+    WHERE track_id = ?
+      AND (artist_sort IS NOT ${firstCreditSortName('primary')}
+        OR album_artist_sort IS NOT ${firstCreditSortName('album_artist')})
+  `);
+  trackIds.forEach(trackId => stmt.run(trackId));
+}
+
+/**
+ * Get the tracks credited to an artist in any role
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} artistId - Artist ID
+ * @returns {Array<number>} Track IDs
+ */
+function getCreditedTrackIds(db, artistId) {
+  return db.prepare('SELECT DISTINCT track_id FROM track_artists WHERE artist_id = ?')
+    .all(artistId).map(row => row.track_id);
+}
+
+/**
+ * Fold one artist into another
+ * The source's credits and aliases move to the target, and its name becomes an alias.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} sourceId - Artist being merged away
+ * @param {number} targetId - Artist that remains
+ */
+function mergeArtists(db, sourceId, targetId) {
+  const source = db.prepare('SELECT name FROM artists WHERE artist_id = ?').get(sourceId);
+  const trackIds = getCreditedTrackIds(db, sourceId);
+
+  db.prepare(`
+    INSERT OR IGNORE INTO track_artists (track_id, artist_id, role, position)
+    SELECT track_id, @target, role, position FROM track_artists WHERE artist_id = @source
+  `).run({ source: sourceId, target: targetId });
+  db.prepare('UPDATE artist_aliases SET artist_id = ? WHERE artist_id = ?').run(targetId, sourceId);
+  db.prepare('DELETE FROM artists WHERE artist_id = ?').run(sourceId);
+  db.prepare('INSERT INTO artist_aliases (alias, artist_id) VALUES (?, ?)').run(source.name, targetId);
+
+  refreshTrackSortNames(db, trackIds);
+}
+
+module.exports = {
+  ARTIST_ROLES,
+  createArtistsSchema,
+  generateSortName,
+  parseArtistCredit,
+  parseTitleCredits,
+  findArtistId,
+  resolveArtist,
+  syncTrackArtists,
+  syncTracksMentioning,
+  refreshTrackSortNames,
+  getCreditedTrackIds,
+  mergeArtists
+};
@@ -0,0 +1,194 @@
+// Artist normalization, credit parsing and sort name tests
+const MusicDatabase = require('./database');
+const { generateSortName, parseArtistCredit, parseTitleCredits } = require('./artists');
+
+describe('Artists', () => {
+  describe('generateSortName()', () => {
+    test('moves a leading article to the end', () => {
+      expect(generateSortName('The Beatles')).toBe('Beatles, The');
+      expect(generateSortName('A Tribe Called Quest')).toBe('Tribe Called Quest, A');
+      expect(generateSortName('an Albatross')).toBe('Albatross, an');
+    });
+
+    test('leaves other names alone', () => {
+      expect(generateSortName('Radiohead')).toBe('Radiohead');
+      expect(generateSortName('The')).toBe('The');
+      expect(generateSortName('Theory of a Deadman')).toBe('Theory of a Deadman');
+    });
+  });
+
+  describe('parseArtistCredit()', () => {
+    test('splits featured artists from the primary credit', () => {
+      expect(parseArtistCredit('A feat. B')).toEqual({ primary: ['A'], featured: ['B'] });
+      expect(parseArtistCredit('A ft. B & C')).toEqual({ primary: ['A'], featured: ['B', 'C'] });
+      expect(parseArtistCredit('A (featuring B, C and D)')).toEqual({ primary: ['A'], featured: ['B', 'C', 'D'] });
+      expect(parseArtistCredit('A Feat B')).toEqual({ primary: ['A'], featured: ['B'] });
+    });
+
+    test('splits primary artists joined with &', () => {
+      expect(parseArtistCredit('A & B feat. C')).toEqual({ primary: ['A', 'B'], featured: ['C'] });
+    });
+
+    test('does not split inside words or known artists', () => {
+      expect(parseArtistCredit('Daft Punk')).toEqual({ primary: ['Daft Punk'], featured: [] });
+      expect(parseArtistCredit('Simon & Garfunkel', name => name === 'Simon & Garfunkel'))
+        .toEqual({ primary: ['Simon & Garfunkel'], featured: [] });
+    });
+
+    test('handles empty credits and duplicates', () => {
+      expect(parseArtistCredit(null)).toEqual({ primary: [], featured: [] });
+      expect(parseArtistCredit('A & a')).toEqual({ primary: ['A'], featured: [] });
+    });
+  });
+
+  describe('parseTitleCredits()', () => {
+    test('finds featured artists in the title', () => {
+      expect(parseTitleCredits('Song (feat. B & C)')).toEqual(['B', 'C']);
+      expect(parseTitleCredits('Song [ft. B]')).toEqual(['B']);
+      expect(parseTitleCredits('Left Behind')).toEqual([]);
+    });
+  });
+
+  describe('Library', () => {
+    let db;
+
+    beforeEach(() => {
+      db = new MusicDatabase(':memory:');
+      db.initialize();
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    const addTrack = (track) => db.insertTrack({ date_added: 1, ...track, file_path: `/${track.title}.mp3` }).track_id;
+    const creditsOf = (trackId) => db.getTrackArtists(trackId).map(credit => [credit.role, credit.name]);
+    const artistId = (name) => db.getArtists().find(artist => artist.name === name).artist_id;
+
+    test('credits artists by role on import', () => {
+      const trackId = addTrack({
+        title: 'Song (feat. C)',
+        artist: 'A & B ft. D',
+        album_artist: 'A',
+        composers: ['E / F'],
+        remixers: ['G']
+      });
+
+      expect(creditsOf(trackId)).toEqual([
+        ['primary', 'A'],
+        ['primary', 'B'],
+        ['featured', 'D'],
+        ['featured', 'C'],
+        ['remixer', 'G'],
+        ['composer', 'E'],
+        ['composer', 'F'],
+        ['album_artist', 'A']
+      ]);
+    });
+
+    test('shares one artist across spellings and credits', () => {
+      addTrack({ title: 'One', artist: 'The Beatles' });
+      addTrack({ title: 'Two', artist: 'the beatles feat. Billy Preston' });
+
+      expect(db.getArtists().map(artist => [artist.name, artist.sort_name, artist.track_count])).toEqual([
+        ['The Beatles', 'Beatles, The', 2],
+        ['Billy Preston', 'Billy Preston', 1]
+      ]);
+    });
+
+    test('lists artists by role', () => {
+      addTrack({ title: 'One', artist: 'A feat. B', album_artist: 'A' });
+
+      expect(db.getArtists({ role: 'featured' }).map(artist => artist.name)).toEqual(['B']);
+      expect(db.getArtistTracks(artistId('B'), 'featured').map(track => track.title)).toEqual(['One']);
+      expect(db.getArtistTracks(artistId('B'), 'primary')).toEqual([]);
+      expect(() => db.getArtists({ role: 'producer' })).toThrow('Invalid artist role');
+    });
+
+    test('re-credits a track when its tags are edited', () => {
+      const trackId = addTrack({ title: 'Song', artist: 'A', composers: ['C'] });
+      db.updateTrack(trackId, { artist: 'B feat. A' });
+
+      expect(creditsOf(trackId)).toEqual([['primary', 'B'], ['featured', 'A'], ['composer', 'C']]);
+      expect(db.getTrack(trackId).artist_sort).toBe('B');
+    });
+
+    test('sorts tracks and albums by sort name', () => {
+      addTrack({ title: 'Help', artist: 'The Beatles', album: 'Help!', album_artist: 'The Beatles' });
+      addTrack({ title: 'Creep', artist: 'Radiohead', album: 'Pablo Honey', album_artist: 'Radiohead' });
+      addTrack({ title: 'Changes', artist: 'David Bowie', album: 'Hunky Dory', album_artist: 'David Bowie' });
+      db.setArtistSortName(artistId('David Bowie'), 'Bowie, David');
+
+      expect(db.getTracks({ sortBy: 'artist' }).map(track => track.title)).toEqual(['Help', 'Changes', 'Creep']);
+      expect(db.queryTracks({ sort: 'album_artist', limit: 2 }).tracks.map(track => track.title))
+        .toEqual(['Help', 'Changes']);
+      expect(db.getAlbums(null, 'album_artist').map(album => album.album_title))
+        .toEqual(['Help!', 'Hunky Dory', 'Pablo Honey']);
+    });
+
+    test('pages through tracks sorted by sort name', () => {
+      ['Zed', 'The Alpha', 'Mid', 'The Beta'].forEach(artist => addTrack({ title: artist, artist }));
+
+      const first = db.queryTracks({ sort: 'artist', limit: 2 });
+      const second = db.queryTracks({ sort: 'artist', limit: 2, cursor: first.nextCursor });
+      expect([...first.tracks, ...second.tracks].map(track => track.artist))
+        .toEqual(['The Alpha', 'The Beta', 'Mid', 'Zed']);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    test('resets a sort name to the generated one', () => {
+      addTrack({ title: 'Help', artist: 'The Beatles' });
+      const id = artistId('The Beatles');
+
+      db.setArtistSortName(id, 'Fab Four');
+      db.setArtistSortName(id, null);
+      expect(db.getArtist(id).sort_name).toBe('Beatles, The');
+      expect(() => db.setArtistSortName(id, '  ')).toThrow('Sort name must be a non-empty string');
+    });
+
+    test('resolves aliases and merges an artist of that name', () => {
+      const first = addTrack({ title: 'One', artist: 'The Beatles' });
+      const second = addTrack({ title: 'Two', artist: 'Beatles' });
+
+      const result = db.addArtistAlias(artistId('The Beatles'), 'Beatles');
+      expect(result.merged_artist_id).not.toBeNull();
+      expect(db.getArtists().map(artist => artist.name)).toEqual(['The Beatles']);
+      expect(db.getTrack(second).artist_sort).toBe('Beatles, The');
+
+      const third = addTrack({ title: 'Three', artist: 'BEATLES' });
+      expect(creditsOf(third)).toEqual([['primary', 'The Beatles']]);
+      expect(db.getArtist(artistId('The Beatles')).aliases).toEqual(['Beatles']);
+      expect(creditsOf(first)).toEqual([['primary', 'The Beatles']]);
+    });
+
+    test('keeps a created duo together', () => {
+      const trackId = addTrack({ title: 'Boxer', artist: 'Simon & Garfunkel' });
+      expect(creditsOf(trackId)).toEqual([['primary', 'Simon'], ['primary', 'Garfunkel']]);
+
+      db.createArtist({ name: 'Simon & Garfunkel' });
+      expect(creditsOf(trackId)).toEqual([['primary', 'Simon & Garfunkel']]);
+      expect(db.getArtists().map(artist => artist.name)).toEqual(['Simon & Garfunkel']);
+      expect(() => db.createArtist({ name: 'simon & garfunkel' })).toThrow('Artist already exists');
+    });
+
+    test('undoes artist edits and merges', () => {
+      const trackId = addTrack({ title: 'One', artist: 'Beatles' });
+      addTrack({ title: 'Two', artist: 'The Beatles' });
+
+      db.addArtistAlias(artistId('The Beatles'), 'Beatles');
+      db.undo();
+      expect(db.getArtists().map(artist => artist.name).sort()).toEqual(['Beatles', 'The Beatles']);
+      expect(db.getTrack(trackId).artist_sort).toBe('Beatles');
+
+      db.updateTrack(trackId, { artist: 'New Artist' });
+      db.undo();
+      expect(creditsOf(trackId)).toEqual([['primary', 'Beatles']]);
+    });
+
+    test('rejects an alias that is the artist\'s own name', () => {
+      addTrack({ title: 'One', artist: 'A' });
+      expect(() => db.addArtistAlias(artistId('A'), 'a')).toThrow("Alias is the artist's own name");
+      expect(() => db.addArtistAlias(999, 'B')).toThrow('Artist not found');
+    });
+  });
+});
@@ -0,0 +1,435 @@
+/**
+ * Audio Decoding
+ *
+ * Decodes audio files to PCM in pure JavaScript for fingerprinting.
+ *
+ * - FLAC is decoded natively (fixed and LPC subframes, all stereo modes)
+ * - Other formats (MP3, AAC) have no decoder yet; decodeAudioFile() returns null
+ *   for them so callers can skip the file rather than fail
+ * - Frame CRCs are not checked; a corrupt stream throws instead
+ */
+
+const fs = require('fs').promises;
+
+const FLAC_MAGIC = 'fLaC';
+
+// Block sizes for frame header codes 1-5 and 8-15 (6 and 7 are read from the header)
+const FLAC_BLOCK_SIZES = [0, 192, 576, 1152, 2304, 4608, 0, 0, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768];
+
+// Bits per sample for frame header codes (0 uses STREAMINFO)
+const FLAC_SAMPLE_SIZES = [0, 8, 12, 0, 16, 20, 24, 32];
+
+// Predictor coefficients of the fixed subframe orders 0-4
+const FIXED_COEFFICIENTS = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+
+/**
+ * Reads big-endian bit fields from a buffer
+ */
+class BitReader {
+  /**
+   * @param {Buffer} buffer - Data to read
+   * @param {number} offset - Byte offset to start at
+   */
+  constructor(buffer, offset = 0) {
+    this.buffer = buffer;
+    this.position = offset * 8;
+  }
+
+  /**
+   * Read an unsigned value of up to 53 bits
+   * @param {number} count - Number of bits
+   * @returns {number} Value
+   * @throws {Error} If the data ends first
+   */
+  read(count) {
+    let value = 0;
+    let remaining = count;
+
+    // Take as many bits as are left in the current byte at a time
+    while (remaining > 0) {
+      const byte = this.buffer[this.position >>> 3];
+      if (byte === undefined) {
+        throw new Error('Unexpected end of audio data');
+      }
+      const available = 8 - (this.position & 7);
+      const take = Math.min(available, remaining);
+      const bits = (byte >>> (available - take)) & ((1 << take) - 1);
+      value = value * (1 << take) + bits;
+      this.position += take;
+      remaining -= take;
+    }
+    return value;
+  }
+
+  /**
+   * Read a two's complement signed value
+   * @param {number} count - Number of bits
+   * @returns {number} Value
+   */
+  readSigned(count) {
+    const value = this.read(count);
+    return count > 0 && value >= 2 ** (count - 1) ? value - 2 ** count : value;
+  }
+
+  /**
+   * Read a unary-coded value (the number of 0 bits before a 1)
+   * @returns {number} Value
+   */
+  readUnary() {
+    let count = 0;
+    while (this.read(1) === 0) {
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Skip to the next byte boundary
+   */
+  align() {
+    this.position = Math.ceil(this.position / 8) * 8;
+  }
+
+  /**
+   * Current position in whole bytes
+   * @returns {number} Byte offset
+   */
+  get byteOffset() {
+    return Math.ceil(this.position / 8);
+  }
+}
+
+/**
+ * Length of an ID3v2 tag at the start of a buffer (some taggers add one to FLAC files)
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {number} Tag length in bytes, 0 if there is none
+ */
+function id3v2Length(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+    return 0;
+  }
+  // Synchsafe size (7 bits per byte), plus the header and an optional footer
+  const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+  return 10 + size + ((buffer[5] & 0x10) ? 10 : 0);
+}
+
+/**
+ * Whether a buffer holds a FLAC stream
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} True for FLAC
+ */
+function isFlac(buffer) {
+  const start = id3v2Length(buffer);
+  return buffer.toString('latin1', start, start + 4) === FLAC_MAGIC;
+}
+
+/**
+ * Parse the metadata blocks of a FLAC stream
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { streamInfo, framesOffset }
+ * @throws {Error} If the stream has no STREAMINFO block
+ */
+function readFlacHeader(buffer) {
+  let offset = id3v2Length(buffer) + 4;
+  let streamInfo = null;
+  let last = false;
+
+  while (!last) {
+    if (offset + 4 > buffer.length) {
+      throw new Error('Unexpected end of audio data');
+    }
+    const header = buffer[offset];
+    const length = buffer.readUIntBE(offset + 1, 3);
+    last = (header & 0x80) !== 0;
+
+    if ((header & 0x7f) === 0) {
+      const reader = new BitReader(buffer, offset + 4);
+      streamInfo = {
+        minBlockSize: reader.read(16),
+        maxBlockSize: reader.read(16),
+        minFrameSize: reader.read(24),
+        maxFrameSize: reader.read(24),
+        sampleRate: reader.read(20),
+        channels: reader.read(3) + 1,
+        bitsPerSample: reader.read(5) + 1,
+        totalSamples: reader.read(4) * 2 ** 32 + reader.read(32),
+        md5: buffer.toString('hex', offset + 22, offset + 38)
+      };
+    }
+
+    offset += 4 + length;
+  }
+
+  if (!streamInfo) {
+    throw new Error('FLAC stream has no STREAMINFO block');
+  }
+
+  return { streamInfo, framesOffset: offset };
+}
+
+/**
+ * Decode the residual of a fixed or LPC subframe into samples
+ *
+ * @param {BitReader} reader - Positioned at the residual
+ * @param {Int32Array} samples - Output, with the warm-up samples already filled in
+ * @param {number} order - Predictor order
+ */
+function readResidual(reader, samples, order) {
+  const method = reader.read(2);
+  if (method > 1) {
+    throw new Error(`Unsupported FLAC residual coding method ${method}`);
+  }
+  const parameterBits = method === 0 ? 4 : 5;
+  const escape = method === 0 ? 15 : 31;
+  const partitionOrder = reader.read(4);
+  const partitionSize = samples.length >>> partitionOrder;
+  let index = order;
+
+  for (let partition = 0; partition < (1 << partitionOrder); partition++) {
+    const count = partition === 0 ? partitionSize - order : partitionSize;
+    const parameter = reader.read(parameterBits);
+
+    if (parameter === escape) {
+      const bits = reader.read(5);
+      for (let i = 0; i < count; i++) {
+        samples[index++] = reader.readSigned(bits);
+      }
+      continue;
+    }
+
+    for (let i = 0; i < count; i++) {
+      const value = reader.readUnary() * 2 ** parameter + reader.read(parameter);
+      // Zigzag: 0, -1, 1, -2, 2 ...
+      samples[index++] = value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    }
+  }
+}
+
+/**
+ * Replace residuals with predicted samples
+ *
+ * @param {Int32Array} samples - Warm-up samples followed by residuals
+ * @param {Array<number>} coefficients - Predictor coefficients, most recent sample first
+ * @param {number} shift - Right shift applied to the prediction
+ */
+function applyPredictor(samples, coefficients, shift) {
+  const order = coefficients.length;
+  const divisor = 2 ** shift;
+
+  for (let i = order; i < samples.length; i++) {
+    let prediction = 0;
+    for (let j = 0; j < order; j++) {
+      prediction += coefficients[j] * samples[i - 1 - j];
+    }
+    samples[i] += Math.floor(prediction / divisor);
+  }
+}
+
+/**
+ * Decode one subframe (one channel of a frame)
+ *
+ * @param {BitReader} reader - Positioned at the subframe header
+ * @param {number} blockSize - Samples in the frame
+ * @param {number} bitsPerSample - Sample size of this channel
+ * @returns {Int32Array} Samples
+ * @throws {Error} If the subframe type is reserved
+ */
+function readSubframe(reader, blockSize, bitsPerSample) {
+  reader.read(1);
+  const type = reader.read(6);
+  const wasted = reader.read(1) === 1 ? reader.readUnary() + 1 : 0;
+  const bits = bitsPerSample - wasted;
+  const samples = new Int32Array(blockSize);
+
+  if (type === 0) {
+    samples.fill(reader.readSigned(bits));
+  } else if (type === 1) {
+    for (let i = 0; i < blockSize; i++) {
+      samples[i] = reader.readSigned(bits);
+    }
+  } else if (type >= 8 && type <= 12) {
+    const order = type - 8;
+    for (let i = 0; i < order; i++) {
+      samples[i] = reader.readSigned(bits);
+    }
+    readResidual(reader, samples, order);
+    applyPredictor(samples, FIXED_COEFFICIENTS[order], 0);
+  } else if (type >= 32) {
+    const order = type - 31;
+    for (let i = 0; i < order; i++) {
+      samples[i] = reader.readSigned(bits);
+    }
+    const precision = reader.read(4) + 1;
+    const shift = reader.readSigned(5);
+    const coefficients = [];
+    for (let i = 0; i < order; i++) {
+      coefficients.push(reader.readSigned(precision));
+    }
+    readResidual(reader, samples, order);
+    applyPredictor(samples, coefficients, Math.max(shift, 0));
+  } else {
+    throw new Error(`Reserved FLAC subframe type ${type}`);
+  }
+
+  if (wasted > 0) {
+    for (let i = 0; i < blockSize; i++) {
+      samples[i] *= 2 ** wasted;
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * Decode one frame
+ *
+ * @param {BitReader} reader - Positioned at the frame's sync code
+ * @param {Object} streamInfo - STREAMINFO of the stream
+ * @returns {Array<Int32Array>} One sample array per channel
+ * @throws {Error} If the frame header is invalid
+ */
+function readFrame(reader, streamInfo) {
+  if (reader.read(14) !== 0x3ffe) {
+    throw new Error('Lost FLAC frame sync');
+  }
+  reader.read(2);
+  const blockSizeCode = reader.read(4);
+  const sampleRateCode = reader.read(4);
+  const channelAssignment = reader.read(4);
+  const sampleSizeCode = reader.read(3);
+  reader.read(1);
+
+  // Frame or sample number, UTF-8 style: the leading 1 bits give the byte count
+  const first = reader.read(8);
+  let extraBytes = 0;
+  while (extraBytes < 7 && (first & (0x40 >>> extraBytes))) {
+    extraBytes++;
+  }
+  reader.read(8 * (first & 0x80 ? extraBytes : 0));
+
+  let blockSize = FLAC_BLOCK_SIZES[blockSizeCode];
+  if (blockSizeCode === 6) {
+    blockSize = reader.read(8) + 1;
+  } else if (blockSizeCode === 7) {
+    blockSize = reader.read(16) + 1;
+  }
+  // The sample rate is taken from STREAMINFO; skip any explicit one
+  if (sampleRateCode === 12) {
+    reader.read(8);
+  } else if (sampleRateCode === 13 || sampleRateCode === 14) {
+    reader.read(16);
+  }
+  reader.read(8); // CRC-8
+
+  if (blockSize === 0 || channelAssignment > 10 || sampleSizeCode === 3) {
+    throw new Error('Invalid FLAC frame header');
+  }
+  const bitsPerSample = FLAC_SAMPLE_SIZES[sampleSizeCode] || streamInfo.bitsPerSample;
+
+  const channelCount = channelAssignment < 8 ? channelAssignment + 1 : 2;
+  const channels = [];
+  for (let channel = 0; channel < channelCount; channel++) {
+    // The side channel of a stereo pair carries one extra bit
+    const side = (channelAssignment === 8 && channel === 1) ||
+      (channelAssignment === 9 && channel === 0) ||
+      (channelAssignment === 10 && channel === 1);
+    channels.push(readSubframe(reader, blockSize, bitsPerSample + (side ? 1 : 0)));
+  }
+
+  reader.align();
+  reader.read(16); // CRC-16
+
+  const [a, b] = channels;
+  if (channelAssignment === 8) {
+    for (let i = 0; i < blockSize; i++) {
+      b[i] = a[i] - b[i];
+    }
+  } else if (channelAssignment === 9) {
+    for (let i = 0; i < blockSize; i++) {
+      a[i] += b[i];
+    }
+  } else if (channelAssignment === 10) {
+    for (let i = 0; i < blockSize; i++) {
+      const mid = a[i] * 2 + (b[i] & 1);
+      a[i] = (mid + b[i]) >> 1;
+      b[i] = (mid - b[i]) >> 1;
+    }
+  }
+
+  return channels;
+}
+
+/**
+ * Decode a FLAC stream
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - Decode options
+ * @param {number} options.maxSeconds - Stop after this much audio (default: decode everything)
+ * @returns {Object} { sampleRate, bitsPerSample, channels, durationSeconds, md5 } - channels holds
+ *   one Int32Array per channel; durationSeconds is the length of the whole stream
+ * @throws {Error} If the stream is invalid
+ */
+function decodeFlac(buffer, options = {}) {
+  const { streamInfo, framesOffset } = readFlacHeader(buffer);
+  const { sampleRate, bitsPerSample, channels: channelCount, totalSamples } = streamInfo;
+  const wanted = options.maxSeconds === undefined
+    ? Infinity
+    : Math.ceil(options.maxSeconds * sampleRate);
+
+  const reader = new BitReader(buffer, framesOffset);
+  const blocks = Array.from({ length: channelCount }, () => []);
+  let decoded = 0;
+
+  while (decoded < wanted && (totalSamples === 0 || decoded < totalSamples) && reader.byteOffset + 2 <= buffer.length) {
+    const frame = readFrame(reader, streamInfo);
+    frame.forEach((samples, channel) => blocks[channel].push(samples));
+    decoded += frame[0].length;
+  }
+
+  const length = Math.min(decoded, wanted);
+  const channels = blocks.map(frames => {
+    const samples = new Int32Array(length);
+    let offset = 0;
+    for (const frame of frames) {
+      samples.set(frame.subarray(0, length - offset), offset);
+      offset += Math.min(frame.length, length - offset);
+    }
+    return samples;
+  });
+
+  return {
+    sampleRate,
+    bitsPerSample,
+    channels,
+    durationSeconds: (totalSamples || decoded) / sampleRate,
+    md5: streamInfo.md5
+  };
+}
+
+/**
+ * Decode an audio file to PCM
+ *
+ * @param {string} filePath - Audio file path
+ * @param {Object} options - maxSeconds as for decodeFlac
+ * @returns {Promise<Object|null>} Decoded audio as from decodeFlac, or null if the format has no decoder
+ * @throws {Error} If the file can't be read or is corrupt
+ */
+async function decodeAudioFile(filePath, options = {}) {
+  const buffer = await fs.readFile(filePath);
+
+  if (isFlac(buffer)) {
+    return decodeFlac(buffer, options);
+  }
+
+  return null;
+}
+
+module.exports = {
+  BitReader,
+  isFlac,
+  decodeFlac,
+  decodeAudioFile
+};
@@ -0,0 +1,109 @@
+// Pure-JS audio decoding tests
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { BitReader, isFlac, decodeFlac, decodeAudioFile } = require('./audio-decoder');
+const { encodeFlac } = require('../../tests/helpers/flac');
+
+const FIXTURES_DIR = path.join(__dirname, '../../tests/fixtures/audio');
+
+// A tone with a slightly sharp third harmonic, as 16-bit integers
+const tone = (length, frequency, sampleRate = 44100) => Array.from({ length }, (_, i) => Math.round(
+  12000 * Math.sin(2 * Math.PI * frequency * i / sampleRate) + 4000 * Math.sin(2 * Math.PI * frequency * 3.01 * i / sampleRate)
+));
+
+describe('Audio Decoder', () => {
+  describe('BitReader', () => {
+    test('reads fields across byte boundaries', () => {
+      const reader = new BitReader(Buffer.from([0b10110010, 0b01011111, 0xff, 0xff, 0xff, 0xff, 0xff]));
+
+      expect(reader.read(3)).toBe(0b101);
+      expect(reader.readSigned(4)).toBe(-7);
+      expect(reader.readUnary()).toBe(2);
+      reader.align();
+      expect(reader.read(40)).toBe(2 ** 40 - 1);
+      expect(() => reader.read(1)).toThrow('Unexpected end of audio data');
+    });
+  });
+
+  describe('decodeFlac()', () => {
+    test('decodes the fixture bit-exactly', () => {
+      const audio = decodeFlac(fs.readFileSync(path.join(FIXTURES_DIR, 'test.flac')));
+
+      expect(audio).toMatchObject({ sampleRate: 44100, bitsPerSample: 16, durationSeconds: 1 });
+      expect(audio.channels).toHaveLength(1);
+
+      // STREAMINFO carries the MD5 of the decoded little-endian samples
+      const pcm = Buffer.alloc(audio.channels[0].length * 2);
+      audio.channels[0].forEach((sample, i) => pcm.writeInt16LE(sample, i * 2));
+      expect(crypto.createHash('md5').update(pcm).digest('hex')).toBe(audio.md5);
+    });
+
+    test.each([
+      ['verbatim', 'verbatim'],
+      ['fixed order 0', { fixed: 0 }],
+      ['fixed order 2', { fixed: 2 }],
+      ['fixed order 4', { fixed: 4 }],
+      ['LPC', { lpc: [1900, -1000, 80], precision: 13, shift: 10 }]
+    ])('decodes %s subframes', (_name, subframe) => {
+      const samples = tone(10000, 440);
+      const audio = decodeFlac(encodeFlac([samples], 44100, { subframe }));
+
+      expect(Array.from(audio.channels[0])).toEqual(samples);
+    });
+
+    test('decodes constant subframes', () => {
+      const audio = decodeFlac(encodeFlac([new Array(5000).fill(-3)], 44100, { subframe: 'constant' }));
+      expect(Array.from(audio.channels[0])).toEqual(new Array(5000).fill(-3));
+    });
+
+    test.each(['independent', 'left-side', 'side-right', 'mid-side'])('decodes %s stereo', (stereo) => {
+      const left = tone(6000, 440);
+      const right = tone(6000, 523);
+      const audio = decodeFlac(encodeFlac([left, right], 48000, { subframe: { fixed: 1 }, stereo }));
+
+      expect(audio.sampleRate).toBe(48000);
+      expect(Array.from(audio.channels[0])).toEqual(left);
+      expect(Array.from(audio.channels[1])).toEqual(right);
+    });
+
+    test('stops after maxSeconds but reports the full length', () => {
+      const audio = decodeFlac(encodeFlac([tone(8000 * 3, 440, 8000)], 8000), { maxSeconds: 1 });
+
+      expect(audio.channels[0]).toHaveLength(8000);
+      expect(audio.durationSeconds).toBe(3);
+    });
+
+    test('rejects truncated streams', () => {
+      const flac = encodeFlac([tone(10000, 440)], 44100);
+      expect(() => decodeFlac(flac.subarray(0, flac.length - 100))).toThrow('Unexpected end of audio data');
+    });
+  });
+
+  describe('decodeAudioFile()', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'decoder-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('decodes FLAC behind an ID3v2 tag', async () => {
+      const id3 = Buffer.from([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 5, 0, 0, 0, 0, 0]);
+      const filePath = path.join(tempDir, 'tagged.flac');
+      fs.writeFileSync(filePath, Buffer.concat([id3, encodeFlac([tone(3000, 440)], 44100)]));
+
+      expect(isFlac(fs.readFileSync(filePath))).toBe(true);
+      expect((await decodeAudioFile(filePath)).channels[0]).toHaveLength(3000);
+    });
+
+    test('returns null for formats without a decoder', async () => {
+      expect(await decodeAudioFile(path.join(FIXTURES_DIR, 'test.mp3'))).toBeNull();
+      expect(await decodeAudioFile(path.join(FIXTURES_DIR, 'test.m4a'))).toBeNull();
+    });
+  });
+});
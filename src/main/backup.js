@@ -0,0 +1,376 @@
+/**
+ * Database Backup Service
+ *
+ * Snapshots library.db into Database/Backups using SQLite's online backup API,
+ * so backups are consistent even while the library is in use.
+ *
+ * - Scheduled backups run on an interval (daily by default)
+ * - Pre-operation backups are taken before imports, migrations, bulk edits and restores
+ * - Old backups are rotated per category; manual backups are never rotated
+ * - Backups can be listed, verified and restored
+ *
+ * Backup files are named <db name>.<timestamp>.<reason>.db, for example
+ * library.2026-01-31T09-30-00-000Z.pre-import.db
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_BACKUP_POLICY = {
+  enabled: true,
+  intervalHours: 24,
+  keepScheduled: 7,
+  keepPreOperation: 10
+};
+
+const BACKUP_FILE_PATTERN = /^(.+)\.(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.([a-z0-9-]+)\.db$/;
+const BACKUP_REASON_PATTERN = /^[a-z0-9-]+$/;
+
+/**
+ * Build the file name for a backup
+ *
+ * @param {string} dbPath - Path to the live database
+ * @param {string} reason - Why the backup was taken (e.g. 'scheduled', 'pre-import')
+ * @param {Date} date - Backup time
+ * @returns {string} File name (no directory)
+ */
+function backupFileName(dbPath, reason, date = new Date()) {
+  if (!BACKUP_REASON_PATTERN.test(reason)) {
+    throw new Error(`Invalid backup reason: ${reason}`);
+  }
+  const name = path.basename(dbPath, path.extname(dbPath));
+  const stamp = date.toISOString().replace(/[:.]/g, '-');
+  return `${name}.${stamp}.${reason}.db`;
+}
+
+/**
+ * Parse a backup file name
+ *
+ * @param {string} fileName - File name (no directory)
+ * @returns {Object|null} { createdAt, reason, category } or null if not a backup
+ */
+function parseBackupFileName(fileName) {
+  const match = BACKUP_FILE_PATTERN.exec(fileName);
+  if (!match) {
+    return null;
+  }
+
+  const [, , stamp, reason] = match;
+  const iso = stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+
+  return {
+    createdAt: new Date(iso).getTime(),
+    reason,
+    category: getBackupCategory(reason)
+  };
+}
+
+/**
+ * Run SQLite's integrity and foreign key checks
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @returns {Object} { ok: boolean, problems: string[] }
+ */
+function checkDatabaseHealth(db) {
+  const problems = [];
+
+  const integrity = db.pragma('integrity_check').map(row => row.integrity_check);
+  if (!(integrity.length === 1 && integrity[0] === 'ok')) {
+    problems.push(...integrity.map(message => `integrity_check: ${message}`));
+  }
+
+  db.pragma('foreign_key_check').forEach(row => {
+    problems.push(`foreign_key_check: ${row.table} row ${row.rowid} references missing ${row.parent}`);
+  });
+
+  return { ok: problems.length === 0, problems };
+}
+
+/**
+ * Get the rotation category for a backup reason
+ *
+ * @param {string} reason - Backup reason
+ * @returns {string} 'scheduled', 'manual' or 'pre-operation'
+ */
+function getBackupCategory(reason) {
+  if (reason === 'scheduled' || reason === 'manual') {
+    return reason;
+  }
+  return 'pre-operation';
+}
+
+class BackupService {
+  /**
+   * Create a new BackupService
+   * @param {MusicDatabase|DatabaseClient} database - Database to back up
+   * @param {Object} options - Service options
+   * @param {string} options.backupDir - Backup folder (defaults to Backups next to the database)
+   * @param {Object} options.policy - Schedule and rotation policy (see DEFAULT_BACKUP_POLICY)
+   */
+  constructor(database, options = {}) {
+    if (!options.backupDir && (!database.dbPath || database.dbPath === ':memory:')) {
+      throw new Error('A backup folder is required for in-memory databases');
+    }
+
+    this.database = database;
+    this.backupDir = options.backupDir || path.join(path.dirname(database.dbPath), 'Backups');
+    this.policy = { ...DEFAULT_BACKUP_POLICY, ...options.policy };
+    this.timer = null;
+    this.pending = null;
+  }
+
+  /**
+   * Update the schedule and rotation policy
+   * Restarts the scheduler if it is running.
+   * @param {Object} policy - Partial policy
+   */
+  setPolicy(policy = {}) {
+    this.policy = { ...this.policy, ...policy };
+    if (this.timer) {
+      this.stop();
+      this.start();
+    }
+  }
+
+  /**
+   * Take a backup using SQLite's online backup API
+   * The snapshot is written to a temporary file and renamed, so an
+   * interrupted backup never shows up in listBackups().
+   * @param {string} reason - Why the backup is taken (e.g. 'manual', 'pre-import')
+   * @returns {Promise<Object>} Backup info { path, fileName, reason, category, createdAt, sizeBytes }
+   */
+  async createBackup(reason = 'manual') {
+    await fs.mkdir(this.backupDir, { recursive: true });
+
+    const fileName = backupFileName(this.database.dbPath || 'library.db', reason);
+    const backupPath = path.join(this.backupDir, fileName);
+    const partialPath = `${backupPath}.partial`;
+
+    try {
+      await this.database.backup(partialPath);
+      await fs.rename(partialPath, backupPath);
+    } catch (error) {
+      await fs.rm(partialPath, { force: true });
+      throw error;
+    }
+
+    await this.rotate();
+
+    const stats = await fs.stat(backupPath);
+    return {
+      path: backupPath,
+      fileName,
+      ...parseBackupFileName(fileName),
+      sizeBytes: stats.size
+    };
+  }
+
+  /**
+   * List backups, newest first
+   * @returns {Promise<Array<Object>>} Backup info objects
+   */
+  async listBackups() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.backupDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const backups = [];
+    for (const fileName of entries) {
+      const info = parseBackupFileName(fileName);
+      if (!info) continue;
+
+      const backupPath = path.join(this.backupDir, fileName);
+      const stats = await fs.stat(backupPath);
+      backups.push({ path: backupPath, fileName, ...info, sizeBytes: stats.size });
+    }
+
+    return backups.sort((a, b) => b.createdAt - a.createdAt || b.fileName.localeCompare(a.fileName));
+  }
+
+  /**
+   * Delete backups beyond the rotation policy
+   * @returns {Promise<Array<string>>} Paths of deleted backups
+   */
+  async rotate() {
+    const limits = {
+      scheduled: this.policy.keepScheduled,
+      'pre-operation': this.policy.keepPreOperation
+    };
+    const kept = { scheduled: 0, 'pre-operation': 0 };
+    const deleted = [];
+
+    for (const backup of await this.listBackups()) {
+      if (!(backup.category in limits)) continue;
+
+      kept[backup.category]++;
+      if (kept[backup.category] > limits[backup.category]) {
+        await fs.rm(backup.path, { force: true });
+        deleted.push(backup.path);
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Resolve a backup path and make sure it points at a backup in the backup folder
+   * @param {string} backupPath - Path from the renderer
+   * @returns {string} Resolved path
+   * @throws {Error} If the path is outside the backup folder or not a backup file
+   */
+  resolveBackupPath(backupPath) {
+    if (!backupPath || typeof backupPath !== 'string' || backupPath.includes('\0')) {
+      throw new Error('Invalid backup path');
+    }
+
+    // Security: Only files directly inside the backup folder can be verified or restored
+    const resolved = path.resolve(this.backupDir, backupPath);
+    if (path.dirname(resolved) !== path.resolve(this.backupDir) ||
+        !parseBackupFileName(path.basename(resolved))) {
+      throw new Error('Invalid backup path');
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Check that a backup is a healthy library database
+   * @param {string} backupPath - Backup path or file name
+   * @returns {Promise<Object>} { valid, problems, schemaVersion, trackCount }
+   */
+  async verifyBackup(backupPath) {
+    const resolved = this.resolveBackupPath(backupPath);
+    const result = { valid: false, problems: [], schemaVersion: null, trackCount: null };
+
+    let backupDb = null;
+    try {
+      backupDb = new Database(resolved, { readonly: true, fileMustExist: true });
+
+      const health = checkDatabaseHealth(backupDb);
+      result.problems.push(...health.problems);
+
+      result.schemaVersion = backupDb.prepare('SELECT MAX(version) as version FROM schema_version').get().version;
+      result.trackCount = backupDb.prepare('SELECT COUNT(*) as count FROM tracks').get().count;
+    } catch (error) {
+      result.problems.push(error.message);
+    } finally {
+      if (backupDb) {
+        backupDb.close();
+      }
+    }
+
+    result.valid = result.problems.length === 0;
+    return result;
+  }
+
+  /**
+   * Replace the live library database with a backup
+   * The backup is verified first and the current database is backed up as 'pre-restore'.
+   * Migrations run on the restored database, so older backups are brought up to date.
+   * @param {string} backupPath - Backup path or file name
+   * @returns {Promise<Object>} { restoredFrom, safetyBackup, migrationStatus }
+   * @throws {Error} If the backup is invalid or the database is in-memory
+   */
+  async restoreBackup(backupPath) {
+    const resolved = this.resolveBackupPath(backupPath);
+    const dbPath = this.database.dbPath;
+
+    if (!dbPath || dbPath === ':memory:') {
+      throw new Error('Cannot restore into an in-memory database');
+    }
+
+    const verification = await this.verifyBackup(resolved);
+    if (!verification.valid) {
+      throw new Error(`Backup failed verification: ${verification.problems.slice(0, 3).join('; ')}`);
+    }
+
+    const safetyBackup = await this.createBackup('pre-restore');
+
+    // Copy next to the live file first so the swap itself is a single rename
+    const stagingPath = `${dbPath}.restoring`;
+    await fs.copyFile(resolved, stagingPath);
+
+    await this.database.close();
+    try {
+      await fs.rm(`${dbPath}-wal`, { force: true });
+      await fs.rm(`${dbPath}-shm`, { force: true });
+      await fs.rename(stagingPath, dbPath);
+    } finally {
+      await fs.rm(stagingPath, { force: true });
+      await this.database.open();
+    }
+
+    const migrationStatus = await this.database.initialize();
+    // Everything the renderer shows may have changed
+    await this.database.publishChange('library-reset');
+
+    return { restoredFrom: resolved, safetyBackup: safetyBackup.path, migrationStatus };
+  }
+
+  /**
+   * Take a scheduled backup unless a recent one already exists
+   * @param {number} now - Current time in ms (for testing)
+   * @returns {Promise<Object|null>} Backup info or null if skipped
+   */
+  async runScheduledBackup(now = Date.now()) {
+    const intervalMs = this.policy.intervalHours * 60 * 60 * 1000;
+    const latest = (await this.listBackups()).find(backup => backup.category === 'scheduled');
+
+    if (latest && now - latest.createdAt < intervalMs) {
+      return null;
+    }
+
+    return this.createBackup('scheduled');
+  }
+
+  /**
+   * Start the backup scheduler
+   * Checks immediately, then once per interval.
+   */
+  start() {
+    if (this.timer || !this.policy.enabled) {
+      return;
+    }
+
+    const tick = () => {
+      // Never overlap two scheduled backups
+      if (this.pending) return;
+      this.pending = this.runScheduledBackup()
+        .catch(error => console.error('[Backup] Scheduled backup failed:', error.message))
+        .finally(() => {
+          this.pending = null;
+        });
+    };
+
+    this.timer = setInterval(tick, this.policy.intervalHours * 60 * 60 * 1000);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    tick();
+  }
+
+  /**
+   * Stop the backup scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = {
+  BackupService,
+  DEFAULT_BACKUP_POLICY,
+  backupFileName,
+  parseBackupFileName,
+  checkDatabaseHealth
+};
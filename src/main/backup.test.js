@@ -0,0 +1,204 @@
+// Database backup service tests
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const MusicDatabase = require('./database');
+const { BackupService, backupFileName, parseBackupFileName } = require('./backup');
+
+describe('BackupService', () => {
+  let tempDir;
+  let dbPath;
+  let backupDir;
+  let db;
+  let service;
+
+  // Write a fake backup file with a chosen timestamp and reason
+  const writeBackupFile = (reason, date, contents = 'not a database') => {
+    const file = path.join(backupDir, backupFileName(dbPath, reason, date));
+    fs.mkdirSync(backupDir, { recursive: true });
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-test-'));
+    dbPath = path.join(tempDir, 'Database', 'library.db');
+    backupDir = path.join(tempDir, 'Database', 'Backups');
+
+    db = new MusicDatabase(dbPath);
+    db.initialize();
+    db.insertTrack({ file_path: '/original.mp3', title: 'Original', date_added: 1 });
+
+    service = new BackupService(db, { policy: { keepScheduled: 2, keepPreOperation: 2 } });
+  });
+
+  afterEach(() => {
+    service.stop();
+    if (db.db.open) {
+      db.close();
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('file names', () => {
+    test('round-trips timestamp and reason', () => {
+      const date = new Date('2026-01-31T09:30:00.123Z');
+      const name = backupFileName('/x/library.db', 'pre-import', date);
+
+      expect(name).toBe('library.2026-01-31T09-30-00-123Z.pre-import.db');
+      expect(parseBackupFileName(name)).toEqual({
+        createdAt: date.getTime(),
+        reason: 'pre-import',
+        category: 'pre-operation'
+      });
+    });
+
+    test('ignores files that are not backups', () => {
+      expect(parseBackupFileName('library.db')).toBeNull();
+      expect(parseBackupFileName('notes.txt')).toBeNull();
+    });
+
+    test('rejects unsafe reasons', () => {
+      expect(() => backupFileName(dbPath, '../evil')).toThrow('Invalid backup reason');
+    });
+  });
+
+  describe('createBackup()', () => {
+    test('defaults to Database/Backups next to the library', () => {
+      expect(service.backupDir).toBe(backupDir);
+    });
+
+    test('snapshots the live database with the online backup API', async () => {
+      const backup = await service.createBackup('manual');
+
+      expect(backup.reason).toBe('manual');
+      expect(backup.sizeBytes).toBeGreaterThan(0);
+
+      const copy = new MusicDatabase(backup.path);
+      expect(copy.getTracks().map(t => t.title)).toEqual(['Original']);
+      copy.close();
+    });
+
+    test('leaves no partial files behind', async () => {
+      await service.createBackup('manual');
+
+      expect(fs.readdirSync(backupDir).some(name => name.endsWith('.partial'))).toBe(false);
+    });
+
+    test('requires a backup folder for in-memory databases', () => {
+      const memoryDb = new MusicDatabase(':memory:');
+      expect(() => new BackupService(memoryDb)).toThrow('backup folder is required');
+      memoryDb.close();
+    });
+  });
+
+  describe('rotation', () => {
+    test('keeps only the newest backups per category', async () => {
+      const oldScheduled = writeBackupFile('scheduled', new Date('2026-01-01T00:00:00Z'));
+      writeBackupFile('scheduled', new Date('2026-01-02T00:00:00Z'));
+      writeBackupFile('scheduled', new Date('2026-01-03T00:00:00Z'));
+      const oldImport = writeBackupFile('pre-import', new Date('2026-01-01T00:00:00Z'));
+      writeBackupFile('pre-migration-v1-to-v2', new Date('2026-01-02T00:00:00Z'));
+      writeBackupFile('pre-bulk-edit', new Date('2026-01-03T00:00:00Z'));
+      const manual = writeBackupFile('manual', new Date('2025-01-01T00:00:00Z'));
+
+      const deleted = await service.rotate();
+
+      expect(deleted.sort()).toEqual([oldImport, oldScheduled].sort());
+      expect(fs.existsSync(manual)).toBe(true);
+    });
+
+    test('lists backups newest first', async () => {
+      writeBackupFile('manual', new Date('2026-01-01T00:00:00Z'));
+      writeBackupFile('pre-import', new Date('2026-02-01T00:00:00Z'));
+
+      const backups = await service.listBackups();
+
+      expect(backups.map(b => b.reason)).toEqual(['pre-import', 'manual']);
+    });
+
+    test('lists nothing when the folder does not exist yet', async () => {
+      expect(await service.listBackups()).toEqual([]);
+    });
+  });
+
+  describe('verifyBackup()', () => {
+    test('accepts a healthy backup', async () => {
+      const backup = await service.createBackup('manual');
+
+      const result = await service.verifyBackup(backup.fileName);
+
+      expect(result).toMatchObject({ valid: true, problems: [], trackCount: 1 });
+      expect(result.schemaVersion).toBe(db.getSchemaVersion());
+    });
+
+    test('rejects a corrupted backup', async () => {
+      const file = writeBackupFile('manual', new Date());
+
+      const result = await service.verifyBackup(file);
+
+      expect(result.valid).toBe(false);
+      expect(result.problems.length).toBeGreaterThan(0);
+    });
+
+    test('refuses paths outside the backup folder', async () => {
+      await expect(service.verifyBackup(dbPath)).rejects.toThrow('Invalid backup path');
+      await expect(service.verifyBackup('../library.db')).rejects.toThrow('Invalid backup path');
+    });
+  });
+
+  describe('restoreBackup()', () => {
+    test('replaces the live database and keeps a safety backup', async () => {
+      const backup = await service.createBackup('manual');
+      db.insertTrack({ file_path: '/later.mp3', title: 'Added Later', date_added: 2 });
+
+      const result = await service.restoreBackup(backup.path);
+
+      expect(db.getTracks().map(t => t.title)).toEqual(['Original']);
+      expect(result.migrationStatus.state).toBe('up-to-date');
+      expect(db.changes.flush()).toEqual([{ type: 'library-reset', ids: null }]);
+
+      const safety = new MusicDatabase(result.safetyBackup);
+      expect(safety.getTracks().map(t => t.title).sort()).toEqual(['Added Later', 'Original']);
+      safety.close();
+    });
+
+    test('refuses to restore a corrupted backup', async () => {
+      const file = writeBackupFile('manual', new Date());
+
+      await expect(service.restoreBackup(file)).rejects.toThrow('Backup failed verification');
+      expect(db.getTracks()).toHaveLength(1);
+    });
+  });
+
+  describe('scheduling', () => {
+    test('takes a scheduled backup when none is recent', async () => {
+      const backup = await service.runScheduledBackup();
+
+      expect(backup.reason).toBe('scheduled');
+    });
+
+    test('skips the scheduled backup when a recent one exists', async () => {
+      const first = await service.runScheduledBackup();
+
+      expect(await service.runScheduledBackup(first.createdAt + 60 * 1000)).toBeNull();
+    });
+
+    test('start() does nothing when backups are disabled', () => {
+      service.setPolicy({ enabled: false });
+      service.start();
+
+      expect(service.timer).toBeNull();
+    });
+
+    test('start() and stop() manage the timer', async () => {
+      service.start();
+      expect(service.timer).not.toBeNull();
+      await service.pending;
+
+      service.stop();
+      expect(service.timer).toBeNull();
+      expect((await service.listBackups()).map(b => b.reason)).toEqual(['scheduled']);
+    });
+  });
+});
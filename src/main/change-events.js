@@ -0,0 +1,193 @@
+// Library change events
+// MusicDatabase publishes what each mutation changed to a ChangeEventBus. The bus
+// collects events for a short delay and emits them as one batch, so an import of
+// thousands of tracks reaches the renderer as a few messages rather than thousands.
+//
+// A batch is an array of { type, ids } with at most one entry per type, in
+// CHANGE_TYPES order. ids lists the affected track, album, playlist, genre or
+// artist IDs; null means "any of them", e.g. after a backup restore.
+//
+// Within a batch:
+// - a track both added and updated is only reported as added
+// - a removed track is dropped from added and updated; one added again after
+//   being removed (a restore) is reported as added, not removed
+//
+// Events are published after a mutation commits. A mutation made inside a caller's
+// transaction that later rolls back still publishes, which only costs the renderer
+// a needless refresh.
+
+const { EventEmitter } = require('events');
+
+const CHANGE_TYPES = [
+  'tracks-added',
+  'tracks-updated',
+  'tracks-removed',
+  'albums-changed',
+  'playlist-changed',
+  'genres-changed',
+  'artists-changed',
+  'library-reset'
+];
+
+// How long changes are collected before a batch is emitted (ms)
+const DEFAULT_BATCH_DELAY = 100;
+
+// Journaled table -> [event type, row column holding the ID]
+const JOURNAL_EVENTS = {
+  tracks: ['tracks-updated', 'track_id'],
+  track_artists: ['tracks-updated', 'track_id'],
+  track_genres: ['tracks-updated', 'track_id'],
+  plays: ['tracks-updated', 'track_id'],
+  albums: ['albums-changed', 'album_id'],
+  playlists: ['playlist-changed', 'playlist_id'],
+  playlist_tracks: ['playlist-changed', 'playlist_id'],
+  genres: ['genres-changed', 'genre_id'],
+  genre_aliases: ['genres-changed', 'genre_id'],
+  artists: ['artists-changed', 'artist_id'],
+  artist_aliases: ['artists-changed', 'artist_id']
+};
+
+// Track columns that decide which album a track belongs to (see albums.js)
+const ALBUM_COLUMNS = ['album', 'album_artist', 'is_compilation'];
+
+class ChangeEventBus extends EventEmitter {
+  /**
+   * Create a new ChangeEventBus
+   * @param {Object} options - Bus options
+   * @param {number} options.delay - Batch delay in ms (see DEFAULT_BATCH_DELAY)
+   */
+  constructor(options = {}) {
+    super();
+    this.delay = options.delay ?? DEFAULT_BATCH_DELAY;
+    this.pending = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Record a change for the next batch
+   * @param {string} type - One of CHANGE_TYPES
+   * @param {Array<number>|null} ids - Affected IDs, or null for all
+   * @throws {Error} If the type is unknown
+   */
+  publish(type, ids = null) {
+    if (!CHANGE_TYPES.includes(type)) {
+      throw new Error(`Unknown change type: ${type}`);
+    }
+    if (Array.isArray(ids) && ids.length === 0) {
+      return;
+    }
+
+    const pendingIds = changeType => this.pending.get(changeType);
+    const add = (changeType, values) => {
+      if (values === null || pendingIds(changeType) === null) {
+        this.pending.set(changeType, null);
+        return;
+      }
+      const set = pendingIds(changeType) || new Set();
+      values.forEach(id => set.add(id));
+      this.pending.set(changeType, set);
+    };
+    const remove = (changeType, values) => {
+      const set = pendingIds(changeType);
+      if (set && values) {
+        values.forEach(id => set.delete(id));
+        if (set.size === 0) this.pending.delete(changeType);
+      }
+    };
+
+    if (type === 'tracks-added') {
+      remove('tracks-removed', ids);
+      remove('tracks-updated', ids);
+    } else if (type === 'tracks-updated' && ids) {
+      const added = pendingIds('tracks-added');
+      ids = added === null ? [] : ids.filter(id => !(added && added.has(id)));
+      if (ids.length === 0) return;
+    } else if (type === 'tracks-removed') {
+      remove('tracks-added', ids);
+      remove('tracks-updated', ids);
+    }
+    add(type, ids);
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.delay);
+      if (this.timer.unref) {
+        this.timer.unref();
+      }
+    }
+  }
+
+  /**
+   * Emit pending changes now as a 'changes' event
+   * @returns {Array<Object>} The emitted batch ({ type, ids } entries), empty if nothing was pending
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const batch = CHANGE_TYPES
+      .filter(type => this.pending.has(type))
+      .map(type => {
+        const ids = this.pending.get(type);
+        return { type, ids: ids === null ? null : [...ids] };
+      });
+    this.pending.clear();
+
+    if (batch.length > 0) {
+      this.emit('changes', batch);
+    }
+    return batch;
+  }
+
+  /**
+   * Drop pending changes and stop the batch timer
+   */
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending.clear();
+  }
+}
+
+/**
+ * Work out the change events for journal changes replayed by undo or redo
+ *
+ * @param {Array<Object>} changes - { table, key, before, after } with parsed row images
+ * @param {boolean} undone - The changes were reverted rather than applied
+ * @returns {Array<Object>} { type, ids } entries, unbatched
+ */
+function journalChangeEvents(changes, undone = false) {
+  const events = new Map();
+
+  changes.forEach(({ table, key, before, after }) => {
+    // A track that went to the bin is removed, and comes back when that is undone
+    const mapping = table === 'deleted_tracks'
+      ? [(after !== null) !== undone ? 'tracks-removed' : 'tracks-added', 'track_id']
+      : JOURNAL_EVENTS[table];
+    if (!mapping) return;
+
+    const [type, column] = mapping;
+    const ids = events.get(type) || new Set();
+    [key, before, after].forEach(row => {
+      if (row && row[column] !== null && row[column] !== undefined) {
+        ids.add(row[column]);
+      }
+    });
+    events.set(type, ids);
+  });
+
+  // A track moved between albums changes both, and the old one may be gone
+  const movedAlbum = ({ table, before, after }) => table === 'tracks' && before && after &&
+    ALBUM_COLUMNS.some(column => column in after && before[column] !== after[column]);
+  if (changes.some(movedAlbum)) {
+    events.set('albums-changed', null);
+  }
+
+  return [...events].map(([type, ids]) => ({ type, ids: ids === null ? null : [...ids] }));
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  DEFAULT_BATCH_DELAY,
+  ChangeEventBus,
+  journalChangeEvents
+};
@@ -0,0 +1,189 @@
+// Library change event tests
+const MusicDatabase = require('./database');
+const { ChangeEventBus, journalChangeEvents } = require('./change-events');
+
+describe('Change Events', () => {
+  describe('ChangeEventBus', () => {
+    let bus;
+
+    beforeEach(() => {
+      bus = new ChangeEventBus({ delay: 10 });
+    });
+
+    afterEach(() => {
+      bus.clear();
+    });
+
+    test('emits one batch per delay, with one entry per type', async () => {
+      const batches = [];
+      bus.on('changes', batch => batches.push(batch));
+
+      bus.publish('playlist-changed', [3]);
+      bus.publish('tracks-added', [1, 2]);
+      bus.publish('tracks-added', [2, 5]);
+      expect(batches).toEqual([]);
+
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      expect(batches).toEqual([[
+        { type: 'tracks-added', ids: [1, 2, 5] },
+        { type: 'playlist-changed', ids: [3] }
+      ]]);
+    });
+
+    test('reports added tracks once and drops removed ones', () => {
+      bus.publish('tracks-added', [1, 2]);
+      bus.publish('tracks-updated', [2, 3, 4]);
+      bus.publish('tracks-removed', [1, 4]);
+
+      expect(bus.flush()).toEqual([
+        { type: 'tracks-added', ids: [2] },
+        { type: 'tracks-updated', ids: [3] },
+        { type: 'tracks-removed', ids: [1, 4] }
+      ]);
+    });
+
+    test('reports a track removed and restored as added', () => {
+      bus.publish('tracks-removed', [1]);
+      bus.publish('tracks-added', [1]);
+
+      expect(bus.flush()).toEqual([{ type: 'tracks-added', ids: [1] }]);
+    });
+
+    test('widens to all IDs once any publish covers everything', () => {
+      bus.publish('albums-changed', [1]);
+      bus.publish('albums-changed');
+      bus.publish('albums-changed', [2]);
+      bus.publish('genres-changed', []);
+
+      expect(bus.flush()).toEqual([{ type: 'albums-changed', ids: null }]);
+      expect(bus.flush()).toEqual([]);
+    });
+
+    test('rejects unknown types', () => {
+      expect(() => bus.publish('tracks-renamed', [1])).toThrow('Unknown change type: tracks-renamed');
+    });
+  });
+
+  describe('journalChangeEvents()', () => {
+    test('maps journaled rows to the IDs they belong to', () => {
+      expect(journalChangeEvents([
+        { table: 'tracks', key: { track_id: 1 }, before: { track_id: 1, rating: 2 }, after: { track_id: 1, rating: 4 } },
+        { table: 'track_genres', key: { track_id: 2, genre_id: 7 }, before: null, after: { track_id: 2, genre_id: 7 } },
+        { table: 'playlist_tracks', key: { entry_id: 9 }, before: { entry_id: 9, playlist_id: 4 }, after: null },
+        { table: 'journal_state', key: { id: 1 }, before: null, after: null }
+      ])).toEqual([
+        { type: 'tracks-updated', ids: [1, 2] },
+        { type: 'playlist-changed', ids: [4] }
+      ]);
+    });
+
+    test('refreshes every album when a track changes album', () => {
+      expect(journalChangeEvents([
+        { table: 'tracks', key: { track_id: 1 }, before: { album: 'A' }, after: { album: 'B' } }
+      ])).toContainEqual({ type: 'albums-changed', ids: null });
+    });
+  });
+
+  describe('Library mutations', () => {
+    let db;
+    let trackId;
+    let albumId;
+
+    const addTrack = (title, album = 'Record') => db.insertTrack({
+      file_path: `/music/${title}.mp3`,
+      title,
+      artist: 'Band',
+      album,
+      album_artist: 'Band',
+      date_added: 1
+    }).track_id;
+
+    beforeEach(() => {
+      db = new MusicDatabase(':memory:');
+      db.initialize();
+      trackId = addTrack('Opener');
+      albumId = db.getAlbums()[0].album_id;
+      db.changes.flush();
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    test('publishes added tracks and their albums', () => {
+      const second = addTrack('Second');
+      db.addTrackGenres(second, ['Rock']);
+
+      expect(db.changes.flush()).toEqual([
+        { type: 'tracks-added', ids: [second] },
+        { type: 'albums-changed', ids: [albumId] },
+        { type: 'genres-changed', ids: [db.getOrCreateGenre('Rock')] }
+      ]);
+    });
+
+    test('publishes edits from the journal, including undo and redo', () => {
+      db.updateTrack(trackId, { rating: 4 });
+      expect(db.changes.flush()).toEqual([
+        { type: 'tracks-updated', ids: [trackId] },
+        { type: 'albums-changed', ids: [albumId] }
+      ]);
+
+      db.updateTrack(trackId, { album: 'Other Record' });
+      expect(db.changes.flush()).toContainEqual({ type: 'albums-changed', ids: null });
+
+      db.undo();
+      db.redo();
+      expect(db.changes.flush().map(event => event.type)).toEqual(['tracks-updated', 'albums-changed']);
+    });
+
+    test('publishes nothing for edits that fail or change nothing', () => {
+      expect(() => db.updateTrack(trackId, { rating: 7 })).toThrow();
+      db.updateTrack(trackId, {});
+
+      expect(db.changes.flush()).toEqual([]);
+    });
+
+    test('publishes playlist edits', () => {
+      const playlistId = db.createPlaylist({ name: 'Mix' }).playlist_id;
+      db.addTracksToPlaylist(playlistId, [trackId]);
+
+      expect(db.changes.flush()).toEqual([{ type: 'playlist-changed', ids: [playlistId] }]);
+    });
+
+    test('publishes deleted tracks with the playlists and albums they left', () => {
+      const playlistId = db.createPlaylist({ name: 'Mix' }).playlist_id;
+      db.addTracksToPlaylist(playlistId, [trackId]);
+      db.changes.flush();
+
+      db.deleteTracks([trackId, 999]);
+      expect(db.changes.flush()).toEqual([
+        { type: 'tracks-removed', ids: [trackId] },
+        { type: 'albums-changed', ids: [albumId] },
+        { type: 'playlist-changed', ids: [playlistId] }
+      ]);
+
+      db.restoreTracks([trackId]);
+      expect(db.changes.flush().map(event => event.type)).toEqual(['tracks-added', 'albums-changed', 'playlist-changed']);
+    });
+
+    test('publishes merged duplicates', () => {
+      const copy = addTrack('Opener (copy)');
+      db.changes.flush();
+
+      const { track_id: kept } = db.mergeDuplicates([trackId, copy], trackId);
+
+      expect(db.changes.flush()).toEqual([
+        { type: 'tracks-updated', ids: [kept] },
+        { type: 'tracks-removed', ids: [copy] },
+        { type: 'albums-changed', ids: [albumId] }
+      ]);
+
+      db.undo();
+      expect(db.changes.flush()).toEqual([
+        { type: 'tracks-added', ids: [copy] },
+        { type: 'albums-changed', ids: [albumId] }
+      ]);
+    });
+  });
+});
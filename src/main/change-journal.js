@@ -0,0 +1,411 @@
+/**
+ * Change Journal
+ *
+ * Every user edit to track metadata, genres, artists, album ratings/artwork and playlists
+ * is recorded with before/after row images, grouped into operations such as
+ * "Edit track" or "Move playlist entries". Operations can be undone and redone.
+ * Play history is recorded too, for edits that move plays between tracks
+ * (merging duplicates). The play counters on tracks aren't: replaying an
+ * operation recounts them from the plays it moved, so plays recorded since
+ * are kept.
+ *
+ * Recording is done by triggers on the journaled tables. They only fire while
+ * journal_state.operation_id is set, which recordOperation() does for the
+ * duration of a user edit, so imports, play counts and other background writes
+ * never enter the journal.
+ *
+ * Operations move through three states:
+ * - done: applied, can be undone (most recent first)
+ * - undone: reverted, can be redone (most recently undone first)
+ * - discarded: undone and then superseded by a new edit, or no longer possible
+ *   because tracks it moved to the bin were purged; kept for the audit trail
+ *
+ * Tracks moved to Recently Deleted during an operation are recorded by their
+ * deleted_tracks row: undo restores them from the bin with everything its
+ * snapshot kept (see trash.js), and redo moves them back to it.
+ *
+ * Replaying an update writes only the columns the change itself changed, so
+ * later edits to other columns of the same row survive an undo.
+ *
+ * When a journaled table gains a user-editable column, add it to JOURNALED_TABLES
+ * and call createJournalTriggers() from that migration. Tables and columns that
+ * an older schema version doesn't have yet are skipped until then.
+ */
+
+const { moveTracksToTrash, restoreTracksFromTrash } = require('./trash');
+const { rebuildPlayCounts } = require('./play-stats');
+
+// Tables and columns recorded in the journal. events lists the statements
+// journaled; tables without INSERT/DELETE only have user-editable columns recorded.
+const JOURNALED_TABLES = {
+  tracks: {
+    key: ['track_id'],
+    columns: [
+      'title', 'artist', 'album', 'album_artist',
+      'track_number', 'disc_number', 'release_year',
+      'is_compilation', 'artwork_path', 'rating', 'loved',
+      'artist_sort', 'album_artist_sort'
+    ],
+    events: ['UPDATE']
+  },
+  plays: {
+    key: ['play_id'],
+    columns: ['track_id', 'played_at', 'listened_seconds', 'outcome'],
+    events: ['INSERT', 'UPDATE', 'DELETE']
+  },
+  // Replayed by moving the track to or from the bin (see applyChange)
+  deleted_tracks: {
+    key: ['track_id'],
+    columns: [],
+    events: ['INSERT']
+  },
+  artists: {
+    key: ['artist_id'],
+    columns: ['name', 'sort_name', 'created_at'],
+    events: ['INSERT', 'UPDATE', 'DELETE']
+  },
+  artist_aliases: {
+    key: ['alias'],
+    columns: ['artist_id'],
+    events: ['INSERT', 'UPDATE', 'DELETE']
+  },
+  track_artists: {
+    key: ['track_id', 'role', 'artist_id'],
+    columns: ['position'],
+    events: ['INSERT', 'DELETE']
+  },
+  track_genres: {
+    key: ['track_id', 'genre_id'],
+    columns: [],
+    events: ['INSERT', 'DELETE']
+  },
+  genres: {
+    key: ['genre_id'],
+    columns: ['name', 'match_key', 'parent_id', 'created_at'],
+    events: ['INSERT', 'UPDATE', 'DELETE']
+  },
+  genre_aliases: {
+    key: ['alias_key'],
+    columns: ['alias', 'genre_id'],
+    events: ['INSERT', 'UPDATE', 'DELETE']
+  },
+  albums: {
+    key: ['album_id'],
+    columns: ['user_rating', 'artwork_path'],
+    events: ['UPDATE']
+  },
+  playlists: {
+    key: ['playlist_id'],
+    // updated_at is left out: it is maintained by a trigger and would journal every edit twice
+    columns: ['name', 'description', 'artwork_path', 'smart_rules', 'parent_id', 'is_folder', 'sort_order', 'created_at'],
+    events: ['INSERT', 'UPDATE', 'DELETE']
+  },
+  playlist_tracks: {
+    key: ['entry_id'],
+    columns: ['playlist_id', 'track_id', 'position', 'added_at'],
+    events: ['INSERT', 'UPDATE', 'DELETE']
+  }
+};
+
+// Operations kept in the journal; older ones are pruned
+const MAX_JOURNAL_OPERATIONS = 5000;
+
+/**
+ * Create the journal tables and recording triggers
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createChangeJournalSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS journal_operations (
+      operation_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      label TEXT NOT NULL,
+      state TEXT NOT NULL DEFAULT 'done' CHECK (state IN ('done', 'undone', 'discarded')),
+      created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      changed_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_journal_operations_state ON journal_operations(state, operation_id);
+
+    CREATE TABLE IF NOT EXISTS journal_changes (
+      change_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      operation_id INTEGER NOT NULL,
+      table_name TEXT NOT NULL,
+      row_key TEXT NOT NULL,
+      before_json TEXT,
+      after_json TEXT,
+      FOREIGN KEY (operation_id) REFERENCES journal_operations(operation_id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_journal_changes_operation ON journal_changes(operation_id, change_id);
+
+    -- Single row; operation_id is set while an operation is being recorded
+    CREATE TABLE IF NOT EXISTS journal_state (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      operation_id INTEGER
+    );
+
+    INSERT OR IGNORE INTO journal_state (id, operation_id) VALUES (1, NULL);
+  `);
+
+  createJournalTriggers(db);
+}
+
+/**
+ * SQL json_object() of a row image
+ *
+ * @param {string} ref - OLD or NEW
+ * @param {Array<string>} columns - Columns to include
+ * @returns {string} SQL expression
+ */
+function rowJson(ref, columns) {
+  return `json_object(${columns.map(column => `'${column}', ${ref}.${column}`).join(', ')})`;
+}
+
+/**
+ * (Re)create the triggers that record changes to JOURNALED_TABLES
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createJournalTriggers(db) {
+  const statements = [];
+
+  Object.entries(JOURNALED_TABLES).forEach(([table, { key, columns: journaled, events }]) => {
+    const existing = new Set(db.pragma(`table_info(${table})`).map(column => column.name));
+    if (existing.size === 0) {
+      return;
+    }
+
+    const columns = journaled.filter(column => existing.has(column));
+    const all = [...key, ...columns];
+
+    events.forEach(event => {
+      const name = `journal_${table}_${event.toLowerCase()}`;
+      const rowRef = event === 'DELETE' ? 'OLD' : 'NEW';
+      const before = event === 'INSERT' ? 'NULL' : rowJson('OLD', all);
+      const after = event === 'DELETE' ? 'NULL' : rowJson('NEW', all);
+      const changed = event === 'UPDATE'
+        ? ` AND (${columns.map(column => `OLD.${column} IS NOT NEW.${column}`).join(' OR ')})`
+        : '';
+
+      statements.push(`
+        DROP TRIGGER IF EXISTS ${name};
+        CREATE TRIGGER ${name}
+        AFTER ${event === 'UPDATE' ? `UPDATE OF ${columns.join(', ')}` : event} ON ${table}
+        FOR EACH ROW
+        WHEN (SELECT operation_id FROM journal_state WHERE id = 1) IS NOT NULL${changed}
+        BEGIN
+          INSERT INTO journal_changes (operation_id, table_name, row_key, before_json, after_json)
+          SELECT operation_id, '${table}', ${rowJson(rowRef, key)}, ${before}, ${after}
+          FROM journal_state WHERE id = 1;
+        END;
+      `);
+    });
+  });
+
+  db.exec(statements.join('\n'));
+}
+
+/**
+ * Run a set of edits as one journaled operation
+ * Calls made while another operation is recording join that operation.
+ * Operations that change nothing are not kept.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} label - User-visible description, e.g. 'Edit track'
+ * @param {Function} fn - Performs the edits
+ * @returns {*} Result of fn
+ */
+function recordOperation(db, label, fn) {
+  const { operation_id: activeId } = db.prepare('SELECT operation_id FROM journal_state WHERE id = 1').get();
+  if (activeId !== null) {
+    return fn();
+  }
+
+  const transaction = db.transaction(() => {
+    const operationId = db.prepare('INSERT INTO journal_operations (label) VALUES (?)').run(label).lastInsertRowid;
+    const setActive = db.prepare('UPDATE journal_state SET operation_id = ? WHERE id = 1');
+
+    setActive.run(operationId);
+    let result;
+    try {
+      result = fn();
+    } finally {
+      setActive.run(null);
+    }
+
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM journal_changes WHERE operation_id = ?').get(operationId);
+    if (count === 0) {
+      db.prepare('DELETE FROM journal_operations WHERE operation_id = ?').run(operationId);
+      return result;
+    }
+
+    // A new edit ends the redo history
+    db.prepare(`
+      UPDATE journal_operations SET state = 'discarded', changed_at = strftime('%s', 'now')
+      WHERE state = 'undone'
+    `).run();
+    db.prepare(`
+      DELETE FROM journal_operations WHERE operation_id <= ?
+    `).run(Number(operationId) - MAX_JOURNAL_OPERATIONS);
+
+    return result;
+  });
+
+  return transaction();
+}
+
+/**
+ * Write row images back to their tables
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Object} change - journal_changes row
+ * @param {string} from - Image the row is in now: 'before' or 'after'
+ * @param {string} to - Image to restore
+ */
+function applyChange(db, change, from, to) {
+  const { key, columns } = JOURNALED_TABLES[change.table_name];
+  const keyValues = JSON.parse(change.row_key);
+  const target = change[`${to}_json`] ? JSON.parse(change[`${to}_json`]) : null;
+  const current = change[`${from}_json`] ? JSON.parse(change[`${from}_json`]) : null;
+  const where = key.map(column => `${column} = @${column}`).join(' AND ');
+
+  if (change.table_name === 'deleted_tracks') {
+    if (target) {
+      moveTracksToTrash(db, [keyValues.track_id]);
+    } else {
+      restoreTracksFromTrash(db, [keyValues.track_id]);
+    }
+    return;
+  }
+
+  if (!target) {
+    db.prepare(`DELETE FROM ${change.table_name} WHERE ${where}`).run(keyValues);
+  } else if (!current) {
+    const all = [...key, ...columns];
+    db.prepare(`
+      INSERT INTO ${change.table_name} (${all.join(', ')})
+      VALUES (${all.map(column => `@${column}`).join(', ')})
+    `).run(target);
+  } else {
+    const changed = columns.filter(column => column in target && target[column] !== current[column]);
+    if (changed.length === 0) {
+      return;
+    }
+    const set = changed.map(column => `${column} = @${column}`).join(', ');
+    const values = { ...keyValues, ...Object.fromEntries(changed.map(column => [column, target[column]])) };
+    db.prepare(`UPDATE ${change.table_name} SET ${set} WHERE ${where}`).run(values);
+  }
+}
+
+/**
+ * Replay one operation backwards (undo) or forwards (redo)
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} direction - 'undo' or 'redo'
+ * @returns {Object|null} { operation_id, label } of the replayed operation, or null if there is none
+ * @throws {Error} If the operation can no longer be applied (e.g. a track it references was deleted)
+ */
+function replayOperation(db, direction) {
+  const undo = direction === 'undo';
+
+  const transaction = db.transaction(() => {
+    const operation = db.prepare(`
+      SELECT operation_id, label FROM journal_operations
+      WHERE state = ?
+      ORDER BY operation_id ${undo ? 'DESC' : 'ASC'}
+      LIMIT 1
+    `).get(undo ? 'done' : 'undone');
+
+    if (!operation) {
+      return null;
+    }
+
+    // Rows come back in whatever order keeps constraints happy at the end
+    db.pragma('defer_foreign_keys = ON');
+
+    const changes = db.prepare(`
+      SELECT * FROM journal_changes WHERE operation_id = ?
+      ORDER BY change_id ${undo ? 'DESC' : 'ASC'}
+    `).all(operation.operation_id);
+
+    changes.forEach(change => (
+      undo ? applyChange(db, change, 'after', 'before') : applyChange(db, change, 'before', 'after')
+    ));
+
+    // Play counters follow the plays the operation moved
+    const played = new Set();
+    changes.filter(change => change.table_name === 'plays').forEach(change => {
+      [change.before_json, change.after_json].filter(Boolean).forEach(image => played.add(JSON.parse(image).track_id));
+    });
+    rebuildPlayCounts(db, [...played]);
+
+    db.prepare(`
+      UPDATE journal_operations SET state = ?, changed_at = strftime('%s', 'now') WHERE operation_id = ?
+    `).run(undo ? 'undone' : 'done', operation.operation_id);
+
+    return operation;
+  });
+
+  try {
+    return transaction();
+  } catch (error) {
+    throw new Error(`Can't ${direction} the last change: ${error.message}`);
+  }
+}
+
+/**
+ * Get the operations undo and redo would apply next
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @returns {Object} { undo, redo } - each { operation_id, label } or null
+ */
+function getUndoState(db) {
+  const next = (state, order) => db.prepare(`
+    SELECT operation_id, label FROM journal_operations
+    WHERE state = ? ORDER BY operation_id ${order} LIMIT 1
+  `).get(state) || null;
+
+  return {
+    undo: next('done', 'DESC'),
+    redo: next('undone', 'ASC')
+  };
+}
+
+/**
+ * List recent operations with their changes, newest first
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} limit - Maximum number of operations
+ * @returns {Array<Object>} Operations with a changes array of { table, key, before, after }
+ */
+function getChangeHistory(db, limit) {
+  const operations = db.prepare(`
+    SELECT * FROM journal_operations ORDER BY operation_id DESC LIMIT ?
+  `).all(limit);
+
+  const changesStmt = db.prepare(`
+    SELECT * FROM journal_changes WHERE operation_id = ? ORDER BY change_id
+  `);
+
+  const parse = value => (value ? JSON.parse(value) : null);
+  return operations.map(operation => ({
+    ...operation,
+    changes: changesStmt.all(operation.operation_id).map(change => ({
+      table: change.table_name,
+      key: parse(change.row_key),
+      before: parse(change.before_json),
+      after: parse(change.after_json)
+    }))
+  }));
+}
+
+module.exports = {
+  JOURNALED_TABLES,
+  createChangeJournalSchema,
+  createJournalTriggers,
+  recordOperation,
+  replayOperation,
+  getUndoState,
+  getChangeHistory
+};
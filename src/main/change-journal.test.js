@@ -0,0 +1,180 @@
+// Change journal and undo/redo tests
+const MusicDatabase = require('./database');
+
+describe('Change Journal', () => {
+  let db;
+  let trackId;
+
+  beforeEach(() => {
+    db = new MusicDatabase(':memory:');
+    db.initialize();
+    trackId = db.insertTrack({
+      file_path: '/song.mp3',
+      title: 'Original',
+      artist: 'Artist',
+      album: 'Album',
+      date_added: 1
+    }).track_id;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const operationCount = () => db.db.prepare('SELECT COUNT(*) AS count FROM journal_operations').get().count;
+
+  describe('Recording', () => {
+    test('records metadata edits with before and after values', () => {
+      db.updateTrack(trackId, { title: 'Renamed', rating: 4 });
+
+      const [operation] = db.getChangeHistory();
+      expect(operation.label).toBe('Edit track');
+      expect(operation.state).toBe('done');
+      expect(operation.changes).toEqual([
+        expect.objectContaining({
+          table: 'tracks',
+          key: { track_id: trackId },
+          before: expect.objectContaining({ title: 'Original', rating: null }),
+          after: expect.objectContaining({ title: 'Renamed', rating: 4 })
+        })
+      ]);
+    });
+
+    test('does not record imports, play counts or no-op edits', () => {
+      db.insertTrack({ file_path: '/other.mp3', title: 'Other', date_added: 1 });
+      db.addTrackGenres(trackId, ['Jazz']);
+      db.recordPlayback(trackId, { listenedSeconds: 300, durationSeconds: 300, endReason: 'completed' });
+      db.updateTrack(trackId, { title: 'Original' });
+
+      expect(operationCount()).toBe(0);
+    });
+
+    test('groups several edits into one operation', () => {
+      const playlistId = db.createPlaylist({ name: 'Mix' }).playlist_id;
+
+      db.recordOperation('Tag and file', () => {
+        db.updateTrack(trackId, { artist: 'New Artist' });
+        db.addTrackGenres(trackId, ['Jazz']);
+        db.addTracksToPlaylist(playlistId, [trackId]);
+      });
+
+      const [operation] = db.getChangeHistory(1);
+      expect(operation.label).toBe('Tag and file');
+      expect(operation.changes.map(change => change.table))
+        .toEqual(expect.arrayContaining(['tracks', 'track_genres', 'playlist_tracks']));
+    });
+
+    test('a failed edit leaves no operation behind', () => {
+      expect(() => db.updateTrack(trackId, { rating: 7 })).toThrow();
+      expect(() => db.recordOperation('Broken', () => {
+        db.updateTrack(trackId, { title: 'Half done' });
+        throw new Error('boom');
+      })).toThrow('boom');
+
+      expect(operationCount()).toBe(0);
+      expect(db.getTrack(trackId).title).toBe('Original');
+    });
+  });
+
+  describe('Undo and redo', () => {
+    test('undoes and redoes metadata edits', () => {
+      db.updateTrack(trackId, { title: 'First' });
+      db.updateTrack(trackId, { title: 'Second', loved: 1 });
+
+      expect(db.undo()).toMatchObject({ label: 'Edit track' });
+      expect(db.getTrack(trackId)).toMatchObject({ title: 'First', loved: 0 });
+
+      db.undo();
+      expect(db.getTrack(trackId).title).toBe('Original');
+      expect(db.undo()).toBeNull();
+
+      db.redo();
+      db.redo();
+      expect(db.getTrack(trackId)).toMatchObject({ title: 'Second', loved: 1 });
+      expect(db.redo()).toBeNull();
+    });
+
+    test('keeps plays recorded after the undone edit', () => {
+      db.updateTrack(trackId, { rating: 4 });
+      db.recordPlayback(trackId, { listenedSeconds: 300, durationSeconds: 300, endReason: 'completed', playedAt: 1000 });
+      db.recordPlayback(trackId, { listenedSeconds: 300, durationSeconds: 300, endReason: 'completed', playedAt: 2000 });
+
+      db.undo();
+
+      expect(db.getTrack(trackId)).toMatchObject({ rating: null, play_count: 2, last_played: 2000 });
+      db.redo();
+      expect(db.getTrack(trackId)).toMatchObject({ rating: 4, play_count: 2, last_played: 2000 });
+    });
+
+    test('leaves columns the undone edit did not change', () => {
+      db.updateTrack(trackId, { title: 'Renamed' });
+      db.db.prepare('UPDATE tracks SET album = ? WHERE track_id = ?').run('Other Album', trackId);
+
+      db.undo();
+
+      expect(db.getTrack(trackId)).toMatchObject({ title: 'Original', album: 'Other Album' });
+    });
+
+    test('keeps derived data in sync when undoing', () => {
+      db.updateTrack(trackId, { album: 'Renamed Album' });
+      db.undo();
+
+      expect(db.getAlbums().map(album => album.album_title)).toEqual(['Album']);
+      expect(db.searchTracks('Renamed').tracks).toHaveLength(0);
+    });
+
+    test('restores a deleted playlist with its entries', () => {
+      const playlistId = db.createPlaylist({ name: 'Mix' }).playlist_id;
+      db.addTracksToPlaylist(playlistId, [trackId, trackId]);
+      db.deletePlaylist(playlistId);
+
+      expect(db.undo()).toMatchObject({ label: 'Delete playlist' });
+      expect(db.getPlaylist(playlistId).name).toBe('Mix');
+      expect(db.getPlaylistTracks(playlistId).map(track => track.position)).toEqual([1, 2]);
+    });
+
+    test('undoes playlist reordering', () => {
+      const second = db.insertTrack({ file_path: '/second.mp3', title: 'Second', date_added: 1 }).track_id;
+      const playlistId = db.createPlaylist({ name: 'Mix' }).playlist_id;
+      db.addTracksToPlaylist(playlistId, [trackId, second]);
+      const [firstEntry] = db.getPlaylistEntryIds(playlistId);
+
+      db.movePlaylistEntries(playlistId, [firstEntry], 1);
+      db.undo();
+
+      expect(db.getPlaylistTracks(playlistId).map(track => track.title)).toEqual(['Original', 'Second']);
+    });
+
+    test('a new edit discards the redo history but keeps it in the log', () => {
+      db.updateTrack(trackId, { title: 'Undone' });
+      db.undo();
+      db.updateTrack(trackId, { title: 'Replacement' });
+
+      expect(db.redo()).toBeNull();
+      expect(db.getChangeHistory().map(operation => operation.state)).toEqual(['done', 'discarded']);
+    });
+
+    test('reports the next undo and redo', () => {
+      expect(db.getUndoState()).toEqual({ undo: null, redo: null });
+
+      db.setAlbumRating(db.getAlbums()[0].album_id, 4);
+      expect(db.getUndoState().undo).toMatchObject({ label: 'Rate album' });
+
+      db.undo();
+      expect(db.getUndoState()).toEqual({ undo: null, redo: expect.objectContaining({ label: 'Rate album' }) });
+      expect(db.getAlbums()[0].user_rating).toBeNull();
+    });
+
+    test('refuses an undo that no longer applies and changes nothing', () => {
+      const other = db.insertTrack({ file_path: '/other.mp3', title: 'Other', date_added: 1 }).track_id;
+      const playlistId = db.createPlaylist({ name: 'Mix' }).playlist_id;
+      db.addTracksToPlaylist(playlistId, [other]);
+      db.deletePlaylist(playlistId);
+      db.deleteTrack(other);
+
+      expect(() => db.undo()).toThrow("Can't undo the last change");
+      expect(db.getPlaylist(playlistId)).toBeUndefined();
+      expect(db.getUndoState().undo).toMatchObject({ label: 'Delete playlist' });
+    });
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Content Hashes
+ *
+ * A SHA-256 of a file's audio payload with the tag blocks left out, so the
+ * same file still matches after its tags were fixed, while two different
+ * songs with the same tags never do. What counts as payload depends on the
+ * container:
+ * - FLAC: the audio frames after the metadata blocks (tags, pictures and padding)
+ * - MP4/M4A: the contents of the mdat boxes
+ * - MP3 and anything else: the file without a leading ID3v2 tag and trailing
+ *   APEv2, Lyrics3v2 and ID3v1 tags
+ *
+ * Hashes are stored per track in tracks.content_hash. Tracks imported before
+ * hashes existed get theirs from backfillContentHashes().
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const FLAC_MAGIC = 'fLaC';
+
+// Bytes read at a time when looking for tag headers
+const PROBE_SIZE = 32;
+
+// Tracks hashed per backfill batch
+const BACKFILL_BATCH_SIZE = 50;
+
+/**
+ * Add the content_hash column to tracks
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createContentHashSchema(db) {
+  db.exec(`
+    ALTER TABLE tracks ADD COLUMN content_hash TEXT;
+
+    CREATE INDEX IF NOT EXISTS idx_tracks_content_hash ON tracks(content_hash);
+  `);
+}
+
+/**
+ * Read bytes from an open file
+ *
+ * @param {FileHandle} handle - Open file
+ * @param {number} position - Byte offset
+ * @param {number} length - Bytes wanted
+ * @returns {Promise<Buffer>} The bytes, shorter at the end of the file
+ */
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Length of an ID3v2 tag at an offset
+ *
+ * @param {FileHandle} handle - Open file
+ * @param {number} offset - Where a tag may start
+ * @returns {Promise<number>} Tag length in bytes, 0 if there is none
+ */
+async function id3v2Length(handle, offset) {
+  const header = await readAt(handle, offset, 10);
+  if (header.length < 10 || header.toString('latin1', 0, 3) !== 'ID3') {
+    return 0;
+  }
+  // Synchsafe size (7 bits per byte), plus the header and an optional footer
+  const size = ((header[6] & 0x7f) << 21) | ((header[7] & 0x7f) << 14) | ((header[8] & 0x7f) << 7) | (header[9] & 0x7f);
+  return 10 + size + ((header[5] & 0x10) ? 10 : 0);
+}
+
+/**
+ * Find where tags appended to the end of a file begin
+ * ID3v1, Lyrics3v2 and APEv2 tags can follow each other in any order.
+ *
+ * @param {FileHandle} handle - Open file
+ * @param {number} start - Start of the payload; tags never reach before it
+ * @param {number} end - End of the file
+ * @returns {Promise<number>} Offset of the first trailing tag, or end if there is none
+ */
+async function trailingTagsStart(handle, start, end) {
+  for (;;) {
+    if (end - start >= 128 && (await readAt(handle, end - 128, 3)).toString('latin1') === 'TAG') {
+      end -= 128;
+      continue;
+    }
+
+    if (end - start >= PROBE_SIZE) {
+      const footer = await readAt(handle, end - PROBE_SIZE, PROBE_SIZE);
+
+      if (footer.toString('latin1', 0, 8) === 'APETAGEX') {
+        // The size covers the items and footer; a header, if present, comes on top
+        const size = footer.readUInt32LE(12) + ((footer.readUInt32LE(20) & 0x80000000) ? PROBE_SIZE : 0);
+        if (size <= end - start) {
+          end -= size;
+          continue;
+        }
+      }
+
+      if (footer.toString('latin1', PROBE_SIZE - 9) === 'LYRICS200') {
+        const size = Number(footer.toString('latin1', PROBE_SIZE - 15, PROBE_SIZE - 9)) + 15;
+        if (Number.isInteger(size) && size <= end - start) {
+          end -= size;
+          continue;
+        }
+      }
+    }
+
+    return end;
+  }
+}
+
+/**
+ * Find the audio frames of a FLAC stream, after its metadata blocks
+ *
+ * @param {FileHandle} handle - Open file
+ * @param {number} offset - Offset of the fLaC marker
+ * @param {number} size - File size
+ * @returns {Promise<number>} Offset of the first frame
+ * @throws {Error} If the metadata blocks run past the end of the file
+ */
+async function flacFramesOffset(handle, offset, size) {
+  offset += FLAC_MAGIC.length;
+  let last = false;
+
+  while (!last) {
+    const header = await readAt(handle, offset, 4);
+    if (header.length < 4) {
+      throw new Error('Unexpected end of FLAC metadata');
+    }
+    last = (header[0] & 0x80) !== 0;
+    offset += 4 + header.readUIntBE(1, 3);
+  }
+
+  if (offset > size) {
+    throw new Error('Unexpected end of FLAC metadata');
+  }
+  return offset;
+}
+
+/**
+ * Find the mdat boxes of an MP4 file
+ *
+ * @param {FileHandle} handle - Open file
+ * @param {number} size - File size
+ * @returns {Promise<Array<Object>>} { start, end } of each mdat payload
+ */
+async function mp4MediaRanges(handle, size) {
+  const ranges = [];
+  let offset = 0;
+
+  while (offset + 8 <= size) {
+    const header = await readAt(handle, offset, 16);
+    let boxSize = header.readUInt32BE(0);
+    let headerSize = 8;
+    if (boxSize === 1) {
+      boxSize = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (boxSize === 0) {
+      boxSize = size - offset;
+    }
+    if (boxSize < headerSize) {
+      break; // Corrupt; hash what was found so far
+    }
+
+    if (header.toString('latin1', 4, 8) === 'mdat') {
+      ranges.push({ start: offset + headerSize, end: Math.min(offset + boxSize, size) });
+    }
+    offset += boxSize;
+  }
+
+  return ranges;
+}
+
+/**
+ * Work out which byte ranges of a file are audio payload
+ *
+ * @param {FileHandle} handle - Open file
+ * @param {number} size - File size
+ * @returns {Promise<Array<Object>>} { start, end } ranges, end exclusive
+ */
+async function payloadRanges(handle, size) {
+  const start = await id3v2Length(handle, 0);
+  const marker = (await readAt(handle, start, 8)).toString('latin1');
+
+  if (marker.startsWith(FLAC_MAGIC)) {
+    const frames = await flacFramesOffset(handle, start, size);
+    return [{ start: frames, end: await trailingTagsStart(handle, frames, size) }];
+  }
+
+  if (start === 0 && marker.slice(4, 8) === 'ftyp') {
+    const ranges = await mp4MediaRanges(handle, size);
+    if (ranges.length > 0) {
+      return ranges;
+    }
+    return [{ start: 0, end: size }];
+  }
+
+  const payloadStart = Math.min(start, size);
+  return [{ start: payloadStart, end: await trailingTagsStart(handle, payloadStart, size) }];
+}
+
+/**
+ * Hash the audio payload of a file
+ *
+ * @param {string} filePath - Audio file path
+ * @returns {Promise<string>} Hex SHA-256 of the payload
+ * @throws {Error} If the file can't be read
+ */
+async function hashAudioContent(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  let ranges;
+  try {
+    ranges = await payloadRanges(handle, (await handle.stat()).size);
+  } finally {
+    await handle.close();
+  }
+
+  const hash = crypto.createHash('sha256');
+  for (const { start, end } of ranges) {
+    if (end <= start) continue;
+    await new Promise((resolve, reject) => {
+      fs.createReadStream(filePath, { start, end: end - 1 })
+        .on('data', chunk => hash.update(chunk))
+        .on('end', resolve)
+        .on('error', reject);
+    });
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Find tracks whose audio payload has a hash
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} contentHash - Hex SHA-256
+ * @returns {Array<Object>} Tracks, oldest first
+ */
+function findTracksByContentHash(db, contentHash) {
+  return db.prepare('SELECT * FROM tracks WHERE content_hash = ? ORDER BY track_id').all(contentHash);
+}
+
+/**
+ * Store a track's content hash
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} trackId - Track ID
+ * @param {string} contentHash - Hex SHA-256
+ */
+function setTrackContentHash(db, trackId, contentHash) {
+  db.prepare('UPDATE tracks SET content_hash = ? WHERE track_id = ?').run(contentHash, trackId);
+}
+
+/**
+ * Get tracks that have no content hash yet
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Object} options - afterTrackId to continue after, limit per batch
+ * @returns {Array<Object>} { track_id, file_path } in track ID order
+ */
+function getTracksWithoutContentHash(db, { afterTrackId = 0, limit = BACKFILL_BATCH_SIZE } = {}) {
+  return db.prepare(`
+    SELECT track_id, file_path FROM tracks
+    WHERE content_hash IS NULL AND track_id > ?
+    ORDER BY track_id LIMIT ?
+  `).all(afterTrackId, limit);
+}
+
+/**
+ * Hash the tracks that have no content hash yet
+ * Tracks whose file can't be read are left for a later run.
+ *
+ * @param {MusicDatabase|DatabaseClient} database - Library database
+ * @returns {Promise<Object>} { hashed, failed }
+ */
+async function backfillContentHashes(database) {
+  const result = { hashed: 0, failed: 0 };
+  let afterTrackId = 0;
+
+  for (;;) {
+    const tracks = await database.getTracksWithoutContentHash({ afterTrackId });
+    if (tracks.length === 0) {
+      return result;
+    }
+
+    for (const track of tracks) {
+      try {
+        await database.setTrackContentHash(track.track_id, await hashAudioContent(track.file_path));
+        result.hashed++;
+      } catch (error) {
+        result.failed++;
+      }
+    }
+    afterTrackId = tracks[tracks.length - 1].track_id;
+  }
+}
+
+module.exports = {
+  createContentHashSchema,
+  hashAudioContent,
+  findTracksByContentHash,
+  setTrackContentHash,
+  getTracksWithoutContentHash,
+  backfillContentHashes
+};
@@ -0,0 +1,105 @@
+// Content hash tests
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const MusicDatabase = require('./database');
+const { hashAudioContent, backfillContentHashes } = require('./content-hash');
+
+const FIXTURES_DIR = path.join(__dirname, '../../tests/fixtures/audio');
+const TEST_MP3 = path.join(FIXTURES_DIR, 'test.mp3');
+const NO_TAGS_MP3 = path.join(FIXTURES_DIR, 'no-tags.mp3');
+const TEST_FLAC = path.join(FIXTURES_DIR, 'test.flac');
+const TEST_M4A = path.join(FIXTURES_DIR, 'test.m4a');
+
+describe('Content Hashes', () => {
+  let tempDir;
+
+  const write = async (name, data) => {
+    const filePath = path.join(tempDir, name);
+    await fs.writeFile(filePath, data);
+    return filePath;
+  };
+  const flipByte = (data, offset) => {
+    const copy = Buffer.from(data);
+    copy[offset] ^= 0xff;
+    return copy;
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'content-hash-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('hashAudioContent()', () => {
+    test('ignores ID3v2, APEv2 and ID3v1 tags on MP3 files', async () => {
+      const data = await fs.readFile(TEST_MP3);
+      const apeFooter = Buffer.alloc(32);
+      apeFooter.write('APETAGEX', 0, 'latin1');
+      apeFooter.writeUInt32LE(2000, 8);
+      apeFooter.writeUInt32LE(32, 12);
+      const id3v1 = Buffer.alloc(128);
+      id3v1.write('TAGSome Title', 0, 'latin1');
+      const retagged = await write('retagged.mp3', Buffer.concat([data, apeFooter, id3v1]));
+
+      const hash = await hashAudioContent(TEST_MP3);
+
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(await hashAudioContent(NO_TAGS_MP3)).toBe(hash);
+      expect(await hashAudioContent(retagged)).toBe(hash);
+    });
+
+    test('changes when the audio does', async () => {
+      const data = await fs.readFile(TEST_MP3);
+      const edited = await write('edited.mp3', flipByte(data, data.length - 50));
+
+      expect(await hashAudioContent(edited)).not.toBe(await hashAudioContent(TEST_MP3));
+    });
+
+    test('ignores FLAC metadata blocks', async () => {
+      const data = await fs.readFile(TEST_FLAC);
+      // A padding block after STREAMINFO, which is 4 + 34 bytes after the marker
+      const padding = Buffer.concat([Buffer.from([0x01, 0x00, 0x00, 0x40]), Buffer.alloc(64)]);
+      const padded = await write('padded.flac', Buffer.concat([data.subarray(0, 42), padding, data.subarray(42)]));
+      const edited = await write('edited.flac', flipByte(data, data.length - 10));
+
+      const hash = await hashAudioContent(TEST_FLAC);
+
+      expect(await hashAudioContent(padded)).toBe(hash);
+      expect(await hashAudioContent(edited)).not.toBe(hash);
+    });
+
+    test('only hashes the media data of MP4 files', async () => {
+      const data = await fs.readFile(TEST_M4A);
+      const mdat = data.indexOf('mdat') - 4;
+      const free = Buffer.concat([Buffer.from([0, 0, 0, 16]), Buffer.from('free'), Buffer.alloc(8)]);
+      const extended = await write('extended.m4a', Buffer.concat([data, free]));
+      const edited = await write('edited.m4a', flipByte(data, mdat + 18));
+
+      const hash = await hashAudioContent(TEST_M4A);
+
+      expect(await hashAudioContent(extended)).toBe(hash);
+      expect(await hashAudioContent(edited)).not.toBe(hash);
+    });
+  });
+
+  describe('backfillContentHashes()', () => {
+    test('hashes tracks that have no hash yet', async () => {
+      const db = new MusicDatabase(':memory:');
+      db.initialize();
+      try {
+        const present = db.insertTrack({ file_path: TEST_MP3, title: 'Present', date_added: 1 }).track_id;
+        const gone = db.insertTrack({ file_path: path.join(tempDir, 'gone.mp3'), title: 'Gone', date_added: 1 }).track_id;
+
+        expect(await backfillContentHashes(db)).toEqual({ hashed: 1, failed: 1 });
+        expect(db.getTrack(present).content_hash).toBe(await hashAudioContent(TEST_MP3));
+        expect(db.getTrack(gone).content_hash).toBeNull();
+        expect(db.findTracksByContentHash(await hashAudioContent(NO_TAGS_MP3)).map(track => track.track_id)).toEqual([present]);
+      } finally {
+        db.close();
+      }
+    });
+  });
+});
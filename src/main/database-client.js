@@ -0,0 +1,204 @@
+// Database client for the Electron main process
+// Runs MusicDatabase in worker threads so long queries and big write transactions
+// don't block window events and IPC. Every MusicDatabase method is available here
+// with the same arguments, returning a Promise of its result.
+//
+// Two connections share the WAL-mode file:
+// - the writer runs every mutation, in the order they were called
+// - the reader answers queries (READ_METHODS), seeing everything the writer committed
+//
+// Calls that were awaited are always visible to later reads. A read started while
+// a write is still running sees the data from before that write.
+//
+// In-memory databases can't be shared between threads, so they only get a writer.
+
+const path = require('path');
+const { EventEmitter } = require('events');
+const { Worker } = require('worker_threads');
+const MusicDatabase = require('./database');
+
+const WORKER_PATH = path.join(__dirname, 'database-worker.js');
+
+// Methods that only query, answered by the reader connection
+const READ_METHODS = new Set([
+  'getTrack', 'getTrackByPath', 'getTracks', 'queryTracks', 'getDeletedTracks',
+  'getReferencedTrackFiles', 'getWatchedFiles', 'getImportJob', 'getUnfinishedImportJobs', 'getImportFiles',
+  'findDuplicates', 'findDuplicatesOf', 'findTracksByFingerprint', 'findSimilarRecordings',
+  'findTracksByContentHash', 'getTracksWithoutContentHash',
+  'getTrackGenres', 'getAllGenres', 'getGenre', 'getGenreTree',
+  'getArtists', 'getArtist', 'getTrackArtists', 'getArtistTracks',
+  'getPlaylist', 'getAllPlaylists', 'getPlaylistTree', 'getPlaylistTracks', 'getPlaylistFolderTracks',
+  'previewSmartPlaylist', 'getAllAlbums', 'getAlbums', 'getAlbumDetails',
+  'searchTracks', 'validateQuery',
+  'getRecentlyPlayed', 'getMostPlayed', 'getTrackPlayHistory',
+  'getUndoState', 'getChangeHistory', 'getStats', 'isFileReferenced'
+]);
+
+class DatabaseClient {
+  /**
+   * Create a new DatabaseClient and start its writer
+   * @param {string} dbPath - Database file, or ':memory:'
+   * @param {Object} options - Client options
+   * @param {boolean} options.reader - Answer queries on a separate connection (default true)
+   */
+  constructor(dbPath, options = {}) {
+    this.dbPath = dbPath;
+    this.useReader = options.reader !== false && dbPath !== ':memory:';
+    // Re-emits the writer's batched 'changes' events (see change-events.js)
+    this.changes = new EventEmitter();
+    this.pending = new Map();
+    this.nextId = 1;
+    this.reader = null;
+    this.writer = this.spawn(false);
+  }
+
+  /**
+   * Start a worker with its own connection
+   * @param {boolean} readonly - Open the connection read-only
+   * @returns {Worker} The worker
+   */
+  spawn(readonly) {
+    const worker = new Worker(WORKER_PATH, { workerData: { dbPath: this.dbPath, readonly } });
+
+    worker.on('message', message => {
+      if (message.event === 'changes') {
+        this.changes.emit('changes', message.batch);
+        return;
+      }
+
+      const request = this.pending.get(message.id);
+      if (!request) return;
+      this.pending.delete(message.id);
+
+      if (message.error) {
+        const error = new Error(message.error.message);
+        error.stack = message.error.stack;
+        request.reject(error);
+      } else {
+        request.resolve(message.result);
+      }
+    });
+
+    const fail = error => {
+      this.pending.forEach((request, id) => {
+        if (request.worker === worker) {
+          this.pending.delete(id);
+          request.reject(error);
+        }
+      });
+      if (worker === this.reader) this.reader = null;
+      if (worker === this.writer) this.writer = null;
+    };
+    worker.on('error', fail);
+    worker.on('exit', code => fail(new Error(`Database worker stopped (exit code ${code})`)));
+
+    return worker;
+  }
+
+  /**
+   * Call a MusicDatabase method on a worker
+   * @param {Worker} worker - Worker to run it on
+   * @param {string} method - Method name
+   * @param {Array} args - Arguments (structured-cloneable)
+   * @returns {Promise<*>} The method's result
+   */
+  send(worker, method, args) {
+    if (!worker) {
+      return Promise.reject(new Error('Database is closed'));
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, worker });
+      worker.postMessage({ id, method, args });
+    });
+  }
+
+  /**
+   * Call a MusicDatabase method, on the reader if it only queries
+   * @param {string} method - Method name
+   * @param {Array} args - Arguments
+   * @returns {Promise<*>} The method's result
+   */
+  call(method, args = []) {
+    const worker = this.reader && READ_METHODS.has(method) ? this.reader : this.writer;
+    return this.send(worker, method, args);
+  }
+
+  /**
+   * Create the schema and apply migrations, then start the reader
+   * @param {Object} options - Migration options, as for MusicDatabase.initialize
+   * @returns {Promise<Object>} Migration status
+   */
+  async initialize(options = {}) {
+    const status = await this.call('initialize', [options]);
+    if (this.useReader && !this.reader) {
+      await this.startReader();
+    }
+    return status;
+  }
+
+  /**
+   * Start the reader connection
+   * If it can't open the file, queries keep going to the writer.
+   */
+  async startReader() {
+    const reader = this.spawn(true);
+    try {
+      await this.send(reader, 'getSchemaVersion', []);
+      this.reader = reader;
+    } catch (error) {
+      console.warn('[Database] Reader unavailable, queries will use the writer:', error.message);
+      await reader.terminate();
+    }
+  }
+
+  /**
+   * Reopen the connections after close(), e.g. once a backup was restored
+   * @returns {Promise<void>}
+   */
+  async open() {
+    await this.send(this.writer, 'open', []);
+    if (this.reader) {
+      await this.send(this.reader, 'open', []);
+    }
+  }
+
+  /**
+   * Close the connections; the workers keep running so open() can follow
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.reader) {
+      await this.send(this.reader, 'close', []);
+    }
+    await this.send(this.writer, 'close', []);
+  }
+
+  /**
+   * Close the connections and stop the workers
+   * @returns {Promise<void>}
+   */
+  async terminate() {
+    const workers = [this.reader, this.writer].filter(Boolean);
+    try {
+      await this.close();
+    } finally {
+      await Promise.all(workers.map(worker => worker.terminate()));
+    }
+  }
+}
+
+// Forward every other MusicDatabase method to the workers
+Object.getOwnPropertyNames(MusicDatabase.prototype)
+  .filter(name => name !== 'constructor' && !(name in DatabaseClient.prototype))
+  .forEach(name => {
+    DatabaseClient.prototype[name] = function (...args) {
+      return this.call(name, args);
+    };
+  });
+
+module.exports = {
+  READ_METHODS,
+  DatabaseClient
+};
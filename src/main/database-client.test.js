@@ -0,0 +1,81 @@
+// Database client tests
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const { DatabaseClient } = require('./database-client');
+const { BackupService } = require('./backup');
+
+describe('DatabaseClient', () => {
+  let tempDir;
+  let client;
+
+  const track = title => ({ file_path: `/music/${title}.mp3`, title, artist: 'Band', date_added: 1 });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'db-client-test-'));
+    client = new DatabaseClient(path.join(tempDir, 'library.db'));
+    await client.initialize();
+  });
+
+  afterEach(async () => {
+    await client.terminate();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('runs database methods in workers', async () => {
+    const { track_id: trackId } = await client.insertTrack(track('Opener'));
+    await client.updateTrack(trackId, { rating: 4 });
+
+    expect(client.reader).not.toBeNull();
+    expect(await client.getTrack(trackId)).toMatchObject({ title: 'Opener', rating: 4 });
+    expect((await client.searchTracks('opener')).tracks).toHaveLength(1);
+  });
+
+  test('passes errors back with their message', async () => {
+    await expect(client.updateTrack(1, { rating: 7 })).rejects.toThrow('Field rating must be at most 5');
+    await expect(client.call('db')).rejects.toThrow('Unknown database method: db');
+  });
+
+  test('forwards batches of library changes', async () => {
+    const batch = new Promise(resolve => client.changes.once('changes', resolve));
+
+    const { track_id: trackId } = await client.insertTrack(track('Opener'));
+
+    expect(await batch).toContainEqual({ type: 'tracks-added', ids: [trackId] });
+  });
+
+  test('keeps answering queries while the writer is busy', async () => {
+    await client.insertTrack(track('Opener'));
+    const tracks = Array.from({ length: 2000 }, (_, i) => track(`Bulk ${i}`));
+
+    const writing = Promise.all(tracks.map(t => client.insertTrack(t)));
+    const count = (await client.getStats()).tracks;
+    await writing;
+
+    expect(count).toBeGreaterThanOrEqual(1);
+    expect((await client.getStats()).tracks).toBe(2001);
+  });
+
+  test('backs up and restores through the workers', async () => {
+    await client.insertTrack(track('Original'));
+    const service = new BackupService(client);
+    const backup = await service.createBackup('manual');
+    await client.insertTrack(track('Added Later'));
+
+    await service.restoreBackup(backup.path);
+
+    expect((await client.getTracks()).map(t => t.title)).toEqual(['Original']);
+  });
+
+  test('uses a single connection for in-memory databases', async () => {
+    const memory = new DatabaseClient(':memory:');
+    await memory.initialize();
+
+    await memory.insertTrack(track('Opener'));
+
+    expect(memory.reader).toBeNull();
+    expect(await memory.getTracks()).toHaveLength(1);
+    await memory.terminate();
+    await expect(memory.getTracks()).rejects.toThrow('Database is closed');
+  });
+});
@@ -52,6 +52,19 @@ describe('Database Index Verification', () => {
     expect(usesIndex).toBe(true);
   });
 
+  test('uses index for duration ranges', () => {
+    const plan = db.db.prepare(`
+      EXPLAIN QUERY PLAN
+      SELECT track_id FROM tracks WHERE duration_seconds BETWEEN 198 AND 202
+    `).all();
+
+    const usesIndex = plan.some(row =>
+      row.detail && row.detail.includes('idx_tracks_duration')
+    );
+
+    expect(usesIndex).toBe(true);
+  });
+
   test('uses index for album_artist queries', () => {
     const plan = db.db.prepare(`
       EXPLAIN QUERY PLAN
@@ -0,0 +1,29 @@
+// Database worker thread
+// Hosts one MusicDatabase connection for DatabaseClient (see database-client.js).
+//
+// Protocol, over the worker's parent port:
+// - request:  { id, method, args } calls database[method](...args)
+// - response: { id, result } or { id, error: { message, stack } }
+// - event:    { event: 'changes', batch } for each batch of library changes (writer only)
+
+const { parentPort, workerData } = require('worker_threads');
+const MusicDatabase = require('./database');
+
+const database = new MusicDatabase(workerData.dbPath, { readonly: workerData.readonly });
+
+database.changes.on('changes', batch => {
+  parentPort.postMessage({ event: 'changes', batch });
+});
+
+parentPort.on('message', async ({ id, method, args }) => {
+  try {
+    if (typeof database[method] !== 'function' || method === 'constructor') {
+      throw new Error(`Unknown database method: ${method}`);
+    }
+    // Backups resolve asynchronously; everything else returns directly
+    const result = await database[method](...args);
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: { message: error.message, stack: error.stack } });
+  }
+});
@@ -5,18 +5,127 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { createSearchSchema, rebuildSearchIndex, searchLibrary, searchLibraryByQuery } = require('./search');
+const { parseQuery, compileQuery, isPlainTextQuery } = require('./query-language');
+const { albumMembership, rebuildAlbums, refreshAlbum } = require('./albums');
+const { runMigrations } = require('./migrations');
+const { PLAYBACK_END_REASONS, classifyPlayback } = require('./play-stats');
+const { MAX_RATING, RATING_STEP, albumRatingSelect } = require('./ratings');
+const { validateSmartRules, evaluateSmartRules } = require('./smart-playlists');
+const { descendantsQuery, buildPlaylistTree } = require('./playlist-folders');
+const { clampIndex, moveEntries } = require('./playlist-entries');
+const {
+  recordOperation,
+  replayOperation,
+  getUndoState,
+  getChangeHistory
+} = require('./change-journal');
+const {
+  ARTIST_ROLES,
+  generateSortName,
+  findArtistId,
+  syncTrackArtists,
+  syncTracksMentioning,
+  refreshTrackSortNames,
+  getCreditedTrackIds,
+  mergeArtists
+} = require('./artists');
+const { findDuplicateGroups, findDuplicatesOf, mergeDuplicateTracks } = require('./duplicates');
+const {
+  MAX_GENRE_NAME_LENGTH,
+  genreKey,
+  findGenreId,
+  resolveGenre,
+  resolveGenreTag,
+  isGenreWithin,
+  mergeGenres,
+  buildGenreTree
+} = require('./genres');
+const { moveTracksToTrash, restoreTracksFromTrash, purgeTrash, isFileReferenced } = require('./trash');
+const {
+  STORAGE_TYPES,
+  getReferencedTrackFiles,
+  setTrackFileStates,
+  relinkTrackFile,
+  replaceTrackFile
+} = require('./track-files');
+const {
+  findTracksByContentHash,
+  setTrackContentHash,
+  getTracksWithoutContentHash
+} = require('./content-hash');
+const {
+  createImportJob,
+  getImportJob,
+  getUnfinishedImportJobs,
+  getImportFiles,
+  recordImportFiles,
+  setImportJobState,
+  deleteImportJob
+} = require('./import-jobs');
+const { getWatchedFiles, recordWatchedFiles, forgetWatchedFiles } = require('./watched-files');
+const { ChangeEventBus, journalChangeEvents } = require('./change-events');
+const {
+  FINGERPRINT_VERSION,
+  saveTrackFingerprint,
+  findFingerprintMatches,
+  decodeFingerprint
+} = require('./fingerprint');
 
 // Security: Whitelist of allowed sort columns to prevent SQL injection
 const ALLOWED_SORT_COLUMNS = [
   'title', 'artist', 'album', 'album_artist',
   'track_number', 'disc_number', 'release_year',
-  'date_added', 'duration_seconds', 'file_path'
+  'date_added', 'duration_seconds', 'file_path',
+  'play_count', 'skip_count', 'last_played',
+  'rating', 'loved'
 ];
 const ALLOWED_SORT_ORDERS = ['ASC', 'DESC'];
+// Artist columns sort by the credited artist's sort name ("Beatles, The")
+const SORT_NAME_COLUMNS = {
+  artist: 'artist_sort',
+  album_artist: 'album_artist_sort'
+};
+const ALLOWED_ALBUM_SORT_COLUMNS = [
+  'album_title', 'album_artist', 'release_year', 'max_year',
+  'track_count', 'total_duration_seconds', 'created_at',
+  'rating'
+];
+
+// Range filters accepted by queryTracks, mapped to their tracks column
+const RANGE_FILTER_COLUMNS = {
+  year: 'release_year',
+  duration: 'duration_seconds',
+  bitrate: 'bitrate',
+  date_added: 'date_added',
+  play_count: 'play_count',
+  last_played: 'last_played',
+  rating: 'rating'
+};
+
+// Page size limits for queryTracks
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Default list length for play statistics queries
+const DEFAULT_STATS_LIMIT = 50;
+
+// Default number of operations returned by getChangeHistory
+const DEFAULT_HISTORY_LIMIT = 100;
+
+// Most tracks updateTracks edits at once
+const MAX_BATCH_TRACKS = 10000;
+
+// IDs bound per statement when looking up related rows, well under SQLite's variable limit
+const ID_CHUNK_SIZE = 500;
+
+// Prepared statements kept per connection; most SQL here is fixed, the rest varies by field list
+const STATEMENT_CACHE_SIZE = 500;
 
 // Security: Field validation rules to prevent data attacks
+// nullable: false marks NOT NULL columns, so null is rejected before anything is written
 const FIELD_VALIDATION_RULES = {
-  title: { type: 'string', maxLength: 500 },
+  title: { type: 'string', maxLength: 500, nullable: false },
   artist: { type: 'string', maxLength: 300 },
   album: { type: 'string', maxLength: 300 },
   album_artist: { type: 'string', maxLength: 300 },
@@ -24,7 +133,9 @@ const FIELD_VALIDATION_RULES = {
   disc_number: { type: 'number', min: 0, max: 99 },
   release_year: { type: 'number', min: 1900, max: 2100 },
   is_compilation: { type: 'boolean' },
-  artwork_path: { type: 'string', maxLength: 512 }
+  artwork_path: { type: 'string', maxLength: 512 },
+  rating: { type: 'number', min: 0, max: MAX_RATING, step: RATING_STEP },
+  loved: { type: 'number', min: -1, max: 1, nullable: false }
 };
 
 /**
@@ -41,6 +152,9 @@ function validateFieldValue(field, value) {
 
   // Allow null values for optional fields
   if (value === null || value === undefined) {
+    if (rules.nullable === false) {
+      throw new Error(`Field ${field} cannot be empty`);
+    }
     return;
   }
 
@@ -61,7 +175,11 @@ function validateFieldValue(field, value) {
 
   // Number range validation
   if (rules.type === 'number') {
-    if (!Number.isInteger(value)) {
+    if (rules.step) {
+      if (!Number.isFinite(value) || !Number.isInteger(value / rules.step)) {
+        throw new Error(`Field ${field} must be a multiple of ${rules.step}`);
+      }
+    } else if (!Number.isInteger(value)) {
       throw new Error(`Field ${field} must be an integer`);
     }
     if (rules.min !== undefined && value < rules.min) {
@@ -73,8 +191,337 @@ function validateFieldValue(field, value) {
   }
 }
 
+/**
+ * Normalize a sort specification into a validated list of { column, direction }
+ * Accepts a single column name, a { column, direction } object or an array of either
+ * @param {string|Object|Array} sort - Sort specification
+ * @param {Array<string>} allowedColumns - Whitelist of sortable columns
+ * @param {string} defaultColumn - Column used when no sort is given
+ * @returns {Array<Object>} Validated sort keys
+ * @throws {Error} If a column or direction is not whitelisted
+ */
+function normalizeSort(sort, allowedColumns = ALLOWED_SORT_COLUMNS, defaultColumn = 'title') {
+  const keys = (Array.isArray(sort) ? sort : [sort || defaultColumn]).map(key => {
+    const spec = typeof key === 'string' ? { column: key } : key;
+    const column = spec && spec.column;
+    const direction = String((spec && spec.direction) || 'ASC').toUpperCase();
+
+    // Validate sort column against whitelist
+    if (!allowedColumns.includes(column)) {
+      throw new Error(`Invalid sort column: ${column}`);
+    }
+
+    // Validate sort order
+    if (!ALLOWED_SORT_ORDERS.includes(direction)) {
+      throw new Error(`Invalid sort order: ${direction}`);
+    }
+
+    return { column, direction };
+  });
+
+  if (keys.length === 0) {
+    throw new Error('Sort must include at least one column');
+  }
+
+  return keys;
+}
+
+/**
+ * Build the keyset condition that selects rows strictly after a cursor
+ * SQLite sorts NULL before any value, so NULLs come first ascending and last descending.
+ * track_id is always the final, ascending tiebreaker.
+ * @param {Array<Object>} sortKeys - Validated sort keys
+ * @param {Array} values - Sort values of the last row on the previous page
+ * @param {Object} params - Named parameters (mutated)
+ * @returns {string} SQL condition
+ */
+function buildKeysetCondition(sortKeys, values, params) {
+  const branches = [];
+  const equalities = [];
+
+  sortKeys.forEach(({ column, direction }, index) => {
+    const param = `cursor_${index}`;
+    const value = values[index];
+    let after;
+
+    if (value === null) {
+      after = direction === 'ASC' ? `t.${column} IS NOT NULL` : null;
+    } else {
+      params[param] = value;
+      after = direction === 'ASC'
+        ? `t.${column} > @${param}`
+        : `(t.${column} < @${param} OR t.${column} IS NULL)`;
+    }
+
+    if (after) {
+      branches.push([...equalities, after].join(' AND '));
+    }
+    equalities.push(value === null ? `t.${column} IS NULL` : `t.${column} = @${param}`);
+  });
+
+  params.cursor_id = values[sortKeys.length];
+  branches.push([...equalities, 't.track_id > @cursor_id'].join(' AND '));
+
+  return `(${branches.map(branch => `(${branch})`).join(' OR ')})`;
+}
+
+/**
+ * Encode the position after a row as an opaque cursor string
+ * @param {Array<Object>} sortKeys - Validated sort keys
+ * @param {Object} row - Last row of the current page
+ * @returns {string} Cursor
+ */
+function encodeCursor(sortKeys, row) {
+  const values = sortKeys.map(({ column }) => row[column] ?? null);
+  values.push(row.track_id);
+  return Buffer.from(JSON.stringify(values)).toString('base64');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor string
+ * @param {Array<Object>} sortKeys - Sort keys the cursor must match
+ * @returns {Array} Sort values followed by the track_id
+ * @throws {Error} If the cursor is malformed or was produced for a different sort
+ */
+function decodeCursor(cursor, sortKeys) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+
+  const valid = Array.isArray(values) &&
+    values.length === sortKeys.length + 1 &&
+    Number.isInteger(values[values.length - 1]) &&
+    values.every(value => value === null || ['string', 'number'].includes(typeof value));
+
+  if (!valid) {
+    throw new Error('Invalid cursor');
+  }
+
+  return values;
+}
+
+/**
+ * Build WHERE conditions for queryTracks filters
+ * @param {Object} filters - Filter options
+ * @param {Object} params - Named parameters (mutated)
+ * @returns {Array<string>} SQL conditions
+ * @throws {Error} If a filter value is invalid
+ */
+function buildTrackFilters(filters, params) {
+  const conditions = [];
+
+  ['artist', 'album', 'album_artist'].forEach(field => {
+    if (filters[field] !== undefined && filters[field] !== null) {
+      conditions.push(`t.${field} = @${field}`);
+      params[field] = filters[field];
+    }
+  });
+
+  Object.entries(RANGE_FILTER_COLUMNS).forEach(([filter, column]) => {
+    const range = filters[filter];
+    if (range === undefined || range === null) return;
+
+    if (typeof range !== 'object') {
+      throw new Error(`Filter ${filter} must be an object with min and/or max`);
+    }
+
+    ['min', 'max'].forEach(bound => {
+      if (range[bound] === undefined || range[bound] === null) return;
+      if (typeof range[bound] !== 'number' || !Number.isFinite(range[bound])) {
+        throw new Error(`Filter ${filter}.${bound} must be a finite number`);
+      }
+      const param = `${filter}_${bound}`;
+      conditions.push(`t.${column} ${bound === 'min' ? '>=' : '<='} @${param}`);
+      params[param] = range[bound];
+    });
+  });
+
+  const listFilter = (filter, value) => {
+    const list = Array.isArray(value) ? value : [value];
+    if (list.length === 0 || list.some(item => typeof item !== 'string')) {
+      throw new Error(`Filter ${filter} must be a string or an array of strings`);
+    }
+    return list.map((item, index) => {
+      params[`${filter}_${index}`] = item;
+      return `@${filter}_${index}`;
+    }).join(', ');
+  };
+
+  if (filters.codec !== undefined && filters.codec !== null) {
+    conditions.push(`t.codec COLLATE NOCASE IN (${listFilter('codec', filters.codec)})`);
+  }
+
+  // Tracks matching any of the given genres
+  if (filters.genre !== undefined && filters.genre !== null) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM track_genres tg
+      JOIN genres g ON g.genre_id = tg.genre_id
+      WHERE tg.track_id = t.track_id AND g.name IN (${listFilter('genre', filters.genre)})
+    )`);
+  }
+
+  // Library query language, e.g. 'artist:radiohead year:1995..2001 -live'
+  if (filters.query !== undefined && filters.query !== null) {
+    if (typeof filters.query !== 'string') {
+      throw new Error('Filter query must be a string');
+    }
+    conditions.push(compileQuery(filters.query, params));
+  }
+
+  return conditions;
+}
+
+/**
+ * Validate the limit of a play statistics query
+ * @param {number} limit - Maximum number of rows
+ * @throws {Error} If the limit is not an integer between 1 and MAX_PAGE_SIZE
+ */
+function validateStatsLimit(limit) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`Limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+}
+
+/**
+ * Validate an artist name, sort name or alias
+ * @param {*} value - Value to check
+ * @param {string} label - Name used in the error message
+ * @returns {string} Trimmed value
+ * @throws {Error} If the value isn't a non-empty string
+ */
+function validateArtistName(value, label) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`${label} must be a non-empty string`);
+  }
+  if (value.length > FIELD_VALIDATION_RULES.artist.maxLength) {
+    throw new Error(`${label} exceeds maximum length of ${FIELD_VALIDATION_RULES.artist.maxLength}`);
+  }
+  return value.trim();
+}
+
+/**
+ * Validate a genre name or alias
+ * @param {*} value - Value to check
+ * @param {string} label - Name used in the error message
+ * @returns {string} Trimmed value
+ * @throws {Error} If the value isn't a string with letters or digits, or is too long
+ */
+function validateGenreName(value, label) {
+  if (typeof value !== 'string' || !genreKey(value)) {
+    throw new Error(`${label} must be a non-empty string with letters or digits`);
+  }
+  if (value.length > MAX_GENRE_NAME_LENGTH) {
+    throw new Error(`${label} exceeds maximum length of ${MAX_GENRE_NAME_LENGTH}`);
+  }
+  return value.trim();
+}
+
+/**
+ * Validate the genre part of a batch edit
+ * Either replace the genre list, or add and/or remove genres.
+ * @param {Object} genres - { replace } or { add, remove }, each an array of names
+ * @returns {Object} { replace, add, remove } with trimmed, de-duplicated names (replace is null unless given)
+ * @throws {Error} If the edit is malformed or a name is invalid
+ */
+function validateGenreEdit(genres) {
+  if (!genres || typeof genres !== 'object' || Array.isArray(genres)) {
+    throw new Error('Field genres must be an object with replace, add or remove lists');
+  }
+
+  const unknown = Object.keys(genres).find(key => !['replace', 'add', 'remove'].includes(key));
+  if (unknown) {
+    throw new Error(`Invalid genre edit: ${unknown}`);
+  }
+  if (genres.replace !== undefined && (genres.add !== undefined || genres.remove !== undefined)) {
+    throw new Error('Genres can be replaced or added and removed, not both');
+  }
+
+  const names = (key) => {
+    if (genres[key] === undefined) {
+      return key === 'replace' ? null : [];
+    }
+    if (!Array.isArray(genres[key])) {
+      throw new Error(`Genre ${key} must be an array of names`);
+    }
+    return [...new Set(genres[key].map(name => validateGenreName(name, 'Genre name')))];
+  };
+
+  const edit = { replace: names('replace'), add: names('add'), remove: names('remove') };
+  if (edit.add.some(name => edit.remove.includes(name))) {
+    throw new Error('A genre cannot be both added and removed');
+  }
+  return edit;
+}
+
+/**
+ * Collect the distinct values of a query's first column for a list of IDs
+ * The query is run once per chunk of IDs, with {ids} replaced by its placeholders.
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} sql - Query containing IN ({ids})
+ * @param {Array<number>} ids - IDs to bind
+ * @returns {Array<number>} Distinct values
+ */
+function selectForIds(db, sql, ids) {
+  const values = new Set();
+  for (let start = 0; start < ids.length; start += ID_CHUNK_SIZE) {
+    const chunk = ids.slice(start, start + ID_CHUNK_SIZE);
+    db.prepare(sql.replace('{ids}', chunk.map(() => '?').join(', ')))
+      .raw()
+      .all(...chunk)
+      .forEach(([value]) => values.add(value));
+  }
+  return [...values];
+}
+
+/**
+ * Reuse prepared statements for SQL a connection has seen before
+ * Replaces db.prepare with a version backed by a least recently used cache, so the
+ * modules that take a raw handle benefit too.
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} size - Most statements kept
+ */
+function cacheStatements(db, size = STATEMENT_CACHE_SIZE) {
+  const prepare = db.prepare.bind(db);
+  const cache = new Map();
+
+  db.prepare = (sql) => {
+    let stmt = cache.get(sql);
+    if (stmt) {
+      cache.delete(sql);
+      // Undo raw() from a previous caller
+      if (stmt.reader) stmt.raw(false);
+    } else {
+      stmt = prepare(sql);
+      if (cache.size >= size) {
+        cache.delete(cache.keys().next().value);
+      }
+    }
+    cache.set(sql, stmt);
+    return stmt;
+  };
+}
+
+/**
+ * Parse the stored smart rules of a playlist row
+ * @param {Object|undefined} row - playlists row
+ * @returns {Object|undefined} Playlist with smart_rules as an object (or null)
+ */
+function parsePlaylistRow(row) {
+  if (!row) return row;
+  return { ...row, smart_rules: row.smart_rules ? JSON.parse(row.smart_rules) : null };
+}
+
 class MusicDatabase {
-  constructor(dbPath = ':memory:') {
+  /**
+   * Create a new MusicDatabase
+   * @param {string} dbPath - Database file, or ':memory:'
+   * @param {Object} options - readonly opens an existing file for queries only
+   */
+  constructor(dbPath = ':memory:', options = {}) {
     // If dbPath is not :memory:, ensure directory exists
     if (dbPath !== ':memory:') {
       const dir = path.dirname(dbPath);
@@ -83,15 +530,41 @@ class MusicDatabase {
       }
     }
 
-    this.db = new Database(dbPath);
+    this.dbPath = dbPath;
+    this.readonly = Boolean(options.readonly);
+    this.migrationStatus = null;
+    // Batched change events for views to refresh from (see change-events.js)
+    this.changes = new ChangeEventBus();
+    this.operationDepth = 0;
+    this.open();
+  }
+
+  /**
+   * Open the database connection
+   * Called by the constructor, and again after the file is replaced by a restore
+   */
+  open() {
+    this.db = new Database(this.dbPath, { readonly: this.readonly });
+    cacheStatements(this.db);
     this.db.pragma('foreign_keys = ON');
-    this.db.pragma('journal_mode = WAL'); // Better performance for concurrent reads
+    if (!this.readonly) {
+      this.db.pragma('journal_mode = WAL'); // Readers see committed data while a write is in progress
+    }
   }
 
   /**
-   * Initialize database schema with all tables, indexes, and triggers
+   * Initialize database schema with all tables, indexes, and triggers,
+   * then apply pending migrations from the registry in migrations.js
+   * @param {Object} options - Migration options passed to runMigrations
+   * @returns {Object} Migration status (also available via getMigrationStatus)
+   * @throws {Error} If a migration fails or the schema is newer than this build
    */
-  initialize() {
+  initialize(options = {}) {
+    // A library without a schema version yet is new, with nothing to back up before migrating
+    const isNew = !this.db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'
+    `).get();
+
     // Use a transaction for schema creation
     const transaction = this.db.transaction(() => {
       // Create tracks table
@@ -126,6 +599,7 @@ class MusicDatabase {
         CREATE INDEX IF NOT EXISTS idx_tracks_artist ON tracks(artist);
         CREATE INDEX IF NOT EXISTS idx_tracks_album_artist ON tracks(album_artist);
         CREATE INDEX IF NOT EXISTS idx_tracks_date_added ON tracks(date_added);
+        CREATE INDEX IF NOT EXISTS idx_tracks_title ON tracks(title);
       `);
 
       // Create genres table
@@ -228,6 +702,9 @@ class MusicDatabase {
         END;
       `);
 
+      // Create full-text search index and its sync triggers
+      createSearchSchema(this.db);
+
       // Create schema_version table for migrations
       this.db.exec(`
         CREATE TABLE IF NOT EXISTS schema_version (
@@ -236,19 +713,37 @@ class MusicDatabase {
         );
       `);
 
-      // Insert initial schema version
+      // Insert base schema version; later versions come from the migration registry
       this.db.exec(`
         INSERT OR IGNORE INTO schema_version (version) VALUES (1);
       `);
     });
 
     transaction();
+
+    this.migrationStatus = runMigrations(this.db, { dbPath: this.dbPath, isNew, ...options });
+
+    if (this.migrationStatus.state === 'failed' || this.migrationStatus.state === 'unsupported') {
+      throw new Error(this.migrationStatus.error);
+    }
+
+    return this.migrationStatus;
+  }
+
+  /**
+   * Get the result of the migrations run by initialize()
+   * @returns {Object|null} Migration status or null before initialize()
+   */
+  getMigrationStatus() {
+    return this.migrationStatus;
   }
 
   // ==================== TRACK OPERATIONS ====================
 
   /**
    * Insert a new track into the database
+   * Artist credits are parsed from the artist, album_artist and title tags; pass
+   * composers and remixers (arrays of names) to credit those roles too.
    * @param {Object} track - Track metadata
    * @returns {Object} Result with track_id
    */
@@ -259,17 +754,22 @@ class MusicDatabase {
         track_number, disc_number, release_year,
         duration_seconds, bitrate, sample_rate, codec,
         file_size_bytes, date_added, date_modified,
-        is_compilation, artwork_path
+        is_compilation, artwork_path, rating, storage, content_hash
       ) VALUES (
         @file_path, @title, @artist, @album, @album_artist,
         @track_number, @disc_number, @release_year,
         @duration_seconds, @bitrate, @sample_rate, @codec,
         @file_size_bytes, @date_added, @date_modified,
-        @is_compilation, @artwork_path
+        @is_compilation, @artwork_path, @rating, @storage, @content_hash
       )
     `);
 
-    const result = stmt.run({
+    const storage = track.storage || 'managed';
+    if (!STORAGE_TYPES.includes(storage)) {
+      throw new Error(`Invalid storage: ${storage}`);
+    }
+
+    const insert = () => stmt.run({
       file_path: track.file_path,
       title: track.title,
       artist: track.artist || null,
@@ -286,10 +786,54 @@ class MusicDatabase {
       date_added: track.date_added,
       date_modified: track.date_modified || null,
       is_compilation: track.is_compilation ? 1 : 0,
-      artwork_path: track.artwork_path || null
+      artwork_path: track.artwork_path || null,
+      rating: track.rating ?? null,
+      storage,
+      content_hash: track.content_hash || null
     });
 
-    return { track_id: result.lastInsertRowid };
+    const trackId = this.db.transaction(() => {
+      const id = insert().lastInsertRowid;
+      syncTrackArtists(this.db, id, { composers: track.composers, remixers: track.remixers });
+      return id;
+    })();
+
+    this.publishTrackChanges('tracks-added', [trackId]);
+    return { track_id: trackId };
+  }
+
+  /**
+   * Add or replace many imported tracks in one transaction
+   * Either every track is written or, if one fails, none are.
+   * @param {Array<Object>} entries - { track, replaceTrackId, fingerprint, genres, jobFile }:
+   *   track data as for insertTrack; replaceTrackId to give an existing track the new file
+   *   instead (see replaceTrackFile); fingerprint as from fingerprintFile; genre names; and
+   *   { jobId, position } of the import job file to mark done with the track
+   * @returns {Array<number>} Track IDs, in entry order
+   */
+  importTracks(entries) {
+    return this.db.transaction(() => entries.map(entry => {
+      let trackId = entry.replaceTrackId;
+      if (trackId) {
+        this.replaceTrackFile(trackId, entry.track);
+      } else {
+        trackId = this.insertTrack(entry.track).track_id;
+      }
+
+      if (entry.fingerprint) {
+        this.setTrackFingerprint(trackId, entry.fingerprint.fingerprint, entry.fingerprint.duration_seconds);
+      }
+      this.addTrackGenres(trackId, entry.genres);
+
+      if (entry.jobFile) {
+        recordImportFiles(this.db, entry.jobFile.jobId, [{
+          position: entry.jobFile.position,
+          status: entry.replaceTrackId ? 'replaced' : 'imported',
+          track_id: trackId
+        }]);
+      }
+      return trackId;
+    }))();
   }
 
   /**
@@ -302,6 +846,16 @@ class MusicDatabase {
     return stmt.get(trackId);
   }
 
+  /**
+   * Get the track for a file
+   * @param {string} filePath - Audio file path, as stored
+   * @returns {Object|undefined} Track object or undefined
+   */
+  getTrackByPath(filePath) {
+    const stmt = this.db.prepare('SELECT * FROM tracks WHERE file_path = ?');
+    return stmt.get(filePath);
+  }
+
   /**
    * Get all tracks with optional filters and sorting
    * @param {Object} options - Query options
@@ -345,12 +899,70 @@ class MusicDatabase {
       throw new Error(`Invalid sort order: ${sortOrder}`);
     }
 
-    query += ` ORDER BY ${sortBy} ${sortOrder}`;
+    query += ` ORDER BY ${SORT_NAME_COLUMNS[sortBy] || sortBy} ${sortOrder}`;
 
     const stmt = this.db.prepare(query);
     return stmt.all(params);
   }
 
+  /**
+   * Query one page of tracks with filtering, multi-column sorting and keyset pagination
+   * @param {Object} options - Query options
+   * @param {Object} options.filters - artist, album, album_artist (exact), genre and codec
+   *   (string or array, any-of), year, duration, bitrate, date_added, play_count and last_played ({ min, max }),
+   *   query (library query language text)
+   * @param {string|Object|Array} options.sort - Column name, { column, direction } or an array of them;
+   *   artist and album_artist sort by the artists' sort names
+   * @param {number} options.limit - Page size (default 100, max 1000)
+   * @param {string} options.cursor - nextCursor from the previous page
+   * @param {boolean} options.includeTotal - Whether to count all matching rows (default true)
+   * @returns {Object} { tracks, total, nextCursor } - nextCursor is null on the last page
+   */
+  queryTracks(options = {}) {
+    const { filters = {}, sort, cursor = null, includeTotal = true } = options;
+    const limit = options.limit === undefined ? DEFAULT_PAGE_SIZE : options.limit;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new Error(`Limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const sortKeys = normalizeSort(sort)
+      .map(({ column, direction }) => ({ column: SORT_NAME_COLUMNS[column] || column, direction }));
+    const params = {};
+    const conditions = buildTrackFilters(filters || {}, params);
+
+    let total = null;
+    if (includeTotal) {
+      const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+      total = this.db.prepare(`SELECT COUNT(*) as count FROM tracks t${where}`).get(params).count;
+    }
+
+    const pageConditions = [...conditions];
+    if (cursor) {
+      pageConditions.push(buildKeysetCondition(sortKeys, decodeCursor(cursor, sortKeys), params));
+    }
+
+    const where = pageConditions.length > 0 ? ` WHERE ${pageConditions.join(' AND ')}` : '';
+    const orderBy = sortKeys.map(({ column, direction }) => `t.${column} ${direction}`).join(', ');
+
+    // Fetch one extra row to find out whether another page exists
+    params.limit = limit + 1;
+    const rows = this.db.prepare(`
+      SELECT t.* FROM tracks t${where}
+      ORDER BY ${orderBy}, t.track_id ASC
+      LIMIT @limit
+    `).all(params);
+
+    const hasMore = rows.length > limit;
+    const tracks = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+      tracks,
+      total,
+      nextCursor: hasMore ? encodeCursor(sortKeys, tracks[tracks.length - 1]) : null
+    };
+  }
+
   /**
    * Update track metadata
    * @param {number} trackId - Track ID
@@ -358,267 +970,1472 @@ class MusicDatabase {
    * @returns {Object} Result info
    */
   updateTrack(trackId, updates) {
-    const fields = [];
-    const params = { track_id: trackId };
+    return this.recordOperation('Edit track', () => {
+      const fields = [];
+      const params = { track_id: trackId };
+
+      const allowedFields = [
+        'title', 'artist', 'album', 'album_artist',
+        'track_number', 'disc_number', 'release_year',
+        'is_compilation', 'artwork_path', 'rating', 'loved'
+      ];
+
+      allowedFields.forEach(field => {
+        if (updates.hasOwnProperty(field)) {
+          // Validate field value before accepting
+          validateFieldValue(field, updates[field]);
+
+          fields.push(`${field} = @${field}`);
+          params[field] = updates[field];
+        }
+      });
+
+      if (fields.length === 0) {
+        return { changes: 0 };
+      }
 
-    const allowedFields = [
-      'title', 'artist', 'album', 'album_artist',
-      'track_number', 'disc_number', 'release_year',
-      'is_compilation', 'artwork_path'
-    ];
+      const query = `UPDATE tracks SET ${fields.join(', ')} WHERE track_id = @track_id`;
+      const stmt = this.db.prepare(query);
+      const result = stmt.run(params);
+
+      if (['artist', 'album_artist', 'title'].some(field => updates.hasOwnProperty(field))) {
+        syncTrackArtists(this.db, trackId);
+      }
+
+      return { changes: result.changes };
+    });
+  }
 
-    allowedFields.forEach(field => {
-      if (updates.hasOwnProperty(field)) {
-        // Validate field value before accepting
-        validateFieldValue(field, updates[field]);
+  /**
+   * Apply the same edits to many tracks at once
+   * Every value is validated and every track checked before anything is written,
+   * and the writes happen in one transaction, recorded as one undoable operation.
+   * @param {Array<number>} trackIds - Tracks to edit
+   * @param {Object} updates - Track fields as for updateTrack, plus optional genres:
+   *   { replace: [...] } or { add: [...], remove: [...] }
+   * @returns {Object} { tracks, fields } - tracks changed in any way, and per field
+   *   (including genres) the number of tracks whose value actually changed
+   * @throws {Error} If a field, value or track ID is invalid, or a track doesn't exist
+   */
+  updateTracks(trackIds, updates) {
+    if (!Array.isArray(trackIds) || trackIds.length === 0) {
+      throw new Error('Track IDs must be a non-empty array');
+    }
+    if (trackIds.length > MAX_BATCH_TRACKS) {
+      throw new Error(`Cannot edit more than ${MAX_BATCH_TRACKS} tracks at once`);
+    }
+    if (!updates || typeof updates !== 'object') {
+      throw new Error('Updates must be an object');
+    }
 
-        fields.push(`${field} = @${field}`);
-        params[field] = updates[field];
+    const ids = [...new Set(trackIds)];
+    ids.forEach(trackId => {
+      if (!Number.isInteger(trackId) || trackId < 1) {
+        throw new Error(`Invalid track ID: ${trackId}`);
       }
     });
 
-    if (fields.length === 0) {
-      return { changes: 0 };
+    const fields = Object.keys(updates).filter(field => field !== 'genres');
+    fields.forEach(field => validateFieldValue(field, updates[field]));
+    const genreEdit = updates.genres !== undefined ? validateGenreEdit(updates.genres) : null;
+
+    const exists = this.db.prepare('SELECT 1 FROM tracks WHERE track_id = ?');
+    const missing = ids.find(trackId => !exists.get(trackId));
+    if (missing !== undefined) {
+      throw new Error(`Track not found: ${missing}`);
     }
 
-    const query = `UPDATE tracks SET ${fields.join(', ')} WHERE track_id = @track_id`;
-    const stmt = this.db.prepare(query);
-    const result = stmt.run(params);
+    const label = ids.length === 1 ? 'Edit track' : `Edit ${ids.length} tracks`;
+    return this.recordOperation(label, () => {
+      const counts = {};
+      const changedTracks = new Set();
+      const creditChanged = new Set();
+      const count = (field, trackId) => {
+        counts[field] = (counts[field] || 0) + 1;
+        changedTracks.add(trackId);
+        if (['artist', 'album_artist', 'title'].includes(field)) {
+          creditChanged.add(trackId);
+        }
+      };
+
+      fields.forEach(field => {
+        counts[field] = 0;
+        // IS NOT skips tracks that already have the value, so they aren't counted or journaled
+        const stmt = this.db.prepare(`UPDATE tracks SET ${field} = @value WHERE track_id = @track_id AND ${field} IS NOT @value`);
+        const value = typeof updates[field] === 'boolean' ? Number(updates[field]) : updates[field];
+        ids.forEach(trackId => {
+          if (stmt.run({ track_id: trackId, value: value === undefined ? null : value }).changes > 0) {
+            count(field, trackId);
+          }
+        });
+      });
+
+      if (genreEdit) {
+        counts.genres = 0;
+        const removeGenre = this.db.prepare('DELETE FROM track_genres WHERE track_id = ? AND genre_id = ?');
+        const addGenre = this.db.prepare('INSERT OR IGNORE INTO track_genres (track_id, genre_id) VALUES (?, ?)');
+        const genreIds = (genreEdit.replace || genreEdit.add).map(name => resolveGenre(this.db, name));
+        const removedIds = genreEdit.remove.map(name => findGenreId(this.db, name)).filter(id => id !== null);
+        const currentIds = this.db.prepare('SELECT genre_id FROM track_genres WHERE track_id = ?');
+
+        ids.forEach(trackId => {
+          const removed = genreEdit.replace
+            ? currentIds.all(trackId).map(row => row.genre_id).filter(id => !genreIds.includes(id))
+            : removedIds;
+          let changes = 0;
+          removed.forEach(genreId => { changes += removeGenre.run(trackId, genreId).changes; });
+          genreIds.forEach(genreId => { changes += addGenre.run(trackId, genreId).changes; });
+          if (changes > 0) {
+            count('genres', trackId);
+          }
+        });
+      }
+
+      creditChanged.forEach(trackId => syncTrackArtists(this.db, trackId));
 
-    return { changes: result.changes };
+      return { tracks: changedTracks.size, fields: counts };
+    });
   }
 
   /**
    * Delete a track
+   * The track goes to Recently Deleted and can be restored with restoreTracks.
    * @param {number} trackId - Track ID
    * @returns {Object} Result info
    */
   deleteTrack(trackId) {
-    const stmt = this.db.prepare('DELETE FROM tracks WHERE track_id = ?');
-    const result = stmt.run(trackId);
-    return { changes: result.changes };
+    return this.deleteTracks([trackId]);
   }
 
-  // ==================== GENRE OPERATIONS ====================
+  // ==================== RECENTLY DELETED ====================
 
   /**
-   * Get or create a genre by name
-   * @param {string} name - Genre name
-   * @returns {number} genre_id
+   * Move tracks to Recently Deleted
+   * Their metadata, genres, play history and playlist positions are kept for a
+   * restore; the files stay in place until the tracks are purged.
+   * @param {Array<number>} trackIds - Tracks to delete
+   * @returns {Object} Result info (changes = tracks deleted)
    */
-  getOrCreateGenre(name) {
-    // Try to get existing genre
-    const getStmt = this.db.prepare('SELECT genre_id FROM genres WHERE name = ?');
-    const existing = getStmt.get(name);
-
-    if (existing) {
-      return existing.genre_id;
+  deleteTracks(trackIds) {
+    if (!Array.isArray(trackIds)) {
+      throw new Error('Track IDs must be an array');
     }
 
-    // Create new genre
-    const insertStmt = this.db.prepare('INSERT INTO genres (name) VALUES (?)');
-    const result = insertStmt.run(name);
-    return result.lastInsertRowid;
+    const ids = selectForIds(this.db, 'SELECT track_id FROM tracks WHERE track_id IN ({ids})', trackIds);
+    const albumIds = this.getTrackAlbumIds(ids);
+    const playlistIds = this.getTrackPlaylistIds(ids);
+    const changes = moveTracksToTrash(this.db, ids);
+
+    this.publishTrackChanges('tracks-removed', ids, { albumIds, playlistIds });
+    return { changes };
   }
 
   /**
-   * Add genres to a track
-   * @param {number} trackId - Track ID
-   * @param {Array<string>} genreNames - Array of genre names
+   * Get the tracks in Recently Deleted, most recently deleted first
+   * @returns {Array} { track_id, file_path, title, artist, album, deleted_at }
    */
-  addTrackGenres(trackId, genreNames) {
-    if (!genreNames || genreNames.length === 0) return;
+  getDeletedTracks() {
+    const stmt = this.db.prepare(`
+      SELECT track_id, file_path, title, artist, album, deleted_at
+      FROM deleted_tracks
+      ORDER BY deleted_at DESC, track_id DESC
+    `);
+    return stmt.all();
+  }
 
-    const transaction = this.db.transaction(() => {
-      genreNames.forEach(name => {
-        const genreId = this.getOrCreateGenre(name);
-        const stmt = this.db.prepare(`
-          INSERT OR IGNORE INTO track_genres (track_id, genre_id)
-          VALUES (?, ?)
-        `);
-        stmt.run(trackId, genreId);
-      });
-    });
+  /**
+   * Restore tracks from Recently Deleted under their original IDs
+   * @param {Array<number>} trackIds - Tracks to restore
+   * @returns {Object} Result info (restored = tracks restored)
+   * @throws {Error} If a track isn't in Recently Deleted or its file path is taken
+   */
+  restoreTracks(trackIds) {
+    if (!Array.isArray(trackIds)) {
+      throw new Error('Track IDs must be an array');
+    }
 
-    transaction();
+    const restored = restoreTracksFromTrash(this.db, trackIds);
+    const ids = [...new Set(trackIds)];
+    this.publishTrackChanges('tracks-added', ids, { playlistIds: this.getTrackPlaylistIds(ids) });
+    return { restored };
   }
 
   /**
-   * Get genres for a track
-   * @param {number} trackId - Track ID
-   * @returns {Array<string>} Array of genre names
+   * Permanently remove tracks from Recently Deleted
+   * Files are not touched here; TrashService deletes the ones nothing uses anymore.
+   * @param {Object} options - trackIds, or deletedBefore (Unix seconds); neither purges everything
+   * @returns {Array} Purged tracks { track_id, file_path, artwork_paths }
    */
-  getTrackGenres(trackId) {
-    const stmt = this.db.prepare(`
-      SELECT g.name
-      FROM genres g
-      JOIN track_genres tg ON g.genre_id = tg.genre_id
-      WHERE tg.track_id = ?
-      ORDER BY g.name
-    `);
-    return stmt.all(trackId).map(row => row.name);
+  purgeDeletedTracks(options = {}) {
+    return purgeTrash(this.db, options);
   }
 
+  // ==================== TRACK FILES ====================
+
   /**
-   * Remove all genres from a track
-   * @param {number} trackId - Track ID
+   * Get the files of referenced tracks, for checking they can be reached
+   * @param {Array<number>|null} trackIds - Tracks to get (default: all referenced tracks)
+   * @returns {Array} { track_id, file_path, file_state }
    */
-  clearTrackGenres(trackId) {
-    const stmt = this.db.prepare('DELETE FROM track_genres WHERE track_id = ?');
-    stmt.run(trackId);
+  getReferencedTrackFiles(trackIds = null) {
+    return getReferencedTrackFiles(this.db, trackIds);
   }
 
   /**
-   * Get all genres
-   * @returns {Array} Array of genre objects
+   * Record whether track files could be reached
+   * @param {Object<string, Array<number>>} states - Track IDs by file state ('available', 'missing', 'offline')
+   * @returns {Array<number>} IDs of tracks whose state changed
    */
-  getAllGenres() {
-    const stmt = this.db.prepare('SELECT * FROM genres ORDER BY name');
-    return stmt.all();
+  setTrackFileStates(states) {
+    const changed = setTrackFileStates(this.db, states);
+    this.publishTrackChanges('tracks-updated', changed);
+    return changed;
   }
 
-  // ==================== PLAYLIST OPERATIONS ====================
+  /**
+   * Point a referenced track at the new location of its file
+   * @param {number} trackId - Track ID
+   * @param {string} filePath - Absolute path of the file
+   * @throws {Error} If the track isn't referenced or another track has the file
+   */
+  relinkTrackFile(trackId, filePath) {
+    relinkTrackFile(this.db, trackId, filePath);
+    this.publishTrackChanges('tracks-updated', [trackId]);
+  }
 
   /**
-   * Create a new playlist
-   * @param {Object} playlist - Playlist data
-   * @returns {Object} Result with playlist_id
+   * Swap the file behind a track for a new copy of the same audio
+   * The track keeps its ID, history, playlists and rating; tags come from the new file.
+   * @param {number} trackId - Track ID
+   * @param {Object} track - Track data for the new file, as for insertTrack
+   * @throws {Error} If the track doesn't exist or another track has the file
    */
-  createPlaylist(playlist) {
-    const stmt = this.db.prepare(`
-      INSERT INTO playlists (name, description, artwork_path)
-      VALUES (@name, @description, @artwork_path)
-    `);
+  replaceTrackFile(trackId, track) {
+    replaceTrackFile(this.db, trackId, track);
+    this.publishTrackChanges('tracks-updated', [trackId]);
+  }
 
-    const result = stmt.run({
-      name: playlist.name,
-      description: playlist.description || null,
-      artwork_path: playlist.artwork_path || null
-    });
+  // ==================== CONTENT HASHES ====================
 
-    return { playlist_id: result.lastInsertRowid };
+  /**
+   * Find tracks with the same audio payload
+   * @param {string} contentHash - Hex SHA-256 of the payload (see content-hash.js)
+   * @returns {Array} Tracks, oldest first
+   */
+  findTracksByContentHash(contentHash) {
+    return findTracksByContentHash(this.db, contentHash);
   }
 
   /**
-   * Get a playlist by ID
-   * @param {number} playlistId - Playlist ID
-   * @returns {Object|undefined} Playlist object
+   * Store a track's content hash
+   * @param {number} trackId - Track ID
+   * @param {string} contentHash - Hex SHA-256 of the payload
    */
-  getPlaylist(playlistId) {
-    const stmt = this.db.prepare('SELECT * FROM playlists WHERE playlist_id = ?');
-    return stmt.get(playlistId);
+  setTrackContentHash(trackId, contentHash) {
+    setTrackContentHash(this.db, trackId, contentHash);
   }
 
   /**
-   * Get all playlists
-   * @returns {Array} Array of playlist objects
+   * Get tracks that have no content hash yet, a batch at a time
+   * @param {Object} options - afterTrackId to continue after, limit per batch
+   * @returns {Array} { track_id, file_path }
    */
-  getAllPlaylists() {
-    const stmt = this.db.prepare('SELECT * FROM playlists ORDER BY name');
-    return stmt.all();
+  getTracksWithoutContentHash(options = {}) {
+    return getTracksWithoutContentHash(this.db, options);
+  }
+
+  // ==================== WATCHED FOLDERS ====================
+
+  /**
+   * Get the files seen in a watched folder
+   * @param {string} folderPath - Watched folder
+   * @returns {Array} { file_path, size_bytes, modified_at, track_id }
+   */
+  getWatchedFiles(folderPath) {
+    return getWatchedFiles(this.db, folderPath);
+  }
+
+  /**
+   * Remember files seen in a watched folder
+   * @param {string} folderPath - Watched folder
+   * @param {Array<Object>} files - { file_path, size_bytes, modified_at, track_id }
+   */
+  recordWatchedFiles(folderPath, files) {
+    recordWatchedFiles(this.db, folderPath, files);
+  }
+
+  /**
+   * Forget watched files, or everything seen in a folder
+   * @param {Object} target - { filePaths } or { folderPath }
+   * @returns {number} Files forgotten
+   */
+  forgetWatchedFiles(target) {
+    return forgetWatchedFiles(this.db, target);
+  }
+
+  // ==================== IMPORT JOBS ====================
+
+  /**
+   * Record a folder import before it starts
+   * @param {Object} job - { folderPath, filePaths, mode, onDuplicate }
+   * @returns {number} job_id
+   * @throws {Error} If there are no files
+   */
+  createImportJob(job) {
+    return createImportJob(this.db, job);
+  }
+
+  /**
+   * Get an import job with its file counts
+   * @param {number} jobId - Job ID
+   * @returns {Object|null} Job with total, remaining and counts by status
+   */
+  getImportJob(jobId) {
+    return getImportJob(this.db, jobId);
+  }
+
+  /**
+   * Get the import jobs that still have files to import
+   * @returns {Array} Jobs as from getImportJob, oldest first
+   */
+  getUnfinishedImportJobs() {
+    return getUnfinishedImportJobs(this.db);
+  }
+
+  /**
+   * Get the files of an import job with a given status
+   * @param {number} jobId - Job ID
+   * @param {string} status - File status (see import-jobs.js)
+   * @returns {Array} { position, file_path, dest_path } in import order
+   */
+  getImportFiles(jobId, status) {
+    return getImportFiles(this.db, jobId, status);
+  }
+
+  /**
+   * Record the status of import job files
+   * @param {number} jobId - Job ID
+   * @param {Array<Object>} files - { position, status, dest_path, track_id, error }
+   * @throws {Error} If a status is unknown
+   */
+  recordImportFiles(jobId, files) {
+    recordImportFiles(this.db, jobId, files);
+  }
+
+  /**
+   * Mark an import job running or paused
+   * @param {number} jobId - Job ID
+   * @param {string} state - 'running' or 'paused'
+   * @throws {Error} If the state is unknown or the job doesn't exist
+   */
+  setImportJobState(jobId, state) {
+    setImportJobState(this.db, jobId, state);
+  }
+
+  /**
+   * Delete an import job
+   * @param {number} jobId - Job ID
+   * @returns {boolean} True if the job existed
+   */
+  deleteImportJob(jobId) {
+    return deleteImportJob(this.db, jobId);
+  }
+
+  // ==================== DUPLICATE OPERATIONS ====================
+
+  /**
+   * Find groups of tracks that are probably the same recording
+   * @param {Object} options - durationTolerance in seconds (default 2) and matchAlbum (default false)
+   * @returns {Array} Groups of { best_track_id, tracks }, tracks ranked best quality first
+   */
+  findDuplicates(options = {}) {
+    return findDuplicateGroups(this.db, options);
+  }
+
+  /**
+   * Find library tracks matching the metadata of a track about to be added
+   * @param {Object} track - title, artist, album and duration_seconds
+   * @param {Object} options - durationTolerance and matchAlbum as for findDuplicates
+   * @returns {Array} Matching tracks, best quality first
+   */
+  findDuplicatesOf(track, options = {}) {
+    return findDuplicatesOf(this.db, track, options);
+  }
+
+  /**
+   * Merge duplicate tracks into the best one (or keepTrackId)
+   * Play counts, play history, ratings and playlist entries move to the kept
+   * track and the others go to Recently Deleted, as deleteTracks does; their
+   * files are removed when the bin is purged. The merge can be undone.
+   * @param {Array<number>} trackIds - Tracks to merge
+   * @param {number|null} keepTrackId - Track to keep, or null for the best quality one
+   * @returns {Object} { track_id, removed } - removed lists { track_id, file_path }
+   * @throws {Error} If a track doesn't exist or keepTrackId isn't among trackIds
+   */
+  mergeDuplicates(trackIds, keepTrackId = null) {
+    const ids = Array.isArray(trackIds) ? trackIds : [];
+    const albumIds = this.getTrackAlbumIds(ids);
+    const playlistIds = this.getTrackPlaylistIds(ids);
+    const result = this.recordOperation('Merge duplicates', () => mergeDuplicateTracks(this.db, trackIds, keepTrackId));
+
+    this.publishTrackChanges('tracks-removed', result.removed.map(track => track.track_id), { albumIds, playlistIds });
+    this.publishTrackChanges('tracks-updated', [result.track_id]);
+    return result;
+  }
+
+  // ==================== FINGERPRINT OPERATIONS ====================
+
+  /**
+   * Store a track's acoustic fingerprint
+   * @param {number} trackId - Track ID
+   * @param {Uint32Array} fingerprint - Fingerprint from fingerprintFile()
+   * @param {number} durationSeconds - Length of the decoded audio
+   */
+  setTrackFingerprint(trackId, fingerprint, durationSeconds) {
+    saveTrackFingerprint(this.db, trackId, fingerprint, durationSeconds);
+  }
+
+  /**
+   * Find tracks whose recording matches a fingerprint
+   * @param {Uint32Array} fingerprint - Fingerprint to look up
+   * @param {Object} options - durationSeconds, durationTolerance, minSimilarity and excludeTrackId
+   * @returns {Array} Tracks with similarity (0-1), most similar first
+   * @throws {Error} If an option is out of range
+   */
+  findTracksByFingerprint(fingerprint, options = {}) {
+    return findFingerprintMatches(this.db, fingerprint, options)
+      .map(({ track_id: trackId, similarity }) => ({ ...this.getTrack(trackId), similarity }));
+  }
+
+  /**
+   * Find other tracks of the same recording as a track, by fingerprint
+   * @param {number} trackId - Track ID
+   * @param {Object} options - durationTolerance and minSimilarity as for findTracksByFingerprint
+   * @returns {Array} Tracks with similarity, most similar first; empty if the track has no fingerprint
+   */
+  findSimilarRecordings(trackId, options = {}) {
+    const row = this.db.prepare(`
+      SELECT fingerprint, duration_seconds FROM track_fingerprints
+      WHERE track_id = ? AND version = ?
+    `).get(trackId, FINGERPRINT_VERSION);
+
+    if (!row) {
+      return [];
+    }
+
+    return this.findTracksByFingerprint(decodeFingerprint(row.fingerprint), {
+      ...options,
+      durationSeconds: row.duration_seconds,
+      excludeTrackId: trackId
+    });
+  }
+
+  // ==================== GENRE OPERATIONS ====================
+
+  /**
+   * Get or create a genre by name
+   * Spellings of an existing genre or its aliases resolve to that genre; see genres.js.
+   * @param {string} name - Genre name
+   * @returns {number} genre_id
+   * @throws {Error} If the name has no letters or digits
+   */
+  getOrCreateGenre(name) {
+    return resolveGenre(this.db, name);
+  }
+
+  /**
+   * Add genres to a track
+   * Each entry is a genre tag, so ID3 numeric genres and ";"-separated lists are decoded.
+   * @param {number} trackId - Track ID
+   * @param {Array<string>} genreNames - Array of genre names
+   */
+  addTrackGenres(trackId, genreNames) {
+    if (!genreNames || genreNames.length === 0) return;
+
+    const transaction = this.db.transaction(() => {
+      const stmt = this.db.prepare(`
+        INSERT OR IGNORE INTO track_genres (track_id, genre_id)
+        VALUES (?, ?)
+      `);
+      const genreIds = genreNames.flatMap(name => resolveGenreTag(this.db, name));
+      genreIds.forEach(genreId => stmt.run(trackId, genreId));
+      return genreIds;
+    });
+
+    const genreIds = transaction();
+    this.changes.publish('tracks-updated', [trackId]);
+    this.changes.publish('genres-changed', [...new Set(genreIds)]);
+  }
+
+  /**
+   * Get genres for a track
+   * @param {number} trackId - Track ID
+   * @returns {Array<string>} Array of genre names
+   */
+  getTrackGenres(trackId) {
+    const stmt = this.db.prepare(`
+      SELECT g.name
+      FROM genres g
+      JOIN track_genres tg ON g.genre_id = tg.genre_id
+      WHERE tg.track_id = ?
+      ORDER BY g.name
+    `);
+    return stmt.all(trackId).map(row => row.name);
+  }
+
+  /**
+   * Remove all genres from a track
+   * @param {number} trackId - Track ID
+   */
+  clearTrackGenres(trackId) {
+    const stmt = this.db.prepare('DELETE FROM track_genres WHERE track_id = ?');
+    if (stmt.run(trackId).changes > 0) {
+      this.changes.publish('tracks-updated', [trackId]);
+      this.changes.publish('genres-changed');
+    }
+  }
+
+  /**
+   * Get all genres
+   * @returns {Array} Array of genre objects
+   */
+  getAllGenres() {
+    const stmt = this.db.prepare('SELECT * FROM genres ORDER BY name');
+    return stmt.all();
+  }
+
+  /**
+   * Get a genre with its aliases and track count
+   * @param {number} genreId - Genre ID
+   * @returns {Object|undefined} Genre object with aliases (names) and track_count
+   */
+  getGenre(genreId) {
+    const genre = this.db.prepare(`
+      SELECT g.*, (SELECT COUNT(*) FROM track_genres tg WHERE tg.genre_id = g.genre_id) AS track_count
+      FROM genres g WHERE g.genre_id = ?
+    `).get(genreId);
+    if (!genre) {
+      return undefined;
+    }
+
+    genre.aliases = this.db.prepare('SELECT alias FROM genre_aliases WHERE genre_id = ? ORDER BY alias')
+      .all(genreId).map(row => row.alias);
+    return genre;
+  }
+
+  /**
+   * Get genres nested under their parent genres
+   * @returns {Array} Top-level genre objects; each has a children array
+   */
+  getGenreTree() {
+    return buildGenreTree(this.getAllGenres());
+  }
+
+  /**
+   * Rename a genre
+   * The old name becomes an alias, so tags spelled the old way still resolve to it.
+   * @param {number} genreId - Genre ID
+   * @param {string} name - New name
+   * @returns {Object} Result info
+   * @throws {Error} If the genre doesn't exist or the name belongs to another genre
+   */
+  renameGenre(genreId, name) {
+    return this.recordOperation('Rename genre', () => {
+      const genre = this.getGenre(genreId);
+      if (!genre) {
+        throw new Error(`Genre not found: ${genreId}`);
+      }
+
+      const newName = validateGenreName(name, 'Genre name');
+      const key = genreKey(newName);
+      const owner = findGenreId(this.db, newName);
+      if (owner !== null && owner !== genreId) {
+        throw new Error(`Genre already exists: ${newName}`);
+      }
+
+      this.db.prepare('DELETE FROM genre_aliases WHERE alias_key = ?').run(key);
+      const result = this.db.prepare('UPDATE genres SET name = ?, match_key = ? WHERE genre_id = ?')
+        .run(newName, key, genreId);
+      if (genre.match_key !== key) {
+        this.db.prepare('INSERT INTO genre_aliases (alias_key, alias, genre_id) VALUES (?, ?, ?)')
+          .run(genre.match_key, genre.name, genreId);
+      }
+
+      return { changes: result.changes };
+    });
+  }
+
+  /**
+   * Place a genre under a parent genre, e.g. Post-Rock under Rock
+   * @param {number} genreId - Genre ID
+   * @param {number|null} parentId - Parent genre ID (null = top level)
+   * @returns {Object} Result info
+   * @throws {Error} If either genre doesn't exist or the parent is the genre or one of its subgenres
+   */
+  setGenreParent(genreId, parentId) {
+    return this.recordOperation('Move genre', () => {
+      if (!this.getGenre(genreId)) {
+        throw new Error(`Genre not found: ${genreId}`);
+      }
+      if (parentId !== null) {
+        if (!this.getGenre(parentId)) {
+          throw new Error(`Genre not found: ${parentId}`);
+        }
+        if (isGenreWithin(this.db, parentId, genreId)) {
+          throw new Error('A genre can\'t be placed under itself or one of its subgenres');
+        }
+      }
+
+      const result = this.db.prepare('UPDATE genres SET parent_id = ? WHERE genre_id = ?').run(parentId, genreId);
+      return { changes: result.changes };
+    });
+  }
+
+  /**
+   * Add an alternate spelling that resolves to a genre
+   * If another genre goes by that name, it is merged into this one.
+   * @param {number} genreId - Genre ID
+   * @param {string} alias - Alternate name, e.g. "Rap/Hip Hop"
+   * @returns {Object} Result info; merged_genre_id is set when a genre was merged
+   * @throws {Error} If the genre doesn't exist or the alias is its own name
+   */
+  addGenreAlias(genreId, alias) {
+    return this.recordOperation('Add genre alias', () => {
+      const genre = this.getGenre(genreId);
+      if (!genre) {
+        throw new Error(`Genre not found: ${genreId}`);
+      }
+
+      const name = validateGenreName(alias, 'Alias');
+      const key = genreKey(name);
+      if (key === genre.match_key) {
+        throw new Error(`Alias is the genre's own name: ${name}`);
+      }
+
+      const namedGenre = this.db.prepare('SELECT genre_id FROM genres WHERE match_key = ?').get(key);
+      if (namedGenre) {
+        mergeGenres(this.db, namedGenre.genre_id, genreId);
+        return { merged_genre_id: namedGenre.genre_id };
+      }
+
+      this.db.prepare(`
+        INSERT INTO genre_aliases (alias_key, alias, genre_id) VALUES (?, ?, ?)
+        ON CONFLICT (alias_key) DO UPDATE SET alias = excluded.alias, genre_id = excluded.genre_id
+      `).run(key, name, genreId);
+      return { merged_genre_id: null };
+    });
+  }
+
+  /**
+   * Remove a genre alias
+   * Tracks already tagged stay with the genre; the alias is no longer used for new ones.
+   * @param {string} alias - Alias to remove (any spelling with the same key)
+   * @returns {Object} Result info
+   */
+  removeGenreAlias(alias) {
+    return this.recordOperation('Remove genre alias', () => {
+      const result = this.db.prepare('DELETE FROM genre_aliases WHERE alias_key = ?').run(genreKey(alias));
+      return { changes: result.changes };
+    });
+  }
+
+  /**
+   * Merge genres into one
+   * Tracks, subgenres and aliases of the merged genres move to the target, and
+   * their names become aliases of it.
+   * @param {Array<number>} genreIds - Genres to merge away
+   * @param {number} targetId - Genre that remains
+   * @returns {Object} { genre_id, merged } - merged is the number of genres folded in
+   * @throws {Error} If a genre doesn't exist or the target is among the merged genres
+   */
+  mergeGenres(genreIds, targetId) {
+    return this.recordOperation('Merge genres', () => {
+      const sourceIds = [...new Set(genreIds)];
+      if (sourceIds.length === 0) {
+        throw new Error('Merging needs at least one genre to merge');
+      }
+      if (sourceIds.includes(targetId)) {
+        throw new Error('A genre can\'t be merged into itself');
+      }
+      [targetId, ...sourceIds].forEach(genreId => {
+        if (!this.getGenre(genreId)) {
+          throw new Error(`Genre not found: ${genreId}`);
+        }
+      });
+
+      sourceIds.forEach(sourceId => mergeGenres(this.db, sourceId, targetId));
+      return { genre_id: targetId, merged: sourceIds.length };
+    });
+  }
+
+  /**
+   * Delete genres no track is tagged with
+   * Genres with subgenres or aliases are kept, since they were set up by hand.
+   * @returns {Object} Result info
+   */
+  removeUnusedGenres() {
+    return this.recordOperation('Remove unused genres', () => {
+      const result = this.db.prepare(`
+        DELETE FROM genres
+        WHERE genre_id NOT IN (SELECT genre_id FROM track_genres)
+          AND genre_id NOT IN (SELECT parent_id FROM genres WHERE parent_id IS NOT NULL)
+          AND genre_id NOT IN (SELECT genre_id FROM genre_aliases)
+      `).run();
+      return { changes: result.changes };
+    });
+  }
+
+  // ==================== ARTIST OPERATIONS ====================
+
+  /**
+   * Get artists with at least one credit, in sort name order
+   * @param {Object} options - role limits the list to artists credited in that role
+   * @returns {Array} Artist objects with track_count
+   * @throws {Error} If role isn't a known credit role
+   */
+  getArtists(options = {}) {
+    const { role = null } = options || {};
+    if (role !== null && !ARTIST_ROLES.includes(role)) {
+      throw new Error(`Invalid artist role: ${role}`);
+    }
+
+    const stmt = this.db.prepare(`
+      SELECT ar.*, COUNT(DISTINCT ta.track_id) AS track_count
+      FROM artists ar
+      JOIN track_artists ta ON ta.artist_id = ar.artist_id
+      WHERE @role IS NULL OR ta.role = @role
+      GROUP BY ar.artist_id
+      ORDER BY ar.sort_name, ar.artist_id
+    `);
+    return stmt.all({ role });
+  }
+
+  /**
+   * Get an artist with its aliases
+   * @param {number} artistId - Artist ID
+   * @returns {Object|undefined} Artist object with aliases array, or undefined
+   */
+  getArtist(artistId) {
+    const artist = this.db.prepare('SELECT * FROM artists WHERE artist_id = ?').get(artistId);
+    if (!artist) {
+      return undefined;
+    }
+
+    const aliases = this.db.prepare(`
+      SELECT alias FROM artist_aliases WHERE artist_id = ? ORDER BY alias
+    `).all(artistId).map(row => row.alias);
+    return { ...artist, aliases };
+  }
+
+  /**
+   * Get a track's artist credits
+   * @param {number} trackId - Track ID
+   * @returns {Array} Credits of { artist_id, name, sort_name, role, position } in role order
+   */
+  getTrackArtists(trackId) {
+    const roleOrder = ARTIST_ROLES.map((role, index) => `WHEN '${role}' THEN ${index}`).join(' ');
+    const stmt = this.db.prepare(`
+      SELECT ar.artist_id, ar.name, ar.sort_name, ta.role, ta.position
+      FROM track_artists ta
+      JOIN artists ar ON ar.artist_id = ta.artist_id
+      WHERE ta.track_id = ?
+      ORDER BY CASE ta.role ${roleOrder} END, ta.position
+    `);
+    return stmt.all(trackId);
+  }
+
+  /**
+   * Get the tracks credited to an artist
+   * @param {number} artistId - Artist ID
+   * @param {string|null} role - Only tracks credited in this role (null = any role)
+   * @returns {Array} Track objects in album order
+   * @throws {Error} If role isn't a known credit role
+   */
+  getArtistTracks(artistId, role = null) {
+    if (role !== null && !ARTIST_ROLES.includes(role)) {
+      throw new Error(`Invalid artist role: ${role}`);
+    }
+
+    const stmt = this.db.prepare(`
+      SELECT t.* FROM tracks t
+      WHERE t.track_id IN (
+        SELECT track_id FROM track_artists
+        WHERE artist_id = @artist_id AND (@role IS NULL OR role = @role)
+      )
+      ORDER BY t.album_artist_sort, t.album, t.disc_number, t.track_number, t.track_id
+    `);
+    return stmt.all({ artist_id: artistId, role });
+  }
+
+  /**
+   * Create an artist
+   * Tracks whose tags mention the name are re-credited, so creating "Simon & Garfunkel"
+   * credits the duo instead of "Simon" and "Garfunkel".
+   * @param {Object} artist - name and optional sort_name
+   * @returns {Object} Result with artist_id
+   * @throws {Error} If the name is empty or already an artist or alias
+   */
+  createArtist(artist) {
+    return this.recordOperation('New artist', () => {
+      const name = validateArtistName(artist.name, 'Artist name');
+      if (findArtistId(this.db, name) !== null) {
+        throw new Error(`Artist already exists: ${name}`);
+      }
+
+      const sortName = artist.sort_name === undefined || artist.sort_name === null
+        ? generateSortName(name)
+        : validateArtistName(artist.sort_name, 'Sort name');
+      const artistId = Number(this.db.prepare('INSERT INTO artists (name, sort_name) VALUES (?, ?)')
+        .run(name, sortName).lastInsertRowid);
+
+      syncTracksMentioning(this.db, name);
+      return { artist_id: artistId };
+    });
+  }
+
+  /**
+   * Set how an artist sorts, e.g. "Bowie, David"
+   * @param {number} artistId - Artist ID
+   * @param {string|null} sortName - Sort name (null = generate from the name)
+   * @returns {Object} Result info
+   * @throws {Error} If the artist doesn't exist or the sort name is empty
+   */
+  setArtistSortName(artistId, sortName) {
+    return this.recordOperation('Edit artist', () => {
+      const artist = this.getArtist(artistId);
+      if (!artist) {
+        throw new Error(`Artist not found: ${artistId}`);
+      }
+
+      const value = sortName === null ? generateSortName(artist.name) : validateArtistName(sortName, 'Sort name');
+      const result = this.db.prepare('UPDATE artists SET sort_name = ? WHERE artist_id = ?').run(value, artistId);
+      refreshTrackSortNames(this.db, getCreditedTrackIds(this.db, artistId));
+
+      return { changes: result.changes };
+    });
+  }
+
+  /**
+   * Add an alternate spelling that resolves to an artist
+   * If another artist goes by that name, it is merged into this one.
+   * @param {number} artistId - Artist ID
+   * @param {string} alias - Alternate name, e.g. "Beatles"
+   * @returns {Object} Result info; merged_artist_id is set when an artist was merged
+   * @throws {Error} If the artist doesn't exist or the alias is its own name
+   */
+  addArtistAlias(artistId, alias) {
+    return this.recordOperation('Add artist alias', () => {
+      const artist = this.getArtist(artistId);
+      if (!artist) {
+        throw new Error(`Artist not found: ${artistId}`);
+      }
+
+      const name = validateArtistName(alias, 'Alias');
+      if (artist.name.toLowerCase() === name.toLowerCase()) {
+        throw new Error(`Alias is the artist's own name: ${name}`);
+      }
+
+      let mergedArtistId = null;
+      const namedArtist = this.db.prepare('SELECT artist_id FROM artists WHERE name = ?').get(name);
+      if (namedArtist) {
+        mergeArtists(this.db, namedArtist.artist_id, artistId);
+        mergedArtistId = namedArtist.artist_id;
+      } else {
+        this.db.prepare(`
+          INSERT INTO artist_aliases (alias, artist_id) VALUES (?, ?)
+          ON CONFLICT (alias) DO UPDATE SET artist_id = excluded.artist_id
+        `).run(name, artistId);
+      }
+
+      syncTracksMentioning(this.db, name);
+      return { merged_artist_id: mergedArtistId };
+    });
+  }
+
+  /**
+   * Remove an alias
+   * Existing credits stay with the artist; the alias is no longer used for new ones.
+   * @param {string} alias - Alias to remove
+   * @returns {Object} Result info
+   */
+  removeArtistAlias(alias) {
+    return this.recordOperation('Remove artist alias', () => {
+      const result = this.db.prepare('DELETE FROM artist_aliases WHERE alias = ?').run(String(alias).trim());
+      return { changes: result.changes };
+    });
+  }
+
+  // ==================== PLAYLIST OPERATIONS ====================
+
+  /**
+   * Create a new playlist
+   * Passing smart_rules creates a smart playlist; see smart-playlists.js for the format.
+   * The playlist is added after the last item of its folder (parent_id, null = top level).
+   * @param {Object} playlist - Playlist data
+   * @returns {Object} Result with playlist_id
+   * @throws {Error} If smart_rules are invalid or parent_id isn't a folder
+   */
+  createPlaylist(playlist) {
+    return this.recordOperation(playlist.is_folder ? 'New folder' : 'New playlist', () => {
+      const smartRules = playlist.smart_rules ? validateSmartRules(playlist.smart_rules) : null;
+      const isFolder = playlist.is_folder ? 1 : 0;
+      const parentId = playlist.parent_id ?? null;
+
+      if (isFolder && smartRules) {
+        throw new Error('A folder can\'t have smart playlist rules');
+      }
+
+      const stmt = this.db.prepare(`
+        INSERT INTO playlists (name, description, artwork_path, smart_rules, parent_id, is_folder, sort_order)
+        VALUES (@name, @description, @artwork_path, @smart_rules, @parent_id, @is_folder, @sort_order)
+      `);
+
+      const transaction = this.db.transaction(() => {
+        this.assertPlaylistFolder(parentId);
+
+        const result = stmt.run({
+          name: playlist.name,
+          description: playlist.description || null,
+          artwork_path: playlist.artwork_path || null,
+          smart_rules: smartRules ? JSON.stringify(smartRules) : null,
+          parent_id: parentId,
+          is_folder: isFolder,
+          sort_order: this.getNextPlaylistSortOrder(parentId)
+        });
+
+        if (smartRules && !smartRules.liveUpdating) {
+          this.saveSmartPlaylistSnapshot(result.lastInsertRowid, smartRules);
+        }
+
+        return { playlist_id: result.lastInsertRowid };
+      });
+
+      return transaction();
+    });
+  }
+
+  /**
+   * Get a playlist by ID
+   * @param {number} playlistId - Playlist ID
+   * @returns {Object|undefined} Playlist object (smart_rules parsed, null for regular playlists)
+   */
+  getPlaylist(playlistId) {
+    const stmt = this.db.prepare('SELECT * FROM playlists WHERE playlist_id = ?');
+    return parsePlaylistRow(stmt.get(playlistId));
+  }
+
+  /**
+   * Get all playlists
+   * @returns {Array} Array of playlist objects
+   */
+  getAllPlaylists() {
+    const stmt = this.db.prepare('SELECT * FROM playlists ORDER BY name');
+    return stmt.all().map(parsePlaylistRow);
+  }
+
+  /**
+   * Get playlists and folders nested in sidebar order
+   * @returns {Array} Top-level playlist objects; folders have a children array
+   */
+  getPlaylistTree() {
+    const stmt = this.db.prepare('SELECT * FROM playlists');
+    return buildPlaylistTree(stmt.all().map(parsePlaylistRow));
+  }
+
+  /**
+   * Create a playlist folder
+   * @param {Object} folder - Folder data (name, description, parent_id)
+   * @returns {Object} Result with playlist_id
+   * @throws {Error} If parent_id isn't a folder
+   */
+  createPlaylistFolder(folder) {
+    return this.createPlaylist({ ...folder, smart_rules: null, is_folder: true });
   }
 
   /**
    * Update playlist metadata
+   * Setting smart_rules to null turns a smart playlist back into a regular one.
+   * @param {number} playlistId - Playlist ID
+   * @param {Object} updates - Fields to update
+   * @returns {Object} Result info
+   * @throws {Error} If smart_rules are invalid
+   */
+  updatePlaylist(playlistId, updates) {
+    return this.recordOperation('Edit playlist', () => {
+      const fields = [];
+      const params = { playlist_id: playlistId };
+
+      const allowedFields = ['name', 'description', 'artwork_path'];
+
+      allowedFields.forEach(field => {
+        if (updates.hasOwnProperty(field)) {
+          fields.push(`${field} = @${field}`);
+          params[field] = updates[field];
+        }
+      });
+
+      let smartRules = null;
+      if (updates.hasOwnProperty('smart_rules')) {
+        const existing = this.db.prepare('SELECT is_folder FROM playlists WHERE playlist_id = ?').get(playlistId);
+        if (existing && existing.is_folder && updates.smart_rules) {
+          throw new Error('A folder can\'t have smart playlist rules');
+        }
+        smartRules = updates.smart_rules ? validateSmartRules(updates.smart_rules) : null;
+        fields.push('smart_rules = @smart_rules');
+        params.smart_rules = smartRules ? JSON.stringify(smartRules) : null;
+      }
+
+      if (fields.length === 0) {
+        return { changes: 0 };
+      }
+
+      const query = `UPDATE playlists SET ${fields.join(', ')} WHERE playlist_id = @playlist_id`;
+      const stmt = this.db.prepare(query);
+
+      const transaction = this.db.transaction(() => {
+        const result = stmt.run(params);
+
+        if (result.changes > 0 && smartRules && !smartRules.liveUpdating) {
+          this.saveSmartPlaylistSnapshot(playlistId, smartRules);
+        }
+
+        return { changes: result.changes };
+      });
+
+      return transaction();
+    });
+  }
+
+  /**
+   * Delete a playlist
+   * Deleting a folder moves its contents up into the folder's place, unless
+   * recursive is set, in which case everything inside it is deleted too.
+   * @param {number} playlistId - Playlist ID
+   * @param {Object} options - { recursive }
+   * @returns {Object} Result info (changes counts every deleted playlist and folder)
+   */
+  deletePlaylist(playlistId, { recursive = false } = {}) {
+    return this.recordOperation('Delete playlist', () => {
+      const transaction = this.db.transaction(() => {
+        const playlist = this.db.prepare('SELECT * FROM playlists WHERE playlist_id = ?').get(playlistId);
+        if (!playlist) {
+          return { changes: 0 };
+        }
+
+        let changes = 0;
+        if (playlist.is_folder) {
+          if (recursive) {
+            // Deepest first, so no row is deleted while it still has children
+            const descendants = this.db.prepare(descendantsQuery()).all(playlistId)
+              .sort((a, b) => b.depth - a.depth);
+            const deleteStmt = this.db.prepare('DELETE FROM playlists WHERE playlist_id = ?');
+            descendants.forEach(row => {
+              changes += deleteStmt.run(row.playlist_id).changes;
+            });
+          } else {
+            const children = this.getPlaylistChildIds(playlistId);
+            const siblings = this.getPlaylistChildIds(playlist.parent_id);
+            const index = siblings.indexOf(playlistId);
+            siblings.splice(index, 1, ...children);
+
+            this.db.prepare('UPDATE playlists SET parent_id = ? WHERE parent_id = ?')
+              .run(playlist.parent_id, playlistId);
+            this.renumberPlaylistChildren(siblings);
+          }
+        }
+
+        changes += this.db.prepare('DELETE FROM playlists WHERE playlist_id = ?').run(playlistId).changes;
+        if (!playlist.is_folder || recursive) {
+          this.renumberPlaylistChildren(this.getPlaylistChildIds(playlist.parent_id));
+        }
+
+        return { changes };
+      });
+
+      return transaction();
+    });
+  }
+
+  /**
+   * Move a playlist or folder into a folder
+   * @param {number} playlistId - Playlist or folder to move
+   * @param {number|null} parentId - Destination folder (null = top level)
+   * @param {number} [index] - 0-based position among the destination's children (default: last)
+   * @returns {Object} Result info
+   * @throws {Error} If the destination isn't a folder or is inside the folder being moved
+   */
+  movePlaylist(playlistId, parentId = null, index) {
+    return this.recordOperation('Move playlist', () => {
+      const transaction = this.db.transaction(() => {
+        const playlist = this.db.prepare('SELECT * FROM playlists WHERE playlist_id = ?').get(playlistId);
+        if (!playlist) {
+          throw new Error(`Playlist not found: ${playlistId}`);
+        }
+
+        this.assertPlaylistFolder(parentId);
+        if (parentId !== null) {
+          const inside = parentId === playlistId ||
+            this.db.prepare(descendantsQuery()).all(playlistId).some(row => row.playlist_id === parentId);
+          if (inside) {
+            throw new Error('A folder can\'t be moved into itself');
+          }
+        }
+
+        const siblings = this.getPlaylistChildIds(parentId).filter(id => id !== playlistId);
+        const target = index === undefined || index === null
+          ? siblings.length
+          : Math.max(0, Math.min(Number(index), siblings.length));
+        siblings.splice(target, 0, playlistId);
+
+        this.db.prepare('UPDATE playlists SET parent_id = ? WHERE playlist_id = ?').run(parentId, playlistId);
+        this.renumberPlaylistChildren(siblings);
+        if ((playlist.parent_id ?? null) !== parentId) {
+          this.renumberPlaylistChildren(this.getPlaylistChildIds(playlist.parent_id));
+        }
+
+        return { changes: 1 };
+      });
+
+      return transaction();
+    });
+  }
+
+  /**
+   * Get the IDs of a folder's direct children in sidebar order
+   * @param {number|null} parentId - Folder ID (null = top level)
+   * @returns {Array<number>} Child playlist IDs
+   */
+  getPlaylistChildIds(parentId) {
+    const stmt = this.db.prepare(`
+      SELECT playlist_id FROM playlists
+      WHERE parent_id IS ?
+      ORDER BY sort_order, playlist_id
+    `);
+    return stmt.all(parentId ?? null).map(row => row.playlist_id);
+  }
+
+  /**
+   * Get the sort_order for a new last child of a folder
+   * @param {number|null} parentId - Folder ID (null = top level)
+   * @returns {number} Next sort_order
+   */
+  getNextPlaylistSortOrder(parentId) {
+    const stmt = this.db.prepare(`
+      SELECT COALESCE(MAX(sort_order), 0) + 1 AS next FROM playlists WHERE parent_id IS ?
+    `);
+    return stmt.get(parentId ?? null).next;
+  }
+
+  /**
+   * Number siblings 1..n in the given order
+   * @param {Array<number>} playlistIds - Sibling IDs in their new order
+   */
+  renumberPlaylistChildren(playlistIds) {
+    const stmt = this.db.prepare('UPDATE playlists SET sort_order = ? WHERE playlist_id = ?');
+    playlistIds.forEach((id, index) => stmt.run(index + 1, id));
+  }
+
+  /**
+   * Check that a playlist can contain other playlists
+   * @param {number|null} parentId - Folder ID (null = top level, always valid)
+   * @throws {Error} If the ID doesn't exist or isn't a folder
+   */
+  assertPlaylistFolder(parentId) {
+    if (parentId === null || parentId === undefined) return;
+
+    const row = this.db.prepare('SELECT is_folder FROM playlists WHERE playlist_id = ?').get(parentId);
+    if (!row) {
+      throw new Error(`Folder not found: ${parentId}`);
+    }
+    if (!row.is_folder) {
+      throw new Error(`Playlist ${parentId} is not a folder`);
+    }
+  }
+
+  /**
+   * Add tracks to playlist
+   * Tracks already in the playlist are added again as new entries.
    * @param {number} playlistId - Playlist ID
-   * @param {Object} updates - Fields to update
-   * @returns {Object} Result info
+   * @param {Array<number>} trackIds - Array of track IDs, in the order to insert them
+   * @param {number} [index] - 0-based insert position (default: append)
+   * @returns {Object} Result with the new entry_ids
+   * @throws {Error} If the playlist is a smart playlist or a folder
    */
-  updatePlaylist(playlistId, updates) {
-    const fields = [];
-    const params = { playlist_id: playlistId };
+  addTracksToPlaylist(playlistId, trackIds, index) {
+    return this.recordOperation('Add to playlist', () => {
+      if (!trackIds || trackIds.length === 0) return { entry_ids: [] };
+      this.assertEditablePlaylist(playlistId);
+
+      const transaction = this.db.transaction(() => {
+        const order = this.getPlaylistEntryIds(playlistId);
+        const insertStmt = this.db.prepare(`
+          INSERT INTO playlist_tracks (playlist_id, track_id, position)
+          VALUES (?, ?, ?)
+        `);
 
-    const allowedFields = ['name', 'description', 'artwork_path'];
+        // Insert at the end, then renumber with the new block in place
+        const entryIds = trackIds.map((trackId, offset) => (
+          Number(insertStmt.run(playlistId, trackId, order.length + offset + 1).lastInsertRowid)
+        ));
 
-    allowedFields.forEach(field => {
-      if (updates.hasOwnProperty(field)) {
-        fields.push(`${field} = @${field}`);
-        params[field] = updates[field];
-      }
-    });
+        order.splice(clampIndex(index, order.length), 0, ...entryIds);
+        this.renumberPlaylistEntries(order);
 
-    if (fields.length === 0) {
-      return { changes: 0 };
-    }
+        return { entry_ids: entryIds };
+      });
 
-    const query = `UPDATE playlists SET ${fields.join(', ')} WHERE playlist_id = @playlist_id`;
-    const stmt = this.db.prepare(query);
-    const result = stmt.run(params);
+      return transaction();
+    });
+  }
+
+  /**
+   * Move playlist entries to a new position as one block
+   * Entries keep their relative order, so a multi-selection drag stays in order.
+   * @param {number} playlistId - Playlist ID
+   * @param {Array<number>} entryIds - Entries to move
+   * @param {number} index - 0-based target position among the entries not being moved
+   * @returns {Object} Result info (changes = entries whose position changed)
+   * @throws {Error} If an entry isn't in the playlist, or the playlist can't be edited
+   */
+  movePlaylistEntries(playlistId, entryIds, index) {
+    return this.recordOperation('Reorder playlist', () => {
+      if (!entryIds || entryIds.length === 0) return { changes: 0 };
+      this.assertEditablePlaylist(playlistId);
+
+      const transaction = this.db.transaction(() => {
+        const order = moveEntries(this.getPlaylistEntryIds(playlistId), entryIds, index);
+        return { changes: this.renumberPlaylistEntries(order) };
+      });
 
-    return { changes: result.changes };
+      return transaction();
+    });
   }
 
   /**
-   * Delete a playlist
+   * Move a run of consecutive entries to a new position
+   * Positions are 1-based, like those getPlaylistTracks returns.
    * @param {number} playlistId - Playlist ID
+   * @param {number} start - Position of the first entry to move
+   * @param {number} count - Number of entries to move
+   * @param {number} position - Position the first entry moves to; past the end appends
    * @returns {Object} Result info
+   * @throws {Error} If the range is outside the playlist
    */
-  deletePlaylist(playlistId) {
-    const stmt = this.db.prepare('DELETE FROM playlists WHERE playlist_id = ?');
-    const result = stmt.run(playlistId);
-    return { changes: result.changes };
+  movePlaylistRange(playlistId, start, count, position) {
+    return this.recordOperation('Reorder playlist', () => {
+      if (![start, count, position].every(value => Number.isInteger(value) && value >= 1)) {
+        throw new Error('Range start, count and position must be positive integers');
+      }
+
+      const order = this.getPlaylistEntryIds(playlistId);
+      if (start + count - 1 > order.length) {
+        throw new Error(`Range ${start}-${start + count - 1} is outside the playlist (${order.length} entries)`);
+      }
+      return this.movePlaylistEntries(playlistId, order.slice(start - 1, start - 1 + count), position - 1);
+    });
   }
 
   /**
-   * Add tracks to playlist
+   * Remove specific entries from a playlist
+   * Other copies of the same tracks stay in the playlist.
    * @param {number} playlistId - Playlist ID
-   * @param {Array<number>} trackIds - Array of track IDs
+   * @param {Array<number>} entryIds - Entries to remove
+   * @returns {Object} Result info
+   * @throws {Error} If the playlist is a smart playlist or a folder
    */
-  addTracksToPlaylist(playlistId, trackIds) {
-    if (!trackIds || trackIds.length === 0) return;
+  removePlaylistEntries(playlistId, entryIds) {
+    return this.recordOperation('Remove from playlist', () => {
+      if (!entryIds || entryIds.length === 0) return { changes: 0 };
+      this.assertEditablePlaylist(playlistId);
 
-    const transaction = this.db.transaction(() => {
-      // Get current max position
-      const maxPosStmt = this.db.prepare(`
-        SELECT COALESCE(MAX(position), 0) as max_pos
-        FROM playlist_tracks
-        WHERE playlist_id = ?
-      `);
-      let position = maxPosStmt.get(playlistId).max_pos;
-
-      const insertStmt = this.db.prepare(`
-        INSERT OR IGNORE INTO playlist_tracks (playlist_id, track_id, position)
-        VALUES (?, ?, ?)
-      `);
+      const transaction = this.db.transaction(() => {
+        const deleteStmt = this.db.prepare('DELETE FROM playlist_tracks WHERE playlist_id = ? AND entry_id = ?');
+        const changes = entryIds.reduce((total, entryId) => total + deleteStmt.run(playlistId, entryId).changes, 0);
 
-      trackIds.forEach(trackId => {
-        position++;
-        insertStmt.run(playlistId, trackId, position);
+        this.renumberPlaylistEntries(this.getPlaylistEntryIds(playlistId));
+        return { changes };
       });
+
+      return transaction();
     });
+  }
 
-    transaction();
+  /**
+   * Get a playlist's entry IDs in position order
+   * @param {number} playlistId - Playlist ID
+   * @returns {Array<number>} Entry IDs
+   */
+  getPlaylistEntryIds(playlistId) {
+    const stmt = this.db.prepare(`
+      SELECT entry_id FROM playlist_tracks
+      WHERE playlist_id = ?
+      ORDER BY position, entry_id
+    `);
+    return stmt.all(playlistId).map(row => row.entry_id);
+  }
+
+  /**
+   * Number a playlist's entries 1..n in the given order
+   * Only rows whose position changes are written.
+   * @param {Array<number>} entryIds - All of the playlist's entry IDs in their new order
+   * @returns {number} Number of entries whose position changed
+   */
+  renumberPlaylistEntries(entryIds) {
+    const stmt = this.db.prepare('UPDATE playlist_tracks SET position = ? WHERE entry_id = ? AND position != ?');
+    return entryIds.reduce((changes, entryId, index) => (
+      changes + stmt.run(index + 1, entryId, index + 1).changes
+    ), 0);
   }
 
   /**
    * Get tracks in a playlist
+   * Live smart playlists are evaluated against the current library. A folder
+   * returns the tracks of every playlist inside it, each track once.
    * @param {number} playlistId - Playlist ID
    * @returns {Array} Array of track objects with position
    */
   getPlaylistTracks(playlistId) {
+    const playlist = this.getPlaylist(playlistId);
+    if (playlist && playlist.is_folder) {
+      return this.getPlaylistFolderTracks(playlistId);
+    }
+    if (playlist && playlist.smart_rules && playlist.smart_rules.liveUpdating) {
+      return evaluateSmartRules(this.db, playlist.smart_rules);
+    }
+
     const stmt = this.db.prepare(`
-      SELECT t.*, pt.position
+      SELECT t.*, pt.entry_id, pt.position, pt.added_at
       FROM tracks t
       JOIN playlist_tracks pt ON t.track_id = pt.track_id
       WHERE pt.playlist_id = ?
-      ORDER BY pt.position
+      ORDER BY pt.position, pt.entry_id
     `);
     return stmt.all(playlistId);
   }
 
+  /**
+   * Get the tracks of every playlist inside a folder
+   * Playlists are visited depth first in sidebar order; a track that appears in
+   * several of them is kept at its first position only.
+   * @param {number} folderId - Folder ID
+   * @returns {Array} Array of track objects with position
+   */
+  getPlaylistFolderTracks(folderId) {
+    const seen = new Set();
+    const tracks = [];
+
+    this.db.prepare(descendantsQuery()).all(folderId)
+      .filter(row => !row.is_folder)
+      .forEach(row => {
+        this.getPlaylistTracks(row.playlist_id).forEach(track => {
+          if (!seen.has(track.track_id)) {
+            seen.add(track.track_id);
+            tracks.push({ ...track, position: tracks.length + 1 });
+          }
+        });
+      });
+
+    return tracks;
+  }
+
   /**
    * Remove track from playlist
+   * Every entry of the track is removed; use removePlaylistEntries for a single copy.
    * @param {number} playlistId - Playlist ID
    * @param {number} trackId - Track ID
    * @returns {Object} Result info
+   * @throws {Error} If the playlist is a smart playlist or a folder
    */
   removeTrackFromPlaylist(playlistId, trackId) {
-    const stmt = this.db.prepare(`
-      DELETE FROM playlist_tracks
-      WHERE playlist_id = ? AND track_id = ?
+    return this.recordOperation('Remove from playlist', () => {
+      this.assertEditablePlaylist(playlistId);
+
+      const transaction = this.db.transaction(() => {
+        const stmt = this.db.prepare(`
+          DELETE FROM playlist_tracks
+          WHERE playlist_id = ? AND track_id = ?
+        `);
+        const result = stmt.run(playlistId, trackId);
+
+        this.renumberPlaylistEntries(this.getPlaylistEntryIds(playlistId));
+        return { changes: result.changes };
+      });
+
+      return transaction();
+    });
+  }
+
+  // ==================== SMART PLAYLIST OPERATIONS ====================
+
+  /**
+   * Evaluate smart playlist rules without saving them
+   * @param {Object} rules - Smart playlist rules
+   * @returns {Array} Matching tracks with position
+   * @throws {Error} If the rules are invalid
+   */
+  previewSmartPlaylist(rules) {
+    return evaluateSmartRules(this.db, rules);
+  }
+
+  /**
+   * Re-run a smart playlist's rules
+   * Playlists that aren't live updating keep the refreshed tracks until the next refresh.
+   * @param {number} playlistId - Playlist ID
+   * @returns {Object} Result with track_count
+   * @throws {Error} If the playlist doesn't exist or isn't a smart playlist
+   */
+  refreshSmartPlaylist(playlistId) {
+    return this.recordOperation('Refresh smart playlist', () => {
+      const playlist = this.getPlaylist(playlistId);
+      if (!playlist) {
+        throw new Error(`Playlist not found: ${playlistId}`);
+      }
+      if (!playlist.smart_rules) {
+        throw new Error(`Playlist ${playlistId} is not a smart playlist`);
+      }
+
+      if (playlist.smart_rules.liveUpdating) {
+        return { track_count: evaluateSmartRules(this.db, playlist.smart_rules).length };
+      }
+
+      const transaction = this.db.transaction(() => this.saveSmartPlaylistSnapshot(playlistId, playlist.smart_rules));
+      return { track_count: transaction() };
+    });
+  }
+
+  /**
+   * Replace a playlist's stored tracks with the current matches of its rules
+   * Must be called inside a transaction.
+   * @param {number} playlistId - Playlist ID
+   * @param {Object} rules - Validated smart playlist rules
+   * @returns {number} Number of tracks stored
+   */
+  saveSmartPlaylistSnapshot(playlistId, rules) {
+    const tracks = evaluateSmartRules(this.db, rules);
+
+    this.db.prepare('DELETE FROM playlist_tracks WHERE playlist_id = ?').run(playlistId);
+    const insertStmt = this.db.prepare(`
+      INSERT INTO playlist_tracks (playlist_id, track_id, position)
+      VALUES (?, ?, ?)
     `);
-    const result = stmt.run(playlistId, trackId);
-    return { changes: result.changes };
+    tracks.forEach(track => insertStmt.run(playlistId, track.track_id, track.position));
+
+    return tracks.length;
+  }
+
+  /**
+   * Refuse manual track edits on smart playlists and folders
+   * @param {number} playlistId - Playlist ID
+   * @throws {Error} If the playlist is a smart playlist or a folder
+   */
+  assertEditablePlaylist(playlistId) {
+    const row = this.db.prepare('SELECT smart_rules, is_folder FROM playlists WHERE playlist_id = ?').get(playlistId);
+    if (row && row.is_folder) {
+      throw new Error('A folder only contains playlists; add tracks to a playlist inside it');
+    }
+    if (row && row.smart_rules) {
+      throw new Error('Tracks in a smart playlist are chosen by its rules and can\'t be edited');
+    }
   }
 
   // ==================== ALBUM OPERATIONS ====================
@@ -631,7 +2448,7 @@ class MusicDatabase {
   getOrCreateAlbum(albumData) {
     const getStmt = this.db.prepare(`
       SELECT album_id FROM albums
-      WHERE album_title = ? AND album_artist = ?
+      WHERE album_title = ? AND album_artist IS ?
     `);
     const existing = getStmt.get(albumData.album_title, albumData.album_artist || null);
 
@@ -665,21 +2482,485 @@ class MusicDatabase {
   }
 
   /**
-   * Update album track count
+   * Update album track count and the other aggregates computed from its tracks
+   * Albums are kept in sync by triggers; this is only needed after manual changes
    * @param {number} albumId - Album ID
    */
   updateAlbumTrackCount(albumId) {
+    refreshAlbum(this.db, albumId);
+  }
+
+  /**
+   * Get albums with optional filtering and sorting
+   * @param {Object} filters - album_artist (exact, null for compilations/unknown),
+   *   is_compilation (boolean), year ({ min, max } on release_year)
+   * @param {string|Object|Array} sort - Column name, { column, direction } or an array of them;
+   *   album_artist sorts by the album artist's sort name
+   * @returns {Array} Array of album objects; rating is user_rating or the average of rated tracks
+   */
+  getAlbums(filters = {}, sort = null) {
+    const conditions = ['a.track_count > 0'];
+    const params = {};
+    filters = filters || {};
+
+    if (filters.album_artist !== undefined) {
+      conditions.push('a.album_artist IS @album_artist');
+      params.album_artist = filters.album_artist;
+    }
+
+    if (filters.is_compilation !== undefined && filters.is_compilation !== null) {
+      conditions.push('a.is_compilation = @is_compilation');
+      params.is_compilation = filters.is_compilation ? 1 : 0;
+    }
+
+    if (filters.year) {
+      ['min', 'max'].forEach(bound => {
+        const value = filters.year[bound];
+        if (value === undefined || value === null) return;
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          throw new Error(`Filter year.${bound} must be a finite number`);
+        }
+        conditions.push(`a.release_year ${bound === 'min' ? '>=' : '<='} @year_${bound}`);
+        params[`year_${bound}`] = value;
+      });
+    }
+
+    const sortKeys = normalizeSort(sort, ALLOWED_ALBUM_SORT_COLUMNS, 'album_title');
+    // rating and album_artist_sort are computed columns; the rest are albums columns
+    const computed = { rating: 'rating', album_artist: 'album_artist_sort' };
+    const orderBy = sortKeys
+      .map(({ column, direction }) => `${computed[column] || `a.${column}`} ${direction}`)
+      .join(', ');
+
+    // Compilations have no album artist and sort first, as before
     const stmt = this.db.prepare(`
-      UPDATE albums
-      SET track_count = (
-        SELECT COUNT(*)
-        FROM tracks
-        WHERE album = (SELECT album_title FROM albums WHERE album_id = ?)
-          AND album_artist = (SELECT album_artist FROM albums WHERE album_id = ?)
-      )
-      WHERE album_id = ?
+      SELECT a.*, ${albumRatingSelect('a')},
+        CASE WHEN a.album_artist IS NULL THEN NULL ELSE (
+          SELECT MIN(t.album_artist_sort) FROM tracks t
+          WHERE ${albumMembership('t', 'a.album_title', 'a.album_artist')}
+        ) END AS album_artist_sort
+      FROM albums a
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${orderBy}, a.album_id ASC
     `);
-    stmt.run(albumId, albumId, albumId);
+    return stmt.all(params);
+  }
+
+  /**
+   * Get an album with its tracks grouped by disc
+   * @param {string} albumTitle - Album title
+   * @param {string|null} albumArtist - Album artist (null for compilations/unknown)
+   * @returns {Object|null} Album object with discs: [{ disc_number, tracks }], or null
+   */
+  getAlbumDetails(albumTitle, albumArtist = null) {
+    const album = this.db.prepare(`
+      SELECT a.*, ${albumRatingSelect('a')}
+      FROM albums a
+      WHERE a.album_title = ? AND a.album_artist IS ?
+    `).get(albumTitle, albumArtist ?? null);
+
+    if (!album) {
+      return null;
+    }
+
+    const tracks = this.db.prepare(`
+      SELECT t.* FROM tracks t
+      WHERE ${albumMembership('t', '@album_title', '@album_artist')}
+      ORDER BY COALESCE(t.disc_number, 1), t.track_number, t.title, t.track_id
+    `).all({ album_title: album.album_title, album_artist: album.album_artist });
+
+    const discs = [];
+    tracks.forEach(track => {
+      const discNumber = track.disc_number || 1;
+      let disc = discs[discs.length - 1];
+      if (!disc || disc.disc_number !== discNumber) {
+        disc = { disc_number: discNumber, tracks: [] };
+        discs.push(disc);
+      }
+      disc.tracks.push(track);
+    });
+
+    return { ...album, discs };
+  }
+
+  /**
+   * Set or clear an album's own rating
+   * While no rating is set, the album is rated by the average of its rated tracks.
+   * @param {number} albumId - Album ID
+   * @param {number|null} rating - 0-5 in half-star steps, or null to use the computed rating
+   * @returns {Object} Result info
+   * @throws {Error} If the rating is invalid
+   */
+  setAlbumRating(albumId, rating) {
+    return this.recordOperation('Rate album', () => {
+      validateFieldValue('rating', rating);
+
+      const result = this.db.prepare(`
+        UPDATE albums SET user_rating = ?, updated_at = strftime('%s', 'now') WHERE album_id = ?
+      `).run(rating ?? null, albumId);
+
+      return { changes: result.changes };
+    });
+  }
+
+  /**
+   * Rebuild every album from the tracks table
+   */
+  rebuildAlbums() {
+    const transaction = this.db.transaction(() => {
+      rebuildAlbums(this.db);
+    });
+
+    transaction();
+    this.changes.publish('albums-changed');
+  }
+
+  // ==================== SEARCH OPERATIONS ====================
+
+  /**
+   * Search across tracks, albums and artists
+   * Plain words are a full-text search ranked by relevance; anything using the
+   * query language (fields, operators, phrases) is compiled and filtered instead.
+   * @param {string} query - Search text (terms are prefix-matched, accents ignored)
+   * @param {Object} options - Result limits (trackLimit, albumLimit, artistLimit)
+   * @returns {Object} { tracks, albums, artists }
+   * @throws {Error} If the query doesn't parse; the message says where
+   */
+  searchTracks(query, options = {}) {
+    const node = typeof query === 'string' ? parseQuery(query) : null;
+    if (isPlainTextQuery(node)) {
+      return searchLibrary(this.db, query, options);
+    }
+
+    const params = {};
+    return searchLibraryByQuery(this.db, compileQuery(node, params), params, options);
+  }
+
+  /**
+   * Check query language text without running it
+   * @param {string} query - Query text
+   * @returns {Object} { valid, error, position } - position is 1-based, null when valid
+   */
+  validateQuery(query) {
+    try {
+      parseQuery(query);
+      return { valid: true, error: null, position: null };
+    } catch (error) {
+      return { valid: false, error: error.message, position: error.position ?? null };
+    }
+  }
+
+  /**
+   * Save a query as a live smart playlist
+   * @param {string} name - Playlist name
+   * @param {string} query - Query language text
+   * @param {Object} options - description and parent_id as for createPlaylist
+   * @returns {Object} Result with playlist_id
+   * @throws {Error} If the query doesn't parse
+   */
+  saveSearch(name, query, options = {}) {
+    return this.createPlaylist({
+      ...options,
+      name,
+      smart_rules: { match: 'all', rules: [{ field: 'query', operator: 'matches', value: query }] }
+    });
+  }
+
+  /**
+   * Rebuild the full-text search index from the tracks table
+   */
+  rebuildSearchIndex() {
+    const transaction = this.db.transaction(() => {
+      rebuildSearchIndex(this.db);
+    });
+
+    transaction();
+  }
+
+  // ==================== PLAY STATISTICS ====================
+
+  /**
+   * Record a finished listen
+   * Counts as a play once the threshold is reached, or as a skip if the user moved on
+   * before it; other listens are not recorded.
+   * @param {number} trackId - Track ID
+   * @param {Object} playback - Listen details
+   * @param {number} playback.listenedSeconds - Time actually listened (seeks excluded)
+   * @param {string} playback.endReason - 'completed', 'skipped' or 'stopped'
+   * @param {number} playback.durationSeconds - Track length (defaults to the stored duration)
+   * @param {number} playback.playedAt - Unix timestamp in seconds (defaults to now)
+   * @param {Object} threshold - Play threshold { percent, seconds }
+   * @returns {Object} { outcome: 'play'|'skip'|null, play_id }
+   * @throws {Error} If the track doesn't exist or the listen details are invalid
+   */
+  recordPlayback(trackId, playback = {}, threshold) {
+    const { listenedSeconds, endReason } = playback;
+    const playedAt = playback.playedAt === undefined ? Math.floor(Date.now() / 1000) : playback.playedAt;
+
+    if (typeof listenedSeconds !== 'number' || !Number.isFinite(listenedSeconds) || listenedSeconds < 0) {
+      throw new Error('listenedSeconds must be a non-negative number');
+    }
+    if (!PLAYBACK_END_REASONS.includes(endReason)) {
+      throw new Error(`Invalid playback end reason: ${endReason}`);
+    }
+    if (!Number.isInteger(playedAt)) {
+      throw new Error('playedAt must be a Unix timestamp in seconds');
+    }
+
+    const track = this.getTrack(trackId);
+    if (!track) {
+      throw new Error(`Track not found: ${trackId}`);
+    }
+
+    const outcome = classifyPlayback({
+      listenedSeconds,
+      endReason,
+      durationSeconds: playback.durationSeconds ?? track.duration_seconds
+    }, threshold);
+
+    if (!outcome) {
+      return { outcome: null, play_id: null };
+    }
+
+    const transaction = this.db.transaction(() => {
+      const result = this.db.prepare(`
+        INSERT INTO plays (track_id, played_at, listened_seconds, outcome)
+        VALUES (?, ?, ?, ?)
+      `).run(trackId, playedAt, listenedSeconds, outcome);
+
+      if (outcome === 'play') {
+        this.db.prepare(`
+          UPDATE tracks
+          SET play_count = play_count + 1, last_played = MAX(COALESCE(last_played, 0), @played_at)
+          WHERE track_id = @track_id
+        `).run({ track_id: trackId, played_at: playedAt });
+      } else {
+        this.db.prepare('UPDATE tracks SET skip_count = skip_count + 1 WHERE track_id = ?').run(trackId);
+      }
+
+      return result.lastInsertRowid;
+    });
+
+    const playId = transaction();
+    this.changes.publish('tracks-updated', [trackId]);
+    return { outcome, play_id: playId };
+  }
+
+  /**
+   * Get tracks ordered by when they were last played
+   * @param {number} limit - Maximum number of tracks (default 50)
+   * @returns {Array} Tracks, most recent first
+   */
+  getRecentlyPlayed(limit = DEFAULT_STATS_LIMIT) {
+    validateStatsLimit(limit);
+
+    return this.db.prepare(`
+      SELECT * FROM tracks
+      WHERE last_played IS NOT NULL
+      ORDER BY last_played DESC, track_id DESC
+      LIMIT ?
+    `).all(limit);
+  }
+
+  /**
+   * Get the most played tracks
+   * With a since timestamp, plays are counted from the history and returned as period_play_count.
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of tracks (default 50)
+   * @param {number} options.since - Only count plays at or after this Unix timestamp
+   * @returns {Array} Tracks, most played first
+   */
+  getMostPlayed(options = {}) {
+    const { limit = DEFAULT_STATS_LIMIT, since = null } = options;
+    validateStatsLimit(limit);
+
+    if (since === null) {
+      return this.db.prepare(`
+        SELECT * FROM tracks
+        WHERE play_count > 0
+        ORDER BY play_count DESC, last_played DESC, track_id ASC
+        LIMIT ?
+      `).all(limit);
+    }
+
+    if (!Number.isInteger(since)) {
+      throw new Error('since must be a Unix timestamp in seconds');
+    }
+
+    return this.db.prepare(`
+      SELECT t.*, p.period_play_count
+      FROM (
+        SELECT track_id, COUNT(*) AS period_play_count, MAX(played_at) AS period_last_played
+        FROM plays
+        WHERE outcome = 'play' AND played_at >= ?
+        GROUP BY track_id
+      ) p
+      JOIN tracks t ON t.track_id = p.track_id
+      ORDER BY p.period_play_count DESC, p.period_last_played DESC, t.track_id ASC
+      LIMIT ?
+    `).all(since, limit);
+  }
+
+  /**
+   * Get the listening history of a track
+   * @param {number} trackId - Track ID
+   * @param {number} limit - Maximum number of entries (default 50)
+   * @returns {Array} Plays and skips { play_id, track_id, played_at, listened_seconds, outcome }, newest first
+   */
+  getTrackPlayHistory(trackId, limit = DEFAULT_STATS_LIMIT) {
+    validateStatsLimit(limit);
+
+    return this.db.prepare(`
+      SELECT play_id, track_id, played_at, listened_seconds, outcome
+      FROM plays
+      WHERE track_id = ?
+      ORDER BY played_at DESC, play_id DESC
+      LIMIT ?
+    `).all(trackId, limit);
+  }
+
+  // ==================== CHANGE JOURNAL ====================
+
+  /**
+   * Run edits as one undoable operation
+   * Track, playlist and album edits journal themselves; use this to group several
+   * of them under one label. Nested calls join the outer operation.
+   * @param {string} label - User-visible description, e.g. 'Edit 12 tracks'
+   * @param {Function} fn - Performs the edits
+   * @returns {*} Result of fn
+   */
+  recordOperation(label, fn) {
+    if (this.operationDepth > 0) {
+      return recordOperation(this.db, label, fn);
+    }
+
+    // Changes journaled from here on belong to this operation
+    const { last } = this.db.prepare('SELECT MAX(change_id) AS last FROM journal_changes').get();
+    this.operationDepth++;
+    let result;
+    try {
+      result = recordOperation(this.db, label, fn);
+    } finally {
+      this.operationDepth--;
+    }
+
+    this.publishJournalChanges('change_id > ?', last || 0);
+    return result;
+  }
+
+  /**
+   * Undo the most recent operation
+   * @returns {Object|null} { operation_id, label } of the undone operation, or null if there is nothing to undo
+   * @throws {Error} If the operation can no longer be undone
+   */
+  undo() {
+    const operation = replayOperation(this.db, 'undo');
+    if (operation) {
+      this.publishJournalChanges('operation_id = ?', operation.operation_id, 'undo');
+    }
+    return operation;
+  }
+
+  /**
+   * Redo the most recently undone operation
+   * @returns {Object|null} { operation_id, label } of the redone operation, or null if there is nothing to redo
+   * @throws {Error} If the operation can no longer be redone
+   */
+  redo() {
+    const operation = replayOperation(this.db, 'redo');
+    if (operation) {
+      this.publishJournalChanges('operation_id = ?', operation.operation_id, 'redo');
+    }
+    return operation;
+  }
+
+  /**
+   * Get the operations undo and redo would apply next, for menu labels
+   * @returns {Object} { undo, redo } - each { operation_id, label } or null
+   */
+  getUndoState() {
+    return getUndoState(this.db);
+  }
+
+  /**
+   * Get recent operations with their before/after values, newest first
+   * @param {number} limit - Maximum number of operations
+   * @returns {Array} Operations with their changes
+   */
+  getChangeHistory(limit = DEFAULT_HISTORY_LIMIT) {
+    validateStatsLimit(limit);
+    return getChangeHistory(this.db, limit);
+  }
+
+  // ==================== CHANGE EVENTS ====================
+
+  /**
+   * Get the albums tracks belong to
+   * @param {Array<number>} trackIds - Track IDs
+   * @returns {Array<number>} Album IDs
+   */
+  getTrackAlbumIds(trackIds) {
+    return selectForIds(this.db, `
+      SELECT DISTINCT a.album_id FROM tracks t
+      JOIN albums a ON ${albumMembership('t', 'a.album_title', 'a.album_artist')}
+      WHERE t.track_id IN ({ids})
+    `, trackIds);
+  }
+
+  /**
+   * Get the playlists containing any of the tracks
+   * @param {Array<number>} trackIds - Track IDs
+   * @returns {Array<number>} Playlist IDs
+   */
+  getTrackPlaylistIds(trackIds) {
+    return selectForIds(this.db, `
+      SELECT DISTINCT playlist_id FROM playlist_tracks WHERE track_id IN ({ids})
+    `, trackIds);
+  }
+
+  /**
+   * Publish a track change along with the albums and playlists it affects
+   * The tracks' current albums are added to albumIds.
+   * @param {string} type - 'tracks-added', 'tracks-updated' or 'tracks-removed'
+   * @param {Array<number>} trackIds - Changed tracks
+   * @param {Object} related - albumIds and playlistIds affected beyond the current albums
+   */
+  publishTrackChanges(type, trackIds, { albumIds = [], playlistIds = [] } = {}) {
+    if (trackIds.length === 0) return;
+
+    this.changes.publish(type, trackIds);
+    this.changes.publish('albums-changed', [...new Set([...albumIds, ...this.getTrackAlbumIds(trackIds)])]);
+    this.changes.publish('playlist-changed', playlistIds);
+  }
+
+  /**
+   * Publish the changes that journal entries describe
+   * @param {string} condition - journal_changes condition with one parameter
+   * @param {number} value - Parameter value
+   * @param {string|null} replay - 'undo' or 'redo' when the entries were just replayed
+   */
+  publishJournalChanges(condition, value, replay = null) {
+    const parse = json => (json ? JSON.parse(json) : null);
+    const changes = this.db.prepare(`
+      SELECT table_name, row_key, before_json, after_json FROM journal_changes WHERE ${condition}
+    `).all(value).map(change => ({
+      table: change.table_name,
+      key: parse(change.row_key),
+      before: parse(change.before_json),
+      after: parse(change.after_json)
+    }));
+
+    journalChangeEvents(changes, replay === 'undo').forEach(({ type, ids }) => {
+      if (type === 'tracks-updated' || type === 'tracks-added') {
+        this.publishTrackChanges(type, ids);
+      } else if (type === 'tracks-removed' && replay) {
+        // Which albums the tracks were on is gone with them
+        this.changes.publish(type, ids);
+        this.changes.publish('albums-changed', null);
+      } else {
+        this.changes.publish(type, ids);
+      }
+    });
   }
 
   // ==================== UTILITY OPERATIONS ====================
@@ -710,9 +2991,37 @@ class MusicDatabase {
    * Close database connection
    */
   close() {
+    this.changes.clear();
     this.db.close();
   }
 
+  /**
+   * Copy the database to a file while it stays in use
+   * @param {string} destination - File to write
+   * @returns {Promise<Object>} Progress info from better-sqlite3
+   */
+  backup(destination) {
+    return this.db.backup(destination);
+  }
+
+  /**
+   * Publish a change made outside MusicDatabase, e.g. by restoring a backup
+   * @param {string} type - Change type (see change-events.js)
+   * @param {Array<number>|null} ids - Affected IDs, or null for all
+   */
+  publishChange(type, ids = null) {
+    this.changes.publish(type, ids);
+  }
+
+  /**
+   * Check whether a track, album, playlist or deleted track still uses a file
+   * @param {string} filePath - Audio or artwork path
+   * @returns {boolean} True if the file is in use
+   */
+  isFileReferenced(filePath) {
+    return isFileReferenced(this.db, filePath);
+  }
+
   /**
    * Get the current schema version
    * @returns {number} Schema version
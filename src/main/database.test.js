@@ -1,5 +1,6 @@
 // Comprehensive database tests
 const MusicDatabase = require('./database');
+const { getLatestVersion } = require('./migrations');
 
 describe('MusicDatabase', () => {
   let db;
@@ -45,9 +46,9 @@ describe('MusicDatabase', () => {
       expect(indexNames).toContain('idx_genres_name');
     });
 
-    test('sets initial schema version', () => {
+    test('applies built-in migrations on initialize', () => {
       const version = db.getSchemaVersion();
-      expect(version).toBe(1);
+      expect(version).toBe(getLatestVersion());
     });
 
     test('enables foreign keys', () => {
@@ -211,6 +212,193 @@ describe('MusicDatabase', () => {
     });
   });
 
+  describe('Batch Track Updates', () => {
+    let ids;
+
+    beforeEach(() => {
+      ids = ['One', 'Two', 'Three'].map((title, i) => db.insertTrack({
+        file_path: `/box/${i + 1}.mp3`,
+        title,
+        album: i === 0 ? 'Box Set' : 'Box Set (Disc 2)',
+        date_added: 1
+      }).track_id);
+      db.addTrackGenres(ids[0], ['Rock', 'Live']);
+      db.addTrackGenres(ids[1], ['Rock']);
+    });
+
+    test('applies fields to every track and counts actual changes', () => {
+      const result = db.updateTracks(ids, { album: 'Box Set', album_artist: 'The Band', is_compilation: true });
+
+      expect(result).toEqual({ tracks: 3, fields: { album: 2, album_artist: 3, is_compilation: 3 } });
+      ids.forEach(id => {
+        expect(db.getTrack(id)).toMatchObject({ album: 'Box Set', album_artist: 'The Band', is_compilation: 1 });
+      });
+      expect(db.getArtists({ role: 'album_artist' }).map(artist => artist.name)).toEqual(['The Band']);
+    });
+
+    test('adds and removes genres', () => {
+      const result = db.updateTracks(ids, { genres: { add: ['Prog'], remove: ['Live'] } });
+
+      expect(result.fields).toEqual({ genres: 3 });
+      expect(ids.map(id => db.getTrackGenres(id))).toEqual([['Prog', 'Rock'], ['Prog', 'Rock'], ['Prog']]);
+    });
+
+    test('replaces genres', () => {
+      const result = db.updateTracks(ids, { genres: { replace: ['Rock'] } });
+
+      expect(result).toEqual({ tracks: 2, fields: { genres: 2 } });
+      expect(ids.map(id => db.getTrackGenres(id))).toEqual([['Rock'], ['Rock'], ['Rock']]);
+    });
+
+    test('validates everything before writing', () => {
+      expect(() => db.updateTracks(ids, { album: 'Box', release_year: 1800 })).toThrow('at least 1900');
+      expect(() => db.updateTracks(ids, { album: 'Box', file_path: '/x.mp3' })).toThrow('Invalid field: file_path');
+      expect(() => db.updateTracks(ids, { album: 'Box', title: null })).toThrow('Field title cannot be empty');
+      expect(() => db.updateTracks(ids, { album: 'Box', loved: null })).toThrow('Field loved cannot be empty');
+      expect(() => db.updateTracks([...ids, 999], { album: 'Box' })).toThrow('Track not found: 999');
+      expect(() => db.updateTracks(ids, { album: 'Box', genres: { replace: ['Rock'], add: ['Pop'] } })).toThrow('not both');
+      expect(() => db.updateTracks(ids, { genres: { add: [''] } })).toThrow('non-empty string');
+      expect(() => db.updateTracks([], { album: 'Box' })).toThrow('non-empty array');
+      expect(() => db.updateTracks(['1'], { album: 'Box' })).toThrow('Invalid track ID');
+
+      expect(db.getTrack(ids[1]).album).toBe('Box Set (Disc 2)');
+    });
+
+    test('undoes the whole batch as one operation', () => {
+      db.updateTracks(ids, { rating: 4, genres: { add: ['Prog'] } });
+
+      expect(db.getChangeHistory()[0].label).toBe('Edit 3 tracks');
+      db.undo();
+      expect(ids.map(id => db.getTrack(id).rating)).toEqual([null, null, null]);
+      expect(db.getTrackGenres(ids[2])).toEqual([]);
+    });
+  });
+
+  describe('Track Queries', () => {
+    const seed = () => {
+      const rows = [
+        { title: 'Alpha', artist: 'X', release_year: 1995, duration_seconds: 200, bitrate: 320000, codec: 'MP3', genres: ['Rock'] },
+        { title: 'Bravo', artist: 'Y', release_year: 2001, duration_seconds: 300, bitrate: 128000, codec: 'FLAC', genres: ['Jazz'] },
+        { title: 'Charlie', artist: 'X', release_year: null, duration_seconds: 250, bitrate: 256000, codec: 'MP3', genres: ['Rock', 'Pop'] },
+        { title: 'Delta', artist: 'Z', release_year: 2001, duration_seconds: 400, bitrate: 320000, codec: 'AAC', genres: [] },
+        { title: 'Echo', artist: 'Y', release_year: 1980, duration_seconds: 150, bitrate: 192000, codec: 'flac', genres: ['Pop'] }
+      ];
+      rows.forEach(({ genres, ...row }, i) => {
+        const { track_id } = db.insertTrack({ ...row, file_path: `/q/${i}.mp3`, date_added: 1000 + i });
+        db.addTrackGenres(track_id, genres);
+      });
+    };
+
+    const collectAll = (options) => {
+      const titles = [];
+      let cursor = null;
+      do {
+        const page = db.queryTracks({ ...options, cursor });
+        titles.push(...page.tracks.map(t => t.title));
+        cursor = page.nextCursor;
+      } while (cursor);
+      return titles;
+    };
+
+    beforeEach(seed);
+
+    test('returns a page with total count and cursor', () => {
+      const page = db.queryTracks({ limit: 2 });
+
+      expect(page.tracks.map(t => t.title)).toEqual(['Alpha', 'Bravo']);
+      expect(page.total).toBe(5);
+      expect(page.nextCursor).toEqual(expect.any(String));
+    });
+
+    test('returns a null cursor on the last page', () => {
+      const page = db.queryTracks({ limit: 10 });
+
+      expect(page.tracks).toHaveLength(5);
+      expect(page.nextCursor).toBeNull();
+    });
+
+    test('walks every row exactly once with cursors', () => {
+      expect(collectAll({ limit: 2 })).toEqual(['Alpha', 'Bravo', 'Charlie', 'Delta', 'Echo']);
+    });
+
+    test('paginates multi-column sorts with NULLs and ties', () => {
+      const sort = [
+        { column: 'release_year', direction: 'desc' },
+        { column: 'artist', direction: 'asc' }
+      ];
+      const expected = db.queryTracks({ sort, limit: 10 }).tracks.map(t => t.title);
+
+      expect(expected).toEqual(['Bravo', 'Delta', 'Alpha', 'Echo', 'Charlie']);
+      expect(collectAll({ sort, limit: 1 })).toEqual(expected);
+      expect(collectAll({ sort: [{ column: 'release_year' }], limit: 2 }))
+        .toEqual(['Charlie', 'Echo', 'Alpha', 'Bravo', 'Delta']);
+    });
+
+    test('filters by numeric ranges', () => {
+      const page = db.queryTracks({
+        filters: { year: { min: 1990, max: 2001 }, duration: { max: 300 } }
+      });
+
+      expect(page.tracks.map(t => t.title)).toEqual(['Alpha', 'Bravo']);
+      expect(page.total).toBe(2);
+    });
+
+    test('filters by bitrate and date added', () => {
+      const page = db.queryTracks({
+        filters: { bitrate: { min: 256000 }, date_added: { min: 1001 } }
+      });
+
+      expect(page.tracks.map(t => t.title)).toEqual(['Charlie', 'Delta']);
+    });
+
+    test('filters by codec case-insensitively', () => {
+      const page = db.queryTracks({ filters: { codec: 'flac' } });
+
+      expect(page.tracks.map(t => t.title)).toEqual(['Bravo', 'Echo']);
+    });
+
+    test('filters by any of several genres without duplicating rows', () => {
+      const page = db.queryTracks({ filters: { genre: ['Rock', 'Pop'] } });
+
+      expect(page.tracks.map(t => t.title)).toEqual(['Alpha', 'Charlie', 'Echo']);
+      expect(page.total).toBe(3);
+    });
+
+    test('combines filters with pagination', () => {
+      expect(collectAll({ filters: { artist: 'X', genre: 'Rock' }, limit: 1 }))
+        .toEqual(['Alpha', 'Charlie']);
+    });
+
+    test('skips the count when includeTotal is false', () => {
+      expect(db.queryTracks({ includeTotal: false }).total).toBeNull();
+    });
+
+    test('rejects sort columns outside the whitelist', () => {
+      expect(() => db.queryTracks({ sort: 'title; DROP TABLE tracks' }))
+        .toThrow('Invalid sort column');
+      expect(() => db.queryTracks({ sort: [{ column: 'title', direction: 'sideways' }] }))
+        .toThrow('Invalid sort order');
+    });
+
+    test('rejects invalid limits, filters and cursors', () => {
+      expect(() => db.queryTracks({ limit: 0 })).toThrow('Limit must be');
+      expect(() => db.queryTracks({ limit: 5000 })).toThrow('Limit must be');
+      expect(() => db.queryTracks({ filters: { year: 1995 } })).toThrow('Filter year');
+      expect(() => db.queryTracks({ filters: { year: { min: '1995' } } })).toThrow('Filter year.min');
+      expect(() => db.queryTracks({ filters: { genre: [] } })).toThrow('Filter genre');
+      expect(() => db.queryTracks({ cursor: 'not-a-cursor' })).toThrow('Invalid cursor');
+    });
+
+    test('rejects a cursor produced for a different sort', () => {
+      const { nextCursor } = db.queryTracks({ limit: 1 });
+
+      expect(() => db.queryTracks({
+        cursor: nextCursor,
+        sort: ['artist', 'title']
+      })).toThrow('Invalid cursor');
+    });
+  });
+
   describe('Genre Operations', () => {
     test('creates genre', () => {
       const genreId = db.getOrCreateGenre('Rock');
@@ -403,6 +591,309 @@ describe('MusicDatabase', () => {
     });
   });
 
+  describe('Playlist Entries', () => {
+    let playlistId;
+    let trackIds;
+
+    beforeEach(() => {
+      playlistId = db.createPlaylist({ name: 'Set' }).playlist_id;
+      trackIds = ['A', 'B', 'C', 'D'].map(title => (
+        db.insertTrack({ file_path: `/${title}.mp3`, title, date_added: 1 }).track_id
+      ));
+    });
+
+    const titles = () => db.getPlaylistTracks(playlistId).map(track => track.title);
+    const entries = () => db.getPlaylistTracks(playlistId).map(track => track.entry_id);
+    const positions = () => db.getPlaylistTracks(playlistId).map(track => track.position);
+
+    test('allows the same track more than once', () => {
+      const { entry_ids } = db.addTracksToPlaylist(playlistId, [trackIds[0], trackIds[1], trackIds[0]]);
+
+      expect(entry_ids).toHaveLength(3);
+      expect(titles()).toEqual(['A', 'B', 'A']);
+      expect(new Set(entries()).size).toBe(3);
+    });
+
+    test('inserts at a position', () => {
+      db.addTracksToPlaylist(playlistId, [trackIds[0], trackIds[1]]);
+      db.addTracksToPlaylist(playlistId, [trackIds[2], trackIds[3]], 1);
+
+      expect(titles()).toEqual(['A', 'C', 'D', 'B']);
+      expect(positions()).toEqual([1, 2, 3, 4]);
+    });
+
+    test('moves entries and renumbers positions', () => {
+      db.addTracksToPlaylist(playlistId, trackIds);
+      const [a, , c] = entries();
+
+      expect(db.movePlaylistEntries(playlistId, [c, a], 2)).toEqual({ changes: 4 });
+      expect(titles()).toEqual(['B', 'D', 'A', 'C']);
+      expect(positions()).toEqual([1, 2, 3, 4]);
+    });
+
+    test('moves a range of positions', () => {
+      db.addTracksToPlaylist(playlistId, trackIds);
+
+      db.movePlaylistRange(playlistId, 2, 2, 3);
+      expect(titles()).toEqual(['A', 'D', 'B', 'C']);
+      db.movePlaylistRange(playlistId, 3, 2, 1);
+      expect(titles()).toEqual(['B', 'C', 'A', 'D']);
+      expect(positions()).toEqual([1, 2, 3, 4]);
+      expect(() => db.movePlaylistRange(playlistId, 4, 2, 1)).toThrow('outside the playlist');
+      expect(() => db.movePlaylistRange(playlistId, 1, 2, 0)).toThrow('must be positive integers');
+      expect(db.getChangeHistory()[0].label).toBe('Reorder playlist');
+    });
+
+    test('moving an unknown entry changes nothing', () => {
+      db.addTracksToPlaylist(playlistId, trackIds);
+      const [a] = entries();
+
+      expect(() => db.movePlaylistEntries(playlistId, [a, 9999], 3)).toThrow('Playlist entry not found: 9999');
+      expect(titles()).toEqual(['A', 'B', 'C', 'D']);
+    });
+
+    test('removes one copy of a repeated track', () => {
+      db.addTracksToPlaylist(playlistId, [trackIds[0], trackIds[1], trackIds[0]]);
+      const [first] = entries();
+
+      db.removePlaylistEntries(playlistId, [first]);
+      expect(titles()).toEqual(['B', 'A']);
+      expect(positions()).toEqual([1, 2]);
+    });
+
+    test('removing a track removes every copy and closes the gaps', () => {
+      db.addTracksToPlaylist(playlistId, [trackIds[0], trackIds[1], trackIds[0], trackIds[2]]);
+
+      expect(db.removeTrackFromPlaylist(playlistId, trackIds[0])).toEqual({ changes: 2 });
+      expect(titles()).toEqual(['B', 'C']);
+      expect(positions()).toEqual([1, 2]);
+    });
+
+    test('appends after gaps left by deleted tracks', () => {
+      db.addTracksToPlaylist(playlistId, [trackIds[0], trackIds[1], trackIds[2]]);
+      db.deleteTrack(trackIds[1]);
+
+      db.addTracksToPlaylist(playlistId, [trackIds[3]]);
+      expect(titles()).toEqual(['A', 'C', 'D']);
+      expect(positions()).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('Smart Playlists', () => {
+    const addTrack = (overrides) => db.insertTrack({ title: 'Track', date_added: 1, ...overrides }).track_id;
+
+    beforeEach(() => {
+      const jazz = addTrack({ file_path: '/jazz.mp3', title: 'Jazz', artist: 'A', duration_seconds: 3000 });
+      const rock = addTrack({ file_path: '/rock.mp3', title: 'Rock', artist: 'B', duration_seconds: 3000 });
+      const both = addTrack({ file_path: '/both.mp3', title: 'Both', artist: 'C', duration_seconds: 3000 });
+      db.addTrackGenres(jazz, ['Jazz']);
+      db.addTrackGenres(rock, ['Rock']);
+      db.addTrackGenres(both, ['Jazz', 'Rock']);
+      db.updateTrack(jazz, { rating: 4 });
+      db.db.prepare('UPDATE tracks SET play_count = track_id * 10').run();
+    });
+
+    const titles = tracks => tracks.map(track => track.title);
+
+    test('creates a smart playlist and stores normalized rules', () => {
+      const { playlist_id } = db.createPlaylist({
+        name: 'Jazz',
+        smart_rules: { rules: [{ field: 'genre', operator: 'is', value: 'jazz' }] }
+      });
+
+      const playlist = db.getPlaylist(playlist_id);
+      expect(playlist.smart_rules).toEqual({
+        match: 'all',
+        rules: [{ field: 'genre', operator: 'is', value: 'jazz' }],
+        limit: null,
+        liveUpdating: true
+      });
+      expect(db.getAllPlaylists()[0].smart_rules.match).toBe('all');
+    });
+
+    test('evaluates genre, rating and nested rules', () => {
+      expect(titles(db.previewSmartPlaylist({
+        match: 'all',
+        rules: [
+          { field: 'genre', operator: 'is_not', value: 'Rock' },
+          { match: 'any', rules: [{ field: 'rating', operator: 'greater_than', value: 3 }] }
+        ]
+      }))).toEqual(['Jazz']);
+
+      expect(titles(db.previewSmartPlaylist({
+        match: 'any',
+        rules: [
+          { field: 'artist', operator: 'is', value: 'b' },
+          { field: 'title', operator: 'starts_with', value: 'Bo' }
+        ]
+      }))).toEqual(['Rock', 'Both']);
+    });
+
+    test('applies item limits in the selected order', () => {
+      const tracks = db.previewSmartPlaylist({
+        rules: [],
+        limit: { value: 2, unit: 'items', selectedBy: 'most_played' }
+      });
+      expect(titles(tracks)).toEqual(['Both', 'Rock']);
+      expect(tracks.map(track => track.position)).toEqual([1, 2]);
+    });
+
+    test('fills time limits without going over', () => {
+      const tracks = db.previewSmartPlaylist({
+        rules: [],
+        limit: { value: 2, unit: 'hours', selectedBy: 'least_played' }
+      });
+      expect(titles(tracks)).toEqual(['Jazz', 'Rock']);
+      expect(tracks[0]).not.toHaveProperty('smart_running_total');
+    });
+
+    test('live playlists follow library changes', () => {
+      const { playlist_id } = db.createPlaylist({
+        name: 'Loved',
+        smart_rules: { rules: [{ field: 'loved', operator: 'is', value: 1 }] }
+      });
+      expect(db.getPlaylistTracks(playlist_id)).toHaveLength(0);
+
+      const rock = db.getTracks({}).find(track => track.title === 'Rock');
+      db.updateTrack(rock.track_id, { loved: 1 });
+      expect(titles(db.getPlaylistTracks(playlist_id))).toEqual(['Rock']);
+    });
+
+    test('snapshot playlists only change on refresh', () => {
+      const { playlist_id } = db.createPlaylist({
+        name: 'Rated',
+        smart_rules: { rules: [{ field: 'rating', operator: 'greater_than', value: 0 }], liveUpdating: false }
+      });
+      expect(titles(db.getPlaylistTracks(playlist_id))).toEqual(['Jazz']);
+
+      const rock = db.getTracks({}).find(track => track.title === 'Rock');
+      db.updateTrack(rock.track_id, { rating: 2 });
+      expect(titles(db.getPlaylistTracks(playlist_id))).toEqual(['Jazz']);
+
+      expect(db.refreshSmartPlaylist(playlist_id)).toEqual({ track_count: 2 });
+      expect(titles(db.getPlaylistTracks(playlist_id))).toEqual(['Jazz', 'Rock']);
+    });
+
+    test('updates rules and turns smart playlists back into regular ones', () => {
+      const { playlist_id } = db.createPlaylist({ name: 'Plain' });
+      db.updatePlaylist(playlist_id, { smart_rules: { rules: [{ field: 'artist', operator: 'is', value: 'C' }] } });
+      expect(titles(db.getPlaylistTracks(playlist_id))).toEqual(['Both']);
+
+      db.updatePlaylist(playlist_id, { smart_rules: null });
+      expect(db.getPlaylist(playlist_id).smart_rules).toBeNull();
+    });
+
+    test('rejects invalid rules without saving', () => {
+      expect(() => db.createPlaylist({
+        name: 'Bad',
+        smart_rules: { rules: [{ field: 'file_path', operator: 'is', value: '/' }] }
+      })).toThrow('unknown field');
+      expect(db.getAllPlaylists()).toHaveLength(0);
+    });
+
+    test('refuses manual track edits on smart playlists', () => {
+      const { playlist_id } = db.createPlaylist({ name: 'Smart', smart_rules: { rules: [] } });
+      expect(() => db.addTracksToPlaylist(playlist_id, [1])).toThrow('smart playlist');
+      expect(() => db.removeTrackFromPlaylist(playlist_id, 1)).toThrow('smart playlist');
+      expect(() => db.refreshSmartPlaylist(db.createPlaylist({ name: 'Plain' }).playlist_id))
+        .toThrow('not a smart playlist');
+    });
+  });
+
+  describe('Playlist Folders', () => {
+    const childNames = parentId => db.getPlaylistChildIds(parentId).map(id => db.getPlaylist(id).name);
+
+    test('creates folders and nests playlists in creation order', () => {
+      const folder = db.createPlaylistFolder({ name: 'Team' }).playlist_id;
+      db.createPlaylist({ name: 'Zed', parent_id: folder });
+      db.createPlaylist({ name: 'Alpha', parent_id: folder });
+      db.createPlaylist({ name: 'Top' });
+
+      const tree = db.getPlaylistTree();
+      expect(tree.map(node => node.name)).toEqual(['Team', 'Top']);
+      expect(tree[0].is_folder).toBe(1);
+      expect(tree[0].children.map(node => [node.name, node.sort_order])).toEqual([['Zed', 1], ['Alpha', 2]]);
+    });
+
+    test('only folders can contain playlists', () => {
+      const playlist = db.createPlaylist({ name: 'Plain' }).playlist_id;
+      expect(() => db.createPlaylist({ name: 'Child', parent_id: playlist })).toThrow('is not a folder');
+      expect(() => db.createPlaylist({ name: 'Child', parent_id: 999 })).toThrow('Folder not found');
+    });
+
+    test('folders hold no tracks or rules of their own', () => {
+      const folder = db.createPlaylistFolder({ name: 'Folder' }).playlist_id;
+      expect(() => db.addTracksToPlaylist(folder, [1])).toThrow('A folder only contains playlists');
+      expect(() => db.updatePlaylist(folder, { smart_rules: { rules: [] } })).toThrow('can\'t have smart playlist rules');
+    });
+
+    test('moves playlists between folders at a position', () => {
+      const folder = db.createPlaylistFolder({ name: 'Folder' }).playlist_id;
+      const a = db.createPlaylist({ name: 'A', parent_id: folder }).playlist_id;
+      db.createPlaylist({ name: 'B', parent_id: folder });
+      const c = db.createPlaylist({ name: 'C' }).playlist_id;
+
+      db.movePlaylist(c, folder, 1);
+      expect(childNames(folder)).toEqual(['A', 'C', 'B']);
+
+      db.movePlaylist(a, null, 0);
+      expect(childNames(null)).toEqual(['A', 'Folder']);
+      expect(childNames(folder)).toEqual(['C', 'B']);
+      expect(db.getPlaylist(c).sort_order).toBe(1);
+    });
+
+    test('refuses to move a folder into itself or a descendant', () => {
+      const outer = db.createPlaylistFolder({ name: 'Outer' }).playlist_id;
+      const inner = db.createPlaylistFolder({ name: 'Inner', parent_id: outer }).playlist_id;
+
+      expect(() => db.movePlaylist(outer, outer)).toThrow('into itself');
+      expect(() => db.movePlaylist(outer, inner)).toThrow('into itself');
+      expect(db.getPlaylist(outer).parent_id).toBeNull();
+    });
+
+    test('deleting a folder moves its contents into its place', () => {
+      db.createPlaylist({ name: 'Before' });
+      const folder = db.createPlaylistFolder({ name: 'Folder' }).playlist_id;
+      db.createPlaylist({ name: 'After' });
+      db.createPlaylist({ name: 'X', parent_id: folder });
+      db.createPlaylistFolder({ name: 'Y', parent_id: folder });
+
+      expect(db.deletePlaylist(folder)).toEqual({ changes: 1 });
+      expect(childNames(null)).toEqual(['Before', 'X', 'Y', 'After']);
+    });
+
+    test('recursively deletes a folder and everything inside it', () => {
+      const folder = db.createPlaylistFolder({ name: 'Folder' }).playlist_id;
+      const inner = db.createPlaylistFolder({ name: 'Inner', parent_id: folder }).playlist_id;
+      const playlist = db.createPlaylist({ name: 'Deep', parent_id: inner }).playlist_id;
+      const track = db.insertTrack({ file_path: '/1.mp3', title: 'T1', date_added: 1 }).track_id;
+      db.addTracksToPlaylist(playlist, [track]);
+      db.createPlaylist({ name: 'Kept' });
+
+      expect(db.deletePlaylist(folder, { recursive: true })).toEqual({ changes: 3 });
+      expect(db.getAllPlaylists().map(p => p.name)).toEqual(['Kept']);
+      expect(db.getPlaylist(db.getPlaylistChildIds(null)[0]).sort_order).toBe(1);
+      expect(db.getTrack(track)).toBeDefined();
+    });
+
+    test('plays a folder as the union of its playlists', () => {
+      const ids = ['One', 'Two', 'Three'].map((title, i) => (
+        db.insertTrack({ file_path: `/${i}.mp3`, title, date_added: 1 }).track_id
+      ));
+      const folder = db.createPlaylistFolder({ name: 'Folder' }).playlist_id;
+      const first = db.createPlaylist({ name: 'First', parent_id: folder }).playlist_id;
+      const inner = db.createPlaylistFolder({ name: 'Inner', parent_id: folder }).playlist_id;
+      const nested = db.createPlaylist({ name: 'Nested', parent_id: inner }).playlist_id;
+      db.addTracksToPlaylist(first, [ids[1], ids[0]]);
+      db.addTracksToPlaylist(nested, [ids[0], ids[2]]);
+
+      const tracks = db.getPlaylistTracks(folder);
+      expect(tracks.map(track => track.title)).toEqual(['Two', 'One', 'Three']);
+      expect(tracks.map(track => track.position)).toEqual([1, 2, 3]);
+      expect(db.getPlaylistTracks(inner).map(track => track.title)).toEqual(['One', 'Three']);
+    });
+  });
+
   describe('Album Operations', () => {
     test('creates album', () => {
       const albumId = db.getOrCreateAlbum({
@@ -463,6 +954,143 @@ describe('MusicDatabase', () => {
       const compilation = albums.find(a => a.album_id === albumId);
       expect(compilation.is_compilation).toBe(1);
     });
+
+    describe('Aggregation', () => {
+      const addTrack = (overrides = {}) => db.insertTrack({
+        file_path: `/albums/${Math.random()}.mp3`,
+        title: 'Track',
+        date_added: Date.now(),
+        ...overrides
+      }).track_id;
+
+      const findAlbum = (title, artist = null) => db.db.prepare(`
+        SELECT * FROM albums WHERE album_title = ? AND album_artist IS ?
+      `).get(title, artist);
+
+      test('creates albums with aggregates as tracks are inserted', () => {
+        addTrack({ album: 'Kid A', album_artist: 'Radiohead', duration_seconds: 200, disc_number: 1, release_year: 2000 });
+        addTrack({ album: 'Kid A', album_artist: 'Radiohead', duration_seconds: 300, disc_number: 2, release_year: 2001, artwork_path: '/art/kida.jpg' });
+
+        expect(findAlbum('Kid A', 'Radiohead')).toMatchObject({
+          track_count: 2,
+          total_duration_seconds: 500,
+          disc_count: 2,
+          release_year: 2000,
+          min_year: 2000,
+          max_year: 2001,
+          artwork_path: '/art/kida.jpg',
+          is_compilation: 0
+        });
+      });
+
+      test('groups tracks with NULL album artist into one album', () => {
+        addTrack({ album: 'Untagged' });
+        addTrack({ album: 'Untagged' });
+
+        const albums = db.getAlbums().filter(a => a.album_title === 'Untagged');
+        expect(albums).toHaveLength(1);
+        expect(albums[0].track_count).toBe(2);
+        expect(albums[0].album_artist).toBeNull();
+      });
+
+      test('groups compilation tracks by title regardless of album artist', () => {
+        addTrack({ album: 'Now 47', artist: 'A', album_artist: 'A', is_compilation: true });
+        addTrack({ album: 'Now 47', artist: 'B', album_artist: 'B', is_compilation: true });
+
+        const album = findAlbum('Now 47');
+        expect(album.track_count).toBe(2);
+        expect(album.is_compilation).toBe(1);
+        expect(db.getAlbumDetails('Now 47', null).discs[0].tracks).toHaveLength(2);
+      });
+
+      test('does not create albums for tracks without an album', () => {
+        addTrack({ title: 'Loose single' });
+
+        expect(db.getAlbums()).toHaveLength(0);
+      });
+
+      test('moves tracks between albums on update and prunes empty albums', () => {
+        const id = addTrack({ album: 'Demo', album_artist: 'Band', duration_seconds: 100 });
+        addTrack({ album: 'LP', album_artist: 'Band', duration_seconds: 50 });
+
+        db.updateTrack(id, { album: 'LP' });
+
+        expect(findAlbum('Demo', 'Band')).toBeUndefined();
+        expect(findAlbum('LP', 'Band')).toMatchObject({ track_count: 2, total_duration_seconds: 150 });
+      });
+
+      test('recomputes aggregates when a track is deleted', () => {
+        const id = addTrack({ album: 'EP', album_artist: 'Band', release_year: 1999 });
+        addTrack({ album: 'EP', album_artist: 'Band', release_year: 2003 });
+
+        db.deleteTrack(id);
+        expect(findAlbum('EP', 'Band')).toMatchObject({ track_count: 1, min_year: 2003, max_year: 2003 });
+
+        db.db.prepare('DELETE FROM tracks').run();
+        expect(findAlbum('EP', 'Band')).toBeUndefined();
+      });
+
+      test('updateAlbumTrackCount matches NULL album artists', () => {
+        addTrack({ album: 'Mystery' });
+        const album = findAlbum('Mystery');
+        db.db.prepare('UPDATE albums SET track_count = 0 WHERE album_id = ?').run(album.album_id);
+
+        db.updateAlbumTrackCount(album.album_id);
+
+        expect(findAlbum('Mystery').track_count).toBe(1);
+      });
+
+      test('getOrCreateAlbum matches NULL album artists', () => {
+        const id1 = db.getOrCreateAlbum({ album_title: 'No Artist' });
+        const id2 = db.getOrCreateAlbum({ album_title: 'No Artist' });
+
+        expect(id1).toBe(id2);
+      });
+
+      test('rebuildAlbums() restores albums from tracks', () => {
+        addTrack({ album: 'One', album_artist: 'X' });
+        addTrack({ album: 'Two' });
+        db.db.prepare('DELETE FROM albums').run();
+
+        db.rebuildAlbums();
+
+        expect(db.getAlbums().map(a => a.album_title)).toEqual(['One', 'Two']);
+        expect(findAlbum('Two').track_count).toBe(1);
+      });
+
+      test('getAlbums() filters and sorts', () => {
+        addTrack({ album: 'B Side', album_artist: 'X', release_year: 1990 });
+        addTrack({ album: 'A Side', album_artist: 'X', release_year: 2010 });
+        addTrack({ album: 'Comp', album_artist: 'Y', is_compilation: true, release_year: 2005 });
+
+        expect(db.getAlbums().map(a => a.album_title)).toEqual(['A Side', 'B Side', 'Comp']);
+        expect(db.getAlbums({ album_artist: 'X' }, { column: 'release_year', direction: 'desc' })
+          .map(a => a.album_title)).toEqual(['A Side', 'B Side']);
+        expect(db.getAlbums({ is_compilation: true }).map(a => a.album_title)).toEqual(['Comp']);
+        expect(db.getAlbums({ year: { min: 2000 } }).map(a => a.album_title)).toEqual(['A Side', 'Comp']);
+      });
+
+      test('getAlbums() rejects sort columns outside the whitelist', () => {
+        expect(() => db.getAlbums({}, 'album_id; DROP TABLE albums')).toThrow('Invalid sort column');
+      });
+
+      test('getAlbumDetails() groups tracks by disc in track order', () => {
+        addTrack({ album: 'Box', album_artist: 'Z', title: 'D2T1', disc_number: 2, track_number: 1 });
+        addTrack({ album: 'Box', album_artist: 'Z', title: 'D1T2', disc_number: 1, track_number: 2 });
+        addTrack({ album: 'Box', album_artist: 'Z', title: 'D1T1', disc_number: 1, track_number: 1 });
+
+        const details = db.getAlbumDetails('Box', 'Z');
+
+        expect(details.track_count).toBe(3);
+        expect(details.discs.map(d => d.disc_number)).toEqual([1, 2]);
+        expect(details.discs[0].tracks.map(t => t.title)).toEqual(['D1T1', 'D1T2']);
+        expect(details.discs[1].tracks.map(t => t.title)).toEqual(['D2T1']);
+      });
+
+      test('getAlbumDetails() returns null for unknown albums', () => {
+        expect(db.getAlbumDetails('Nope', 'Nobody')).toBeNull();
+      });
+    });
   });
 
   describe('Statistics', () => {
@@ -486,17 +1114,235 @@ describe('MusicDatabase', () => {
     });
   });
 
+  describe('Ratings', () => {
+    let trackId;
+
+    beforeEach(() => {
+      trackId = db.insertTrack({
+        file_path: '/song.mp3', title: 'Song', album: 'Record', album_artist: 'Band', date_added: 1
+      }).track_id;
+    });
+
+    test('tracks start unrated and not loved', () => {
+      expect(db.getTrack(trackId)).toMatchObject({ rating: null, loved: 0 });
+    });
+
+    test('accepts half-star ratings', () => {
+      db.updateTrack(trackId, { rating: 3.5 });
+      expect(db.getTrack(trackId).rating).toBe(3.5);
+
+      db.updateTrack(trackId, { rating: null });
+      expect(db.getTrack(trackId).rating).toBeNull();
+    });
+
+    test('rejects ratings outside 0-5 or between half stars', () => {
+      expect(() => db.updateTrack(trackId, { rating: 5.5 })).toThrow('at most 5');
+      expect(() => db.updateTrack(trackId, { rating: -1 })).toThrow('at least 0');
+      expect(() => db.updateTrack(trackId, { rating: 2.25 })).toThrow('multiple of 0.5');
+      expect(() => db.updateTrack(trackId, { rating: '4' })).toThrow('must be number');
+    });
+
+    test('the schema rejects invalid ratings written directly', () => {
+      expect(() => db.db.prepare('UPDATE tracks SET rating = 4.2 WHERE track_id = ?').run(trackId))
+        .toThrow(/CHECK constraint/);
+    });
+
+    test('sets loved and disliked flags', () => {
+      db.updateTrack(trackId, { loved: 1 });
+      expect(db.getTrack(trackId).loved).toBe(1);
+
+      db.updateTrack(trackId, { loved: -1 });
+      expect(db.getTrack(trackId).loved).toBe(-1);
+
+      expect(() => db.updateTrack(trackId, { loved: 2 })).toThrow('at most 1');
+    });
+
+    test('stores ratings read on import', () => {
+      const id = db.insertTrack({ file_path: '/rated.mp3', title: 'Rated', rating: 4.5, date_added: 1 }).track_id;
+      expect(db.getTrack(id).rating).toBe(4.5);
+    });
+
+    test('sorts tracks by rating', () => {
+      const otherId = db.insertTrack({ file_path: '/other.mp3', title: 'Other', date_added: 1 }).track_id;
+      db.updateTrack(trackId, { rating: 2 });
+      db.updateTrack(otherId, { rating: 5 });
+
+      const page = db.queryTracks({ sort: { column: 'rating', direction: 'DESC' } });
+      expect(page.tracks.map(t => t.title)).toEqual(['Other', 'Song']);
+    });
+
+    test('album rating is the rounded average of rated tracks', () => {
+      const secondId = db.insertTrack({
+        file_path: '/second.mp3', title: 'Second', album: 'Record', album_artist: 'Band', date_added: 1
+      }).track_id;
+      db.insertTrack({
+        file_path: '/unrated.mp3', title: 'Unrated', album: 'Record', album_artist: 'Band', date_added: 1
+      });
+
+      db.updateTrack(trackId, { rating: 4 });
+      db.updateTrack(secondId, { rating: 4.5 });
+
+      expect(db.getAlbumDetails('Record', 'Band')).toMatchObject({
+        rating: 4.5, user_rating: null, rating_is_computed: 1
+      });
+    });
+
+    test('an album rating overrides the computed rating until cleared', () => {
+      db.updateTrack(trackId, { rating: 2 });
+      const album = db.getAlbums()[0];
+
+      db.setAlbumRating(album.album_id, 5);
+      expect(db.getAlbums()[0]).toMatchObject({ rating: 5, user_rating: 5, rating_is_computed: 0 });
+
+      db.setAlbumRating(album.album_id, null);
+      expect(db.getAlbums()[0]).toMatchObject({ rating: 2, rating_is_computed: 1 });
+
+      expect(() => db.setAlbumRating(album.album_id, 7)).toThrow('at most 5');
+    });
+
+    test('sorts albums by rating', () => {
+      db.insertTrack({ file_path: '/b.mp3', title: 'B', album: 'Better', album_artist: 'Band', date_added: 1 });
+      db.updateTrack(trackId, { rating: 1 });
+      const better = db.getAlbums().find(a => a.album_title === 'Better');
+      db.setAlbumRating(better.album_id, 4);
+
+      const albums = db.getAlbums({}, { column: 'rating', direction: 'DESC' });
+      expect(albums.map(a => a.album_title)).toEqual(['Better', 'Record']);
+    });
+  });
+
+  describe('Play Statistics', () => {
+    let trackId;
+
+    beforeEach(() => {
+      trackId = db.insertTrack({
+        file_path: '/song.mp3', title: 'Song', duration_seconds: 200, date_added: 1
+      }).track_id;
+    });
+
+    test('new tracks start with empty statistics', () => {
+      expect(db.getTrack(trackId)).toMatchObject({ play_count: 0, skip_count: 0, last_played: null });
+    });
+
+    test('counts a play once the threshold is reached', () => {
+      const result = db.recordPlayback(trackId, {
+        listenedSeconds: 100, endReason: 'skipped', playedAt: 1000
+      });
+
+      expect(result.outcome).toBe('play');
+      expect(db.getTrack(trackId)).toMatchObject({ play_count: 1, skip_count: 0, last_played: 1000 });
+      expect(db.getTrackPlayHistory(trackId)).toEqual([
+        { play_id: result.play_id, track_id: trackId, played_at: 1000, listened_seconds: 100, outcome: 'play' }
+      ]);
+    });
+
+    test('counts a skip when the user moves on early', () => {
+      const result = db.recordPlayback(trackId, { listenedSeconds: 10, endReason: 'skipped' });
+
+      expect(result.outcome).toBe('skip');
+      expect(db.getTrack(trackId)).toMatchObject({ play_count: 0, skip_count: 1, last_played: null });
+    });
+
+    test('ignores short listens that were not skipped', () => {
+      const result = db.recordPlayback(trackId, { listenedSeconds: 10, endReason: 'stopped' });
+
+      expect(result).toEqual({ outcome: null, play_id: null });
+      expect(db.getTrackPlayHistory(trackId)).toEqual([]);
+    });
+
+    test('uses the configured threshold', () => {
+      const threshold = { percent: 90, seconds: 600 };
+
+      expect(db.recordPlayback(trackId, { listenedSeconds: 150, endReason: 'stopped' }, threshold).outcome)
+        .toBeNull();
+      expect(db.recordPlayback(trackId, { listenedSeconds: 180, endReason: 'stopped' }, threshold).outcome)
+        .toBe('play');
+    });
+
+    test('validates playback details', () => {
+      expect(() => db.recordPlayback(trackId, { listenedSeconds: -1, endReason: 'completed' }))
+        .toThrow('listenedSeconds must be a non-negative number');
+      expect(() => db.recordPlayback(trackId, { listenedSeconds: 10, endReason: 'paused' }))
+        .toThrow('Invalid playback end reason');
+      expect(() => db.recordPlayback(999, { listenedSeconds: 10, endReason: 'completed' }))
+        .toThrow('Track not found');
+    });
+
+    test('getRecentlyPlayed() orders by last play', () => {
+      const otherId = db.insertTrack({ file_path: '/other.mp3', title: 'Other', date_added: 1 }).track_id;
+      db.insertTrack({ file_path: '/never.mp3', title: 'Never', date_added: 1 });
+
+      db.recordPlayback(trackId, { listenedSeconds: 200, endReason: 'completed', playedAt: 1000 });
+      db.recordPlayback(otherId, { listenedSeconds: 240, endReason: 'completed', playedAt: 2000 });
+
+      expect(db.getRecentlyPlayed().map(t => t.title)).toEqual(['Other', 'Song']);
+      expect(db.getRecentlyPlayed(1).map(t => t.title)).toEqual(['Other']);
+    });
+
+    test('getMostPlayed() orders by play count', () => {
+      const otherId = db.insertTrack({ file_path: '/other.mp3', title: 'Other', date_added: 1 }).track_id;
+
+      db.recordPlayback(trackId, { listenedSeconds: 200, endReason: 'completed', playedAt: 1000 });
+      db.recordPlayback(otherId, { listenedSeconds: 240, endReason: 'completed', playedAt: 1000 });
+      db.recordPlayback(otherId, { listenedSeconds: 240, endReason: 'completed', playedAt: 1100 });
+
+      expect(db.getMostPlayed().map(t => [t.title, t.play_count])).toEqual([['Other', 2], ['Song', 1]]);
+    });
+
+    test('getMostPlayed() counts plays since a timestamp', () => {
+      const otherId = db.insertTrack({ file_path: '/other.mp3', title: 'Other', date_added: 1 }).track_id;
+
+      db.recordPlayback(otherId, { listenedSeconds: 240, endReason: 'completed', playedAt: 100 });
+      db.recordPlayback(otherId, { listenedSeconds: 240, endReason: 'completed', playedAt: 200 });
+      db.recordPlayback(trackId, { listenedSeconds: 200, endReason: 'completed', playedAt: 5000 });
+      db.recordPlayback(trackId, { listenedSeconds: 5, endReason: 'skipped', playedAt: 5100 });
+
+      expect(db.getMostPlayed({ since: 1000 }).map(t => [t.title, t.period_play_count]))
+        .toEqual([['Song', 1]]);
+    });
+
+    test('rejects invalid limits', () => {
+      expect(() => db.getRecentlyPlayed(0)).toThrow('Limit must be an integer');
+      expect(() => db.getMostPlayed({ limit: 'all' })).toThrow('Limit must be an integer');
+    });
+
+    test('history is removed with the track', () => {
+      db.recordPlayback(trackId, { listenedSeconds: 200, endReason: 'completed' });
+      db.deleteTrack(trackId);
+
+      expect(db.db.prepare('SELECT COUNT(*) as count FROM plays').get().count).toBe(0);
+    });
+
+    test('statistics columns are sortable and filterable', () => {
+      const otherId = db.insertTrack({ file_path: '/other.mp3', title: 'Other', date_added: 1 }).track_id;
+      db.recordPlayback(otherId, { listenedSeconds: 240, endReason: 'completed' });
+
+      const page = db.queryTracks({
+        sort: { column: 'play_count', direction: 'DESC' },
+        filters: { play_count: { min: 1 } }
+      });
+
+      expect(page.tracks.map(t => t.title)).toEqual(['Other']);
+    });
+  });
+
   describe('Migrations', () => {
+    let baseVersion;
+
+    beforeEach(() => {
+      baseVersion = db.getSchemaVersion();
+    });
+
     test('runs migration and updates version', () => {
       let migrationRan = false;
 
-      db.migrate(2, (database) => {
+      db.migrate(baseVersion + 1, (database) => {
         migrationRan = true;
         database.exec('CREATE TABLE test_migration (id INTEGER)');
       });
 
       expect(migrationRan).toBe(true);
-      expect(db.getSchemaVersion()).toBe(2);
+      expect(db.getSchemaVersion()).toBe(baseVersion + 1);
 
       // Verify table was created
       const tables = db.db.prepare(`
@@ -510,24 +1356,24 @@ describe('MusicDatabase', () => {
     test('does not run migration if already at version', () => {
       let migrationCount = 0;
 
-      db.migrate(1, () => {
+      db.migrate(baseVersion, () => {
         migrationCount++;
       });
 
       expect(migrationCount).toBe(0);
-      expect(db.getSchemaVersion()).toBe(1);
+      expect(db.getSchemaVersion()).toBe(baseVersion);
     });
 
     test('runs multiple migrations in sequence', () => {
-      db.migrate(2, (database) => {
-        database.exec('CREATE TABLE migration_2 (id INTEGER)');
+      db.migrate(baseVersion + 1, (database) => {
+        database.exec('CREATE TABLE migration_a (id INTEGER)');
       });
 
-      db.migrate(3, (database) => {
-        database.exec('CREATE TABLE migration_3 (id INTEGER)');
+      db.migrate(baseVersion + 2, (database) => {
+        database.exec('CREATE TABLE migration_b (id INTEGER)');
       });
 
-      expect(db.getSchemaVersion()).toBe(3);
+      expect(db.getSchemaVersion()).toBe(baseVersion + 2);
     });
   });
 
@@ -554,6 +1400,19 @@ describe('MusicDatabase', () => {
     });
   });
 
+  describe('Statement Cache', () => {
+    test('reuses prepared statements and resets raw mode', () => {
+      const sql = 'SELECT name FROM genres';
+      db.getOrCreateGenre('Rock');
+
+      const stmt = db.db.prepare(sql);
+      expect(db.db.prepare(sql)).toBe(stmt);
+
+      expect(stmt.raw().all()).toEqual([['Rock']]);
+      expect(db.db.prepare(sql).all()).toEqual([{ name: 'Rock' }]);
+    });
+  });
+
   describe('Complex Queries', () => {
     test('handles tracks with multiple genres', () => {
       const track1 = db.insertTrack({ file_path: '/1.mp3', title: 'Rock Song', date_added: Date.now() });
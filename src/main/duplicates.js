@@ -0,0 +1,308 @@
+/**
+ * Duplicate Finder
+ *
+ * Finds tracks that are probably copies of the same recording and merges them.
+ *
+ * Two tracks match when their normalized titles and artists are equal and their
+ * durations differ by no more than a tolerance (2 seconds by default). Matching
+ * the album as well is optional, so a song on both an album and a compilation
+ * can be told apart when wanted. Normalizing folds case, diacritics and
+ * punctuation and drops featured-artist credits and remaster notes, so a
+ * re-tagged copy still matches. Tracks without a duration are never matched.
+ *
+ * Each group is ranked by quality: lossless before lossy, then bitrate, then
+ * sample rate. Merging keeps the best (or a chosen) track and moves play counts,
+ * play history, ratings and playlist entries of the others onto it before
+ * moving them to Recently Deleted (see trash.js).
+ */
+
+const { parseArtistCredit } = require('./artists');
+const { moveTracksToTrash } = require('./trash');
+
+const DUPLICATE_DEFAULTS = {
+  durationTolerance: 2,
+  matchAlbum: false
+};
+
+// Largest accepted duration tolerance, in seconds
+const MAX_DURATION_TOLERANCE = 30;
+
+// Codec names (as reported by the metadata parser) that are lossless
+const LOSSLESS_CODEC_PATTERN = /flac|alac|pcm|wav|aiff|ape|wavpack|lossless/i;
+
+// "(feat. B)" or "[ft. B]" in a title
+const TITLE_FEATURING_PATTERN = /\s*[([]\s*(?:featuring|feat\.?|ft\.?)\s+[^)\]]+[)\]]/gi;
+
+// Trailing remaster notes: "- Remastered 2011", "(2009 Remaster)", "[Remastered Version]"
+const REMASTER_PATTERN = /\s*(?:-\s*|[([]\s*)(?:\d{4}\s+)?(?:digital(?:ly)?\s+)?remaster(?:ed)?(?:\s+\d{4})?(?:\s+version)?\s*[)\]]?\s*$/i;
+
+/**
+ * Index track durations, which findDuplicatesOf() narrows candidates by
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createDuplicateIndexes(db) {
+  db.exec('CREATE INDEX IF NOT EXISTS idx_tracks_duration ON tracks(duration_seconds)');
+}
+
+/**
+ * Normalize free text for matching
+ *
+ * @param {string|null} value - Text to normalize
+ * @returns {string} Lowercase words without diacritics or punctuation
+ */
+function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Build the key tracks are grouped by, without the duration
+ *
+ * @param {Object} track - Track with title, artist and album
+ * @param {boolean} matchAlbum - Whether the album is part of the key
+ * @returns {string} Match key
+ */
+function matchKey(track, matchAlbum = false) {
+  const title = normalizeText(
+    String(track.title || '').replace(TITLE_FEATURING_PATTERN, '').replace(REMASTER_PATTERN, '')
+  );
+  const artist = parseArtistCredit(track.artist).primary.map(normalizeText).sort().join(' and ');
+  const parts = [title, artist];
+
+  if (matchAlbum) {
+    parts.push(normalizeText(String(track.album || '').replace(REMASTER_PATTERN, '')));
+  }
+
+  return parts.join('\u0000');
+}
+
+/**
+ * Merge partial duplicate options with the defaults and validate them
+ *
+ * @param {Object} options - { durationTolerance, matchAlbum }
+ * @returns {Object} Complete options
+ * @throws {Error} If a value is out of range
+ */
+function normalizeDuplicateOptions(options = {}) {
+  const result = { ...DUPLICATE_DEFAULTS, ...options };
+
+  if (typeof result.durationTolerance !== 'number' ||
+      !(result.durationTolerance >= 0 && result.durationTolerance <= MAX_DURATION_TOLERANCE)) {
+    throw new Error(`Duration tolerance must be between 0 and ${MAX_DURATION_TOLERANCE} seconds`);
+  }
+  if (typeof result.matchAlbum !== 'boolean') {
+    throw new Error('matchAlbum must be a boolean');
+  }
+
+  return result;
+}
+
+/**
+ * Whether a codec name is lossless
+ *
+ * @param {string|null} codec - Codec name
+ * @returns {boolean} True for lossless codecs
+ */
+function isLossless(codec) {
+  return LOSSLESS_CODEC_PATTERN.test(codec || '');
+}
+
+/**
+ * Compare two tracks by audio quality
+ * Ties go to the track that has been in the library longest.
+ *
+ * @param {Object} a - Track
+ * @param {Object} b - Track
+ * @returns {number} Negative if a is better, positive if b is better
+ */
+function compareQuality(a, b) {
+  return (Number(isLossless(b.codec)) - Number(isLossless(a.codec))) ||
+    ((b.bitrate || 0) - (a.bitrate || 0)) ||
+    ((b.sample_rate || 0) - (a.sample_rate || 0)) ||
+    (a.track_id - b.track_id);
+}
+
+/**
+ * Split tracks sharing a match key into groups of similar length
+ * Each group holds the tracks within the tolerance of its shortest track.
+ *
+ * @param {Array<Object>} tracks - Tracks with duration_seconds
+ * @param {number} tolerance - Allowed difference in seconds
+ * @returns {Array<Array<Object>>} Groups of two or more tracks
+ */
+function groupByDuration(tracks, tolerance) {
+  const sorted = [...tracks].sort((a, b) => a.duration_seconds - b.duration_seconds || a.track_id - b.track_id);
+  const groups = [];
+  let current = [];
+
+  for (const track of sorted) {
+    if (current.length > 0 && track.duration_seconds - current[0].duration_seconds > tolerance) {
+      groups.push(current);
+      current = [];
+    }
+    current.push(track);
+  }
+  groups.push(current);
+
+  return groups.filter(group => group.length > 1);
+}
+
+/**
+ * Find groups of duplicate tracks in the library
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Object} options - { durationTolerance, matchAlbum }
+ * @returns {Array<Object>} Groups ordered by title: { best_track_id, tracks } with tracks best first
+ */
+function findDuplicateGroups(db, options = {}) {
+  const { durationTolerance, matchAlbum } = normalizeDuplicateOptions(options);
+
+  const tracks = db.prepare(`
+    SELECT * FROM tracks
+    WHERE duration_seconds IS NOT NULL
+    ORDER BY track_id
+  `).all();
+
+  const byKey = new Map();
+  for (const track of tracks) {
+    const key = matchKey(track, matchAlbum);
+    if (!byKey.has(key)) {
+      byKey.set(key, []);
+    }
+    byKey.get(key).push(track);
+  }
+
+  const groups = [];
+  for (const [key, candidates] of byKey) {
+    if (candidates.length < 2) {
+      continue;
+    }
+    for (const group of groupByDuration(candidates, durationTolerance)) {
+      const ranked = group.sort(compareQuality);
+      groups.push({ key, best_track_id: ranked[0].track_id, tracks: ranked });
+    }
+  }
+
+  return groups
+    .sort((a, b) => a.key.localeCompare(b.key) || a.best_track_id - b.best_track_id)
+    .map(({ best_track_id, tracks }) => ({ best_track_id, tracks }));
+}
+
+/**
+ * Find library tracks that duplicate a track that isn't in the library yet
+ * Runs for every imported file, so candidates are read with just the columns
+ * matched and ranked on, and only the matches are read in full.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Object} track - title, artist, album and duration_seconds of the new track
+ * @param {Object} options - { durationTolerance, matchAlbum }
+ * @returns {Array<Object>} Matching tracks, best first
+ */
+function findDuplicatesOf(db, track, options = {}) {
+  const { durationTolerance, matchAlbum } = normalizeDuplicateOptions(options);
+
+  if (typeof track.duration_seconds !== 'number') {
+    return [];
+  }
+
+  const key = matchKey(track, matchAlbum);
+  const matches = db.prepare(`
+    SELECT track_id, title, artist, album, codec, bitrate, sample_rate FROM tracks
+    WHERE duration_seconds BETWEEN @min AND @max
+  `).all({ min: track.duration_seconds - durationTolerance, max: track.duration_seconds + durationTolerance })
+    .filter(candidate => matchKey(candidate, matchAlbum) === key)
+    .sort(compareQuality);
+
+  const select = db.prepare('SELECT * FROM tracks WHERE track_id = ?');
+  return matches.map(match => select.get(match.track_id));
+}
+
+/**
+ * Merge duplicate tracks into one
+ * Play and skip counts are added up, the latest last_played, the history and
+ * all playlist entries move to the kept track. It keeps its own rating and
+ * loved state when set and otherwise takes the highest from the others.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Array<number>} trackIds - Tracks to merge, at least two
+ * @param {number|null} keepTrackId - Track to keep; defaults to the best quality one
+ * @returns {Object} { track_id, removed } - removed lists { track_id, file_path } of tracks moved to the bin
+ * @throws {Error} If a track doesn't exist or keepTrackId isn't one of trackIds
+ */
+function mergeDuplicateTracks(db, trackIds, keepTrackId = null) {
+  const ids = Array.isArray(trackIds) ? [...new Set(trackIds)] : [];
+  if (ids.length < 2 || !ids.every(Number.isInteger)) {
+    throw new Error('Merging needs at least two track IDs');
+  }
+  if (keepTrackId !== null && !ids.includes(keepTrackId)) {
+    throw new Error(`Track ${keepTrackId} is not one of the tracks being merged`);
+  }
+
+  return db.transaction(() => {
+    const placeholders = ids.map(() => '?').join(', ');
+    const tracks = db.prepare(`SELECT * FROM tracks WHERE track_id IN (${placeholders})`).all(...ids);
+    const missing = ids.filter(id => !tracks.some(track => track.track_id === id));
+    if (missing.length > 0) {
+      throw new Error(`Track not found: ${missing[0]}`);
+    }
+
+    const keep = keepTrackId === null
+      ? [...tracks].sort(compareQuality)[0]
+      : tracks.find(track => track.track_id === keepTrackId);
+    const others = tracks.filter(track => track !== keep);
+    const otherIds = others.map(track => track.track_id);
+    const otherPlaceholders = otherIds.map(() => '?').join(', ');
+
+    const ratings = others.map(track => track.rating).filter(rating => rating !== null);
+    const loved = others.map(track => track.loved || 0);
+    const played = tracks.map(track => track.last_played).filter(time => time !== null);
+
+    db.prepare(`
+      UPDATE tracks
+      SET play_count = @play_count,
+          skip_count = @skip_count,
+          last_played = @last_played,
+          rating = @rating,
+          loved = @loved
+      WHERE track_id = @track_id
+    `).run({
+      track_id: keep.track_id,
+      play_count: tracks.reduce((sum, track) => sum + track.play_count, 0),
+      skip_count: tracks.reduce((sum, track) => sum + track.skip_count, 0),
+      last_played: played.length > 0 ? Math.max(...played) : null,
+      rating: keep.rating ?? (ratings.length > 0 ? Math.max(...ratings) : null),
+      // A loved copy wins over a disliked one
+      loved: keep.loved || (loved.includes(1) ? 1 : Math.min(0, ...loved))
+    });
+
+    db.prepare(`UPDATE plays SET track_id = ? WHERE track_id IN (${otherPlaceholders})`)
+      .run(keep.track_id, ...otherIds);
+    db.prepare(`UPDATE playlist_tracks SET track_id = ? WHERE track_id IN (${otherPlaceholders})`)
+      .run(keep.track_id, ...otherIds);
+    moveTracksToTrash(db, otherIds);
+
+    return {
+      track_id: keep.track_id,
+      removed: others.map(track => ({ track_id: track.track_id, file_path: track.file_path }))
+    };
+  })();
+}
+
+module.exports = {
+  DUPLICATE_DEFAULTS,
+  createDuplicateIndexes,
+  normalizeText,
+  matchKey,
+  normalizeDuplicateOptions,
+  isLossless,
+  compareQuality,
+  findDuplicateGroups,
+  findDuplicatesOf,
+  mergeDuplicateTracks
+};
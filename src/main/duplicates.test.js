@@ -0,0 +1,184 @@
+// Duplicate finder matching, quality ranking and merge tests
+const MusicDatabase = require('./database');
+const { normalizeText, matchKey, compareQuality, normalizeDuplicateOptions } = require('./duplicates');
+
+describe('Duplicates', () => {
+  describe('matchKey()', () => {
+    test('ignores case, accents, punctuation and featured credits', () => {
+      expect(normalizeText('  Björk: Jóga!! ')).toBe('bjork joga');
+      expect(matchKey({ title: 'Song (feat. B)', artist: 'A ft. B' }))
+        .toBe(matchKey({ title: 'song', artist: 'a' }));
+      expect(matchKey({ title: 'Rock & Roll', artist: 'B & A' }))
+        .toBe(matchKey({ title: 'Rock and Roll', artist: 'A & B' }));
+    });
+
+    test('drops remaster notes but keeps other versions apart', () => {
+      const original = matchKey({ title: 'Song', artist: 'A' });
+      expect(matchKey({ title: 'Song - Remastered 2011', artist: 'A' })).toBe(original);
+      expect(matchKey({ title: 'Song (2009 Remaster)', artist: 'A' })).toBe(original);
+      expect(matchKey({ title: 'Song (Live)', artist: 'A' })).not.toBe(original);
+    });
+
+    test('includes the album only when asked', () => {
+      const a = { title: 'Song', artist: 'A', album: 'First' };
+      const b = { title: 'Song', artist: 'A', album: 'Best Of' };
+      expect(matchKey(a)).toBe(matchKey(b));
+      expect(matchKey(a, true)).not.toBe(matchKey(b, true));
+    });
+  });
+
+  describe('compareQuality()', () => {
+    test('ranks lossless, then bitrate, then sample rate, then age', () => {
+      const tracks = [
+        { track_id: 1, codec: 'MPEG 1 Layer 3', bitrate: 320000, sample_rate: 44100 },
+        { track_id: 2, codec: 'FLAC', bitrate: 900000, sample_rate: 44100 },
+        { track_id: 3, codec: 'AAC', bitrate: 320000, sample_rate: 48000 },
+        { track_id: 4, codec: 'FLAC', bitrate: 900000, sample_rate: 44100 },
+        { track_id: 5, codec: null, bitrate: null, sample_rate: null }
+      ];
+      expect(tracks.sort(compareQuality).map(track => track.track_id)).toEqual([2, 4, 3, 1, 5]);
+    });
+  });
+
+  describe('normalizeDuplicateOptions()', () => {
+    test('rejects bad options', () => {
+      expect(() => normalizeDuplicateOptions({ durationTolerance: -1 })).toThrow('Duration tolerance');
+      expect(() => normalizeDuplicateOptions({ durationTolerance: '2' })).toThrow('Duration tolerance');
+      expect(() => normalizeDuplicateOptions({ matchAlbum: 'yes' })).toThrow('matchAlbum must be a boolean');
+    });
+  });
+
+  describe('Library', () => {
+    let db;
+    let fileCount = 0;
+
+    const add = (track) => db.insertTrack({ date_added: 1, file_path: `/${++fileCount}.mp3`, ...track }).track_id;
+
+    beforeEach(() => {
+      db = new MusicDatabase(':memory:');
+      db.initialize();
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    describe('findDuplicates()', () => {
+      test('groups matching tracks within the duration tolerance, best first', () => {
+        const mp3 = add({ title: 'Karma Police', artist: 'Radiohead', album: 'OK Computer', duration_seconds: 264, codec: 'MPEG 1 Layer 3', bitrate: 320000 });
+        const flac = add({ title: 'karma police', artist: 'Radiohead', album: 'Best Of', duration_seconds: 265.5, codec: 'FLAC', bitrate: 900000 });
+        add({ title: 'Karma Police', artist: 'Radiohead', album: 'Live', duration_seconds: 290, codec: 'FLAC' });
+        add({ title: 'Lucky', artist: 'Radiohead', duration_seconds: 259 });
+        add({ title: 'Karma Police', artist: 'Other Band', duration_seconds: 264 });
+
+        expect(db.findDuplicates()).toEqual([
+          { best_track_id: flac, tracks: [expect.objectContaining({ track_id: flac }), expect.objectContaining({ track_id: mp3 })] }
+        ]);
+        expect(db.findDuplicates({ durationTolerance: 1 })).toEqual([]);
+        expect(db.findDuplicates({ matchAlbum: true })).toEqual([]);
+      });
+
+      test('does not match tracks without a duration', () => {
+        add({ title: 'Song', artist: 'A' });
+        add({ title: 'Song', artist: 'A' });
+        expect(db.findDuplicates()).toEqual([]);
+      });
+    });
+
+    test('findDuplicatesOf() matches a track about to be imported', () => {
+      const id = add({ title: 'Song', artist: 'A', album: 'X', duration_seconds: 200 });
+
+      expect(db.findDuplicatesOf({ title: 'SONG', artist: 'A', album: 'Y', duration_seconds: 201 }).map(t => t.track_id))
+        .toEqual([id]);
+      expect(db.findDuplicatesOf({ title: 'Song', artist: 'A', album: 'Y', duration_seconds: 201 }, { matchAlbum: true }))
+        .toEqual([]);
+      expect(db.findDuplicatesOf({ title: 'Song', artist: 'A', duration_seconds: null })).toEqual([]);
+    });
+
+    describe('mergeDuplicates()', () => {
+      let mp3;
+      let flac;
+      let playlistId;
+
+      beforeEach(() => {
+        mp3 = add({ title: 'Song', artist: 'A', duration_seconds: 200, codec: 'MPEG 1 Layer 3', bitrate: 192000, rating: 4 });
+        flac = add({ title: 'Song', artist: 'A', duration_seconds: 200, codec: 'FLAC', bitrate: 900000 });
+
+        db.recordPlayback(mp3, { listenedSeconds: 200, endReason: 'completed', playedAt: 100 });
+        db.recordPlayback(mp3, { listenedSeconds: 200, endReason: 'completed', playedAt: 300 });
+        db.recordPlayback(flac, { listenedSeconds: 200, endReason: 'completed', playedAt: 200 });
+        db.recordPlayback(flac, { listenedSeconds: 5, endReason: 'skipped', playedAt: 250 });
+        db.updateTrack(mp3, { loved: 1 });
+
+        playlistId = db.createPlaylist({ name: 'Mix' }).playlist_id;
+        db.addTracksToPlaylist(playlistId, [mp3, flac, mp3]);
+      });
+
+      test('keeps the best file and moves stats, ratings and playlist entries onto it', () => {
+        const result = db.mergeDuplicates([mp3, flac]);
+
+        expect(result).toEqual({ track_id: flac, removed: [{ track_id: mp3, file_path: expect.any(String) }] });
+        expect(db.getTrack(mp3)).toBeUndefined();
+        expect(db.getTrack(flac)).toMatchObject({ play_count: 3, skip_count: 1, last_played: 300, rating: 4, loved: 1 });
+        expect(db.getTrackPlayHistory(flac)).toHaveLength(4);
+        expect(db.getPlaylistTracks(playlistId).map(track => track.track_id)).toEqual([flac, flac, flac]);
+      });
+
+      test('moves the other tracks to Recently Deleted', () => {
+        db.mergeDuplicates([mp3, flac]);
+
+        expect(db.getDeletedTracks().map(track => track.track_id)).toEqual([mp3]);
+      });
+
+      test('can be undone and redone', () => {
+        const state = () => ({
+          tracks: [db.getTrack(mp3), db.getTrack(flac)],
+          history: [db.getTrackPlayHistory(mp3), db.getTrackPlayHistory(flac)],
+          playlist: db.getPlaylistTracks(playlistId).map(track => track.track_id),
+          deleted: db.getDeletedTracks().map(track => track.track_id)
+        });
+        const before = state();
+        db.mergeDuplicates([mp3, flac]);
+        const merged = state();
+
+        expect(db.undo()).toMatchObject({ label: 'Merge duplicates' });
+        expect(state()).toEqual(before);
+
+        db.redo();
+        expect(state()).toEqual(merged);
+      });
+
+      test('is no longer undone once the bin is emptied', () => {
+        db.updateTrack(mp3, { title: 'Renamed' });
+        db.mergeDuplicates([mp3, flac], mp3);
+
+        db.purgeDeletedTracks();
+
+        expect(db.getChangeHistory()[0]).toMatchObject({ label: 'Merge duplicates', state: 'discarded' });
+        expect(db.undo()).toMatchObject({ label: 'Edit track' });
+        expect(db.getTrack(mp3).title).not.toBe('Renamed');
+        expect(db.getTrack(flac)).toBeUndefined();
+      });
+
+      test('keeps a chosen track', () => {
+        expect(db.mergeDuplicates([mp3, flac], mp3).track_id).toBe(mp3);
+        expect(db.getTrack(flac)).toBeUndefined();
+        expect(db.getTrack(mp3)).toMatchObject({ play_count: 3, rating: 4 });
+      });
+
+      test('keeps the rating of the kept track when it has one', () => {
+        db.updateTrack(flac, { rating: 2, loved: -1 });
+
+        db.mergeDuplicates([mp3, flac]);
+        expect(db.getTrack(flac)).toMatchObject({ rating: 2, loved: -1 });
+      });
+
+      test('rejects bad requests without changing anything', () => {
+        expect(() => db.mergeDuplicates([mp3])).toThrow('at least two track IDs');
+        expect(() => db.mergeDuplicates([mp3, flac], 999)).toThrow('not one of the tracks being merged');
+        expect(() => db.mergeDuplicates([mp3, 999])).toThrow('Track not found: 999');
+        expect(db.getTrack(mp3).play_count).toBe(2);
+      });
+    });
+  });
+});
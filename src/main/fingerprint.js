@@ -0,0 +1,544 @@
+/**
+ * Acoustic Fingerprints
+ *
+ * Identifies recordings by their sound rather than their tags, so untagged rips,
+ * mis-tagged files and re-encodes of the same recording can be matched.
+ *
+ * The fingerprint follows Chromaprint's design (it is not bit-compatible with it):
+ * - Audio is mixed to mono, resampled to 11025 Hz and cut to the first 2 minutes
+ * - 4096-sample frames every 1365 samples are mapped to a 12-band chroma
+ *   vector (energy per pitch class between 28 Hz and 3520 Hz)
+ * - Chroma vectors are smoothed over 5 frames and normalized
+ * - 16 classifiers compare regions of the chroma image over 16 frames, and
+ *   each contributes 2 bits, giving one 32-bit value per frame
+ *
+ * Two fingerprints are compared by aligning them and counting differing bits:
+ * similarity 1 is identical, around 0.5 is unrelated audio. Re-encodes of the
+ * same recording usually score above 0.9.
+ *
+ * Fingerprints are stored per track in track_fingerprints with the algorithm
+ * version, so a changed algorithm never compares against stale values.
+ */
+
+const { decodeAudioFile } = require('./audio-decoder');
+
+// Bump when the algorithm changes; fingerprints of other versions are ignored
+const FINGERPRINT_VERSION = 1;
+
+const SAMPLE_RATE = 11025;
+const FRAME_SIZE = 4096;
+const FRAME_HOP = FRAME_SIZE / 3 | 0;
+const MAX_SECONDS = 120;
+const MIN_FREQUENCY = 28;
+const MAX_FREQUENCY = 3520;
+const CHROMA_BANDS = 12;
+const CHROMA_FILTER = [0.25, 0.75, 1.0, 0.75, 0.25];
+
+// Chroma vectors with less energy than this count as silence
+const SILENCE_THRESHOLD = 0.01;
+
+// [filter type, first band, bands, frames] and quantizer thresholds for each classifier
+const CLASSIFIERS = [
+  [[0, 4, 3, 15], [1.98215, 2.35817, 2.63523]],
+  [[4, 4, 6, 15], [-1.03809, -0.651211, -0.282167]],
+  [[1, 0, 4, 16], [-0.298702, 0.119262, 0.558497]],
+  [[3, 8, 2, 12], [-0.105439, 0.0153946, 0.135898]],
+  [[3, 4, 4, 8], [-0.142891, 0.0258736, 0.200632]],
+  [[4, 0, 3, 5], [-0.826319, -0.590612, -0.368214]],
+  [[1, 2, 2, 9], [-0.557409, -0.233035, 0.0534525]],
+  [[2, 7, 3, 4], [-0.0646826, 0.00620476, 0.0784847]],
+  [[2, 6, 2, 16], [-0.192387, -0.029699, 0.215855]],
+  [[2, 1, 3, 2], [-0.0397818, -0.00568076, 0.0292026]],
+  [[5, 10, 1, 15], [-0.53823, -0.369934, -0.190235]],
+  [[3, 6, 2, 10], [-0.124877, 0.0296483, 0.139239]],
+  [[2, 1, 1, 14], [-0.101475, 0.0225617, 0.231971]],
+  [[3, 5, 6, 4], [-0.0799915, -0.00729616, 0.063262]],
+  [[1, 9, 2, 12], [-0.272556, 0.019424, 0.302559]],
+  [[3, 4, 2, 14], [-0.164292, -0.0321188, 0.0846339]]
+];
+const MAX_FILTER_WIDTH = 16;
+
+// Quantized classifier output to bits, so neighbouring levels differ by one bit
+const GRAY_CODE = [0, 1, 3, 2];
+
+// Matching defaults: how similar two fingerprints must be, how far apart their
+// lengths may be, and how far (in fingerprint values, about 1/8 s each) to look
+// for the best alignment
+const MATCH_DEFAULTS = {
+  minSimilarity: 0.85,
+  durationTolerance: 10
+};
+const MAX_ALIGN_OFFSET = 120;
+
+// Fewest overlapping values a comparison needs to mean anything (about 2 s)
+const MIN_OVERLAP = 16;
+
+/**
+ * Create the fingerprint table
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createFingerprintSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS track_fingerprints (
+      track_id INTEGER PRIMARY KEY,
+      version INTEGER NOT NULL,
+      fingerprint BLOB NOT NULL,
+      duration_seconds REAL NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (track_id) REFERENCES tracks(track_id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_track_fingerprints_duration
+      ON track_fingerprints(version, duration_seconds);
+  `);
+}
+
+/**
+ * Mix decoded channels to mono at 16-bit scale
+ *
+ * @param {Array<Int32Array>} channels - Samples per channel
+ * @param {number} bitsPerSample - Sample size of the source
+ * @returns {Float32Array} Mono samples
+ */
+function mixToMono(channels, bitsPerSample) {
+  const length = channels[0] ? channels[0].length : 0;
+  const scale = 2 ** (16 - bitsPerSample) / channels.length;
+  const mono = new Float32Array(length);
+
+  for (const channel of channels) {
+    for (let i = 0; i < length; i++) {
+      mono[i] += channel[i] * scale;
+    }
+  }
+  return mono;
+}
+
+/**
+ * Resample by averaging the source samples that fall in each output sample
+ * The averaging doubles as the low-pass filter for downsampling.
+ *
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} fromRate - Source sample rate
+ * @param {number} toRate - Target sample rate
+ * @returns {Float32Array} Resampled audio
+ */
+function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) {
+    return samples;
+  }
+
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+
+  for (let i = 0; i < output.length; i++) {
+    const start = i * ratio;
+    const end = Math.min(start + Math.max(ratio, 1), samples.length);
+    let sum = 0;
+    let count = 0;
+    for (let j = Math.floor(start); j < end; j++) {
+      sum += samples[j];
+      count++;
+    }
+    output[i] = count > 0 ? sum / count : 0;
+  }
+  return output;
+}
+
+// Twiddle factors for FRAME_SIZE-point FFTs
+const TWIDDLE_RE = new Float64Array(FRAME_SIZE / 2);
+const TWIDDLE_IM = new Float64Array(FRAME_SIZE / 2);
+for (let k = 0; k < FRAME_SIZE / 2; k++) {
+  TWIDDLE_RE[k] = Math.cos(-2 * Math.PI * k / FRAME_SIZE);
+  TWIDDLE_IM[k] = Math.sin(-2 * Math.PI * k / FRAME_SIZE);
+}
+
+/**
+ * In-place radix-2 FFT of FRAME_SIZE points
+ *
+ * @param {Float64Array} re - Real parts
+ * @param {Float64Array} im - Imaginary parts
+ */
+function fft(re, im) {
+  const n = FRAME_SIZE;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      const r = re[i];
+      re[i] = re[j];
+      re[j] = r;
+      const m = im[i];
+      im[i] = im[j];
+      im[j] = m;
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const wRe = TWIDDLE_RE[k * step];
+        const wIm = TWIDDLE_IM[k * step];
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+/**
+ * Pitch class of every FFT bin in the chroma frequency range
+ *
+ * @returns {Int8Array} Band per bin, -1 outside the range
+ */
+function chromaBands() {
+  const bands = new Int8Array(FRAME_SIZE / 2).fill(-1);
+  const minIndex = Math.max(1, Math.round(FRAME_SIZE * MIN_FREQUENCY / SAMPLE_RATE));
+  const maxIndex = Math.min(FRAME_SIZE / 2, Math.round(FRAME_SIZE * MAX_FREQUENCY / SAMPLE_RATE));
+
+  for (let i = minIndex; i < maxIndex; i++) {
+    // Octaves above A0 (27.5 Hz); the fractional part is the pitch class
+    const octave = Math.log2((i * SAMPLE_RATE / FRAME_SIZE) / (440 / 16));
+    bands[i] = Math.floor(CHROMA_BANDS * (octave - Math.floor(octave)));
+  }
+  return bands;
+}
+
+/**
+ * Compute the smoothed, normalized chroma image of mono audio
+ *
+ * @param {Float32Array} samples - Mono samples at SAMPLE_RATE
+ * @returns {Array<Float64Array>} One 12-band vector per frame
+ */
+function chromaImage(samples) {
+  const bands = chromaBands();
+  const window = new Float64Array(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    window[i] = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1));
+  }
+
+  const raw = [];
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+  for (let start = 0; start + FRAME_SIZE <= samples.length; start += FRAME_HOP) {
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      re[i] = samples[start + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    const chroma = new Float64Array(CHROMA_BANDS);
+    for (let i = 0; i < FRAME_SIZE / 2; i++) {
+      if (bands[i] >= 0) {
+        chroma[bands[i]] += re[i] * re[i] + im[i] * im[i];
+      }
+    }
+    raw.push(chroma);
+  }
+
+  const image = [];
+  for (let frame = 0; frame + CHROMA_FILTER.length <= raw.length; frame++) {
+    const smoothed = new Float64Array(CHROMA_BANDS);
+    CHROMA_FILTER.forEach((weight, offset) => {
+      for (let band = 0; band < CHROMA_BANDS; band++) {
+        smoothed[band] += raw[frame + offset][band] * weight;
+      }
+    });
+
+    const norm = Math.sqrt(smoothed.reduce((sum, value) => sum + value * value, 0));
+    for (let band = 0; band < CHROMA_BANDS; band++) {
+      smoothed[band] = norm < SILENCE_THRESHOLD ? 0 : smoothed[band] / norm;
+    }
+    image.push(smoothed);
+  }
+  return image;
+}
+
+/**
+ * Summed-area table of a chroma image, with a zero first row and column
+ *
+ * @param {Array<Float64Array>} image - Chroma image
+ * @returns {Array<Float64Array>} Integral image
+ */
+function integralImage(image) {
+  const integral = [new Float64Array(CHROMA_BANDS + 1)];
+  for (const row of image) {
+    const previous = integral[integral.length - 1];
+    const next = new Float64Array(CHROMA_BANDS + 1);
+    let rowSum = 0;
+    for (let band = 0; band < CHROMA_BANDS; band++) {
+      rowSum += row[band];
+      next[band + 1] = previous[band + 1] + rowSum;
+    }
+    integral.push(next);
+  }
+  return integral;
+}
+
+/**
+ * Apply one classifier's filter to the image at a frame offset
+ *
+ * @param {Array<Float64Array>} integral - Integral image
+ * @param {number} x - First frame
+ * @param {Array<number>} filter - [type, first band, bands, frames]
+ * @returns {number} Filter response
+ */
+function applyFilter(integral, x, [type, y, height, width]) {
+  const area = (x1, y1, x2, y2) => integral[x2][y2] - integral[x1][y2] - integral[x2][y1] + integral[x1][y1];
+  const compare = (a, b) => Math.log((1 + a) / (1 + b));
+  const x2 = x + width;
+  const y2 = y + height;
+  const halfWidth = x + (width >> 1);
+  const halfHeight = y + (height >> 1);
+  const thirdWidth = Math.floor(width / 3);
+  const thirdHeight = Math.floor(height / 3);
+
+  switch (type) {
+    case 0:
+      return compare(area(x, y, x2, y2), 0);
+    case 1:
+      return compare(area(x, halfHeight, x2, y2), area(x, y, x2, halfHeight));
+    case 2:
+      return compare(area(halfWidth, y, x2, y2), area(x, y, halfWidth, y2));
+    case 3:
+      return compare(
+        area(x, halfHeight, halfWidth, y2) + area(halfWidth, y, x2, halfHeight),
+        area(x, y, halfWidth, halfHeight) + area(halfWidth, halfHeight, x2, y2)
+      );
+    case 4:
+      return compare(
+        area(x, y + thirdHeight, x2, y + 2 * thirdHeight),
+        area(x, y, x2, y + thirdHeight) + area(x, y + 2 * thirdHeight, x2, y2)
+      );
+    default:
+      return compare(
+        area(x + thirdWidth, y, x + 2 * thirdWidth, y2),
+        area(x, y, x + thirdWidth, y2) + area(x + 2 * thirdWidth, y, x2, y2)
+      );
+  }
+}
+
+/**
+ * Fingerprint mono audio
+ *
+ * @param {Float32Array} samples - Mono samples at 16-bit scale
+ * @param {number} sampleRate - Sample rate of samples
+ * @returns {Uint32Array} One value per frame; empty for audio under about 2.5 seconds
+ */
+function computeFingerprint(samples, sampleRate) {
+  const audio = resample(samples, sampleRate, SAMPLE_RATE).subarray(0, MAX_SECONDS * SAMPLE_RATE);
+  const image = chromaImage(audio);
+  const integral = integralImage(image);
+  const count = Math.max(0, image.length - MAX_FILTER_WIDTH + 1);
+  const fingerprint = new Uint32Array(count);
+
+  for (let x = 0; x < count; x++) {
+    let bits = 0;
+    for (const [filter, [t0, t1, t2]] of CLASSIFIERS) {
+      const value = applyFilter(integral, x, filter);
+      const level = value < t1 ? (value < t0 ? 0 : 1) : (value < t2 ? 2 : 3);
+      bits = ((bits << 2) | GRAY_CODE[level]) >>> 0;
+    }
+    fingerprint[x] = bits;
+  }
+  return fingerprint;
+}
+
+/**
+ * Decode and fingerprint an audio file
+ *
+ * @param {string} filePath - Audio file path
+ * @returns {Promise<Object|null>} { fingerprint, duration_seconds }, or null if the format
+ *   can't be decoded or the audio is too short to fingerprint
+ * @throws {Error} If the file can't be read or is corrupt
+ */
+async function fingerprintFile(filePath) {
+  const audio = await decodeAudioFile(filePath, { maxSeconds: MAX_SECONDS });
+  if (!audio) {
+    return null;
+  }
+
+  const fingerprint = computeFingerprint(mixToMono(audio.channels, audio.bitsPerSample), audio.sampleRate);
+  if (fingerprint.length === 0) {
+    return null;
+  }
+
+  return { fingerprint, duration_seconds: audio.durationSeconds };
+}
+
+/**
+ * Number of set bits in a 32-bit value
+ *
+ * @param {number} value - Unsigned 32-bit value
+ * @returns {number} Bit count
+ */
+function popcount(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Compare two fingerprints at their best alignment
+ * Offsets where many values are equal are tried first, plus no offset at all.
+ *
+ * @param {Uint32Array} a - Fingerprint
+ * @param {Uint32Array} b - Fingerprint
+ * @returns {Object} { similarity, offset } - b[i] lines up with a[i + offset]; similarity is
+ *   0 when the fingerprints overlap too little to compare
+ */
+function compareFingerprints(a, b) {
+  const positions = new Map();
+  a.forEach((value, i) => {
+    if (!positions.has(value)) {
+      positions.set(value, []);
+    }
+    positions.get(value).push(i);
+  });
+
+  const votes = new Map();
+  b.forEach((value, j) => {
+    for (const i of positions.get(value) || []) {
+      const offset = i - j;
+      if (Math.abs(offset) <= MAX_ALIGN_OFFSET) {
+        votes.set(offset, (votes.get(offset) || 0) + 1);
+      }
+    }
+  });
+
+  const offsets = [...votes.entries()]
+    .sort((x, y) => y[1] - x[1] || Math.abs(x[0]) - Math.abs(y[0]))
+    .slice(0, 3)
+    .map(([offset]) => offset);
+  if (!offsets.includes(0)) {
+    offsets.push(0);
+  }
+
+  let best = { similarity: 0, offset: 0 };
+  for (const offset of offsets) {
+    const start = Math.max(0, -offset);
+    const end = Math.min(b.length, a.length - offset);
+    if (end - start < Math.min(MIN_OVERLAP, a.length, b.length) || end <= start) {
+      continue;
+    }
+
+    let errors = 0;
+    for (let j = start; j < end; j++) {
+      errors += popcount((a[j + offset] ^ b[j]) >>> 0);
+    }
+    const similarity = 1 - errors / (32 * (end - start));
+    if (similarity > best.similarity) {
+      best = { similarity, offset };
+    }
+  }
+  return best;
+}
+
+/**
+ * Serialize a fingerprint for storage (little-endian 32-bit values)
+ *
+ * @param {Uint32Array} fingerprint - Fingerprint
+ * @returns {Buffer} Blob
+ */
+function encodeFingerprint(fingerprint) {
+  const buffer = Buffer.alloc(fingerprint.length * 4);
+  fingerprint.forEach((value, i) => buffer.writeUInt32LE(value, i * 4));
+  return buffer;
+}
+
+/**
+ * Read a stored fingerprint
+ *
+ * @param {Buffer} blob - Blob from encodeFingerprint()
+ * @returns {Uint32Array} Fingerprint
+ */
+function decodeFingerprint(blob) {
+  const fingerprint = new Uint32Array(blob.length / 4);
+  for (let i = 0; i < fingerprint.length; i++) {
+    fingerprint[i] = blob.readUInt32LE(i * 4);
+  }
+  return fingerprint;
+}
+
+/**
+ * Store a track's fingerprint, replacing any earlier one
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} trackId - Track ID
+ * @param {Uint32Array} fingerprint - Fingerprint
+ * @param {number} durationSeconds - Length of the decoded audio
+ */
+function saveTrackFingerprint(db, trackId, fingerprint, durationSeconds) {
+  db.prepare(`
+    INSERT OR REPLACE INTO track_fingerprints (track_id, version, fingerprint, duration_seconds)
+    VALUES (?, ?, ?, ?)
+  `).run(trackId, FINGERPRINT_VERSION, encodeFingerprint(fingerprint), durationSeconds);
+}
+
+/**
+ * Find tracks whose fingerprint matches or nearly matches
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Uint32Array} fingerprint - Fingerprint to look up
+ * @param {Object} options - Lookup options
+ * @param {number|null} options.durationSeconds - Only compare tracks of about this length
+ * @param {number} options.durationTolerance - Allowed length difference in seconds (default 10)
+ * @param {number} options.minSimilarity - Lowest similarity to report, 0-1 (default 0.85)
+ * @param {number|null} options.excludeTrackId - Track to leave out (the one being looked up)
+ * @returns {Array<Object>} { track_id, similarity, offset } most similar first
+ * @throws {Error} If an option is out of range
+ */
+function findFingerprintMatches(db, fingerprint, options = {}) {
+  const { durationSeconds = null, excludeTrackId = null } = options;
+  const { durationTolerance, minSimilarity } = { ...MATCH_DEFAULTS, ...options };
+
+  if (typeof minSimilarity !== 'number' || !(minSimilarity >= 0 && minSimilarity <= 1)) {
+    throw new Error('minSimilarity must be between 0 and 1');
+  }
+  if (typeof durationTolerance !== 'number' || !(durationTolerance >= 0)) {
+    throw new Error('durationTolerance must be a non-negative number');
+  }
+
+  const rows = db.prepare(`
+    SELECT track_id, fingerprint FROM track_fingerprints
+    WHERE version = @version
+      AND (@duration IS NULL OR duration_seconds BETWEEN @duration - @tolerance AND @duration + @tolerance)
+      AND track_id IS NOT @exclude
+  `).all({
+    version: FINGERPRINT_VERSION,
+    duration: durationSeconds,
+    tolerance: durationTolerance,
+    exclude: excludeTrackId
+  });
+
+  return rows
+    .map(row => ({ track_id: row.track_id, ...compareFingerprints(decodeFingerprint(row.fingerprint), fingerprint) }))
+    .filter(match => match.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity || a.track_id - b.track_id);
+}
+
+module.exports = {
+  FINGERPRINT_VERSION,
+  MATCH_DEFAULTS,
+  createFingerprintSchema,
+  mixToMono,
+  computeFingerprint,
+  fingerprintFile,
+  compareFingerprints,
+  encodeFingerprint,
+  decodeFingerprint,
+  saveTrackFingerprint,
+  findFingerprintMatches
+};
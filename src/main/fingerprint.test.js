@@ -0,0 +1,176 @@
+// Acoustic fingerprint computation, comparison and lookup tests
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const MusicDatabase = require('./database');
+const {
+  computeFingerprint,
+  compareFingerprints,
+  encodeFingerprint,
+  decodeFingerprint,
+  fingerprintFile
+} = require('./fingerprint');
+const { encodeFlac } = require('../../tests/helpers/flac');
+
+// A tune of notes (semitones above A3) a quarter second each, with harmonics
+function tune(notes, sampleRate, { seconds = 15, gain = 1, noise = 0, start = 0 } = {}) {
+  const samples = new Float32Array(Math.floor(seconds * sampleRate));
+  let seed = 1;
+  for (let i = 0; i < samples.length; i++) {
+    const t = start + i / sampleRate;
+    const frequency = 220 * 2 ** (notes[Math.floor(t * 4) % notes.length] / 12);
+    let value = 0;
+    for (let harmonic = 1; harmonic <= 3; harmonic++) {
+      value += Math.sin(2 * Math.PI * frequency * harmonic * t) / harmonic;
+    }
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    samples[i] = gain * (8000 * value + noise * (seed / 2147483648 - 0.5));
+  }
+  return samples;
+}
+
+// Note sequences long enough not to repeat within a test. They must differ in
+// pitch class, not just octave, since the fingerprint only sees chroma.
+const notes = (pattern) => Array.from({ length: 120 }, (_, i) => pattern(i));
+const SONG = notes(i => (i * i * 7 + i * 5) % 24);
+const OTHER_SONG = notes(i => (i * i * 5 + i) % 17);
+
+describe('Fingerprint', () => {
+  let original;
+
+  beforeAll(() => {
+    original = computeFingerprint(tune(SONG, 11025), 11025);
+  });
+
+  describe('computeFingerprint()', () => {
+    test('gives one value per frame once the filters have enough context', () => {
+      expect(original).toBeInstanceOf(Uint32Array);
+      expect(original.length).toBe(100);
+      expect(computeFingerprint(tune(SONG, 11025, { seconds: 2 }), 11025)).toHaveLength(0);
+    });
+
+    test('is deterministic', () => {
+      expect(computeFingerprint(tune(SONG, 11025), 11025)).toEqual(original);
+    });
+  });
+
+  describe('compareFingerprints()', () => {
+    test('scores the same recording highly despite encoding differences', () => {
+      const variants = [
+        tune(SONG, 11025, { gain: 0.2 }),
+        tune(SONG, 11025, { noise: 4000 }),
+        tune(SONG, 22050)
+      ];
+
+      for (const variant of variants) {
+        const fingerprint = computeFingerprint(variant, variant.length / 15);
+        expect(compareFingerprints(original, fingerprint).similarity).toBeGreaterThan(0.9);
+      }
+    });
+
+    test('finds the alignment of a trimmed copy', () => {
+      const trimmed = computeFingerprint(tune(SONG, 11025, { start: 2, seconds: 13 }), 11025);
+      const result = compareFingerprints(original, trimmed);
+
+      expect(result.similarity).toBeGreaterThan(0.9);
+      expect(result.offset).toBe(16);
+    });
+
+    test('scores different recordings near chance', () => {
+      const other = computeFingerprint(tune(OTHER_SONG, 11025), 11025);
+      expect(compareFingerprints(original, other).similarity).toBeLessThan(0.7);
+    });
+
+    test('scores empty fingerprints as no match', () => {
+      expect(compareFingerprints(original, new Uint32Array(0))).toEqual({ similarity: 0, offset: 0 });
+    });
+  });
+
+  test('round-trips through the stored encoding', () => {
+    expect(decodeFingerprint(encodeFingerprint(original))).toEqual(original);
+  });
+
+  describe('fingerprintFile()', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fingerprint-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('fingerprints a FLAC file', async () => {
+      const filePath = path.join(tempDir, 'song.flac');
+      const samples = Array.from(tune(SONG, 11025), Math.round);
+      fs.writeFileSync(filePath, encodeFlac([samples, samples], 11025, { subframe: { fixed: 2 }, stereo: 'mid-side' }));
+
+      const result = await fingerprintFile(filePath);
+
+      expect(result.duration_seconds).toBe(15);
+      expect(compareFingerprints(original, result.fingerprint).similarity).toBeGreaterThan(0.95);
+    });
+
+    test('returns null for undecodable formats and very short audio', async () => {
+      expect(await fingerprintFile(path.join(__dirname, '../../tests/fixtures/audio/no-tags.mp3'))).toBeNull();
+      expect(await fingerprintFile(path.join(__dirname, '../../tests/fixtures/audio/test.flac'))).toBeNull();
+    });
+  });
+
+  describe('Library lookup', () => {
+    let db;
+    let songId;
+    let otherId;
+    let copyId;
+
+    beforeEach(() => {
+      db = new MusicDatabase(':memory:');
+      db.initialize();
+
+      const add = (title, fingerprint) => {
+        const trackId = db.insertTrack({ title, file_path: `/${title}.flac`, date_added: 1 }).track_id;
+        db.setTrackFingerprint(trackId, fingerprint, 15);
+        return trackId;
+      };
+
+      songId = add('Song', original);
+      otherId = add('Other', computeFingerprint(tune(OTHER_SONG, 11025), 11025));
+      copyId = add('Untagged rip', computeFingerprint(tune(SONG, 11025, { noise: 4000 }), 11025));
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    test('finds tracks with matching or near-matching fingerprints', () => {
+      const matches = db.findTracksByFingerprint(original, { durationSeconds: 15 });
+
+      expect(matches.map(track => track.track_id)).toEqual([songId, copyId]);
+      expect(matches[0]).toMatchObject({ title: 'Song', similarity: 1 });
+      expect(db.findTracksByFingerprint(original, { durationSeconds: 60 })).toEqual([]);
+      expect(db.findTracksByFingerprint(original, { minSimilarity: 0 })).toHaveLength(3);
+    });
+
+    test('finds other tracks of the same recording', () => {
+      expect(db.findSimilarRecordings(songId).map(track => track.track_id)).toEqual([copyId]);
+      expect(db.findSimilarRecordings(otherId)).toEqual([]);
+    });
+
+    test('ignores fingerprints of another algorithm version', () => {
+      db.db.prepare('UPDATE track_fingerprints SET version = 0 WHERE track_id = ?').run(copyId);
+
+      expect(db.findSimilarRecordings(songId)).toEqual([]);
+      expect(db.findSimilarRecordings(copyId)).toEqual([]);
+    });
+
+    test('drops the fingerprint with its track', () => {
+      db.deleteTrack(copyId);
+      expect(db.db.prepare('SELECT COUNT(*) AS count FROM track_fingerprints').get().count).toBe(2);
+    });
+
+    test('validates options', () => {
+      expect(() => db.findTracksByFingerprint(original, { minSimilarity: 2 })).toThrow('minSimilarity');
+    });
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * Genres
+ *
+ * Genre tags are resolved to canonical genres instead of being stored verbatim:
+ * - Names match on a key that ignores case, accents, spacing and punctuation,
+ *   so "Hip-Hop", "Hip Hop" and "hiphop" are one genre
+ * - ID3v1 numeric genres ("(17)", "17", "(17)Rock") are decoded to their names
+ * - genre_aliases maps other spellings to a genre, e.g. "Rap/Hip Hop" to Hip-Hop.
+ *   A few common ones are built in (BUILTIN_GENRE_ALIASES); library aliases win.
+ * - A new genre is named with the standard ID3 spelling when there is one,
+ *   otherwise with the spelling it was first seen with
+ *
+ * genres.parent_id arranges genres in an optional hierarchy (Rock → Post-Rock).
+ */
+
+// ID3v1 genre list including the Winamp extensions, indexed by genre number.
+// 133 is given its modern replacement name.
+const ID3V1_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+  'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap',
+  'Reggae', 'Rock', 'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks',
+  'Soundtrack', 'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+  'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop', 'Instrumental Rock',
+  'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic', 'Pop-Folk', 'Eurodance', 'Dream',
+  'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle',
+  'Native American', 'Cabaret', 'New Wave', 'Psychadelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi',
+  'Tribal', 'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock',
+  'Folk', 'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebob', 'Latin', 'Revival',
+  'Celtic', 'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock', 'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock',
+  'Big Band', 'Chorus', 'Easy Listening', 'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera',
+  'Chamber Music', 'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam',
+  'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul', 'Freestyle',
+  'Duet', 'Punk Rock', 'Drum Solo', 'A capella', 'Euro-House', 'Dance Hall', 'Goa', 'Drum & Bass',
+  'Club-House', 'Hardcore Techno', 'Terror', 'Indie', 'BritPop', 'Afro-Punk', 'Polsk Punk', 'Beat',
+  'Christian Gangsta Rap', 'Heavy Metal', 'Black Metal', 'Crossover', 'Contemporary Christian', 'Christian Rock', 'Merengue', 'Salsa',
+  'Thrash Metal', 'Anime', 'Jpop', 'Synthpop', 'Abstract', 'Art Rock', 'Baroque', 'Bhangra',
+  'Big Beat', 'Breakbeat', 'Chillout', 'Downtempo', 'Dub', 'EBM', 'Eclectic', 'Electro',
+  'Electroclash', 'Emo', 'Experimental', 'Garage', 'Global', 'IDM', 'Illbient', 'Industro-Goth',
+  'Jam Band', 'Krautrock', 'Leftfield', 'Lounge', 'Math Rock', 'New Romantic', 'Nu-Breakz', 'Post-Punk',
+  'Post-Rock', 'Psytrance', 'Shoegaze', 'Space Rock', 'Trop Rock', 'World Music', 'Neoclassical', 'Audiobook',
+  'Audio Theatre', 'Neue Deutsche Welle', 'Podcast', 'Indie Rock', 'G-Funk', 'Dubstep', 'Garage Rock', 'Psybient'
+];
+
+// ID3v2 special genre references
+const ID3_SPECIAL_GENRES = { RX: 'Remix', CR: 'Cover' };
+
+// Common spellings that don't reduce to the same key as their genre, including
+// fixes for misspellings in the ID3v1 list
+const BUILTIN_GENRE_ALIASES = {
+  'Hip-Hop': ['Rap/Hip Hop', 'Hip Hop/Rap', 'Rap & Hip-Hop'],
+  'R&B': ['RnB', 'Rhythm and Blues', 'R&B/Soul'],
+  'Electronic': ['Electronica', 'Electronica/Dance'],
+  'Rock & Roll': ['Rock n Roll', 'Rock \'n\' Roll'],
+  'Drum & Bass': ['Drum n Bass', 'DnB'],
+  'Alternative Rock': ['AlternRock', 'Alt Rock', 'Alt-Rock'],
+  'Psychedelic': ['Psychadelic'],
+  'Bebop': ['Bebob'],
+  'A Cappella': ['A capella'],
+  'J-Pop': ['Jpop'],
+  'Britpop': ['BritPop']
+};
+
+// Separator between several genres in one tag
+const GENRE_SEPARATOR = /\s*;\s*/;
+
+// "(17)", "(RX)" or an escaped "((" at the start of a ID3v2.3 TCON tag
+const ID3_REFERENCE_PATTERN = /^\((\d+|RX|CR)\)/;
+
+const MAX_GENRE_NAME_LENGTH = 100;
+
+/**
+ * Reduce a genre name to the key it is matched on
+ * Case, accents, spacing and punctuation are ignored; "&" and "+" read as "and".
+ *
+ * @param {string} name - Genre name
+ * @returns {string} Match key ('' if the name has no letters or digits)
+ */
+function genreKey(name) {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[&+]/g, 'and')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Match key → canonical name, for built-in aliases and ID3 spellings
+const BUILTIN_ALIAS_KEYS = new Map(Object.entries(BUILTIN_GENRE_ALIASES).flatMap(
+  ([name, aliases]) => aliases.map(alias => [genreKey(alias), name])
+));
+const ID3_SPELLING_KEYS = new Map(ID3V1_GENRES.map(name => [genreKey(name), name]));
+
+/**
+ * Decode ID3v1 numeric genre references
+ * "(17)" and "17" give Rock; "(17)(6)" gives Rock and Grunge; "(17)Rock & Roll"
+ * keeps only the refinement text, "Rock & Roll"; "((foo)" is an escaped "(foo)".
+ * Anything else, including numbers outside the list, is returned as is.
+ *
+ * @param {string} value - Genre tag
+ * @returns {Array<string>} Genre names
+ */
+function decodeId3Genre(value) {
+  let text = String(value).trim();
+
+  if (/^\d+$/.test(text) && ID3V1_GENRES[Number(text)]) {
+    return [ID3V1_GENRES[Number(text)]];
+  }
+
+  const names = [];
+  let match;
+  while ((match = ID3_REFERENCE_PATTERN.exec(text)) !== null) {
+    names.push(ID3_SPECIAL_GENRES[match[1]] || ID3V1_GENRES[Number(match[1])]);
+    text = text.slice(match[0].length);
+  }
+  text = text.replace(/^\(\(/, '(').trim();
+
+  if (text) {
+    return [text];
+  }
+  return names.filter(Boolean);
+}
+
+/**
+ * Split a genre tag into canonical genre names, without looking at the library
+ * Numeric references are decoded, built-in aliases applied and standard
+ * spellings used.
+ *
+ * @param {string|null} value - Genre tag
+ * @returns {Array<string>} Genre names, without blanks or duplicates
+ */
+function parseGenreTag(value) {
+  const seen = new Set();
+
+  return String(value || '').split(GENRE_SEPARATOR).flatMap(decodeId3Genre).map(name => {
+    const key = genreKey(name);
+    const canonical = BUILTIN_ALIAS_KEYS.get(key) || ID3_SPELLING_KEYS.get(key) || name.trim();
+    return canonical.slice(0, MAX_GENRE_NAME_LENGTH).trim();
+  }).filter(name => {
+    const key = genreKey(name);
+    if (!key || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Find a genre by name or alias
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} name - Genre name, alias or any spelling with the same key
+ * @returns {number|null} genre_id
+ */
+function findGenreId(db, name) {
+  const key = genreKey(name);
+  if (!key) {
+    return null;
+  }
+
+  const lookup = db.prepare(`
+    SELECT genre_id FROM genre_aliases WHERE alias_key = @key
+    UNION ALL
+    SELECT genre_id FROM genres WHERE match_key = @key
+    LIMIT 1
+  `);
+  const row = lookup.get({ key }) ||
+    (BUILTIN_ALIAS_KEYS.has(key) ? lookup.get({ key: genreKey(BUILTIN_ALIAS_KEYS.get(key)) }) : undefined);
+
+  return row ? row.genre_id : null;
+}
+
+/**
+ * Find a genre by name or alias, creating it if there is none
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} name - Genre name (a single genre, already decoded)
+ * @returns {number} genre_id
+ * @throws {Error} If the name has no letters or digits
+ */
+function resolveGenre(db, name) {
+  const existing = findGenreId(db, name);
+  if (existing !== null) {
+    return existing;
+  }
+
+  const [canonical] = parseGenreTag(name);
+  if (!canonical) {
+    throw new Error(`Invalid genre name: ${name}`);
+  }
+  return Number(db.prepare('INSERT INTO genres (name, match_key) VALUES (?, ?)')
+    .run(canonical, genreKey(canonical)).lastInsertRowid);
+}
+
+/**
+ * Resolve a genre tag to genres, creating any that don't exist
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} value - Genre tag, e.g. "(17)" or "Rock; Post-Rock"
+ * @returns {Array<number>} genre_ids, without duplicates
+ */
+function resolveGenreTag(db, value) {
+  return [...new Set(parseGenreTag(value).map(name => resolveGenre(db, name)))];
+}
+
+/**
+ * Check whether a genre is another genre or one of its subgenres
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} genreId - Genre to look for
+ * @param {number} ancestorId - Root of the subtree
+ * @returns {boolean} True if genreId is ancestorId or below it
+ */
+function isGenreWithin(db, genreId, ancestorId) {
+  return Boolean(db.prepare(`
+    WITH RECURSIVE subtree(genre_id) AS (
+      SELECT ?
+      UNION
+      SELECT g.genre_id FROM genres g JOIN subtree s ON g.parent_id = s.genre_id
+    )
+    SELECT 1 FROM subtree WHERE genre_id = ?
+  `).get(ancestorId, genreId));
+}
+
+/**
+ * Fold one genre into another
+ * Tracks, subgenres and aliases move to the target and the source's name
+ * becomes an alias, so later imports resolve to the target too.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} sourceId - Genre being merged away
+ * @param {number} targetId - Genre that remains
+ */
+function mergeGenres(db, sourceId, targetId) {
+  const source = db.prepare('SELECT name, match_key FROM genres WHERE genre_id = ?').get(sourceId);
+
+  db.prepare(`
+    INSERT OR IGNORE INTO track_genres (track_id, genre_id)
+    SELECT track_id, @target FROM track_genres WHERE genre_id = @source
+  `).run({ source: sourceId, target: targetId });
+  db.prepare('DELETE FROM track_genres WHERE genre_id = ?').run(sourceId);
+  db.prepare('UPDATE genres SET parent_id = ? WHERE parent_id = ?').run(targetId, sourceId);
+  db.prepare('UPDATE genre_aliases SET genre_id = ? WHERE genre_id = ?').run(targetId, sourceId);
+
+  // The target's parent may have been the source itself
+  db.prepare('UPDATE genres SET parent_id = NULL WHERE genre_id = ? AND parent_id = ?').run(targetId, targetId);
+  db.prepare('DELETE FROM genres WHERE genre_id = ?').run(sourceId);
+  db.prepare(`
+    INSERT INTO genre_aliases (alias_key, alias, genre_id) VALUES (?, ?, ?)
+    ON CONFLICT (alias_key) DO UPDATE SET genre_id = excluded.genre_id
+  `).run(source.match_key, source.name, targetId);
+}
+
+/**
+ * Nest genres under their parents
+ *
+ * @param {Array<Object>} genres - genres rows
+ * @returns {Array<Object>} Top-level genres, each with a children array, sorted by name
+ */
+function buildGenreTree(genres) {
+  const nodes = new Map(genres.map(genre => [genre.genre_id, { ...genre, children: [] }]));
+  const roots = [];
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  [...nodes.values()].sort(byName).forEach(node => {
+    const parent = node.parent_id === null ? null : nodes.get(node.parent_id);
+    (parent ? parent.children : roots).push(node);
+  });
+  return roots;
+}
+
+/**
+ * Add the alias table, hierarchy and match keys, and fold existing genres
+ * into their canonical forms
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createGenreTaxonomySchema(db) {
+  db.exec(`
+    ALTER TABLE genres ADD COLUMN parent_id INTEGER REFERENCES genres(genre_id) ON DELETE SET NULL;
+    ALTER TABLE genres ADD COLUMN match_key TEXT;
+
+    CREATE INDEX IF NOT EXISTS idx_genres_parent ON genres(parent_id);
+
+    CREATE TABLE IF NOT EXISTS genre_aliases (
+      alias_key TEXT PRIMARY KEY,
+      alias TEXT NOT NULL,
+      genre_id INTEGER NOT NULL,
+      FOREIGN KEY (genre_id) REFERENCES genres(genre_id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_genre_aliases_genre ON genre_aliases(genre_id);
+  `);
+
+  // Genres already spelled canonically keep their rows; the rest are renamed
+  // into a free canonical name or folded into the genre that has it
+  const genres = db.prepare('SELECT genre_id, name FROM genres ORDER BY genre_id').all()
+    .map(genre => ({ ...genre, names: parseGenreTag(genre.name) }))
+    .sort((a, b) => Number(b.names.length === 1 && b.names[0] === b.name) -
+      Number(a.names.length === 1 && a.names[0] === a.name));
+
+  const byKey = new Map();
+  const rename = db.prepare('UPDATE genres SET name = ?, match_key = ? WHERE genre_id = ?');
+  const insert = db.prepare('INSERT INTO genres (name, match_key) VALUES (?, ?)');
+  const link = db.prepare(`
+    INSERT OR IGNORE INTO track_genres (track_id, genre_id)
+    SELECT track_id, @target FROM track_genres WHERE genre_id = @source
+  `);
+  const remove = db.prepare('DELETE FROM genres WHERE genre_id = ?');
+
+  genres.forEach(genre => {
+    let kept = false;
+    genre.names.forEach(name => {
+      const key = genreKey(name);
+      if (!byKey.has(key) && genre.names.length === 1) {
+        rename.run(name, key, genre.genre_id);
+        byKey.set(key, genre.genre_id);
+        kept = true;
+        return;
+      }
+      if (!byKey.has(key)) {
+        byKey.set(key, Number(insert.run(name, key).lastInsertRowid));
+      }
+      link.run({ source: genre.genre_id, target: byKey.get(key) });
+    });
+    if (!kept) {
+      remove.run(genre.genre_id);
+    }
+  });
+
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_genres_match_key ON genres(match_key)');
+}
+
+module.exports = {
+  ID3V1_GENRES,
+  BUILTIN_GENRE_ALIASES,
+  MAX_GENRE_NAME_LENGTH,
+  createGenreTaxonomySchema,
+  genreKey,
+  decodeId3Genre,
+  parseGenreTag,
+  findGenreId,
+  resolveGenre,
+  resolveGenreTag,
+  isGenreWithin,
+  mergeGenres,
+  buildGenreTree
+};
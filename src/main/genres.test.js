@@ -0,0 +1,214 @@
+// Genre taxonomy tests
+const Database = require('better-sqlite3');
+const MusicDatabase = require('./database');
+const {
+  ID3V1_GENRES,
+  createGenreTaxonomySchema,
+  genreKey,
+  decodeId3Genre,
+  parseGenreTag
+} = require('./genres');
+
+describe('Genres', () => {
+  describe('genreKey()', () => {
+    test('ignores case, accents, spacing and punctuation', () => {
+      expect(genreKey('Hip-Hop')).toBe('hiphop');
+      expect(genreKey('hip hop')).toBe(genreKey('HipHop'));
+      expect(genreKey('Música Popular')).toBe('musicapopular');
+      expect(genreKey('Drum & Bass')).toBe(genreKey('drum and bass'));
+      expect(genreKey('---')).toBe('');
+    });
+  });
+
+  describe('decodeId3Genre()', () => {
+    test.each([
+      ['(17)', ['Rock']],
+      ['17', ['Rock']],
+      ['(17)(6)', ['Rock', 'Grunge']],
+      ['(78)Rock & Roll', ['Rock & Roll']],
+      ['(RX)', ['Remix']],
+      ['((Big) Beat', ['(Big) Beat']],
+      ['Shoegaze', ['Shoegaze']],
+      ['1999', ['1999']]
+    ])('decodes %s', (value, names) => {
+      expect(decodeId3Genre(value)).toEqual(names);
+    });
+
+    test('covers the full Winamp list', () => {
+      expect(ID3V1_GENRES).toHaveLength(192);
+      expect(ID3V1_GENRES[191]).toBe('Psybient');
+    });
+  });
+
+  describe('parseGenreTag()', () => {
+    test('splits lists and uses canonical spellings', () => {
+      expect(parseGenreTag('hip hop; Rap/Hip Hop;(7)')).toEqual(['Hip-Hop']);
+      expect(parseGenreTag('post rock;Vaporwave')).toEqual(['Post-Rock', 'Vaporwave']);
+      expect(parseGenreTag('(40)')).toEqual(['Alternative Rock']);
+      expect(parseGenreTag('')).toEqual([]);
+    });
+  });
+
+  describe('Library genres', () => {
+    let db;
+    let trackId;
+
+    const genreNames = () => db.getAllGenres().map(genre => genre.name);
+    const addTrack = (genres) => {
+      const id = db.insertTrack({ file_path: `/${Math.random()}.mp3`, title: 'Song', date_added: 1 }).track_id;
+      db.addTrackGenres(id, genres);
+      return id;
+    };
+
+    beforeEach(() => {
+      db = new MusicDatabase(':memory:');
+      db.initialize();
+      trackId = addTrack(['Hip-Hop']);
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    test('resolves spellings, ID3 numbers and built-in aliases to one genre', () => {
+      const other = addTrack(['Hip Hop', 'hiphop', '(7)', 'Rap/Hip Hop', 'Rock; Post Rock']);
+
+      expect(genreNames()).toEqual(['Hip-Hop', 'Post-Rock', 'Rock']);
+      expect(db.getTrackGenres(other)).toEqual(['Hip-Hop', 'Post-Rock', 'Rock']);
+    });
+
+    test('maps aliases to their genre on import', () => {
+      const hipHop = db.getOrCreateGenre('Hip-Hop');
+      db.addGenreAlias(hipHop, 'Urban');
+
+      const other = addTrack(['urban']);
+
+      expect(db.getTrackGenres(other)).toEqual(['Hip-Hop']);
+      expect(db.getGenre(hipHop)).toMatchObject({ name: 'Hip-Hop', aliases: ['Urban'], track_count: 2 });
+      expect(() => db.addGenreAlias(hipHop, 'hip hop')).toThrow('own name');
+    });
+
+    test('merges a genre that an alias names', () => {
+      const rap = db.getOrCreateGenre('Rap');
+      addTrack(['Rap']);
+
+      const result = db.addGenreAlias(db.getOrCreateGenre('Hip-Hop'), 'Rap');
+
+      expect(result.merged_genre_id).toBe(rap);
+      expect(genreNames()).toEqual(['Hip-Hop']);
+      expect(db.getTrackGenres(addTrack(['rap']))).toEqual(['Hip-Hop']);
+    });
+
+    test('removes aliases', () => {
+      db.addGenreAlias(db.getOrCreateGenre('Hip-Hop'), 'Urban');
+
+      expect(db.removeGenreAlias('URBAN')).toEqual({ changes: 1 });
+      expect(db.getTrackGenres(addTrack(['Urban']))).toEqual(['Urban']);
+    });
+
+    test('renames genres and keeps the old name as an alias', () => {
+      const genreId = db.getOrCreateGenre('Hip-Hop');
+      db.getOrCreateGenre('Rock');
+
+      db.renameGenre(genreId, 'Hip Hop Music');
+
+      expect(db.getTrackGenres(trackId)).toEqual(['Hip Hop Music']);
+      expect(db.getTrackGenres(addTrack(['hip-hop']))).toEqual(['Hip Hop Music']);
+      expect(() => db.renameGenre(genreId, 'rock')).toThrow('Genre already exists: rock');
+    });
+
+    test('arranges genres in a hierarchy', () => {
+      const rock = db.getOrCreateGenre('Rock');
+      const postRock = db.getOrCreateGenre('Post-Rock');
+      const math = db.getOrCreateGenre('Math Rock');
+
+      db.setGenreParent(postRock, rock);
+      db.setGenreParent(math, postRock);
+
+      const tree = db.getGenreTree();
+      expect(tree.map(genre => genre.name)).toEqual(['Hip-Hop', 'Rock']);
+      expect(tree[1].children[0]).toMatchObject({ name: 'Post-Rock', children: [{ name: 'Math Rock' }] });
+
+      expect(() => db.setGenreParent(rock, math)).toThrow('under itself or one of its subgenres');
+      expect(() => db.setGenreParent(rock, rock)).toThrow('under itself');
+      expect(() => db.setGenreParent(rock, 999)).toThrow('Genre not found: 999');
+
+      db.setGenreParent(postRock, null);
+      expect(db.getGenreTree().map(genre => genre.name)).toEqual(['Hip-Hop', 'Post-Rock', 'Rock']);
+    });
+
+    test('merges genres, rewriting track genres, subgenres and aliases', () => {
+      const hipHop = db.getOrCreateGenre('Hip-Hop');
+      const rap = db.getOrCreateGenre('Rap');
+      const gangsta = db.getOrCreateGenre('Gangsta');
+      const both = addTrack(['Rap', 'Hip-Hop']);
+      const rapOnly = addTrack(['Rap']);
+      db.setGenreParent(gangsta, rap);
+      db.addGenreAlias(rap, 'Rap Music');
+
+      expect(db.mergeGenres([rap], hipHop)).toEqual({ genre_id: hipHop, merged: 1 });
+
+      expect(db.getTrackGenres(both)).toEqual(['Hip-Hop']);
+      expect(db.getTrackGenres(rapOnly)).toEqual(['Hip-Hop']);
+      expect(db.getGenre(gangsta).parent_id).toBe(hipHop);
+      expect(db.getGenre(hipHop).aliases).toEqual(['Rap', 'Rap Music']);
+      expect(db.getGenre(rap)).toBeUndefined();
+
+      expect(() => db.mergeGenres([hipHop], hipHop)).toThrow('into itself');
+      expect(() => db.mergeGenres([999], hipHop)).toThrow('Genre not found: 999');
+    });
+
+    test('undoes a merge', () => {
+      const hipHop = db.getOrCreateGenre('Hip-Hop');
+      const rap = db.getOrCreateGenre('Rap');
+      const rapOnly = addTrack(['Rap']);
+
+      db.mergeGenres([rap], hipHop);
+      db.undo();
+
+      expect(db.getTrackGenres(rapOnly)).toEqual(['Rap']);
+      expect(db.getGenre(hipHop).aliases).toEqual([]);
+    });
+
+    test('removes genres without tracks unless they were set up by hand', () => {
+      const rock = db.getOrCreateGenre('Rock');
+      db.setGenreParent(db.getOrCreateGenre('Post-Rock'), rock);
+      db.addGenreAlias(db.getOrCreateGenre('Jazz'), 'Jazz Music');
+      db.getOrCreateGenre('Polka');
+
+      expect(db.removeUnusedGenres()).toEqual({ changes: 2 });
+      expect(genreNames()).toEqual(['Hip-Hop', 'Jazz', 'Rock']);
+    });
+  });
+
+  describe('createGenreTaxonomySchema()', () => {
+    test('folds existing genres into canonical ones', () => {
+      const db = new Database(':memory:');
+      db.exec(`
+        CREATE TABLE genres (genre_id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE, created_at INTEGER);
+        CREATE TABLE track_genres (track_id INTEGER NOT NULL, genre_id INTEGER NOT NULL, PRIMARY KEY (track_id, genre_id),
+          FOREIGN KEY (genre_id) REFERENCES genres(genre_id) ON DELETE CASCADE);
+      `);
+      db.pragma('foreign_keys = ON');
+      const insert = db.prepare('INSERT INTO genres (name) VALUES (?)');
+      const tag = db.prepare('INSERT INTO track_genres (track_id, genre_id) VALUES (?, ?)');
+      ['(7)', 'Hip Hop', 'Hip-Hop', 'Rap/Hip Hop', '(17)(6)', 'Rock', '---'].forEach((name, index) => {
+        tag.run(index + 1, Number(insert.run(name).lastInsertRowid));
+      });
+
+      createGenreTaxonomySchema(db);
+
+      const genres = db.prepare('SELECT genre_id, name FROM genres ORDER BY name').all();
+      expect(genres.map(genre => genre.name)).toEqual(['Grunge', 'Hip-Hop', 'Rock']);
+      const tracksOf = name => db.prepare(`
+        SELECT track_id FROM track_genres JOIN genres USING (genre_id) WHERE name = ? ORDER BY track_id
+      `).all(name).map(row => row.track_id);
+      expect(tracksOf('Hip-Hop')).toEqual([1, 2, 3, 4]);
+      expect(tracksOf('Rock')).toEqual([5, 6]);
+      expect(tracksOf('Grunge')).toEqual([5]);
+      expect(() => insert.run('hiphop')).not.toThrow();
+      expect(() => db.prepare("UPDATE genres SET match_key = 'hiphop' WHERE name = 'hiphop'").run()).toThrow('UNIQUE');
+      db.close();
+    });
+  });
+});
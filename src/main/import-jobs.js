@@ -0,0 +1,293 @@
+/**
+ * Import Jobs
+ *
+ * A folder import is recorded as a job before any file is touched: the files
+ * scanFolder found, in order, each with its status. If the app quits or crashes
+ * mid-import, the job is still there at the next start and can be resumed from
+ * the files that weren't done; a job is deleted once every file is.
+ *
+ * File statuses:
+ * - pending: not looked at yet
+ * - placing: being copied or moved to dest_path in Music/
+ * - imported, replaced, relinked, duplicate, skipped, error: done (see importFiles)
+ *
+ * A file is marked placing before anything is written to Music/, and marked
+ * imported or replaced in the same transaction that adds its track. Copies are
+ * written under a partial name and renamed into place. A file replacing the one
+ * at its own path waits under the partial name until its track is written, and
+ * is marked replaced once it has been renamed over it. So after a crash, a file
+ * still marked placing is the only kind that can have left something in Music/
+ * without a track, and recoverImportJobs() removes it (or moves it back, if it
+ * was moved there).
+ */
+
+const fs = require('fs').promises;
+
+const IMPORT_JOB_STATES = ['running', 'paused'];
+const IMPORT_FILE_STATUSES = [
+  'pending', 'placing', 'imported', 'replaced', 'relinked', 'duplicate', 'skipped', 'error'
+];
+
+// Added to a library path while a copy to it is being written
+const PARTIAL_SUFFIX = '.part';
+
+/**
+ * Create the import_jobs and import_job_files tables
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createImportJobsSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS import_jobs (
+      job_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      folder_path TEXT,
+      mode TEXT NOT NULL,
+      on_duplicate TEXT NOT NULL,
+      state TEXT NOT NULL DEFAULT 'running' CHECK (state IN ('running', 'paused')),
+      created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS import_job_files (
+      job_id INTEGER NOT NULL REFERENCES import_jobs(job_id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      file_path TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN (
+        'pending', 'placing', 'imported', 'replaced', 'relinked', 'duplicate', 'skipped', 'error'
+      )),
+      dest_path TEXT,
+      track_id INTEGER REFERENCES tracks(track_id) ON DELETE SET NULL,
+      error TEXT,
+      PRIMARY KEY (job_id, position)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_import_job_files_status ON import_job_files(job_id, status);
+  `);
+}
+
+/**
+ * Path a copy is written to before it's renamed into place
+ *
+ * @param {string} destPath - Library path
+ * @returns {string} Partial file path
+ */
+function partialPath(destPath) {
+  return destPath + PARTIAL_SUFFIX;
+}
+
+/**
+ * Record a new import job
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Object} job - { folderPath, filePaths, mode, onDuplicate }
+ * @returns {number} job_id
+ * @throws {Error} If there are no files
+ */
+function createImportJob(db, { folderPath = null, filePaths, mode, onDuplicate }) {
+  if (!Array.isArray(filePaths) || filePaths.length === 0) {
+    throw new Error('An import job needs at least one file');
+  }
+
+  const insertFile = db.prepare('INSERT INTO import_job_files (job_id, position, file_path) VALUES (?, ?, ?)');
+
+  return db.transaction(() => {
+    // Paused until runImportJob() starts it
+    const jobId = db.prepare(`
+      INSERT INTO import_jobs (folder_path, mode, on_duplicate, state) VALUES (?, ?, ?, 'paused')
+    `).run(folderPath, mode, onDuplicate).lastInsertRowid;
+
+    filePaths.forEach((filePath, position) => insertFile.run(jobId, position, filePath));
+    return jobId;
+  })();
+}
+
+/**
+ * Get an import job with the number of files per status
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} jobId - Job ID
+ * @returns {Object|null} Job row with total, remaining (pending or placing) and counts by status
+ */
+function getImportJob(db, jobId) {
+  const job = db.prepare('SELECT * FROM import_jobs WHERE job_id = ?').get(jobId);
+  if (!job) {
+    return null;
+  }
+
+  const counts = Object.fromEntries(IMPORT_FILE_STATUSES.map(status => [status, 0]));
+  db.prepare(`
+    SELECT status, COUNT(*) AS count FROM import_job_files WHERE job_id = ? GROUP BY status
+  `).all(jobId).forEach(row => {
+    counts[row.status] = row.count;
+  });
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  return { ...job, total, remaining: counts.pending + counts.placing, counts };
+}
+
+/**
+ * Get the jobs that still have files to import, oldest first
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @returns {Array<Object>} Jobs as from getImportJob
+ */
+function getUnfinishedImportJobs(db) {
+  return db.prepare('SELECT job_id FROM import_jobs ORDER BY job_id').all()
+    .map(row => getImportJob(db, row.job_id));
+}
+
+/**
+ * Get the files of a job with a given status
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} jobId - Job ID
+ * @param {string} status - File status
+ * @returns {Array<Object>} { position, file_path, dest_path } in position order
+ */
+function getImportFiles(db, jobId, status) {
+  return db.prepare(`
+    SELECT position, file_path, dest_path FROM import_job_files
+    WHERE job_id = ? AND status = ? ORDER BY position
+  `).all(jobId, status);
+}
+
+/**
+ * Record the outcome of files
+ * Only done files keep a track and error; placing files keep their dest_path.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} jobId - Job ID
+ * @param {Array<Object>} files - { position, status, dest_path, track_id, error }
+ * @throws {Error} If a status is unknown
+ */
+function recordImportFiles(db, jobId, files) {
+  const update = db.prepare(`
+    UPDATE import_job_files SET status = @status, dest_path = @dest_path, track_id = @track_id, error = @error
+    WHERE job_id = @job_id AND position = @position
+  `);
+
+  db.transaction(() => {
+    files.forEach(file => {
+      if (!IMPORT_FILE_STATUSES.includes(file.status)) {
+        throw new Error(`Invalid import file status: ${file.status}`);
+      }
+      update.run({
+        job_id: jobId,
+        position: file.position,
+        status: file.status,
+        dest_path: file.status === 'placing' ? file.dest_path : null,
+        track_id: file.track_id || null,
+        error: file.error || null
+      });
+    });
+    db.prepare("UPDATE import_jobs SET updated_at = strftime('%s', 'now') WHERE job_id = ?").run(jobId);
+  })();
+}
+
+/**
+ * Mark a job running or paused
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} jobId - Job ID
+ * @param {string} state - 'running' or 'paused'
+ * @throws {Error} If the state is unknown or the job doesn't exist
+ */
+function setImportJobState(db, jobId, state) {
+  if (!IMPORT_JOB_STATES.includes(state)) {
+    throw new Error(`Invalid import job state: ${state}`);
+  }
+  const result = db.prepare(`
+    UPDATE import_jobs SET state = ?, updated_at = strftime('%s', 'now') WHERE job_id = ?
+  `).run(state, jobId);
+  if (result.changes === 0) {
+    throw new Error(`Import job ${jobId} not found`);
+  }
+}
+
+/**
+ * Delete a job and its file list
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} jobId - Job ID
+ * @returns {boolean} True if the job existed
+ */
+function deleteImportJob(db, jobId) {
+  return db.prepare('DELETE FROM import_jobs WHERE job_id = ?').run(jobId).changes > 0;
+}
+
+/**
+ * Whether a path exists
+ *
+ * @param {string} filePath - Path
+ * @returns {Promise<boolean>}
+ */
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Undo what interrupted imports left half done
+ * Call at startup, before any import runs. Files caught while being placed go
+ * back to pending: a partial or placed file without a track is deleted (or
+ * moved back to where it came from, if its source is gone), and
+ * running jobs are paused.
+ *
+ * @param {MusicDatabase|DatabaseClient} database - Library database
+ * @returns {Promise<Array<Object>>} Unfinished jobs, as from getUnfinishedImportJobs
+ */
+async function recoverImportJobs(database) {
+  for (const job of await database.getUnfinishedImportJobs()) {
+    const placing = await database.getImportFiles(job.job_id, 'placing');
+
+    for (const file of placing) {
+      try {
+        // A partial file is a copy, unless a replacement was moved there whole
+        const partial = partialPath(file.dest_path);
+        if (job.mode === 'move' && await exists(partial) && !(await exists(file.file_path))) {
+          await fs.rename(partial, file.file_path);
+        } else {
+          await fs.rm(partial, { force: true });
+        }
+
+        // A track with this path is one the file was replacing; the file in place is whole
+        if (!(await database.getTrackByPath(file.dest_path)) && await exists(file.dest_path)) {
+          if (await exists(file.file_path)) {
+            await fs.unlink(file.dest_path);
+          } else {
+            await fs.rename(file.dest_path, file.file_path);
+          }
+        }
+      } catch (error) {
+        console.error(`[Import] Could not clean up ${file.dest_path}:`, error.message);
+        continue;
+      }
+      await database.recordImportFiles(job.job_id, [{ position: file.position, status: 'pending' }]);
+    }
+
+    if (job.state === 'running') {
+      await database.setImportJobState(job.job_id, 'paused');
+    }
+  }
+
+  return database.getUnfinishedImportJobs();
+}
+
+module.exports = {
+  IMPORT_JOB_STATES,
+  IMPORT_FILE_STATUSES,
+  createImportJobsSchema,
+  partialPath,
+  createImportJob,
+  getImportJob,
+  getUnfinishedImportJobs,
+  getImportFiles,
+  recordImportFiles,
+  setImportJobState,
+  deleteImportJob,
+  recoverImportJobs
+};
@@ -0,0 +1,159 @@
+// Import job tests
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const MusicDatabase = require('./database');
+const { partialPath, recoverImportJobs } = require('./import-jobs');
+
+describe('Import Jobs', () => {
+  let tempDir;
+  let db;
+
+  const write = async (name, data = 'audio') => {
+    const filePath = path.join(tempDir, name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, data);
+    return filePath;
+  };
+  const exists = filePath => fs.access(filePath).then(() => true, () => false);
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'import-jobs-test-'));
+    db = new MusicDatabase(':memory:');
+    db.initialize();
+  });
+
+  afterEach(async () => {
+    db.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const createJob = (filePaths, mode = 'copy') => db.createImportJob({
+    folderPath: tempDir,
+    filePaths,
+    mode,
+    onDuplicate: 'skip'
+  });
+
+  describe('createImportJob()', () => {
+    test('records the files in order, all pending', () => {
+      const jobId = createJob(['/in/a.mp3', '/in/b.mp3', '/in/c.mp3']);
+
+      expect(db.getImportJob(jobId)).toMatchObject({
+        folder_path: tempDir,
+        mode: 'copy',
+        on_duplicate: 'skip',
+        state: 'paused',
+        total: 3,
+        remaining: 3
+      });
+      expect(db.getImportFiles(jobId, 'pending').map(file => file.file_path))
+        .toEqual(['/in/a.mp3', '/in/b.mp3', '/in/c.mp3']);
+    });
+
+    test('needs at least one file', () => {
+      expect(() => createJob([])).toThrow('An import job needs at least one file');
+    });
+  });
+
+  describe('recordImportFiles()', () => {
+    test('keeps where a file is being placed until it is done', () => {
+      const jobId = createJob(['/in/a.mp3', '/in/b.mp3', '/in/c.mp3']);
+
+      db.recordImportFiles(jobId, [{ position: 0, status: 'placing', dest_path: '/lib/a.mp3' }]);
+      expect(db.getImportFiles(jobId, 'placing')).toEqual([
+        { position: 0, file_path: '/in/a.mp3', dest_path: '/lib/a.mp3' }
+      ]);
+
+      db.recordImportFiles(jobId, [
+        { position: 0, status: 'error', dest_path: '/lib/a.mp3', error: 'Disk full' },
+        { position: 1, status: 'duplicate' }
+      ]);
+      expect(db.getImportFiles(jobId, 'error')).toEqual([
+        { position: 0, file_path: '/in/a.mp3', dest_path: null }
+      ]);
+      expect(db.getImportJob(jobId)).toMatchObject({
+        remaining: 1,
+        counts: { pending: 1, placing: 0, error: 1, duplicate: 1 }
+      });
+    });
+
+    test('rejects unknown statuses', () => {
+      const jobId = createJob(['/in/a.mp3']);
+
+      expect(() => db.recordImportFiles(jobId, [{ position: 0, status: 'done' }]))
+        .toThrow('Invalid import file status: done');
+    });
+  });
+
+  describe('setImportJobState() and deleteImportJob()', () => {
+    test('pause, resume and forget a job', () => {
+      const jobId = createJob(['/in/a.mp3']);
+
+      db.setImportJobState(jobId, 'running');
+      expect(db.getUnfinishedImportJobs().map(job => job.state)).toEqual(['running']);
+      expect(() => db.setImportJobState(jobId, 'done')).toThrow('Invalid import job state: done');
+      expect(() => db.setImportJobState(jobId + 1, 'paused')).toThrow(`Import job ${jobId + 1} not found`);
+
+      expect(db.deleteImportJob(jobId)).toBe(true);
+      expect(db.deleteImportJob(jobId)).toBe(false);
+      expect(db.getImportJob(jobId)).toBeNull();
+      expect(db.getImportFiles(jobId, 'pending')).toEqual([]);
+    });
+  });
+
+  describe('recoverImportJobs()', () => {
+    test('undoes files caught while being placed and pauses the job', async () => {
+      const sources = [
+        await write('in/partial.mp3'),
+        await write('in/copied.mp3'),
+        path.join(tempDir, 'in/moved.mp3'),
+        await write('in/replacing.mp3')
+      ];
+      const dests = [
+        path.join(tempDir, 'Music/partial.mp3'),
+        await write('Music/copied.mp3'),
+        await write('Music/moved.mp3'),
+        await write('Music/replaced.mp3')
+      ];
+      await write('Music/partial.mp3.part', 'half');
+      db.insertTrack({ file_path: dests[3], title: 'Replaced', date_added: 1 });
+
+      const jobId = createJob([...sources, await write('in/waiting.mp3')], 'move');
+      db.setImportJobState(jobId, 'running');
+      db.recordImportFiles(jobId, dests.map((destPath, position) => ({ position, status: 'placing', dest_path: destPath })));
+
+      const jobs = await recoverImportJobs(db);
+
+      expect(jobs).toEqual([expect.objectContaining({ job_id: jobId, state: 'paused', remaining: 5 })]);
+      expect(db.getImportJob(jobId).counts.placing).toBe(0);
+      expect(await exists(partialPath(dests[0]))).toBe(false);
+      expect(await exists(dests[1])).toBe(false);
+      expect(await exists(sources[1])).toBe(true);
+      expect(await exists(dests[2])).toBe(false);
+      expect(await exists(sources[2])).toBe(true);
+      expect(await exists(dests[3])).toBe(true);
+    });
+
+    test('moves back a replacement that was waiting beside its track', async () => {
+      const source = path.join(tempDir, 'in/replacing.mp3');
+      await fs.mkdir(path.dirname(source));
+      const dest = await write('Music/replaced.mp3', 'old');
+      await write('Music/replaced.mp3.part', 'new');
+      db.insertTrack({ file_path: dest, title: 'Replaced', date_added: 1 });
+
+      const jobId = createJob([source], 'move');
+      db.recordImportFiles(jobId, [{ position: 0, status: 'placing', dest_path: dest }]);
+
+      await recoverImportJobs(db);
+
+      expect(await fs.readFile(source, 'utf8')).toBe('new');
+      expect(await fs.readFile(dest, 'utf8')).toBe('old');
+      expect(await exists(partialPath(dest))).toBe(false);
+    });
+
+    test('leaves nothing to do when no job was cut short', async () => {
+      expect(await recoverImportJobs(db)).toEqual([]);
+    });
+  });
+});
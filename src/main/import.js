@@ -4,16 +4,58 @@
  * Handles the complete import process:
  * 1. Folder scanning for audio files
  * 2. Metadata extraction
- * 3. File copying to managed library
+ * 3. Placing the file according to the import mode
  * 4. Artwork caching
  * 5. Database insertion
  * 6. Progress tracking
+ * Several files go through steps 2-4 at once, and tracks are inserted in
+ * batches (see ImportPipeline), while results and progress follow input order.
+ *
+ * Import modes:
+ * - copy: the file is copied into the managed library; the original is untouched
+ * - move: the file is moved into the managed library
+ * - reference: the track points at the original where it is (see track-files.js)
+ *
+ * Duplicates are found by the content hash of the audio payload (see
+ * content-hash.js), so a file is still recognised after its tags were fixed, and
+ * songs that merely share a title are not. Tracks that have no hash yet are
+ * matched by their tags, and files are fingerprinted (where their format can be
+ * decoded) to catch other encodings of a library track.
+ *
+ * What happens to a duplicate is up to the onDuplicate option:
+ * - skip: nothing happens to the file, so a move never removes its source
+ * - replace: the track gets the new file and its tags, keeping its ID and history
+ * - keep-both: the file is imported as a track of its own
+ * A file the library already uses is never imported twice. In reference mode, a
+ * duplicate of a referenced track whose file went missing relinks that track.
+ *
+ * A folder import is recorded as an import job (see import-jobs.js) before any
+ * file is touched, so one that was cancelled or cut short can be resumed with
+ * runImportJob().
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const { extractMetadata, cacheArtwork, isSupportedAudioFile } = require('./metadata');
 const LibraryManager = require('./library-manager');
+const { fingerprintFile, compareFingerprints, MATCH_DEFAULTS } = require('./fingerprint');
+const { hashAudioContent } = require('./content-hash');
+const { deleteUnusedLibraryFile } = require('./trash');
+const { partialPath } = require('./import-jobs');
+
+const IMPORT_MODES = ['copy', 'move', 'reference'];
+const DUPLICATE_ACTIONS = ['skip', 'replace', 'keep-both'];
+
+// Files read (metadata, hashes, fingerprints) and files copied at once
+const DEFAULT_CONCURRENCY = { metadata: 4, copy: 2 };
+
+// Most tracks written to the database in one transaction
+const DEFAULT_BATCH_SIZE = 50;
+
+// Import job file status by pipeline action, for files not marked with their track
+const JOB_FILE_STATUSES = {
+  skipped: 'skipped', duplicate: 'duplicate', relink: 'relinked', import: 'imported', replace: 'replaced'
+};
 
 /**
  * Recursively scan a folder for audio files
@@ -57,104 +99,651 @@ async function scanFolder(folderPath, onProgress = null) {
 }
 
 /**
- * Import files into the library
+ * Fingerprint a file for duplicate detection
+ * A file that can't be decoded is still imported, just without a fingerprint.
  *
- * @param {string[]} filePaths - Array of file paths to import
- * @param {Object} database - Database instance
- * @param {LibraryManager} libraryManager - Library manager instance
- * @param {Object} options - Import options
- * @param {Function} options.onProgress - Progress callback (processed, total, message, status)
- * @param {Function} options.onError - Error callback (filePath, error)
- * @param {Object} options.cancelToken - Object with 'cancelled' boolean property
- * @returns {Promise<Object>} Import results
+ * @param {string} filePath - Audio file path
+ * @returns {Promise<Object|null>} { fingerprint, duration_seconds } or null
  */
-async function importFiles(filePaths, database, libraryManager, options = {}) {
-  const {
-    onProgress = null,
-    onError = null,
-    cancelToken = { cancelled: false }
-  } = options;
+async function tryFingerprintFile(filePath) {
+  try {
+    return await fingerprintFile(filePath);
+  } catch (error) {
+    console.error(`Fingerprinting failed for ${filePath}:`, error.message);
+    return null;
+  }
+}
 
-  const results = {
-    total: filePaths.length,
-    imported: 0,
-    skipped: 0,
-    errors: 0,
-    duplicates: 0,
-    importedTracks: []
-  };
+/**
+ * Work out what to do with duplicates
+ * Older settings store skipDuplicates as a boolean.
+ *
+ * @param {string|boolean} onDuplicate - 'skip', 'replace', 'keep-both', true or false
+ * @returns {string} 'skip', 'replace' or 'keep-both'
+ * @throws {Error} If the action is unknown
+ */
+function resolveDuplicateAction(onDuplicate) {
+  if (typeof onDuplicate === 'boolean') {
+    return onDuplicate ? 'skip' : 'keep-both';
+  }
+  if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+    throw new Error(`Invalid duplicate action: ${onDuplicate}`);
+  }
+  return onDuplicate;
+}
 
-  for (let i = 0; i < filePaths.length; i++) {
-    // Check if import was cancelled
-    if (cancelToken.cancelled) {
-      if (onProgress) {
-        onProgress(i, results.total, 'Import cancelled', 'cancelled');
+/**
+ * Put a file into the managed library
+ * Moves rename the file where they can; across drives the file is copied and
+ * the caller removes the source once the track is in the database. Copies are
+ * written to a partial file first, so destPath never holds half a file.
+ * A staged file is left at the partial path for the caller to rename into place.
+ *
+ * @param {string} sourcePath - File being imported
+ * @param {string} destPath - Path in the library
+ * @param {string} mode - 'copy' or 'move'
+ * @param {boolean} staged - Leave the file at partialPath(destPath)
+ * @returns {Promise<boolean>} True if the file was renamed, false if it was copied
+ */
+async function placeFile(sourcePath, destPath, mode, staged = false) {
+  await fs.mkdir(path.dirname(destPath), { recursive: true });
+  const partial = partialPath(destPath);
+
+  if (mode === 'move') {
+    try {
+      await fs.rename(sourcePath, staged ? partial : destPath);
+      return true;
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error;
       }
-      break;
     }
+  }
+
+  try {
+    await fs.copyFile(sourcePath, partial);
+    if (!staged) {
+      await fs.rename(partial, destPath);
+    }
+  } catch (error) {
+    await fs.rm(partial, { force: true });
+    throw error;
+  }
+  return false;
+}
 
-    const filePath = filePaths[i];
-    const filename = path.basename(filePath);
+/**
+ * Undo placeFile after an import failed
+ * A renamed file goes back where it came from; a copy is removed.
+ *
+ * @param {string} sourcePath - File being imported
+ * @param {Object} placed - { destPath, renamed }
+ */
+async function unplaceFile(sourcePath, { destPath, renamed }) {
+  try {
+    if (renamed) {
+      await fs.rename(destPath, sourcePath);
+    } else {
+      await fs.unlink(destPath);
+    }
+  } catch (error) {
+    console.error(`Could not undo import of ${sourcePath}:`, error.message);
+  }
+}
 
+/**
+ * Run async tasks with at most a given number at a time
+ */
+class Limiter {
+  /**
+   * @param {number} limit - Most tasks running at once
+   */
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Wait for a free slot and take it
+   * @returns {Promise<void>}
+   */
+  async acquire() {
+    if (this.active < this.limit) {
+      this.active++;
+      return;
+    }
+    // release() hands its slot straight to the next waiter
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Give a slot back
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - Async function
+   * @returns {Promise<*>} What the task returns
+   */
+  async run(task) {
+    await this.acquire();
     try {
-      // Report progress - starting file
-      if (onProgress) {
-        onProgress(i, results.total, `Processing: ${filename}`, 'processing');
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+}
+
+// Imports run one at a time, whether manual, resumed or from a watched folder,
+// so two never claim the same library path or miss each other's duplicates
+const importQueue = new Limiter(1);
+
+/**
+ * Check the concurrency and batch size options
+ *
+ * @param {Object} concurrency - { metadata, copy }
+ * @param {number} batchSize - Tracks per transaction
+ * @returns {Object} { metadata, copy } with defaults filled in
+ * @throws {Error} If a limit isn't a positive integer
+ */
+function resolveLimits(concurrency, batchSize) {
+  const limits = { ...DEFAULT_CONCURRENCY, ...concurrency };
+  for (const [stage, limit] of Object.entries(limits)) {
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid ${stage} concurrency: ${limit}`);
+    }
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Invalid batch size: ${batchSize}`);
+  }
+  return limits;
+}
+
+/**
+ * One run of importFiles
+ *
+ * Each file goes through four stages:
+ * 1. analyse: metadata, content hash, fingerprint and duplicate lookups
+ *    (concurrency.metadata files at once)
+ * 2. claim: decide what happens to the file and reserve its library path, in
+ *    input order, so files in the same run are checked against each other
+ * 3. place: copy or move the file and cache its artwork (concurrency.copy at once)
+ * 4. write: whatever files are ready, up to batchSize, go into the database in one
+ *    transaction; results and progress are reported in input order
+ *
+ * A file only starts once fewer than batchSize + both concurrency limits are
+ * underway, which bounds memory however many files there are. Cancelling stops
+ * new files from starting; those already underway finish.
+ *
+ * With options.job, each file's status is kept in its import job (see
+ * import-jobs.js): placing before anything is written to Music/, and done in the
+ * same transaction as its track.
+ */
+class ImportPipeline {
+  /**
+   * @param {string[]} filePaths - Files to import
+   * @param {MusicDatabase|DatabaseClient} database - Database instance
+   * @param {LibraryManager} libraryManager - Library manager instance
+   * @param {Object} options - As for importFiles, checked
+   */
+  constructor(filePaths, database, libraryManager, options) {
+    this.filePaths = filePaths;
+    this.database = database;
+    this.libraryManager = libraryManager;
+    this.options = options;
+
+    this.metadataLimiter = new Limiter(options.concurrency.metadata);
+    this.copyLimiter = new Limiter(options.concurrency.copy);
+    this.window = new Limiter(options.batchSize + options.concurrency.metadata + options.concurrency.copy);
+
+    // Files started so far, in input order; written ones are cleared
+    this.items = [];
+    this.finished = false;
+    this.waiters = [];
+    this.lastClaim = Promise.resolve();
+
+    // What earlier files in this run claimed, for telling duplicates within the run
+    this.claimedHashes = new Set();
+    this.claimedFingerprints = [];
+    this.claimedTracks = new Set();
+    this.addedTracks = new Set();
+
+    // Files whose outcome has been reported
+    this.reported = 0;
+    this.results = {
+      total: filePaths.length,
+      imported: 0,
+      skipped: 0,
+      errors: 0,
+      duplicates: 0,
+      replaced: 0,
+      relinked: 0,
+      importedTracks: []
+    };
+  }
+
+  /**
+   * Report progress, if anyone listens
+   * @param {string} message - Progress message
+   * @param {string} status - Progress status
+   */
+  progress(message, status) {
+    if (this.options.onProgress) {
+      this.options.onProgress(this.reported, this.results.total, message, status);
+    }
+  }
+
+  /**
+   * Import the files
+   * @returns {Promise<Object>} Import results
+   */
+  async run() {
+    const writing = this.writeAll();
+
+    let cancelled = false;
+    for (let i = 0; i < this.filePaths.length; i++) {
+      await this.window.acquire();
+      if (this.options.cancelToken.cancelled) {
+        this.window.release();
+        cancelled = true;
+        break;
+      }
+      this.start(i);
+    }
+    this.finished = true;
+    this.notify();
+
+    await writing;
+    if (cancelled) {
+      this.progress('Import cancelled', 'cancelled');
+    }
+    return this.results;
+  }
+
+  /**
+   * Start a file through the stages
+   * Stage promises never reject; failures are kept in item.error.
+   * @param {number} index - Position in filePaths
+   */
+  start(index) {
+    const filePath = path.resolve(this.filePaths[index]);
+    const item = { filePath, filename: path.basename(filePath), action: null, error: null, placed: null };
+    if (this.options.job) {
+      item.position = this.options.job.positions[index];
+    }
+
+    const analysed = this.metadataLimiter.run(() => this.analyse(item));
+    this.lastClaim = Promise.all([this.lastClaim, analysed]).then(() => this.claim(item));
+    item.done = this.lastClaim
+      .then(() => this.place(item))
+      .then(() => {
+        item.ready = true;
+      });
+
+    this.items.push(item);
+    this.notify();
+  }
+
+  /**
+   * Wake the writer waiting for the next file to start
+   */
+  notify() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Stage 1: read the file and look for library tracks it duplicates
+   * @param {Object} item - File being imported
+   */
+  async analyse(item) {
+    const { database } = this;
+
+    try {
+      this.progress(`Processing: ${item.filename}`, 'processing');
+      item.metadata = await extractMetadata(item.filePath);
+      if (!item.metadata) {
+        item.action = 'skipped';
+        return;
       }
+      const { metadata } = item;
+
+      // A file the library already uses, by reference or because it's in Music/
+      item.sameFile = await database.getTrackByPath(item.filePath);
+
+      // Check for duplicates - a library track with the same audio payload is the
+      // same file, however it was tagged or filed since
+      item.contentHash = await hashAudioContent(item.filePath);
+      let existing = item.sameFile ? [item.sameFile] : await database.findTracksByContentHash(item.contentHash);
 
-      // Extract metadata
-      const metadata = await extractMetadata(filePath);
+      // Tracks that have no hash yet can only be compared by title, artist and length
+      if (existing.length === 0) {
+        existing = (await database.findDuplicatesOf({
+          title: metadata.title,
+          artist: metadata.artist,
+          album: metadata.album,
+          duration_seconds: metadata.duration
+        })).filter(track => !track.content_hash);
+      }
+
+      // Failing that, a track with the same sound is a copy under different tags
+      item.fingerprint = existing.length > 0 ? null : await tryFingerprintFile(item.filePath);
+      const sameRecording = item.fingerprint
+        ? await database.findTracksByFingerprint(item.fingerprint.fingerprint, { durationSeconds: item.fingerprint.duration_seconds })
+        : [];
+
+      item.matches = [...existing, ...sameRecording];
+    } catch (error) {
+      item.error = error;
+    }
+  }
+
+  /**
+   * Whether a file repeats one claimed earlier in this run
+   * @param {Object} item - Analysed file
+   * @returns {boolean}
+   */
+  claimedInRun(item) {
+    if (this.claimedHashes.has(item.contentHash)) {
+      return true;
+    }
+    const { fingerprint } = item;
+    return Boolean(fingerprint) && this.claimedFingerprints.some(other =>
+      Math.abs(other.duration_seconds - fingerprint.duration_seconds) <= MATCH_DEFAULTS.durationTolerance &&
+      compareFingerprints(other.fingerprint, fingerprint.fingerprint).similarity >= MATCH_DEFAULTS.minSimilarity
+    );
+  }
+
+  /**
+   * Stage 2: decide what happens to a file, in input order
+   * Tracks this run added or took over are left out of the lookups, so the
+   * outcome doesn't depend on how far earlier files got; the files behind them
+   * are compared directly instead.
+   * @param {Object} item - Analysed file
+   */
+  async claim(item) {
+    if (item.error || item.action === 'skipped') {
+      return;
+    }
+    const { mode, duplicateAction } = this.options;
+    const { sameFile } = item;
+    const matches = item.matches.filter(track =>
+      !this.addedTracks.has(track.track_id) && !this.claimedTracks.has(track.track_id)
+    );
+    item.matches = null;
+
+    // A referenced file that went missing and turns up somewhere else is the same track
+    const lost = mode === 'reference' && !sameFile
+      ? matches.find(track => track.storage === 'referenced' && track.file_state === 'missing')
+      : null;
+    if (lost) {
+      item.action = 'relink';
+      item.target = lost;
+      this.claimedTracks.add(lost.track_id);
+      return;
+    }
+
+    const inRun = this.claimedInRun(item);
+    if ((sameFile && duplicateAction !== 'replace') ||
+        (inRun && duplicateAction !== 'keep-both') ||
+        (matches.length > 0 && duplicateAction === 'skip') ||
+        (sameFile && this.claimedTracks.has(sameFile.track_id))) {
+      item.action = 'duplicate';
+      return;
+    }
 
-      if (!metadata) {
-        results.skipped++;
-        if (onProgress) {
-          onProgress(i + 1, results.total, `Skipped: ${filename} (no metadata)`, 'skipped');
+    // The track whose file this one takes over
+    item.target = duplicateAction === 'replace' && !inRun ? matches[0] || null : null;
+    item.action = item.target ? 'replace' : 'import';
+    this.claimedHashes.add(item.contentHash);
+    if (item.fingerprint) {
+      this.claimedFingerprints.push(item.fingerprint);
+    }
+    if (item.target) {
+      this.claimedTracks.add(item.target.track_id);
+    }
+
+    item.destPath = item.filePath;
+    if (mode !== 'reference' && !sameFile) {
+      try {
+        await this.reservePath(item);
+      } catch (error) {
+        item.error = error;
+      }
+    }
+  }
+
+  /**
+   * Pick the file's path in the library and hold it with an empty file, so files
+   * copied at the same time never get the same name
+   * @param {Object} item - Claimed file
+   */
+  async reservePath(item) {
+    const { metadata, target } = item;
+    const trackPath = this.libraryManager.generateTrackPath({
+      artist: metadata.artist,
+      album: metadata.album,
+      album_artist: metadata.albumArtist,
+      title: metadata.title,
+      track_number: metadata.trackNumber,
+      file_path: item.filePath
+    });
+
+    // A replaced file's own path is taken by the new file. It waits beside the old
+    // one until its track is written, so a failed write leaves the old file intact
+    if (target && target.storage === 'managed' && target.file_path === trackPath) {
+      await this.recordPlacing(item, trackPath);
+      item.destPath = trackPath;
+      item.staged = true;
+      item.placed = { destPath: partialPath(trackPath), renamed: false };
+      return;
+    }
+
+    // Distinct tracks can share a file name, so number it if taken
+    await fs.mkdir(path.dirname(trackPath), { recursive: true });
+    for (;;) {
+      const destPath = await this.libraryManager.getAvailablePath(trackPath);
+      await this.recordPlacing(item, destPath);
+      try {
+        await (await fs.open(destPath, 'wx')).close();
+        item.destPath = destPath;
+        item.placed = { destPath, renamed: false };
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
         }
-        continue;
       }
+    }
+  }
 
-      // Generate destination path
-      const destPath = libraryManager.generateTrackPath({
-        artist: metadata.artist,
-        album: metadata.album,
-        album_artist: metadata.albumArtist,
-        title: metadata.title,
-        track_number: metadata.trackNumber,
-        file_path: filePath
-      });
+  /**
+   * Note in the import job where a file is about to be placed
+   * @param {Object} item - Claimed file
+   * @param {string} destPath - Library path
+   */
+  async recordPlacing(item, destPath) {
+    const { job } = this.options;
+    if (job) {
+      await this.database.recordImportFiles(job.jobId, [{ position: item.position, status: 'placing', dest_path: destPath }]);
+    }
+  }
+
+  /**
+   * Stage 3: put the file in the library and cache its artwork
+   * @param {Object} item - Claimed file
+   */
+  async place(item) {
+    if (item.error || (item.action !== 'import' && item.action !== 'replace')) {
+      return;
+    }
+
+    await this.copyLimiter.run(async () => {
+      try {
+        if (item.destPath !== item.filePath) {
+          const renamed = await placeFile(item.filePath, item.destPath, this.options.mode, item.staged);
+          item.renamed = renamed;
+          if (item.placed) {
+            item.placed.renamed = renamed;
+          }
+        }
+
+        item.artworkPath = null;
+        if (item.metadata.artwork) {
+          item.artworkPath = await cacheArtwork(
+            item.metadata.artwork,
+            this.libraryManager.getAlbumsArtworkPath()
+          );
+          item.metadata.artwork = null;
+        }
+      } catch (error) {
+        item.error = error;
+      }
+    });
+  }
+
+  /**
+   * Stage 4: write files to the database in order, as they become ready
+   * @returns {Promise<void>} Resolves once every started file is reported
+   */
+  async writeAll() {
+    for (let i = 0; ; ) {
+      while (i >= this.items.length && !this.finished) {
+        await new Promise(resolve => this.waiters.push(resolve));
+      }
+      if (i >= this.items.length) {
+        return;
+      }
+
+      await this.items[i].done;
+      const batch = [];
+      while (i < this.items.length && this.items[i].ready && batch.length < this.options.batchSize) {
+        batch.push(this.items[i]);
+        this.items[i] = null;
+        i++;
+      }
+
+      try {
+        await this.write(batch);
+      } finally {
+        batch.forEach(() => this.window.release());
+      }
+    }
+  }
+
+  /**
+   * Write a batch of files and report them
+   * Never throws: a failure fails the files it concerns, so run() always gets
+   * its window slots back.
+   * @param {Array<Object>} batch - Files ready to write, in input order
+   */
+  async write(batch) {
+    const { database } = this;
+    const tracks = batch.filter(item => !item.error && (item.action === 'import' || item.action === 'replace'));
 
-      // Check for duplicates - check if destination file already exists
+    if (tracks.length > 0) {
       try {
-        await fs.access(destPath);
-        // File exists at destination, it's a duplicate
-        results.duplicates++;
-        if (onProgress) {
-          onProgress(i + 1, results.total, `Duplicate: ${filename}`, 'duplicate');
+        const trackIds = await database.importTracks(tracks.map(item => this.trackEntry(item)));
+        tracks.forEach((item, i) => {
+          item.trackId = trackIds[i];
+        });
+      } catch (error) {
+        // Write them one at a time, so one bad track doesn't fail the rest
+        for (const item of tracks) {
+          try {
+            [item.trackId] = await database.importTracks([this.trackEntry(item)]);
+          } catch (trackError) {
+            item.error = trackError;
+          }
         }
-        continue;
-      } catch {
-        // File doesn't exist, proceed with import
       }
+    }
 
-      // Ensure destination directory exists
-      const destDir = path.dirname(destPath);
-      await fs.mkdir(destDir, { recursive: true });
+    // Staged replacements take over their file now that their track is written
+    for (const item of tracks) {
+      if (!item.error && item.staged) {
+        try {
+          await fs.rename(item.placed.destPath, item.destPath);
+          item.placed = null;
+        } catch (error) {
+          item.error = error;
+        }
+      }
+    }
 
-      // Copy file to library
-      await fs.copyFile(filePath, destPath);
+    for (const item of batch) {
+      if (!item.error && item.action === 'relink') {
+        try {
+          await database.relinkTrackFile(item.target.track_id, item.filePath);
+        } catch (error) {
+          item.error = error;
+        }
+      }
+      try {
+        await this.report(item);
+      } catch (error) {
+        console.error(`Could not report ${item.filePath}:`, error.message);
+      }
+    }
 
-      // Cache artwork if present
-      let artworkPath = null;
-      if (metadata.artwork) {
-        artworkPath = await cacheArtwork(
-          metadata.artwork,
-          libraryManager.getAlbumsArtworkPath()
-        );
+    // Tracks were marked done as they were written; the rest are marked now
+    const { job } = this.options;
+    const done = batch.filter(item => item.error || item.staged || !tracks.includes(item));
+    if (job && done.length > 0) {
+      try {
+        await database.recordImportFiles(job.jobId, done.map(item => ({
+          position: item.position,
+          status: item.error ? 'error' : JOB_FILE_STATUSES[item.action],
+          error: item.error ? item.error.message : null
+        })));
+      } catch (error) {
+        console.error('Could not record import job progress:', error.message);
+        await this.recordErrors(done, error);
       }
+    }
+  }
 
-      // Prepare track data for database
-      const trackData = {
-        file_path: destPath,
+  /**
+   * Mark files failed in the import job
+   * If even that fails, they stay pending, and resuming the job looks at them again.
+   * @param {Array<Object>} items - Files to mark
+   * @param {Error} error - Why they failed
+   */
+  async recordErrors(items, error) {
+    try {
+      await this.database.recordImportFiles(this.options.job.jobId, items.map(item => ({
+        position: item.position,
+        status: 'error',
+        error: (item.error || error).message
+      })));
+    } catch (recordError) {
+      console.error('Could not record import job progress:', recordError.message);
+    }
+  }
+
+  /**
+   * Track data for the database, as for MusicDatabase.importTracks
+   * @param {Object} item - Placed file
+   * @returns {Object} { track, replaceTrackId, fingerprint, genres, jobFile }
+   */
+  trackEntry(item) {
+    const { metadata, sameFile } = item;
+    const { mode } = this.options;
+
+    return {
+      track: {
+        file_path: item.destPath,
         title: metadata.title,
         artist: metadata.artist,
         album: metadata.album,
@@ -168,57 +757,212 @@ async function importFiles(filePaths, database, libraryManager, options = {}) {
         codec: metadata.codec,
         file_size_bytes: metadata.fileSize,
         is_compilation: metadata.isCompilation,
-        artwork_path: artworkPath,
+        artwork_path: item.artworkPath,
+        rating: metadata.rating,
+        composers: metadata.composers,
+        remixers: metadata.remixers,
+        storage: sameFile ? sameFile.storage : (mode === 'reference' ? 'referenced' : 'managed'),
+        content_hash: item.contentHash,
         date_added: Math.floor(Date.now() / 1000) // Unix timestamp in seconds
-      };
+      },
+      replaceTrackId: item.target ? item.target.track_id : null,
+      fingerprint: item.fingerprint,
+      genres: metadata.genres,
+      // A staged file is only done once it's in place (see write)
+      jobFile: this.options.job && !item.staged ? { jobId: this.options.job.jobId, position: item.position } : null
+    };
+  }
 
-      // Insert into database
-      const result = database.insertTrack(trackData);
-      const trackId = result.track_id;
+  /**
+   * Tidy up after a written file and report its outcome
+   * @param {Object} item - Written file
+   */
+  async report(item) {
+    const { results } = this;
+    const { filePath, filename, metadata } = item;
+    this.reported++;
 
-      // Add genres if present
-      if (metadata.genres && metadata.genres.length > 0) {
-        database.addTrackGenres(trackId, metadata.genres);
+    if (item.error) {
+      results.errors++;
+      console.error(`Import failed for ${filePath}:`, item.error.message);
+      if (item.placed) {
+        await unplaceFile(filePath, item.placed);
+      }
+      if (this.options.onError) {
+        this.options.onError(filePath, item.error);
       }
+      this.progress(`Error: ${filename}`, 'error');
+      return;
+    }
 
-      results.imported++;
-      results.importedTracks.push({
-        trackId,
-        title: metadata.title,
-        artist: metadata.artist,
-        album: metadata.album
-      });
+    if (item.action === 'skipped') {
+      results.skipped++;
+      this.progress(`Skipped: ${filename} (no metadata)`, 'skipped');
+      return;
+    }
+    if (item.action === 'duplicate') {
+      results.duplicates++;
+      this.progress(`Duplicate: ${filename}`, 'duplicate');
+      return;
+    }
+    if (item.action === 'relink') {
+      results.relinked++;
+      this.progress(`Relinked: ${filename}`, 'relinked');
+      return;
+    }
 
-      if (onProgress) {
-        onProgress(i + 1, results.total, `Imported: ${metadata.title}`, 'imported');
+    // A move across drives copied the file; the track is in, so the original can go
+    if (this.options.mode === 'move' && item.destPath !== filePath && !item.renamed) {
+      try {
+        await fs.unlink(filePath);
+      } catch (error) {
+        console.error(`Could not remove ${filePath} after moving it:`, error.message);
       }
+    }
 
-    } catch (error) {
-      results.errors++;
+    // The replaced file goes if the library manages it; referenced originals are left alone
+    const { target } = item;
+    if (target && target.file_path !== item.destPath) {
+      try {
+        await deleteUnusedLibraryFile(this.database, this.libraryManager, target.file_path);
+      } catch (error) {
+        console.error(`Could not remove replaced file ${target.file_path}:`, error.message);
+      }
+    }
 
-      console.error(`Import failed for ${filePath}:`, error.message);
+    if (target) {
+      results.replaced++;
+    } else {
+      results.imported++;
+      this.addedTracks.add(item.trackId);
+    }
+    results.importedTracks.push({
+      trackId: item.trackId,
+      filePath,
+      title: metadata.title,
+      artist: metadata.artist,
+      album: metadata.album,
+      replaced: Boolean(target)
+    });
 
-      if (onError) {
-        onError(filePath, error);
-      }
+    if (target) {
+      this.progress(`Replaced: ${metadata.title}`, 'replaced');
+    } else {
+      this.progress(`Imported: ${metadata.title}`, 'imported');
+    }
+  }
+}
 
-      if (onProgress) {
-        onProgress(i + 1, results.total, `Error: ${filename}`, 'error');
-      }
+/**
+ * Import files into the library
+ * Files are read and copied several at a time and written to the database in
+ * batches (see ImportPipeline); results and progress still come in input order.
+ * The import waits for any other import to finish first (see importQueue).
+ *
+ * @param {string[]} filePaths - Array of file paths to import
+ * @param {MusicDatabase|DatabaseClient} database - Database instance
+ * @param {LibraryManager} libraryManager - Library manager instance
+ * @param {Object} options - Import options
+ * @param {string} options.mode - 'copy' (default), 'move' or 'reference'
+ * @param {string|boolean} options.onDuplicate - 'skip' (default), 'replace' or 'keep-both'
+ * @param {Object} options.concurrency - Files read ({ metadata }) and copied ({ copy }) at once
+ *   (see DEFAULT_CONCURRENCY)
+ * @param {number} options.batchSize - Most tracks written in one transaction (see DEFAULT_BATCH_SIZE)
+ * @param {Function} options.onProgress - Progress callback (processed, total, message, status)
+ * @param {Function} options.onError - Error callback (filePath, error)
+ * @param {Object} options.cancelToken - Object with 'cancelled' boolean property
+ * @param {Object} options.job - { jobId, positions } to keep file statuses in an import job;
+ *   positions[i] is the job position of filePaths[i] (see runImportJob)
+ * @returns {Promise<Object>} Import results
+ * @throws {Error} If the mode, duplicate action or a limit is invalid
+ */
+async function importFiles(filePaths, database, libraryManager, options = {}) {
+  const {
+    mode = 'copy',
+    onDuplicate = 'skip',
+    concurrency = {},
+    batchSize = DEFAULT_BATCH_SIZE,
+    onProgress = null,
+    onError = null,
+    cancelToken = { cancelled: false },
+    job = null
+  } = options;
+
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new Error(`Invalid import mode: ${mode}`);
+  }
+
+  const pipeline = new ImportPipeline(filePaths, database, libraryManager, {
+    mode,
+    duplicateAction: resolveDuplicateAction(onDuplicate),
+    concurrency: resolveLimits(concurrency, batchSize),
+    batchSize,
+    onProgress,
+    onError,
+    cancelToken,
+    job
+  });
+
+  if (importQueue.active > 0 && onProgress) {
+    onProgress(0, filePaths.length, 'Waiting for another import to finish...', 'waiting');
+  }
+  return importQueue.run(() => pipeline.run());
+}
+
+/**
+ * Import the files of an import job that aren't done yet
+ * The job's mode and duplicate action apply. It's paused if files are left
+ * (the import was cancelled) and deleted once every file is done.
+ *
+ * @param {number} jobId - Job ID (see MusicDatabase.createImportJob)
+ * @param {MusicDatabase|DatabaseClient} database - Database instance
+ * @param {LibraryManager} libraryManager - Library manager instance
+ * @param {Object} options - Import options as for importFiles, other than mode and onDuplicate
+ * @returns {Promise<Object>} Import results for the files imported now, with jobId
+ * @throws {Error} If the job doesn't exist or is already running
+ */
+async function runImportJob(jobId, database, libraryManager, options = {}) {
+  const job = await database.getImportJob(jobId);
+  if (!job) {
+    throw new Error(`Import job ${jobId} not found`);
+  }
+  if (job.state === 'running') {
+    throw new Error(`Import job ${jobId} is already running`);
+  }
+
+  const files = await database.getImportFiles(jobId, 'pending');
+  await database.setImportJobState(jobId, 'running');
+
+  let results;
+  try {
+    results = await importFiles(files.map(file => file.file_path), database, libraryManager, {
+      ...options,
+      mode: job.mode,
+      onDuplicate: job.on_duplicate,
+      job: { jobId, positions: files.map(file => file.position) }
+    });
+  } finally {
+    if ((await database.getImportJob(jobId)).remaining > 0) {
+      await database.setImportJobState(jobId, 'paused');
+    } else {
+      await database.deleteImportJob(jobId);
     }
   }
 
-  return results;
+  return { ...results, jobId };
 }
 
 /**
  * Import a folder (combines scanning and importing)
+ * The files found are recorded as an import job, which is left paused if the
+ * import is cancelled.
  *
  * @param {string} folderPath - Path to folder to import
- * @param {Object} database - Database instance
+ * @param {MusicDatabase|DatabaseClient} database - Database instance
  * @param {LibraryManager} libraryManager - Library manager instance
  * @param {Object} options - Import options
- * @returns {Promise<Object>} Import results
+ * @returns {Promise<Object>} Import results, with jobId if files were found
+ * @throws {Error} If the mode, duplicate action or a limit is invalid
  */
 async function importFolder(folderPath, database, libraryManager, options = {}) {
   const { onProgress = null } = options;
@@ -241,22 +985,36 @@ async function importFolder(folderPath, database, libraryManager, options = {})
       skipped: 0,
       errors: 0,
       duplicates: 0,
+      replaced: 0,
+      relinked: 0,
       importedTracks: []
     };
   }
 
+  // Record the job before touching any file, so an interrupted import can be resumed
+  const { mode = 'copy', onDuplicate = 'skip' } = options;
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new Error(`Invalid import mode: ${mode}`);
+  }
+  const jobId = await database.createImportJob({
+    folderPath,
+    filePaths: audioFiles,
+    mode,
+    onDuplicate: resolveDuplicateAction(onDuplicate)
+  });
+
   // Phase 2: Import files
   if (onProgress) {
     onProgress(0, audioFiles.length, `Found ${audioFiles.length} files. Starting import...`, 'importing');
   }
 
-  return await importFiles(audioFiles, database, libraryManager, options);
+  return await runImportJob(jobId, database, libraryManager, options);
 }
 
 /**
  * Validate import prerequisites
  *
- * @param {Object} database - Database instance
+ * @param {MusicDatabase|DatabaseClient} database - Database instance
  * @param {LibraryManager} libraryManager - Library manager instance
  * @returns {Promise<Object>} Validation result with { valid: boolean, errors: string[] }
  */
@@ -286,8 +1044,11 @@ async function validateImportPrerequisites(database, libraryManager) {
 }
 
 module.exports = {
+  IMPORT_MODES,
+  DUPLICATE_ACTIONS,
   scanFolder,
   importFiles,
   importFolder,
+  runImportJob,
   validateImportPrerequisites
 };
@@ -9,6 +9,7 @@ const {
   scanFolder,
   importFiles,
   importFolder,
+  runImportJob,
   validateImportPrerequisites
 } = require('./import');
 const MusicDatabase = require('./database');
@@ -16,11 +17,13 @@ const LibraryManager = require('./library-manager');
 const path = require('path');
 const fs = require('fs').promises;
 const os = require('os');
+const { encodeFlac } = require('../../tests/helpers/flac');
 
 // Paths to test fixtures
 const FIXTURES_DIR = path.join(__dirname, '../../tests/fixtures/audio');
 const TEST_MP3 = path.join(FIXTURES_DIR, 'test.mp3');
 const TEST_M4A = path.join(FIXTURES_DIR, 'test.m4a');
+const TEST_FLAC = path.join(FIXTURES_DIR, 'test.flac');
 const NO_TAGS_MP3 = path.join(FIXTURES_DIR, 'no-tags.mp3');
 
 describe('Import Pipeline', () => {
@@ -130,7 +133,7 @@ describe('Import Pipeline', () => {
 
     test('imports multiple files', async () => {
       const results = await importFiles(
-        [TEST_MP3, TEST_M4A, NO_TAGS_MP3],
+        [TEST_MP3, TEST_M4A, TEST_FLAC],
         db,
         libraryManager
       );
@@ -176,6 +179,343 @@ describe('Import Pipeline', () => {
       expect(results.imported).toBe(0);
     });
 
+    test('matches tracks that have no content hash yet by their tags', async () => {
+      db.insertTrack({
+        file_path: '/elsewhere/retagged.mp3',
+        title: 'test track',
+        artist: 'Test Artist',
+        album: 'Another Album',
+        duration_seconds: 1,
+        date_added: 1
+      });
+
+      const results = await importFiles([TEST_MP3], db, libraryManager);
+
+      expect(results.duplicates).toBe(1);
+      expect(results.imported).toBe(0);
+    });
+
+    test('detects untagged copies of library tracks by fingerprint', async () => {
+      const melody = Array.from({ length: 11025 * 6 }, (_, i) => Math.round(
+        8000 * Math.sin(2 * Math.PI * 220 * 2 ** ([0, 7, 3, 10, 5][Math.floor(i / 2756) % 5] / 12) * i / 11025)
+      ));
+      const original = path.join(tempDir, 'original.flac');
+      const rip = path.join(tempDir, 'rip.flac');
+      await fs.writeFile(original, encodeFlac([melody], 11025));
+      await fs.writeFile(rip, encodeFlac([melody], 11025, { subframe: { fixed: 2 } }));
+
+      const results = await importFiles([original, rip], db, libraryManager);
+
+      expect(results.imported).toBe(1);
+      expect(results.duplicates).toBe(1);
+      expect(db.findSimilarRecordings(results.importedTracks[0].trackId)).toEqual([]);
+      expect(db.db.prepare('SELECT track_id FROM track_fingerprints').all())
+        .toEqual([{ track_id: results.importedTracks[0].trackId }]);
+    });
+
+    test('numbers the file when a different file already has its name', async () => {
+      const destPath = libraryManager.generateTrackPath({
+        artist: 'Test Artist',
+        album: 'Test Album',
+        title: 'Test Track',
+        file_path: TEST_MP3
+      });
+      await fs.mkdir(path.dirname(destPath), { recursive: true });
+      await fs.writeFile(destPath, 'not the same track');
+
+      const results = await importFiles([TEST_MP3], db, libraryManager);
+
+      expect(results.imported).toBe(1);
+      expect(db.getTrack(results.importedTracks[0].trackId).file_path).toBe(destPath.replace(/\.mp3$/, ' (2).mp3'));
+    });
+
+    describe('duplicates', () => {
+      // Same tags as TEST_MP3, different audio
+      const otherTake = async () => {
+        const data = await fs.readFile(TEST_MP3);
+        data[data.length - 50] ^= 0xff;
+        const filePath = path.join(tempDir, 'other-take.mp3');
+        await fs.writeFile(filePath, data);
+        return filePath;
+      };
+      const exists = filePath => fs.access(filePath).then(() => true, () => false);
+
+      test('recognises a file by its audio after its tags were changed', async () => {
+        await importFiles([TEST_MP3], db, libraryManager);
+
+        const results = await importFiles([NO_TAGS_MP3], db, libraryManager);
+
+        expect(results.duplicates).toBe(1);
+        expect(results.imported).toBe(0);
+      });
+
+      test('imports different songs that share their tags', async () => {
+        const results = await importFiles([TEST_MP3, await otherTake()], db, libraryManager);
+
+        expect(results.imported).toBe(2);
+        expect(new Set(db.getTracks().map(track => track.content_hash)).size).toBe(2);
+      });
+
+      test('replaces the file of a track when asked to, keeping the track', async () => {
+        const trackId = (await importFiles([TEST_MP3], db, libraryManager)).importedTracks[0].trackId;
+        const oldPath = db.getTrack(trackId).file_path;
+        db.updateTrack(trackId, { rating: 4 });
+
+        const results = await importFiles([NO_TAGS_MP3], db, libraryManager, { onDuplicate: 'replace' });
+
+        expect(results).toMatchObject({ imported: 0, replaced: 1, duplicates: 0 });
+        expect(results.importedTracks[0]).toMatchObject({ trackId, replaced: true });
+        const track = db.getTrack(trackId);
+        expect(track.title).not.toBe('Test Track');
+        expect(track.rating).toBe(4);
+        expect(track.file_path).not.toBe(oldPath);
+        expect(await exists(track.file_path)).toBe(true);
+        expect(await exists(oldPath)).toBe(false);
+        expect(db.getTracks()).toHaveLength(1);
+      });
+
+      describe('onto the same path', () => {
+        let trackPath;
+        let again;
+
+        beforeEach(async () => {
+          const trackId = (await importFiles([TEST_MP3], db, libraryManager)).importedTracks[0].trackId;
+          trackPath = db.getTrack(trackId).file_path;
+          await fs.appendFile(trackPath, 'old');
+          again = path.join(tempDir, 'again.mp3');
+          await fs.copyFile(TEST_MP3, again);
+        });
+
+        test('puts the new file in place once its track is written', async () => {
+          const results = await importFiles([again], db, libraryManager, { onDuplicate: 'replace' });
+
+          expect(results.replaced).toBe(1);
+          expect(db.getTrack(results.importedTracks[0].trackId).file_path).toBe(trackPath);
+          expect(await fs.readFile(trackPath)).toEqual(await fs.readFile(TEST_MP3));
+          expect(await exists(`${trackPath}.part`)).toBe(false);
+        });
+
+        test('keeps the old file when the track cannot be written', async () => {
+          const importTracks = jest.spyOn(db, 'importTracks').mockImplementation(() => {
+            throw new Error('Disk full');
+          });
+          try {
+            const results = await importFiles([again], db, libraryManager, { onDuplicate: 'replace' });
+
+            expect(results).toMatchObject({ replaced: 0, errors: 1 });
+          } finally {
+            importTracks.mockRestore();
+          }
+          expect((await fs.readFile(trackPath, 'utf8')).endsWith('old')).toBe(true);
+          expect(await exists(`${trackPath}.part`)).toBe(false);
+          expect(await exists(again)).toBe(true);
+        });
+      });
+
+      test('keeps both when asked to, but never imports a library file twice', async () => {
+        const trackId = (await importFiles([TEST_MP3], db, libraryManager)).importedTracks[0].trackId;
+
+        const results = await importFiles([NO_TAGS_MP3, db.getTrack(trackId).file_path], db, libraryManager, {
+          onDuplicate: false
+        });
+
+        expect(results).toMatchObject({ imported: 1, duplicates: 1 });
+        expect(db.getTracks()).toHaveLength(2);
+      });
+
+      test('rejects unknown duplicate actions', async () => {
+        await expect(importFiles([TEST_MP3], db, libraryManager, { onDuplicate: 'merge' }))
+          .rejects.toThrow('Invalid duplicate action: merge');
+      });
+    });
+
+    describe('pipeline', () => {
+      // Files with TEST_MP3's tags and each its own audio, so they all want the same library path
+      const takes = count => Promise.all(Array.from({ length: count }, async (_, i) => {
+        const data = await fs.readFile(TEST_MP3);
+        data[data.length - 50 - i] ^= 0xff;
+        const filePath = path.join(tempDir, `take-${i}.mp3`);
+        await fs.writeFile(filePath, data);
+        return filePath;
+      }));
+      const options = { concurrency: { metadata: 3, copy: 2 }, batchSize: 2 };
+
+      test('reports files in input order however many run at once', async () => {
+        const files = await takes(5);
+        const reported = [];
+
+        const results = await importFiles(files, db, libraryManager, {
+          ...options,
+          onProgress: (processed, total, message, status) => {
+            if (status !== 'processing') reported.push([processed, status]);
+          }
+        });
+
+        expect(results.imported).toBe(5);
+        expect(results.importedTracks.map(track => track.filePath)).toEqual(files);
+        const trackIds = results.importedTracks.map(track => track.trackId);
+        expect(trackIds).toEqual([...trackIds].sort((a, b) => a - b));
+        expect(reported).toEqual([1, 2, 3, 4, 5].map(processed => [processed, 'imported']));
+      });
+
+      test('gives files copied at once paths of their own', async () => {
+        const results = await importFiles(await takes(4), db, libraryManager, options);
+
+        const paths = results.importedTracks.map(track => db.getTrack(track.trackId).file_path);
+        expect(new Set(paths).size).toBe(4);
+        for (const filePath of paths) {
+          expect((await fs.stat(filePath)).size).toBeGreaterThan(0);
+        }
+      });
+
+      test('writes tracks to the database in batches', async () => {
+        const batches = [];
+        const importTracks = db.importTracks.bind(db);
+        db.importTracks = entries => {
+          batches.push(entries.length);
+          return importTracks(entries);
+        };
+
+        await importFiles(await takes(5), db, libraryManager, options);
+
+        expect(batches.reduce((sum, size) => sum + size, 0)).toBe(5);
+        expect(Math.max(...batches)).toBeLessThanOrEqual(2);
+      });
+
+      test('catches duplicates among files read at the same time', async () => {
+        const results = await importFiles([TEST_MP3, NO_TAGS_MP3, TEST_MP3], db, libraryManager, options);
+
+        expect(results).toMatchObject({ imported: 1, duplicates: 2 });
+        expect(results.importedTracks[0].filePath).toBe(TEST_MP3);
+      });
+
+      test('finishes the files already underway when cancelled', async () => {
+        const cancelToken = { cancelled: false };
+        const statuses = [];
+
+        const results = await importFiles(await takes(6), db, libraryManager, {
+          ...options,
+          cancelToken,
+          onProgress: (processed, total, message, status) => {
+            statuses.push(status);
+            cancelToken.cancelled = true;
+          }
+        });
+
+        expect(results.imported).toBeGreaterThan(0);
+        expect(results.imported).toBeLessThan(6);
+        expect(statuses[statuses.length - 1]).toBe('cancelled');
+        expect(statuses.filter(status => status === 'processing')).toHaveLength(results.imported);
+        const files = await fs.readdir(libraryManager.getMusicPath(), { recursive: true, withFileTypes: true });
+        expect(files.filter(file => file.isFile())).toHaveLength(results.imported);
+      });
+
+      test('runs one import at a time', async () => {
+        const [first, second] = await takes(2);
+        const events = [];
+        const track = name => (processed, total, message, status) => events.push([name, status]);
+
+        await Promise.all([
+          importFiles([first], db, libraryManager, { onProgress: track('first') }),
+          importFiles([second], db, libraryManager, { onProgress: track('second') })
+        ]);
+
+        expect(events[0]).toEqual(['second', 'waiting']);
+        const started = events.slice(1).map(([name]) => name);
+        expect(started).toEqual([...started].sort());
+        expect(db.getTracks()).toHaveLength(2);
+      });
+
+      test('rejects invalid limits', async () => {
+        await expect(importFiles([TEST_MP3], db, libraryManager, { concurrency: { copy: 0 } }))
+          .rejects.toThrow('Invalid copy concurrency: 0');
+        await expect(importFiles([TEST_MP3], db, libraryManager, { batchSize: 1.5 }))
+          .rejects.toThrow('Invalid batch size: 1.5');
+      });
+    });
+
+    describe('import modes', () => {
+      let incoming;
+
+      beforeEach(async () => {
+        incoming = path.join(tempDir, 'incoming');
+        await fs.mkdir(incoming, { recursive: true });
+      });
+
+      const stage = async (fixture, name = path.basename(fixture)) => {
+        const filePath = path.join(incoming, name);
+        await fs.copyFile(fixture, filePath);
+        return filePath;
+      };
+      const exists = filePath => fs.access(filePath).then(() => true, () => false);
+
+      test('references files where they are', async () => {
+        const original = await stage(TEST_MP3);
+
+        const results = await importFiles([original], db, libraryManager, { mode: 'reference' });
+
+        expect(results.imported).toBe(1);
+        expect(db.getTrack(results.importedTracks[0].trackId)).toMatchObject({
+          file_path: original,
+          storage: 'referenced',
+          file_state: 'available'
+        });
+        expect(await fs.readdir(libraryManager.getMusicPath())).toEqual([]);
+      });
+
+      test('moves files into the library', async () => {
+        const original = await stage(TEST_MP3);
+
+        const results = await importFiles([original], db, libraryManager, { mode: 'move' });
+
+        const track = db.getTrack(results.importedTracks[0].trackId);
+        expect(track.storage).toBe('managed');
+        expect(track.file_path.startsWith(libraryManager.getMusicPath())).toBe(true);
+        expect(await exists(track.file_path)).toBe(true);
+        expect(await exists(original)).toBe(false);
+      });
+
+      test('never moves the source of a duplicate', async () => {
+        await importFiles([TEST_MP3], db, libraryManager);
+        const copy = await stage(TEST_MP3, 'copy.mp3');
+
+        const results = await importFiles([copy], db, libraryManager, { mode: 'move' });
+
+        expect(results.duplicates).toBe(1);
+        expect(await exists(copy)).toBe(true);
+      });
+
+      test('skips files the library already uses', async () => {
+        const original = await stage(TEST_MP3);
+        await importFiles([original], db, libraryManager, { mode: 'reference' });
+        const managed = (await importFiles([TEST_M4A], db, libraryManager)).importedTracks[0].trackId;
+
+        const results = await importFiles([original, db.getTrack(managed).file_path], db, libraryManager, { mode: 'copy' });
+
+        expect(results.duplicates).toBe(2);
+        expect(db.getTracks()).toHaveLength(2);
+      });
+
+      test('relinks a referenced track whose file went missing', async () => {
+        const original = await stage(TEST_MP3);
+        const trackId = (await importFiles([original], db, libraryManager, { mode: 'reference' })).importedTracks[0].trackId;
+        const moved = path.join(incoming, 'renamed.mp3');
+        await fs.rename(original, moved);
+        db.setTrackFileStates({ missing: [trackId] });
+
+        const results = await importFiles([moved], db, libraryManager, { mode: 'reference' });
+
+        expect(results.relinked).toBe(1);
+        expect(results.imported).toBe(0);
+        expect(db.getTrack(trackId)).toMatchObject({ file_path: moved, file_state: 'available' });
+      });
+
+      test('rejects unknown modes', async () => {
+        await expect(importFiles([TEST_MP3], db, libraryManager, { mode: 'link' }))
+          .rejects.toThrow('Invalid import mode: link');
+      });
+    });
+
     test('handles files with missing metadata', async () => {
       const results = await importFiles([NO_TAGS_MP3], db, libraryManager);
 
@@ -302,6 +642,100 @@ describe('Import Pipeline', () => {
       expect(statuses).toContain('scanning');
       expect(statuses).toContain('importing');
     });
+
+    describe('import jobs', () => {
+      let incoming;
+
+      // Files with TEST_MP3's tags and each its own audio
+      beforeEach(async () => {
+        incoming = path.join(tempDir, 'incoming');
+        await fs.mkdir(incoming);
+        const data = await fs.readFile(TEST_MP3);
+        for (let i = 0; i < 4; i++) {
+          data[data.length - 50] ^= i + 1;
+          await fs.writeFile(path.join(incoming, `take-${i}.mp3`), data);
+        }
+      });
+
+      test('forgets the job once every file is done', async () => {
+        const results = await importFolder(incoming, db, libraryManager);
+
+        expect(results.imported).toBe(4);
+        expect(db.getImportJob(results.jobId)).toBeNull();
+        expect(db.getUnfinishedImportJobs()).toEqual([]);
+      });
+
+      test('resumes a cancelled import from the files it left', async () => {
+        const cancelToken = { cancelled: false };
+        const first = await importFolder(incoming, db, libraryManager, {
+          concurrency: { metadata: 1, copy: 1 },
+          batchSize: 1,
+          cancelToken,
+          onProgress: (processed, total, message, status) => {
+            if (status === 'imported') cancelToken.cancelled = true;
+          }
+        });
+
+        const job = db.getImportJob(first.jobId);
+        expect(job).toMatchObject({ state: 'paused', mode: 'copy', remaining: 4 - first.imported });
+        expect(job.counts.imported).toBe(first.imported);
+        expect(job.remaining).toBeGreaterThan(0);
+
+        const rest = await runImportJob(first.jobId, db, libraryManager);
+
+        expect(rest.imported).toBe(job.remaining);
+        expect(db.getTracks()).toHaveLength(4);
+        expect(db.getImportJob(first.jobId)).toBeNull();
+      });
+
+      test('refuses to run a job that is already running', async () => {
+        const jobId = db.createImportJob({ filePaths: [TEST_MP3], mode: 'copy', onDuplicate: 'skip' });
+        db.setImportJobState(jobId, 'running');
+
+        await expect(runImportJob(jobId, db, libraryManager)).rejects.toThrow(`Import job ${jobId} is already running`);
+        await expect(runImportJob(jobId + 1, db, libraryManager)).rejects.toThrow(`Import job ${jobId + 1} not found`);
+      });
+
+      test('finishes when the job can\'t be updated', async () => {
+        const jobId = db.createImportJob({ filePaths: [TEST_MP3, NO_TAGS_MP3], mode: 'copy', onDuplicate: 'skip' });
+        const recordImportFiles = jest.spyOn(db, 'recordImportFiles').mockImplementation(function (id, files) {
+          if (files.some(file => file.status === 'duplicate')) {
+            throw new Error('database is locked');
+          }
+          return MusicDatabase.prototype.recordImportFiles.call(this, id, files);
+        });
+
+        let results;
+        try {
+          results = await importFiles([TEST_MP3, NO_TAGS_MP3], db, libraryManager, { job: { jobId, positions: [0, 1] } });
+        } finally {
+          recordImportFiles.mockRestore();
+        }
+
+        expect(results).toMatchObject({ imported: 1, duplicates: 1 });
+        expect(db.getImportJob(jobId).counts).toMatchObject({ imported: 1, error: 1 });
+      });
+
+      test('leaves nothing in the library when a copy fails', async () => {
+        const copyFile = jest.spyOn(fs, 'copyFile').mockImplementation(async (source, dest) => {
+          await fs.writeFile(dest, 'half a file');
+          throw new Error('No space left on device');
+        });
+
+        let results;
+        try {
+          results = await importFolder(incoming, db, libraryManager);
+        } finally {
+          copyFile.mockRestore();
+        }
+
+        expect(results.errors).toBe(4);
+        expect(db.getTracks()).toEqual([]);
+        const files = await fs.readdir(libraryManager.getMusicPath(), { recursive: true, withFileTypes: true });
+        expect(files.filter(file => file.isFile())).toEqual([]);
+        expect(db.getImportJob(results.jobId)).toBeNull();
+      });
+    });
   });
 
   describe('validateImportPrerequisites()', () => {
@@ -190,6 +190,27 @@ class LibraryManager {
     return path.join(this.getMusicPath(), artist, album, filename);
   }
 
+  /**
+   * Find a free path for a file, numbering it if the path is taken
+   * "01 Song.mp3" becomes "01 Song (2).mp3", then "01 Song (3).mp3" and so on.
+   * @param {string} filePath - Preferred path
+   * @returns {Promise<string>} filePath or the first numbered path that doesn't exist
+   */
+  async getAvailablePath(filePath) {
+    const extension = path.extname(filePath);
+    const base = filePath.slice(0, filePath.length - extension.length);
+    let candidate = filePath;
+
+    for (let number = 2; ; number++) {
+      try {
+        await fs.access(candidate);
+      } catch {
+        return candidate;
+      }
+      candidate = `${base} (${number})${extension}`;
+    }
+  }
+
   /**
    * Hash data to generate a unique filename
    * @param {Buffer|string} data - Data to hash
@@ -316,6 +316,21 @@ describe('LibraryManager', () => {
     });
   });
 
+  describe('Available Paths', () => {
+    test('keeps a free path and numbers a taken one', async () => {
+      await libraryManager.initialize();
+      const filePath = path.join(libraryManager.getMusicPath(), '01 Song.mp3');
+
+      expect(await libraryManager.getAvailablePath(filePath)).toBe(filePath);
+
+      await fs.writeFile(filePath, 'first');
+      await fs.writeFile(path.join(libraryManager.getMusicPath(), '01 Song (2).mp3'), 'second');
+
+      expect(await libraryManager.getAvailablePath(filePath))
+        .toBe(path.join(libraryManager.getMusicPath(), '01 Song (3).mp3'));
+    });
+  });
+
   describe('Artwork Management', () => {
     test('hashes data consistently', () => {
       const data1 = Buffer.from('test data');
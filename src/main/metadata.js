@@ -14,6 +14,7 @@ const mm = require('music-metadata');
 const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
+const { readRatingFromMetadata } = require('./rating-tags');
 
 // Security: Artwork validation configuration
 const ARTWORK_CONFIG = {
@@ -98,6 +99,10 @@ async function extractMetadata(filePath) {
       genres = [metadata.common.genre];
     }
 
+    // Composer and remixer credits (arrays of names)
+    const composers = metadata.common.composer || [];
+    const remixers = metadata.common.remixer || [];
+
     // Extract track and disc numbers (handle no/of format)
     const trackNumber = metadata.common.track?.no || null;
     const discNumber = metadata.common.disk?.no || null;
@@ -114,6 +119,9 @@ async function extractMetadata(filePath) {
     // Handle compilation flag
     const isCompilation = metadata.common.compilation || false;
 
+    // Star rating from POPM/RATING/rate tags (null if unrated)
+    const rating = readRatingFromMetadata(metadata);
+
     // Extract artwork (first picture if multiple exist)
     let artwork = null;
     if (metadata.common.picture && metadata.common.picture.length > 0) {
@@ -134,6 +142,8 @@ async function extractMetadata(filePath) {
       trackNumber,
       discNumber,
       genres,
+      composers,
+      remixers,
       year,
       duration,
       bitrate,
@@ -141,6 +151,7 @@ async function extractMetadata(filePath) {
       codec,
       fileSize: stats.size,
       isCompilation,
+      rating,
       artwork
     };
 
@@ -158,6 +169,8 @@ async function extractMetadata(filePath) {
         trackNumber: null,
         discNumber: null,
         genres: [],
+        composers: [],
+        remixers: [],
         year: null,
         duration: 0,
         bitrate: null,
@@ -165,6 +178,7 @@ async function extractMetadata(filePath) {
         codec: null,
         fileSize: stats.size,
         isCompilation: false,
+        rating: null,
         artwork: null
       };
     } catch (fallbackError) {
@@ -0,0 +1,346 @@
+/**
+ * Schema Migrations
+ *
+ * Ordered registry of schema migrations applied at startup.
+ *
+ * Version 1 is the base schema created by MusicDatabase.initialize().
+ * Before an existing library is migrated, one copy of the database file is
+ * written to Database/Backups. Each later version is then applied in order,
+ * one transaction per migration:
+ * 1. The migration runs and its version is recorded in schema_version
+ * 2. integrity_check and foreign_key_check must pass before the commit
+ * Any failure rolls the migration back and leaves the backup in place.
+ *
+ * To add a migration, append an entry with the next version number.
+ * Never edit or reorder a migration that has shipped. Migrations that rebuild
+ * tables set disableForeignKeys so cascades don't fire while rows are copied.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { backupFileName, checkDatabaseHealth } = require('./backup');
+const {
+  addAlbumAggregateColumns,
+  createAlbumTriggers,
+  rebuildAlbums
+} = require('./albums');
+const { createPlayStatsSchema } = require('./play-stats');
+const { createRatingsSchema } = require('./ratings');
+const { createSmartPlaylistSchema } = require('./smart-playlists');
+const { createPlaylistFolderSchema } = require('./playlist-folders');
+const { createPlaylistEntriesSchema } = require('./playlist-entries');
+const { createChangeJournalSchema, createJournalTriggers } = require('./change-journal');
+const { createArtistsSchema } = require('./artists');
+const { createFingerprintSchema } = require('./fingerprint');
+const { createGenreTaxonomySchema } = require('./genres');
+const { createTrashSchema } = require('./trash');
+const { createTrackFilesSchema } = require('./track-files');
+const { createWatchedFilesSchema } = require('./watched-files');
+const { createContentHashSchema } = require('./content-hash');
+const { createImportJobsSchema } = require('./import-jobs');
+const { createDuplicateIndexes } = require('./duplicates');
+
+const BASE_SCHEMA_VERSION = 1;
+
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Maintain albums from tracks with aggregate columns',
+    up(db) {
+      addAlbumAggregateColumns(db);
+      createAlbumTriggers(db);
+      rebuildAlbums(db);
+    }
+  },
+  {
+    version: 3,
+    description: 'Record play history with play and skip counts',
+    up(db) {
+      createPlayStatsSchema(db);
+    }
+  },
+  {
+    version: 4,
+    description: 'Add track ratings, loved flags and album ratings',
+    up(db) {
+      createRatingsSchema(db);
+    }
+  },
+  {
+    version: 5,
+    description: 'Store smart playlist rules',
+    up(db) {
+      createSmartPlaylistSchema(db);
+    }
+  },
+  {
+    version: 6,
+    description: 'Nest playlists in folders with a sidebar order',
+    up(db) {
+      createPlaylistFolderSchema(db);
+    }
+  },
+  {
+    version: 7,
+    description: 'Give playlist entries their own IDs so tracks can repeat',
+    disableForeignKeys: true,
+    up(db) {
+      createPlaylistEntriesSchema(db);
+    }
+  },
+  {
+    version: 8,
+    description: 'Journal library edits for undo and redo',
+    up(db) {
+      createChangeJournalSchema(db);
+    }
+  },
+  {
+    version: 9,
+    description: 'Normalize artists with sort names, aliases and credits',
+    up(db) {
+      createArtistsSchema(db);
+      createJournalTriggers(db);
+    }
+  },
+  {
+    version: 10,
+    description: 'Store acoustic fingerprints per track',
+    up(db) {
+      createFingerprintSchema(db);
+    }
+  },
+  {
+    version: 11,
+    description: 'Canonicalize genres with aliases and a hierarchy',
+    up(db) {
+      createGenreTaxonomySchema(db);
+      createJournalTriggers(db);
+    }
+  },
+  {
+    version: 12,
+    description: 'Keep deleted tracks in Recently Deleted',
+    up(db) {
+      createTrashSchema(db);
+    }
+  },
+  {
+    version: 13,
+    description: 'Reference files in place and track whether they can be reached',
+    up(db) {
+      createTrackFilesSchema(db);
+    }
+  },
+  {
+    version: 14,
+    description: 'Remember the files seen in watched folders',
+    up(db) {
+      createWatchedFilesSchema(db);
+    }
+  },
+  {
+    version: 15,
+    description: 'Hash the audio of each track to tell duplicates apart',
+    up(db) {
+      createContentHashSchema(db);
+    }
+  },
+  {
+    version: 16,
+    description: 'Record folder imports so interrupted ones can be resumed',
+    up(db) {
+      createImportJobsSchema(db);
+    }
+  },
+  {
+    version: 17,
+    description: 'Journal play history and tracks moved to Recently Deleted so merges can be undone',
+    up(db) {
+      createJournalTriggers(db);
+    }
+  },
+  {
+    version: 18,
+    description: 'Index track durations for duplicate checks during import',
+    up(db) {
+      createDuplicateIndexes(db);
+    }
+  },
+  {
+    version: 19,
+    description: 'Recount play counters on undo instead of journaling them',
+    up(db) {
+      createJournalTriggers(db);
+    }
+  }
+];
+
+/**
+ * Get the newest schema version known to this build
+ *
+ * @param {Array<Object>} migrations - Migration registry
+ * @returns {number} Latest version
+ */
+function getLatestVersion(migrations = MIGRATIONS) {
+  return migrations.reduce((latest, migration) => Math.max(latest, migration.version), BASE_SCHEMA_VERSION);
+}
+
+/**
+ * Verify the registry is ordered and has no gaps or duplicates
+ *
+ * @param {Array<Object>} migrations - Migration registry
+ * @throws {Error} If the registry is malformed
+ */
+function validateMigrations(migrations) {
+  migrations.forEach((migration, index) => {
+    const expected = BASE_SCHEMA_VERSION + index + 1;
+    if (migration.version !== expected) {
+      throw new Error(`Migration registry out of order: expected version ${expected}, got ${migration.version}`);
+    }
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${migration.version} has no up() function`);
+    }
+  });
+}
+
+/**
+ * Read the current schema version
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @returns {number} Schema version
+ */
+function readSchemaVersion(db) {
+  const result = db.prepare('SELECT MAX(version) as version FROM schema_version').get();
+  return result.version || 0;
+}
+
+/**
+ * Write a consistent copy of the database before migrating it
+ * VACUUM INTO produces a clean single-file snapshot, including pages still in the WAL.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} dbPath - Path to the database file (':memory:' is skipped)
+ * @param {number} fromVersion - Version before the migrations
+ * @param {number} toVersion - Version the migrations will produce
+ * @returns {string|null} Path to the backup, or null for in-memory databases
+ */
+function backupBeforeMigration(db, dbPath, fromVersion, toVersion) {
+  if (!dbPath || dbPath === ':memory:') {
+    return null;
+  }
+
+  // Named like BackupService backups so they are listed and rotated with them
+  const backupDir = path.join(path.dirname(dbPath), 'Backups');
+  fs.mkdirSync(backupDir, { recursive: true });
+
+  const backupPath = path.join(backupDir, backupFileName(dbPath, `pre-migration-v${fromVersion}-to-v${toVersion}`));
+
+  db.prepare('VACUUM INTO ?').run(backupPath);
+  return backupPath;
+}
+
+/**
+ * Apply all pending migrations
+ * Never throws for a failed migration; the failure is described in the returned status.
+ * One backup of the library as it was is taken before the first pending migration
+ * (each would roll back at most to it, and one per step would rotate it away).
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Object} options - Migration options
+ * @param {string} options.dbPath - Database file path, used for the pre-migration backup
+ * @param {boolean} options.isNew - The database was just created, so there is nothing to back up
+ * @param {Array<Object>} options.migrations - Migration registry (defaults to MIGRATIONS)
+ * @param {Function} options.onProgress - Called with (migration, index, total) before each migration
+ * @returns {Object} Migration status
+ *   { state: 'up-to-date'|'migrated'|'failed'|'unsupported', startVersion, currentVersion,
+ *     latestVersion, applied: [{ version, description, backupPath }], error, failedVersion, backupPath }
+ */
+function runMigrations(db, options = {}) {
+  const { dbPath = null, isNew = false, migrations = MIGRATIONS, onProgress = null } = options;
+
+  validateMigrations(migrations);
+
+  const startVersion = readSchemaVersion(db);
+  const latestVersion = getLatestVersion(migrations);
+  const status = {
+    state: 'up-to-date',
+    startVersion,
+    currentVersion: startVersion,
+    latestVersion,
+    applied: [],
+    error: null,
+    failedVersion: null,
+    backupPath: null
+  };
+
+  // A library written by a newer build must not be touched by this one
+  if (startVersion > latestVersion) {
+    status.state = 'unsupported';
+    status.error = `Library schema version ${startVersion} is newer than this app supports (${latestVersion})`;
+    return status;
+  }
+
+  const pending = migrations.filter(migration => migration.version > startVersion);
+  let backupPath = null;
+
+  for (let i = 0; i < pending.length; i++) {
+    const migration = pending[i];
+
+    if (onProgress) {
+      onProgress(migration, i, pending.length);
+    }
+
+    try {
+      if (i === 0 && !isNew) {
+        backupPath = backupBeforeMigration(db, dbPath, startVersion, latestVersion);
+      }
+
+      // foreign_keys can only be changed outside a transaction
+      if (migration.disableForeignKeys) {
+        db.pragma('foreign_keys = OFF');
+      }
+
+      const transaction = db.transaction(() => {
+        migration.up(db);
+        db.prepare('INSERT INTO schema_version (version) VALUES (?)').run(migration.version);
+
+        // Checks run inside the transaction so a failure rolls the migration back
+        const health = checkDatabaseHealth(db);
+        if (!health.ok) {
+          throw new Error(`Database checks failed: ${health.problems.slice(0, 5).join('; ')}`);
+        }
+      });
+
+      transaction();
+    } catch (error) {
+      status.state = 'failed';
+      status.failedVersion = migration.version;
+      status.backupPath = backupPath;
+      status.error = `Migration to version ${migration.version} failed: ${error.message}`;
+      console.error(`[Migrations] ${status.error}`);
+      return status;
+    } finally {
+      if (migration.disableForeignKeys) {
+        db.pragma('foreign_keys = ON');
+      }
+    }
+
+    status.currentVersion = migration.version;
+    status.state = 'migrated';
+    status.applied.push({
+      version: migration.version,
+      description: migration.description,
+      backupPath
+    });
+  }
+
+  return status;
+}
+
+module.exports = {
+  MIGRATIONS,
+  BASE_SCHEMA_VERSION,
+  getLatestVersion,
+  runMigrations
+};
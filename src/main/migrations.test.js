@@ -0,0 +1,274 @@
+// Schema migration framework tests
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const MusicDatabase = require('./database');
+const {
+  MIGRATIONS,
+  BASE_SCHEMA_VERSION,
+  getLatestVersion,
+  runMigrations
+} = require('./migrations');
+const { BackupService, checkDatabaseHealth } = require('./backup');
+
+describe('Schema Migrations', () => {
+  let tempDir;
+  let dbPath;
+  let db;
+
+  const extraMigration = (up, extra = {}) => [
+    ...MIGRATIONS,
+    { version: getLatestVersion() + 1, description: 'Test migration', up, ...extra }
+  ];
+
+  // Insert a row using only base schema (version 1) columns
+  const insertBaseTrack = (track) => db.db.prepare(`
+    INSERT INTO tracks (file_path, title, album, album_artist, date_added)
+    VALUES (@file_path, @title, @album, @album_artist, @date_added)
+  `).run({ album: null, album_artist: null, ...track });
+
+  const tableExists = (name) => Boolean(db.db.prepare(`
+    SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?
+  `).get(name));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-test-'));
+    dbPath = path.join(tempDir, 'Database', 'library.db');
+  });
+
+  afterEach(() => {
+    if (db && db.db.open) {
+      db.close();
+    }
+    db = null;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Registry', () => {
+    test('versions are consecutive after the base schema', () => {
+      MIGRATIONS.forEach((migration, index) => {
+        expect(migration.version).toBe(BASE_SCHEMA_VERSION + index + 1);
+        expect(typeof migration.description).toBe('string');
+      });
+    });
+
+    test('rejects registries with gaps', () => {
+      db = new MusicDatabase(':memory:');
+
+      expect(() => db.initialize({
+        migrations: [{ version: 3, description: 'Gap', up: () => {} }]
+      })).toThrow('Migration registry out of order');
+    });
+  });
+
+  describe('initialize()', () => {
+    test('brings a new library to the latest version', () => {
+      db = new MusicDatabase(dbPath);
+      const status = db.initialize();
+
+      expect(status.state).toBe('migrated');
+      expect(status.startVersion).toBe(BASE_SCHEMA_VERSION);
+      expect(status.currentVersion).toBe(getLatestVersion());
+      expect(status.applied.map(m => m.version)).toEqual(MIGRATIONS.map(m => m.version));
+      expect(db.getSchemaVersion()).toBe(getLatestVersion());
+      expect(db.getMigrationStatus()).toBe(status);
+      expect(status.applied.every(m => m.backupPath === null)).toBe(true);
+      expect(fs.existsSync(path.join(tempDir, 'Database', 'Backups'))).toBe(false);
+    });
+
+    test('reports up-to-date on the next launch', () => {
+      db = new MusicDatabase(dbPath);
+      db.initialize();
+      db.close();
+
+      db = new MusicDatabase(dbPath);
+      const status = db.initialize();
+
+      expect(status.state).toBe('up-to-date');
+      expect(status.applied).toEqual([]);
+    });
+
+    test('copies the database once before migrating it', () => {
+      db = new MusicDatabase(dbPath);
+      db.initialize({ migrations: [] });
+      insertBaseTrack({ file_path: '/a.mp3', title: 'Before', date_added: 1 });
+      db.close();
+
+      db = new MusicDatabase(dbPath);
+      const status = db.initialize();
+
+      const backupPath = status.applied[0].backupPath;
+      expect(path.dirname(backupPath)).toBe(path.join(tempDir, 'Database', 'Backups'));
+      expect(path.basename(backupPath)).toContain(`pre-migration-v${BASE_SCHEMA_VERSION}-to-v${getLatestVersion()}`);
+      expect(fs.readdirSync(path.dirname(backupPath))).toEqual([path.basename(backupPath)]);
+      expect(status.applied.every(m => m.backupPath === backupPath)).toBe(true);
+
+      const backup = new MusicDatabase(backupPath);
+      expect(backup.getSchemaVersion()).toBe(BASE_SCHEMA_VERSION);
+      expect(backup.getTracks().map(t => t.title)).toEqual(['Before']);
+      backup.close();
+    });
+
+    test('keeps the backup of the original library through rotation', async () => {
+      db = new MusicDatabase(dbPath);
+      db.initialize({ migrations: [] });
+      insertBaseTrack({ file_path: '/a.mp3', title: 'Before', date_added: 1 });
+      db.close();
+
+      db = new MusicDatabase(dbPath);
+      const { backupPath } = db.initialize().applied[0];
+      const service = new BackupService(db);
+      await service.rotate();
+
+      expect(fs.existsSync(backupPath)).toBe(true);
+    });
+
+    test('skips backups for in-memory databases', () => {
+      db = new MusicDatabase(':memory:');
+      const status = db.initialize();
+
+      expect(status.applied.every(m => m.backupPath === null)).toBe(true);
+    });
+
+    test('backfills albums when upgrading a version 1 library', () => {
+      db = new MusicDatabase(dbPath);
+      db.initialize({ migrations: [] });
+      insertBaseTrack({ file_path: '/a.mp3', title: 'A', album: 'Old', album_artist: 'X', date_added: 1 });
+      insertBaseTrack({ file_path: '/b.mp3', title: 'B', album: 'Old', album_artist: 'X', date_added: 1 });
+      db.close();
+
+      db = new MusicDatabase(dbPath);
+      db.initialize();
+
+      expect(db.getAlbums()).toEqual([
+        expect.objectContaining({ album_title: 'Old', album_artist: 'X', track_count: 2 })
+      ]);
+    });
+
+    test('keeps existing playlists at the top level in name order', () => {
+      db = new MusicDatabase(dbPath);
+      db.initialize({ migrations: [] });
+      ['Workout', 'Chill', 'Focus'].forEach(name => {
+        db.db.prepare('INSERT INTO playlists (name) VALUES (?)').run(name);
+      });
+      db.close();
+
+      db = new MusicDatabase(dbPath);
+      db.initialize();
+
+      expect(db.getPlaylistTree().map(p => [p.name, p.parent_id, p.sort_order])).toEqual([
+        ['Chill', null, 1],
+        ['Focus', null, 2],
+        ['Workout', null, 3]
+      ]);
+    });
+
+    test('keeps playlist order when giving entries their own IDs', () => {
+      db = new MusicDatabase(dbPath);
+      db.initialize({ migrations: [] });
+      insertBaseTrack({ file_path: '/a.mp3', title: 'A', date_added: 1 });
+      insertBaseTrack({ file_path: '/b.mp3', title: 'B', date_added: 1 });
+      db.db.prepare('INSERT INTO playlists (name) VALUES (?)').run('Mix');
+      db.db.prepare('INSERT INTO playlist_tracks (playlist_id, track_id, position) VALUES (1, 2, 5), (1, 1, 9)').run();
+      db.close();
+
+      db = new MusicDatabase(dbPath);
+      db.initialize();
+
+      expect(db.getPlaylistTracks(1).map(t => [t.title, t.position])).toEqual([['B', 1], ['A', 2]]);
+      db.addTracksToPlaylist(1, [2]);
+      expect(db.getPlaylistTracks(1).map(t => t.title)).toEqual(['B', 'A', 'B']);
+    });
+
+    test('credits artists and fills sort names for existing tracks', () => {
+      db = new MusicDatabase(dbPath);
+      db.initialize({ migrations: [] });
+      db.db.prepare(`
+        INSERT INTO tracks (file_path, title, artist, album_artist, date_added)
+        VALUES ('/a.mp3', 'A', 'The Band feat. Guest', 'The Band', 1)
+      `).run();
+      db.close();
+
+      db = new MusicDatabase(dbPath);
+      db.initialize();
+
+      expect(db.getTrack(1)).toMatchObject({ artist_sort: 'Band, The', album_artist_sort: 'Band, The' });
+      expect(db.getTrackArtists(1).map(credit => [credit.role, credit.name])).toEqual([
+        ['primary', 'The Band'],
+        ['featured', 'Guest'],
+        ['album_artist', 'The Band']
+      ]);
+    });
+  });
+
+  describe('Failures', () => {
+    test('rolls back a migration that throws and keeps its backup', () => {
+      db = new MusicDatabase(dbPath);
+      db.initialize();
+
+      const status = runMigrations(db.db, {
+        dbPath,
+        migrations: extraMigration((database) => {
+          database.exec('CREATE TABLE half_done (id INTEGER)');
+          throw new Error('boom');
+        })
+      });
+
+      expect(status.state).toBe('failed');
+      expect(status.failedVersion).toBe(getLatestVersion() + 1);
+      expect(status.error).toContain('boom');
+      expect(fs.existsSync(status.backupPath)).toBe(true);
+      expect(tableExists('half_done')).toBe(false);
+      expect(db.getSchemaVersion()).toBe(getLatestVersion());
+    });
+
+    test('rolls back a migration that leaves broken foreign keys', () => {
+      db = new MusicDatabase(':memory:');
+      db.initialize();
+
+      const status = runMigrations(db.db, {
+        migrations: extraMigration((database) => {
+          database.exec('INSERT INTO playlist_tracks (playlist_id, track_id, position) VALUES (99, 99, 1)');
+        }, { disableForeignKeys: true })
+      });
+
+      expect(status.state).toBe('failed');
+      expect(status.error).toContain('foreign_key_check');
+      expect(db.db.prepare('SELECT COUNT(*) as count FROM playlist_tracks').get().count).toBe(0);
+      expect(db.db.pragma('foreign_keys', { simple: true })).toBe(1);
+    });
+
+    test('initialize() throws and exposes the failed status', () => {
+      db = new MusicDatabase(':memory:');
+
+      expect(() => db.initialize({
+        migrations: extraMigration(() => {
+          throw new Error('bad migration');
+        })
+      })).toThrow(`Migration to version ${getLatestVersion() + 1} failed: bad migration`);
+
+      expect(db.getMigrationStatus()).toMatchObject({
+        state: 'failed',
+        currentVersion: getLatestVersion()
+      });
+    });
+
+    test('refuses to touch a library from a newer build', () => {
+      db = new MusicDatabase(':memory:');
+      db.initialize();
+      db.db.prepare('INSERT INTO schema_version (version) VALUES (?)').run(getLatestVersion() + 5);
+
+      expect(() => db.initialize()).toThrow('newer than this app supports');
+      expect(db.getMigrationStatus().state).toBe('unsupported');
+    });
+  });
+
+  describe('checkDatabaseHealth()', () => {
+    test('passes on a healthy database', () => {
+      db = new MusicDatabase(':memory:');
+      db.initialize();
+
+      expect(checkDatabaseHealth(db.db)).toEqual({ ok: true, problems: [] });
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Play Statistics
+ *
+ * Listening history is stored in the plays table, one row per counted play or skip.
+ * play_count, skip_count and last_played on tracks are kept in step with it.
+ *
+ * A listen counts as a play once it reaches the play threshold: a share of the
+ * track (50% by default) or a fixed listening time (4 minutes by default),
+ * whichever comes first. A listen that ends before the threshold because the user
+ * moved on is a skip, once the track was heard at all (MIN_SKIP_SECONDS); paging
+ * past a track isn't held against it. Anything else (stopping mid-track,
+ * quitting) is not recorded.
+ */
+
+const DEFAULT_PLAY_THRESHOLD = {
+  percent: 50,
+  seconds: 240
+};
+
+// Shortest listen that counts as a skip
+const MIN_SKIP_SECONDS = 1;
+
+// Why a listen ended, as reported by the renderer
+const PLAYBACK_END_REASONS = ['completed', 'skipped', 'stopped'];
+
+/**
+ * Add play statistics columns to tracks and create the plays history table
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createPlayStatsSchema(db) {
+  db.exec(`
+    ALTER TABLE tracks ADD COLUMN play_count INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE tracks ADD COLUMN skip_count INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE tracks ADD COLUMN last_played INTEGER;
+
+    CREATE INDEX IF NOT EXISTS idx_tracks_play_count ON tracks(play_count);
+    CREATE INDEX IF NOT EXISTS idx_tracks_last_played ON tracks(last_played);
+
+    CREATE TABLE IF NOT EXISTS plays (
+      play_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      track_id INTEGER NOT NULL,
+      played_at INTEGER NOT NULL,
+      listened_seconds REAL NOT NULL,
+      outcome TEXT NOT NULL CHECK (outcome IN ('play', 'skip')),
+      FOREIGN KEY (track_id) REFERENCES tracks(track_id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_plays_track ON plays(track_id, played_at);
+    CREATE INDEX IF NOT EXISTS idx_plays_played_at ON plays(played_at);
+  `);
+}
+
+/**
+ * Recount play_count, skip_count and last_played from the plays table
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Array<number>} trackIds - Tracks to recount; ones that don't exist are ignored
+ */
+function rebuildPlayCounts(db, trackIds) {
+  const stmt = db.prepare(`
+    UPDATE tracks SET
+      play_count = (SELECT COUNT(*) FROM plays WHERE track_id = @track_id AND outcome = 'play'),
+      skip_count = (SELECT COUNT(*) FROM plays WHERE track_id = @track_id AND outcome = 'skip'),
+      last_played = (SELECT MAX(played_at) FROM plays WHERE track_id = @track_id AND outcome = 'play')
+    WHERE track_id = @track_id
+  `);
+  trackIds.forEach(trackId => stmt.run({ track_id: trackId }));
+}
+
+/**
+ * Merge a partial threshold with the defaults and validate it
+ *
+ * @param {Object} threshold - { percent, seconds }
+ * @returns {Object} Complete threshold
+ * @throws {Error} If a value is out of range
+ */
+function normalizePlayThreshold(threshold = {}) {
+  const result = { ...DEFAULT_PLAY_THRESHOLD, ...threshold };
+
+  if (typeof result.percent !== 'number' || !(result.percent > 0 && result.percent <= 100)) {
+    throw new Error('Play threshold percent must be between 1 and 100');
+  }
+  if (typeof result.seconds !== 'number' || !(result.seconds > 0)) {
+    throw new Error('Play threshold seconds must be a positive number');
+  }
+
+  return result;
+}
+
+/**
+ * Decide whether a listen counts as a play, a skip or neither
+ *
+ * @param {Object} playback - Listen details
+ * @param {number} playback.listenedSeconds - Time actually listened (seeks excluded)
+ * @param {number|null} playback.durationSeconds - Track length, if known
+ * @param {string} playback.endReason - 'completed', 'skipped' or 'stopped'
+ * @param {Object} threshold - { percent, seconds }
+ * @returns {string|null} 'play', 'skip' or null if the listen isn't recorded
+ */
+function classifyPlayback(playback, threshold = DEFAULT_PLAY_THRESHOLD) {
+  const { listenedSeconds, durationSeconds, endReason } = playback;
+  const { percent, seconds } = normalizePlayThreshold(threshold);
+
+  const required = durationSeconds > 0
+    ? Math.min(durationSeconds * percent / 100, seconds)
+    : seconds;
+
+  if (listenedSeconds >= required) {
+    return 'play';
+  }
+  if (endReason === 'skipped' && listenedSeconds >= MIN_SKIP_SECONDS) {
+    return 'skip';
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_PLAY_THRESHOLD,
+  MIN_SKIP_SECONDS,
+  PLAYBACK_END_REASONS,
+  createPlayStatsSchema,
+  normalizePlayThreshold,
+  classifyPlayback,
+  rebuildPlayCounts
+};
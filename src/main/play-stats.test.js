@@ -0,0 +1,48 @@
+// Play threshold tests
+const { classifyPlayback, normalizePlayThreshold } = require('./play-stats');
+
+describe('Play Statistics', () => {
+  describe('classifyPlayback()', () => {
+    test('counts a play at half of a short track', () => {
+      expect(classifyPlayback({ listenedSeconds: 90, durationSeconds: 180, endReason: 'skipped' })).toBe('play');
+      expect(classifyPlayback({ listenedSeconds: 89, durationSeconds: 180, endReason: 'completed' })).toBeNull();
+    });
+
+    test('counts a play after four minutes of a long track', () => {
+      expect(classifyPlayback({ listenedSeconds: 240, durationSeconds: 3600, endReason: 'stopped' })).toBe('play');
+    });
+
+    test('falls back to the time threshold when the duration is unknown', () => {
+      expect(classifyPlayback({ listenedSeconds: 200, durationSeconds: null, endReason: 'stopped' })).toBeNull();
+      expect(classifyPlayback({ listenedSeconds: 240, durationSeconds: null, endReason: 'stopped' })).toBe('play');
+    });
+
+    test('counts a skip only when the user moved on', () => {
+      expect(classifyPlayback({ listenedSeconds: 5, durationSeconds: 180, endReason: 'skipped' })).toBe('skip');
+      expect(classifyPlayback({ listenedSeconds: 5, durationSeconds: 180, endReason: 'stopped' })).toBeNull();
+    });
+
+    test('does not count a skip before the track was heard', () => {
+      expect(classifyPlayback({ listenedSeconds: 0, durationSeconds: 180, endReason: 'skipped' })).toBeNull();
+      expect(classifyPlayback({ listenedSeconds: 0.5, durationSeconds: 180, endReason: 'skipped' })).toBeNull();
+      expect(classifyPlayback({ listenedSeconds: 1, durationSeconds: 180, endReason: 'skipped' })).toBe('skip');
+    });
+
+    test('accepts a custom threshold', () => {
+      const threshold = { percent: 25, seconds: 30 };
+      expect(classifyPlayback({ listenedSeconds: 30, durationSeconds: 600, endReason: 'stopped' }, threshold))
+        .toBe('play');
+    });
+  });
+
+  describe('normalizePlayThreshold()', () => {
+    test('fills in defaults', () => {
+      expect(normalizePlayThreshold({ percent: 75 })).toEqual({ percent: 75, seconds: 240 });
+    });
+
+    test('rejects out-of-range values', () => {
+      expect(() => normalizePlayThreshold({ percent: 0 })).toThrow('percent');
+      expect(() => normalizePlayThreshold({ seconds: -5 })).toThrow('seconds');
+    });
+  });
+});
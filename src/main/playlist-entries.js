@@ -0,0 +1,93 @@
+/**
+ * Playlist Entries
+ *
+ * Each row of playlist_tracks is an entry with its own entry_id, so the same
+ * track can appear in a playlist any number of times. position orders the
+ * entries of a playlist from 1 with no gaps; every edit renumbers inside the
+ * same transaction.
+ *
+ * Edits address entries by entry_id rather than track_id, so moving or
+ * removing one copy of a repeated track leaves the others alone. Insert and
+ * move targets are 0-based indexes into the playlist as it looks once the moved
+ * entries are taken out, which is what a drag-and-drop drop indicator reports.
+ */
+
+/**
+ * Rebuild playlist_tracks with an entry_id key instead of (playlist_id, track_id)
+ * Existing entries keep their order; positions are compacted to 1..n.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createPlaylistEntriesSchema(db) {
+  db.exec(`
+    CREATE TABLE playlist_tracks_new (
+      entry_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      playlist_id INTEGER NOT NULL,
+      track_id INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      added_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (playlist_id) REFERENCES playlists(playlist_id) ON DELETE CASCADE,
+      FOREIGN KEY (track_id) REFERENCES tracks(track_id) ON DELETE CASCADE
+    );
+
+    INSERT INTO playlist_tracks_new (playlist_id, track_id, position, added_at)
+    SELECT playlist_id, track_id,
+      ROW_NUMBER() OVER (PARTITION BY playlist_id ORDER BY position, track_id),
+      added_at
+    FROM playlist_tracks
+    ORDER BY playlist_id, position, track_id;
+
+    DROP TABLE playlist_tracks;
+    ALTER TABLE playlist_tracks_new RENAME TO playlist_tracks;
+
+    CREATE INDEX IF NOT EXISTS idx_playlist_tracks_playlist ON playlist_tracks(playlist_id, position);
+    CREATE INDEX IF NOT EXISTS idx_playlist_tracks_track ON playlist_tracks(track_id);
+  `);
+}
+
+/**
+ * Clamp an insert index to a list
+ *
+ * @param {number|undefined|null} index - 0-based index (undefined/null = end)
+ * @param {number} length - List length
+ * @returns {number} Index between 0 and length
+ * @throws {Error} If index isn't an integer
+ */
+function clampIndex(index, length) {
+  if (index === undefined || index === null) {
+    return length;
+  }
+  if (!Number.isInteger(index)) {
+    throw new Error(`Playlist index must be an integer, got ${index}`);
+  }
+  return Math.max(0, Math.min(index, length));
+}
+
+/**
+ * Compute a playlist's entry order after moving some entries as one block
+ * The moved entries keep their relative order.
+ *
+ * @param {Array<number>} order - Current entry IDs in position order
+ * @param {Array<number>} entryIds - Entries to move
+ * @param {number} index - Target index in the list without the moved entries
+ * @returns {Array<number>} New entry order
+ * @throws {Error} If an entry isn't in the playlist
+ */
+function moveEntries(order, entryIds, index) {
+  const moving = new Set(entryIds);
+  const missing = entryIds.find(id => !order.includes(id));
+  if (missing !== undefined) {
+    throw new Error(`Playlist entry not found: ${missing}`);
+  }
+
+  const block = order.filter(id => moving.has(id));
+  const rest = order.filter(id => !moving.has(id));
+  rest.splice(clampIndex(index, rest.length), 0, ...block);
+  return rest;
+}
+
+module.exports = {
+  createPlaylistEntriesSchema,
+  clampIndex,
+  moveEntries
+};
@@ -0,0 +1,35 @@
+// Playlist entry ordering tests
+const { clampIndex, moveEntries } = require('./playlist-entries');
+
+describe('Playlist Entries', () => {
+  describe('moveEntries()', () => {
+    test('moves one entry', () => {
+      expect(moveEntries([1, 2, 3, 4], [1], 2)).toEqual([2, 3, 1, 4]);
+      expect(moveEntries([1, 2, 3, 4], [4], 0)).toEqual([4, 1, 2, 3]);
+    });
+
+    test('moves a selection as a block in playlist order', () => {
+      expect(moveEntries([1, 2, 3, 4, 5], [4, 1], 1)).toEqual([2, 1, 4, 3, 5]);
+    });
+
+    test('clamps the target to the ends', () => {
+      expect(moveEntries([1, 2, 3], [2], 99)).toEqual([1, 3, 2]);
+      expect(moveEntries([1, 2, 3], [2], -5)).toEqual([2, 1, 3]);
+    });
+
+    test('rejects entries from elsewhere', () => {
+      expect(() => moveEntries([1, 2], [7], 0)).toThrow('Playlist entry not found: 7');
+    });
+  });
+
+  describe('clampIndex()', () => {
+    test('defaults to the end', () => {
+      expect(clampIndex(undefined, 4)).toBe(4);
+      expect(clampIndex(null, 4)).toBe(4);
+    });
+
+    test('rejects non-integers', () => {
+      expect(() => clampIndex(1.5, 4)).toThrow('must be an integer');
+    });
+  });
+});
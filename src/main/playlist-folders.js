@@ -0,0 +1,96 @@
+/**
+ * Playlist Folders
+ *
+ * Playlists form a tree: folders are playlists rows with is_folder = 1, and any
+ * playlist or folder can sit inside a folder through parent_id (NULL = top level).
+ * sort_order orders the children of each folder, starting at 1.
+ *
+ * Folders hold no tracks of their own. Playing a folder plays every playlist
+ * inside it, depth first in sidebar order, with each track included once.
+ *
+ * parent_id has no ON DELETE action, so the database refuses to delete a folder
+ * that still has children; MusicDatabase.deletePlaylist() moves or deletes them first.
+ */
+
+/**
+ * Add folder columns to playlists
+ * Existing playlists stay at the top level, ordered by name.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createPlaylistFolderSchema(db) {
+  db.exec(`
+    ALTER TABLE playlists ADD COLUMN parent_id INTEGER REFERENCES playlists(playlist_id);
+    ALTER TABLE playlists ADD COLUMN is_folder INTEGER NOT NULL DEFAULT 0 CHECK (is_folder IN (0, 1));
+    ALTER TABLE playlists ADD COLUMN sort_order INTEGER NOT NULL DEFAULT 0;
+
+    CREATE INDEX IF NOT EXISTS idx_playlists_parent ON playlists(parent_id, sort_order);
+
+    UPDATE playlists SET sort_order = (
+      SELECT COUNT(*) FROM playlists other
+      WHERE other.name < playlists.name
+        OR (other.name = playlists.name AND other.playlist_id <= playlists.playlist_id)
+    );
+  `);
+}
+
+/**
+ * SQL listing every playlist below a folder, depth first in sidebar order
+ * Bind the folder's playlist_id as the only parameter.
+ * Rows: playlist_id, is_folder, depth (1 = direct child).
+ *
+ * @returns {string} SQL query
+ */
+function descendantsQuery() {
+  return `
+    WITH RECURSIVE subtree(playlist_id, is_folder, depth, path) AS (
+      SELECT playlist_id, is_folder, 1, printf('%010d.%010d', sort_order, playlist_id)
+      FROM playlists WHERE parent_id = ?
+      UNION ALL
+      SELECT p.playlist_id, p.is_folder, s.depth + 1,
+        s.path || '/' || printf('%010d.%010d', p.sort_order, p.playlist_id)
+      FROM playlists p
+      JOIN subtree s ON p.parent_id = s.playlist_id
+    )
+    SELECT playlist_id, is_folder, depth FROM subtree ORDER BY path
+  `;
+}
+
+/**
+ * Nest a flat list of playlists into a tree
+ * Folders get a children array; orphans (parent missing from the list) become roots.
+ *
+ * @param {Array<Object>} playlists - playlists rows
+ * @returns {Array<Object>} Top-level nodes, each level ordered by sort_order
+ */
+function buildPlaylistTree(playlists) {
+  const nodes = new Map(playlists.map(playlist => [
+    playlist.playlist_id,
+    playlist.is_folder ? { ...playlist, children: [] } : { ...playlist }
+  ]));
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent_id !== null && node.parent_id !== undefined ? nodes.get(node.parent_id) : null;
+    if (parent && parent.children) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const byOrder = (a, b) => (a.sort_order - b.sort_order) || (a.playlist_id - b.playlist_id);
+  const sortLevel = (level) => {
+    level.sort(byOrder);
+    level.forEach(node => node.children && sortLevel(node.children));
+    return level;
+  };
+
+  return sortLevel(roots);
+}
+
+module.exports = {
+  createPlaylistFolderSchema,
+  descendantsQuery,
+  buildPlaylistTree
+};
@@ -0,0 +1,43 @@
+// Playlist tree tests
+const { buildPlaylistTree } = require('./playlist-folders');
+
+describe('Playlist Folders', () => {
+  describe('buildPlaylistTree()', () => {
+    const row = (playlist_id, overrides = {}) => ({
+      playlist_id,
+      name: `Playlist ${playlist_id}`,
+      parent_id: null,
+      is_folder: 0,
+      sort_order: playlist_id,
+      ...overrides
+    });
+
+    test('nests children under their folders in sort order', () => {
+      const tree = buildPlaylistTree([
+        row(1, { is_folder: 1, sort_order: 2 }),
+        row(2, { parent_id: 1, sort_order: 2 }),
+        row(3, { parent_id: 1, sort_order: 1 }),
+        row(4, { sort_order: 1 })
+      ]);
+
+      expect(tree.map(node => node.playlist_id)).toEqual([4, 1]);
+      expect(tree[1].children.map(node => node.playlist_id)).toEqual([3, 2]);
+      expect(tree[0]).not.toHaveProperty('children');
+    });
+
+    test('keeps empty folders and nests arbitrarily deep', () => {
+      const tree = buildPlaylistTree([
+        row(1, { is_folder: 1 }),
+        row(2, { is_folder: 1, parent_id: 1 }),
+        row(3, { is_folder: 1, parent_id: 2 })
+      ]);
+
+      expect(tree[0].children[0].children[0]).toMatchObject({ playlist_id: 3, children: [] });
+    });
+
+    test('lifts orphans to the top level', () => {
+      const tree = buildPlaylistTree([row(1, { parent_id: 99 }), row(2, { parent_id: 1 })]);
+      expect(tree.map(node => node.playlist_id)).toEqual([1, 2]);
+    });
+  });
+});
@@ -0,0 +1,653 @@
+/**
+ * Library Query Language
+ *
+ * Power-user search syntax shared by the search box, track list filters and
+ * saved searches (smart playlists with a "query" rule):
+ *
+ *   artist:"Radiohead" year:1995..2001 genre:rock -live rating:>=4 codec:flac
+ *
+ * - Bare words and "quoted phrases" are full-text matches against title,
+ *   artist, album, album artist and genres (words are prefix-matched)
+ * - field:value matches one field; string fields match substrings, field:=value
+ *   matches exactly (case-insensitive)
+ * - Numbers and dates take an exact value, a comparison (>, >=, <, <=) or an
+ *   inclusive range: 1995..2001, 1995.. or ..2001
+ * - Dates are 2024, 2024-06 or 2024-06-30, or an age such as 30d, 2w, 6m or 1y
+ *   (added:30d = added in the last 30 days, played:>1y = last played over a year ago)
+ * - Terms are ANDed; OR, parentheses and NOT or a leading "-" combine them
+ *
+ * parseQuery() turns the text into an AST and reports syntax errors with the
+ * position they were found at. compileQuery() turns the AST into a SQL
+ * condition over tracks (alias t); field names and operators come from a
+ * whitelist and every value is bound as a parameter.
+ */
+
+const { buildMatchExpression } = require('./search');
+
+// Field name -> value type and SQL expression
+const QUERY_FIELDS = {
+  title: { type: 'string', column: 't.title' },
+  artist: { type: 'string', column: 't.artist' },
+  album: { type: 'string', column: 't.album' },
+  album_artist: { type: 'string', column: 't.album_artist' },
+  genre: { type: 'genre' },
+  codec: { type: 'string', column: 't.codec' },
+  year: { type: 'number', column: 't.release_year' },
+  rating: { type: 'number', column: 'COALESCE(t.rating, 0)' }, // unrated counts as 0 stars
+  plays: { type: 'number', column: 't.play_count' },
+  skips: { type: 'number', column: 't.skip_count' },
+  bitrate: { type: 'number', column: 't.bitrate', scale: 1000 }, // typed in kbps, stored in bps
+  duration: { type: 'duration', column: 't.duration_seconds' },
+  track: { type: 'number', column: 't.track_number' },
+  disc: { type: 'number', column: 't.disc_number' },
+  added: { type: 'date', column: 't.date_added' },
+  played: { type: 'date', column: 't.last_played' },
+  loved: { type: 'boolean', column: 't.loved', trueValue: 1 },
+  disliked: { type: 'boolean', column: 't.loved', trueValue: -1 },
+  compilation: { type: 'boolean', column: 't.is_compilation', trueValue: 1 }
+};
+
+// Alternative spellings accepted for field names
+const FIELD_ALIASES = {
+  albumartist: 'album_artist',
+  date_added: 'added',
+  last_played: 'played',
+  play_count: 'plays',
+  playcount: 'plays',
+  skip_count: 'skips',
+  stars: 'rating'
+};
+
+// Comparison prefixes on field values
+const COMPARISONS = {
+  '=': 'eq',
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte'
+};
+
+// Units for relative dates, in seconds
+const AGE_UNITS = {
+  h: 60 * 60,
+  d: 24 * 60 * 60,
+  w: 7 * 24 * 60 * 60,
+  m: 30 * 24 * 60 * 60,
+  y: 365 * 24 * 60 * 60
+};
+
+const BOOLEAN_VALUES = {
+  true: true,
+  yes: true,
+  1: true,
+  false: false,
+  no: false,
+  0: false
+};
+
+// Guards against pathological queries
+const MAX_QUERY_LENGTH = 1000;
+const MAX_TERMS = 100;
+const MAX_DEPTH = 16;
+
+// SQL expression for the current Unix time, evaluated when the query runs
+const NOW = "CAST(strftime('%s', 'now') AS INTEGER)";
+
+/**
+ * Name for the next bound parameter
+ *
+ * @param {Object} params - Named parameters so far
+ * @returns {string} Unused parameter name
+ */
+function nextParam(params) {
+  return `q${Object.keys(params).length}`;
+}
+
+/**
+ * Create an error pointing at a position in the query
+ *
+ * @param {number} position - 0-based offset into the query
+ * @param {string} message - What went wrong
+ * @returns {Error} Error with a 1-based position property
+ */
+function queryError(position, message) {
+  const error = new Error(`Invalid query at position ${position + 1}: ${message}`);
+  error.position = position + 1;
+  return error;
+}
+
+/**
+ * Escape LIKE wildcards in a user value
+ *
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value (escape character is \)
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+/**
+ * Read a double-quoted string
+ *
+ * @param {string} text - Query text
+ * @param {number} start - Offset of the opening quote
+ * @returns {Object} { value, end } - end is the offset after the closing quote
+ * @throws {Error} If the quote is never closed
+ */
+function readQuoted(text, start) {
+  const end = text.indexOf('"', start + 1);
+  if (end === -1) {
+    throw queryError(start, 'missing closing quote');
+  }
+  return { value: text.slice(start + 1, end), end: end + 1 };
+}
+
+/**
+ * Split query text into tokens
+ *
+ * @param {string} text - Query text
+ * @returns {Array<Object>} Tokens of type '(', ')', OR, AND, NOT, FIELD or TEXT with their position
+ * @throws {Error} On an unclosed quote
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  const readWord = () => {
+    const start = i;
+    while (i < text.length && !/[\s()]/.test(text[i])) {
+      i++;
+    }
+    return text.slice(start, i);
+  };
+
+  while (i < text.length) {
+    const position = i;
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, position });
+      i++;
+    } else if (ch === '-' && i + 1 < text.length && !/[\s)-]/.test(text[i + 1])) {
+      tokens.push({ type: 'NOT', dash: true, position });
+      i++;
+    } else if (ch === '"') {
+      const { value, end } = readQuoted(text, i);
+      tokens.push({ type: 'TEXT', value, quoted: true, position });
+      i = end;
+    } else {
+      const field = /^([A-Za-z_]+):/.exec(text.slice(i));
+      if (field) {
+        i += field[0].length;
+        const comparison = /^(>=|<=|>|<|=)/.exec(text.slice(i));
+        i += comparison ? comparison[0].length : 0;
+
+        let value;
+        if (text[i] === '"') {
+          const quoted = readQuoted(text, i);
+          value = quoted.value;
+          i = quoted.end;
+        } else {
+          value = readWord();
+        }
+
+        tokens.push({
+          type: 'FIELD',
+          field: field[1],
+          comparison: comparison ? comparison[0] : null,
+          value,
+          position
+        });
+      } else {
+        const word = readWord();
+        const keyword = ['OR', 'AND', 'NOT'].includes(word) ? word : null;
+        tokens.push(keyword ? { type: keyword, position } : { type: 'TEXT', value: word, quoted: false, position });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a number, a duration (m:ss or h:mm:ss) or nothing
+ *
+ * @param {string} raw - Value text
+ * @param {string} type - 'number' or 'duration'
+ * @returns {number|null} Parsed value, or null if it isn't valid
+ */
+function parseNumber(raw, type) {
+  if (/^-?\d+(\.\d+)?$/.test(raw)) {
+    return Number(raw);
+  }
+  const time = type === 'duration' && /^(?:(\d+):)?(\d+):([0-5]\d)$/.exec(raw);
+  if (time) {
+    return Number(time[1] || 0) * 3600 + Number(time[2]) * 60 + Number(time[3]);
+  }
+  return null;
+}
+
+/**
+ * Parse a calendar date (covering a whole year, month or day) or an age
+ *
+ * @param {string} raw - Value text
+ * @returns {Object|null} { start, end } in Unix seconds, { age } in seconds, or null if invalid
+ */
+function parseDate(raw) {
+  const age = /^(\d+)([hdwmy])$/.exec(raw);
+  if (age) {
+    return { age: Number(age[1]) * AGE_UNITS[age[2]] };
+  }
+
+  const date = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(raw);
+  if (!date) {
+    return null;
+  }
+
+  const [year, month, day] = [Number(date[1]), date[2] && Number(date[2]), date[3] && Number(date[3])];
+  const start = new Date(year, month ? month - 1 : 0, day || 1);
+  if ((month && start.getMonth() !== month - 1) || (day && start.getDate() !== day)) {
+    return null;
+  }
+
+  // Local calendar periods, so "2024" means the user's 2024
+  const next = day
+    ? new Date(year, month - 1, day + 1)
+    : month ? new Date(year, month, 1) : new Date(year + 1, 0, 1);
+  return { start: Math.floor(start.getTime() / 1000), end: Math.floor(next.getTime() / 1000) - 1 };
+}
+
+/**
+ * Turn a FIELD token into a validated condition node
+ *
+ * @param {Object} token - FIELD token
+ * @returns {Object} { type: 'field', field, operator, value }
+ * @throws {Error} If the field or value is invalid
+ */
+function parseFieldToken(token) {
+  const typed = token.field.toLowerCase();
+  const name = FIELD_ALIASES[typed] || typed;
+  const fail = message => {
+    throw queryError(token.position, message);
+  };
+
+  if (!Object.prototype.hasOwnProperty.call(QUERY_FIELDS, name)) {
+    fail(`unknown field "${token.field}"; use one of ${Object.keys(QUERY_FIELDS).join(', ')}`);
+  }
+  if (token.value === '') {
+    fail(`expected a value after "${token.field}:${token.comparison || ''}"`);
+  }
+
+  const { type } = QUERY_FIELDS[name];
+  const operator = token.comparison ? COMPARISONS[token.comparison] : null;
+  const node = { type: 'field', field: name };
+
+  if (type === 'string' || type === 'genre') {
+    if (operator && operator !== 'eq') {
+      fail(`${name} can't be compared with ${token.comparison}; use ${name}:text or ${name}:=text`);
+    }
+    return { ...node, operator: operator === 'eq' ? 'is' : 'contains', value: token.value };
+  }
+
+  if (type === 'boolean') {
+    const key = token.value.toLowerCase();
+    if ((operator && operator !== 'eq') || !Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, key)) {
+      fail(`${name} must be true or false`);
+    }
+    return { ...node, operator: 'eq', value: BOOLEAN_VALUES[key] };
+  }
+
+  const parse = type === 'date' ? parseDate : raw => parseNumber(raw, type);
+  const expected = {
+    number: 'a number',
+    duration: 'seconds or a time like 3:30',
+    date: 'a date like 2024, 2024-06 or 2024-06-30, or an age like 30d'
+  }[type];
+
+  const range = token.value.indexOf('..');
+  if (range !== -1) {
+    if (operator) {
+      fail(`a range can't be combined with ${token.comparison}`);
+    }
+    const bounds = [token.value.slice(0, range), token.value.slice(range + 2)];
+    if (bounds[0] === '' && bounds[1] === '') {
+      fail(`a range needs at least one end, e.g. ${name}:1..5`);
+    }
+
+    const [min, max] = bounds.map(raw => {
+      if (raw === '') return null;
+      const value = parse(raw);
+      if (value === null) fail(`invalid ${name} "${raw}"; expected ${expected}`);
+      return value;
+    });
+
+    if (type === 'date' && min && max && ('age' in min) !== ('age' in max)) {
+      fail('a date range can\'t mix dates and ages');
+    }
+    const minValue = type === 'date' && min ? ('age' in min ? min.age : min.start) : min;
+    const maxValue = type === 'date' && max ? ('age' in max ? max.age : max.end) : max;
+    if (min !== null && max !== null && minValue > maxValue) {
+      fail(`the range ${token.value} is empty; put the smaller value first`);
+    }
+    return { ...node, operator: 'range', value: [min, max] };
+  }
+
+  const value = parse(token.value);
+  if (value === null) {
+    fail(`invalid ${name} "${token.value}"; expected ${expected}`);
+  }
+  return { ...node, operator: operator || 'eq', value };
+}
+
+/**
+ * Parse query text into an AST
+ * Nodes: { type: 'and' | 'or', children }, { type: 'not', child },
+ * { type: 'text', value, quoted } and { type: 'field', field, operator, value }.
+ *
+ * @param {string} text - Query text
+ * @returns {Object|null} Root node, or null for an empty query (matches everything)
+ * @throws {Error} With the position of the first syntax error
+ */
+function parseQuery(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Query must be a string');
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new Error(`Query exceeds maximum length of ${MAX_QUERY_LENGTH}`);
+  }
+
+  const tokens = tokenize(text);
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  let index = 0;
+  let terms = 0;
+  const peek = () => tokens[index];
+  const endPosition = text.length;
+
+  const combine = (type, children) => (children.length === 1 ? children[0] : { type, children });
+
+  const expectTerm = (after) => {
+    const next = peek();
+    if (!next || next.type === ')' || next.type === 'OR' || next.type === 'AND') {
+      throw queryError(next ? next.position : endPosition, `expected a search term after ${after}`);
+    }
+  };
+
+  let parseOr;
+
+  const parsePrimary = (depth) => {
+    const token = tokens[index++];
+
+    if (token.type === '(') {
+      if (depth >= MAX_DEPTH) {
+        throw queryError(token.position, `parentheses can be nested at most ${MAX_DEPTH} levels deep`);
+      }
+      expectTerm('"("');
+      const node = parseOr(depth + 1);
+      if (!peek() || peek().type !== ')') {
+        throw queryError(token.position, 'missing closing parenthesis');
+      }
+      index++;
+      return node;
+    }
+
+    if (++terms > MAX_TERMS) {
+      throw queryError(token.position, `a query can have at most ${MAX_TERMS} terms`);
+    }
+    if (token.type === 'FIELD') {
+      return parseFieldToken(token);
+    }
+    return { type: 'text', value: token.value, quoted: token.quoted };
+  };
+
+  const parseUnary = (depth) => {
+    const token = peek();
+    if (token.type === 'NOT') {
+      index++;
+      expectTerm(token.dash ? '"-"' : 'NOT');
+      return { type: 'not', child: parseUnary(depth) };
+    }
+    return parsePrimary(depth);
+  };
+
+  const parseAnd = (depth) => {
+    const children = [];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      const token = peek();
+      if (token.type === 'AND') {
+        if (children.length === 0) {
+          throw queryError(token.position, 'expected a search term before AND');
+        }
+        index++;
+        expectTerm('AND');
+        continue;
+      }
+      children.push(parseUnary(depth));
+    }
+    return combine('and', children);
+  };
+
+  parseOr = (depth) => {
+    const first = peek();
+    if (first.type === 'OR') {
+      throw queryError(first.position, 'expected a search term before OR');
+    }
+
+    const children = [parseAnd(depth)];
+    while (peek() && peek().type === 'OR') {
+      index++;
+      expectTerm('OR');
+      children.push(parseAnd(depth));
+    }
+    return combine('or', children);
+  };
+
+  if (peek().type === ')') {
+    throw queryError(peek().position, 'unexpected ")"');
+  }
+  const root = parseOr(0);
+  if (index < tokens.length) {
+    throw queryError(tokens[index].position, 'unexpected ")"');
+  }
+  return root;
+}
+
+/**
+ * Compile a string comparison
+ *
+ * @param {string} column - SQL expression
+ * @param {string} operator - 'is' or 'contains'
+ * @param {string} param - Bound parameter name
+ * @param {Object} params - Named parameters (mutated)
+ * @param {string} value - Value to match
+ * @returns {string} SQL condition
+ */
+function compileStringMatch(column, operator, param, params, value) {
+  if (operator === 'is') {
+    params[param] = value;
+    return `${column} = @${param} COLLATE NOCASE`;
+  }
+  params[param] = `%${escapeLike(value)}%`;
+  return `${column} LIKE @${param} ESCAPE '\\'`;
+}
+
+/**
+ * Compile a date comparison
+ * Ages compare against the time the query runs, so saved searches keep rolling forward.
+ *
+ * @param {string} column - SQL expression holding a Unix timestamp
+ * @param {string} operator - eq, gt, gte, lt, lte or range
+ * @param {Object|Array} value - Parsed date, or [min, max] for ranges
+ * @param {Function} bind - Binds a value and returns its parameter reference
+ * @returns {string} SQL condition
+ */
+function compileDate(column, operator, value, bind) {
+  if (operator === 'range') {
+    const [min, max] = value;
+    const ages = (min && 'age' in min) || (max && 'age' in max);
+    const conditions = [];
+    if (ages) {
+      // 7d..30d: between 7 and 30 days ago
+      if (min) conditions.push(`${column} <= ${NOW} - ${bind(min.age)}`);
+      if (max) conditions.push(`${column} >= ${NOW} - ${bind(max.age)}`);
+    } else {
+      if (min) conditions.push(`${column} >= ${bind(min.start)}`);
+      if (max) conditions.push(`${column} <= ${bind(max.end)}`);
+    }
+    return `(${conditions.join(' AND ')})`;
+  }
+
+  if ('age' in value) {
+    // Comparisons on an age: <30d is more recent than 30 days ago, >30d older
+    return operator === 'gt' || operator === 'gte'
+      ? `${column} < ${NOW} - ${bind(value.age)}`
+      : `${column} >= ${NOW} - ${bind(value.age)}`;
+  }
+
+  switch (operator) {
+    case 'gt': return `${column} > ${bind(value.end)}`;
+    case 'gte': return `${column} >= ${bind(value.start)}`;
+    case 'lt': return `${column} < ${bind(value.start)}`;
+    case 'lte': return `${column} <= ${bind(value.end)}`;
+    default: return `${column} BETWEEN ${bind(value.start)} AND ${bind(value.end)}`;
+  }
+}
+
+/**
+ * Compile a field condition
+ *
+ * @param {Object} node - Field node
+ * @param {Object} params - Named parameters (mutated)
+ * @returns {string} SQL condition
+ */
+function compileField(node, params) {
+  const field = QUERY_FIELDS[node.field];
+  const bind = (value) => {
+    const param = nextParam(params);
+    params[param] = value;
+    return `@${param}`;
+  };
+
+  switch (field.type) {
+    case 'string':
+      return compileStringMatch(`COALESCE(${field.column}, '')`, node.operator, nextParam(params), params, node.value);
+
+    case 'genre':
+      return `EXISTS (
+        SELECT 1 FROM track_genres tg
+        JOIN genres g ON g.genre_id = tg.genre_id
+        WHERE tg.track_id = t.track_id
+          AND ${compileStringMatch('g.name', node.operator, nextParam(params), params, node.value)}
+      )`;
+
+    case 'boolean':
+      return node.value
+        ? `${field.column} = ${field.trueValue}`
+        : `COALESCE(${field.column}, 0) != ${field.trueValue}`;
+
+    case 'date':
+      return compileDate(field.column, node.operator, node.value, bind);
+
+    default: {
+      const scale = field.scale || 1;
+      const scaled = value => bind(value * scale);
+      const comparisons = { eq: '=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+      if (node.operator === 'range') {
+        const [min, max] = node.value;
+        const conditions = [];
+        if (min !== null) conditions.push(`${field.column} >= ${scaled(min)}`);
+        if (max !== null) conditions.push(`${field.column} <= ${scaled(max)}`);
+        return `(${conditions.join(' AND ')})`;
+      }
+      return `${field.column} ${comparisons[node.operator]} ${scaled(node.value)}`;
+    }
+  }
+}
+
+/**
+ * Compile a full-text term to a match against the search index
+ *
+ * @param {Object} node - Text node
+ * @param {Object} params - Named parameters (mutated)
+ * @returns {string} SQL condition
+ */
+function compileText(node, params) {
+  const phrase = node.value.replace(/"/g, '');
+  const expression = node.quoted
+    ? (/[\p{L}\p{N}]/u.test(phrase) ? `"${phrase}"` : null)
+    : buildMatchExpression(node.value);
+
+  // Terms with nothing searchable in them ("-", "&") don't narrow the results
+  if (!expression) {
+    return '1';
+  }
+
+  const param = nextParam(params);
+  params[param] = expression;
+  return `t.track_id IN (SELECT rowid FROM tracks_fts WHERE tracks_fts MATCH @${param})`;
+}
+
+/**
+ * Compile a parsed node
+ *
+ * @param {Object} node - AST node
+ * @param {Object} params - Named parameters (mutated)
+ * @returns {string} SQL condition
+ */
+function compileNode(node, params) {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return `(${node.children.map(child => compileNode(child, params)).join(node.type === 'and' ? ' AND ' : ' OR ')})`;
+    case 'not':
+      // Missing values (no year, never played) count as not matching, so NOT includes them
+      return `NOT COALESCE(${compileNode(node.child, params)}, 0)`;
+    case 'text':
+      return compileText(node, params);
+    default:
+      return compileField(node, params);
+  }
+}
+
+/**
+ * Compile a query to a SQL condition over tracks (alias t)
+ *
+ * @param {string|Object|null} query - Query text or a node from parseQuery()
+ * @param {Object} params - Named parameters (mutated; new names start with q)
+ * @returns {string} SQL condition
+ * @throws {Error} If the query text doesn't parse
+ */
+function compileQuery(query, params = {}) {
+  const node = typeof query === 'string' ? parseQuery(query) : query;
+  return node ? compileNode(node, params) : '1';
+}
+
+/**
+ * Whether a parsed query is only unquoted words, i.e. a plain text search
+ *
+ * @param {Object|null} node - Node from parseQuery()
+ * @returns {boolean} True for plain text
+ */
+function isPlainTextQuery(node) {
+  if (!node) {
+    return true;
+  }
+  if (node.type === 'and') {
+    return node.children.every(child => child.type === 'text' && !child.quoted);
+  }
+  return node.type === 'text' && !node.quoted;
+}
+
+module.exports = {
+  QUERY_FIELDS,
+  FIELD_ALIASES,
+  escapeLike,
+  parseQuery,
+  compileQuery,
+  isPlainTextQuery
+};
@@ -0,0 +1,199 @@
+// Library query language parser and compiler tests
+const MusicDatabase = require('./database');
+const { parseQuery, compileQuery, isPlainTextQuery } = require('./query-language');
+
+describe('Query Language', () => {
+  describe('parseQuery()', () => {
+    test('parses fields, ranges, comparisons and negated words', () => {
+      expect(parseQuery('artist:"Radiohead" year:1995..2001 genre:rock -live rating:>=4 codec:flac')).toEqual({
+        type: 'and',
+        children: [
+          { type: 'field', field: 'artist', operator: 'contains', value: 'Radiohead' },
+          { type: 'field', field: 'year', operator: 'range', value: [1995, 2001] },
+          { type: 'field', field: 'genre', operator: 'contains', value: 'rock' },
+          { type: 'not', child: { type: 'text', value: 'live', quoted: false } },
+          { type: 'field', field: 'rating', operator: 'gte', value: 4 },
+          { type: 'field', field: 'codec', operator: 'contains', value: 'flac' }
+        ]
+      });
+    });
+
+    test('gives OR lower precedence than AND and honours parentheses', () => {
+      expect(parseQuery('a b OR NOT (c OR "d e")')).toEqual({
+        type: 'or',
+        children: [
+          { type: 'and', children: [{ type: 'text', value: 'a', quoted: false }, { type: 'text', value: 'b', quoted: false }] },
+          {
+            type: 'not',
+            child: {
+              type: 'or',
+              children: [{ type: 'text', value: 'c', quoted: false }, { type: 'text', value: 'd e', quoted: true }]
+            }
+          }
+        ]
+      });
+    });
+
+    test('accepts open ranges, exact matches, aliases, durations and booleans', () => {
+      expect(parseQuery('year:..1999')).toMatchObject({ operator: 'range', value: [null, 1999] });
+      expect(parseQuery('artist:="The Band"')).toMatchObject({ operator: 'is', value: 'The Band' });
+      expect(parseQuery('playcount:>10')).toMatchObject({ field: 'plays', operator: 'gt', value: 10 });
+      expect(parseQuery('duration:<4:30')).toMatchObject({ operator: 'lt', value: 270 });
+      expect(parseQuery('loved:yes')).toMatchObject({ field: 'loved', value: true });
+    });
+
+    test('treats dashes inside words and lowercase keywords as text', () => {
+      expect(parseQuery('jay-z or - x')).toEqual({
+        type: 'and',
+        children: ['jay-z', 'or', '-', 'x'].map(value => ({ type: 'text', value, quoted: false }))
+      });
+    });
+
+    test('returns null for an empty query', () => {
+      expect(parseQuery('   ')).toBeNull();
+    });
+
+    test.each([
+      ['yr:1999', 1, 'unknown field "yr"'],
+      ['rock year:', 6, 'expected a value after "year:"'],
+      ['year:abc', 1, 'invalid year "abc"; expected a number'],
+      ['year:2001..1995', 1, 'the range 2001..1995 is empty'],
+      ['added:2024-13', 1, 'invalid added "2024-13"'],
+      ['added:2024..30d', 1, "can't mix dates and ages"],
+      ['artist:>b', 1, "artist can't be compared with >"],
+      ['loved:maybe', 1, 'loved must be true or false'],
+      ['(rock', 1, 'missing closing parenthesis'],
+      ['rock)', 5, 'unexpected ")"'],
+      ['OR rock', 1, 'expected a search term before OR'],
+      ['rock OR', 8, 'expected a search term after OR'],
+      ['rock NOT', 9, 'expected a search term after NOT'],
+      ['rock -(', 8, 'expected a search term after "("'],
+      ['title:"open', 7, 'missing closing quote']
+    ])('reports %j at position %i', (query, position, message) => {
+      let error;
+      try {
+        parseQuery(query);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).toContain(message);
+      expect(error.message).toContain(`position ${position}:`);
+      expect(error.position).toBe(position);
+    });
+
+    test('limits query size', () => {
+      expect(() => parseQuery('a'.repeat(1001))).toThrow('maximum length');
+      expect(() => parseQuery(Array(101).fill('a').join(' '))).toThrow('at most 100 terms');
+      expect(() => parseQuery(null)).toThrow('Query must be a string');
+    });
+  });
+
+  describe('compileQuery()', () => {
+    test('binds every value as a parameter', () => {
+      const params = {};
+      const sql = compileQuery("artist:\"x' OR 1=1 --\" year:>2000", params);
+
+      expect(sql).not.toContain('OR 1=1');
+      expect(Object.values(params)).toEqual(["%x' OR 1=1 --%", 2000]);
+    });
+
+    test('escapes LIKE wildcards and scales bitrates', () => {
+      const params = {};
+      compileQuery('title:100% bitrate:>=320', params);
+      expect(Object.values(params)).toEqual(['%100\\%%', 320000]);
+    });
+
+    test('matches everything for an empty query', () => {
+      expect(compileQuery('')).toBe('1');
+    });
+  });
+
+  describe('isPlainTextQuery()', () => {
+    test('is true only for unquoted words', () => {
+      expect(isPlainTextQuery(parseQuery('radio head'))).toBe(true);
+      expect(isPlainTextQuery(null)).toBe(true);
+      expect(isPlainTextQuery(parseQuery('"radio head"'))).toBe(false);
+      expect(isPlainTextQuery(parseQuery('radio -head'))).toBe(false);
+      expect(isPlainTextQuery(parseQuery('year:1999'))).toBe(false);
+    });
+  });
+
+  describe('Running queries', () => {
+    let db;
+    const now = Math.floor(Date.now() / 1000);
+    const day = 24 * 60 * 60;
+    const midJune2020 = Math.floor(new Date(2020, 5, 15, 12).getTime() / 1000);
+
+    beforeEach(() => {
+      db = new MusicDatabase(':memory:');
+      db.initialize();
+
+      const add = (track, genres = []) => {
+        const trackId = db.insertTrack({ date_added: now, ...track, file_path: `/${track.title}.mp3` }).track_id;
+        db.addTrackGenres(trackId, genres);
+        return trackId;
+      };
+
+      add({ title: 'Karma Police', artist: 'Radiohead', release_year: 1997, codec: 'FLAC', rating: 5 }, ['Rock']);
+      add({ title: 'Creep (Live)', artist: 'Radiohead', release_year: 1993, codec: 'FLAC', rating: 4 }, ['Rock']);
+      add({ title: 'Lucky', artist: 'Radiohead', release_year: 1997, codec: 'MP3', rating: 3 }, ['Rock']);
+      add({ title: 'So What', artist: 'Miles Davis', release_year: 1959, codec: 'FLAC', date_added: midJune2020 }, ['Jazz']);
+      add({ title: 'Untagged', date_added: now - 10 * day });
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    const titles = (query) => db.queryTracks({ filters: { query }, sort: 'title' }).tracks.map(track => track.title);
+
+    test('runs the example query', () => {
+      expect(titles('artist:"Radiohead" year:1990..2001 genre:rock -live rating:>=4 codec:flac'))
+        .toEqual(['Karma Police']);
+    });
+
+    test('combines terms with OR and NOT', () => {
+      expect(titles('genre:jazz OR (radiohead -lucky -karma)')).toEqual(['Creep (Live)', 'So What']);
+    });
+
+    test('includes tracks with missing values in negated terms', () => {
+      expect(titles('-year:1997')).toEqual(['Creep (Live)', 'So What', 'Untagged']);
+      expect(titles('-genre:rock')).toEqual(['So What', 'Untagged']);
+    });
+
+    test('matches unrated tracks as zero stars', () => {
+      expect(titles('rating:<1')).toEqual(['So What', 'Untagged']);
+    });
+
+    test('filters by date added and age', () => {
+      expect(titles('added:<30d -radiohead')).toEqual(['Untagged']);
+      expect(titles('added:>1y')).toEqual(['So What']);
+      expect(titles('added:2020 OR added:2020-06-15..2020-06')).toEqual(['So What']);
+      expect(titles('added:..2020-06-14')).toEqual([]);
+    });
+
+    test('matches exact values and phrases', () => {
+      expect(titles('artist:=radiohead title:"police"')).toEqual(['Karma Police']);
+      expect(titles('"karma police"')).toEqual(['Karma Police']);
+      expect(titles('"police karma"')).toEqual([]);
+    });
+
+    test('backs the search box', () => {
+      const results = db.searchTracks('genre:rock year:1997');
+      expect(results.tracks.map(track => track.title)).toEqual(['Karma Police', 'Lucky']);
+      expect(results.artists).toEqual([expect.objectContaining({ name: 'Radiohead', matched_tracks: 2 })]);
+      expect(() => db.searchTracks('year:199x')).toThrow('Invalid query at position 1');
+    });
+
+    test('backs saved searches', () => {
+      const { playlist_id: playlistId } = db.saveSearch('Best Radiohead', 'radiohead rating:>=4');
+      expect(db.getPlaylistTracks(playlistId).map(track => track.title).sort()).toEqual(['Creep (Live)', 'Karma Police']);
+      expect(() => db.saveSearch('Broken', 'year:')).toThrow('expected a value after "year:"');
+    });
+
+    test('validates queries for the search box', () => {
+      expect(db.validateQuery('year:1990..')).toEqual({ valid: true, error: null, position: null });
+      expect(db.validateQuery('rock (')).toMatchObject({ valid: false, position: 7 });
+    });
+  });
+});
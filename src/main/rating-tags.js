@@ -0,0 +1,268 @@
+/**
+ * Rating Tags
+ *
+ * Reads star ratings from audio file tags and writes them back to MP3 files.
+ *
+ * - ID3v2 POPM (popularimeter) frames store a 0-255 byte. The byte values written
+ *   here are the ones Windows Media Player and MediaMonkey use, so other players
+ *   show the same number of stars.
+ * - Vorbis RATING and MP4 rate atoms are read through music-metadata's common.rating.
+ * - Writing is only supported for MP3 files with an ID3v2.3/2.4 tag (or none).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { MAX_RATING, RATING_STEP } = require('./ratings');
+
+// Star rating -> POPM byte
+const POPM_VALUES = {
+  0.5: 13,
+  1: 1,
+  1.5: 54,
+  2: 64,
+  2.5: 118,
+  3: 128,
+  3.5: 186,
+  4: 196,
+  4.5: 242,
+  5: 255
+};
+
+// POPM byte -> star rating, for the values above
+const POPM_RATINGS = Object.fromEntries(
+  Object.entries(POPM_VALUES).map(([rating, value]) => [value, Number(rating)])
+);
+
+// Email written in new POPM frames; players look for their own address
+const DEFAULT_POPM_EMAIL = 'Windows Media Player 9 Series';
+
+// Padding added when the ID3 tag has to grow
+const TAG_PADDING = 1024;
+
+/**
+ * Round a value to the nearest half star within 0-5
+ *
+ * @param {number} value - Rating in stars
+ * @returns {number} Rounded rating
+ */
+function roundRating(value) {
+  const rounded = Math.round(value / RATING_STEP) * RATING_STEP;
+  return Math.max(0, Math.min(MAX_RATING, rounded));
+}
+
+/**
+ * Convert a POPM rating byte to stars
+ *
+ * @param {number} value - POPM byte (0-255, 0 = unrated)
+ * @returns {number|null} Rating in half-star steps, or null if unrated
+ */
+function popmToRating(value) {
+  if (!Number.isInteger(value) || value <= 0 || value > 255) {
+    return null;
+  }
+  if (POPM_RATINGS[value] !== undefined) {
+    return POPM_RATINGS[value];
+  }
+  return Math.max(RATING_STEP, roundRating(value / 255 * MAX_RATING));
+}
+
+/**
+ * Convert a star rating to a POPM rating byte
+ *
+ * @param {number|null} rating - Rating in stars (null = unrated)
+ * @returns {number} POPM byte
+ */
+function ratingToPopm(rating) {
+  if (rating === null || rating === undefined || rating === 0) {
+    return 0;
+  }
+  return POPM_VALUES[roundRating(rating)];
+}
+
+/**
+ * Read the rating from parsed music-metadata output
+ * Raw POPM bytes are preferred because music-metadata's normalized value
+ * doesn't round-trip the player-specific byte values.
+ *
+ * @param {Object} metadata - Result of music-metadata parseFile()
+ * @returns {number|null} Rating in half-star steps, or null if unrated
+ */
+function readRatingFromMetadata(metadata) {
+  const popmFrames = Object.entries(metadata.native || {})
+    .filter(([format]) => format.startsWith('ID3v2'))
+    .flatMap(([, tags]) => tags)
+    .filter(tag => (tag.id === 'POPM' || tag.id === 'POP') && tag.value && tag.value.rating > 0)
+    .map(tag => tag.value);
+
+  if (popmFrames.length > 0) {
+    const preferred = popmFrames.find(frame => frame.email === DEFAULT_POPM_EMAIL) || popmFrames[0];
+    return popmToRating(preferred.rating);
+  }
+
+  const common = (metadata.common && metadata.common.rating) || [];
+  const rated = common.find(entry => typeof entry.rating === 'number' && entry.rating > 0);
+  return rated ? roundRating(rated.rating * MAX_RATING) : null;
+}
+
+/**
+ * Decode a 4-byte syncsafe integer
+ *
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Byte offset
+ * @returns {number} Decoded value
+ */
+function readSyncsafe(buffer, offset) {
+  return (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+}
+
+/**
+ * Encode a 4-byte syncsafe integer
+ *
+ * @param {number} value - Value to encode (< 2^28)
+ * @returns {Buffer} Encoded bytes
+ */
+function syncsafe(value) {
+  return Buffer.from([(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f]);
+}
+
+/**
+ * Parse the frames of an ID3v2.3/2.4 tag
+ *
+ * @param {Buffer} data - File contents starting with 'ID3'
+ * @returns {Object} { version, flags, size, frames: [{ id, flags, body }] }
+ * @throws {Error} If the tag uses features this writer doesn't support
+ */
+function parseId3Tag(data) {
+  const version = data[3];
+  const flags = data[5];
+
+  if (version !== 3 && version !== 4) {
+    throw new Error(`Unsupported ID3v2 version: 2.${version}`);
+  }
+  // Unsynchronisation, extended headers and footers are rare; refuse rather than corrupt
+  if (flags & 0xd0) {
+    throw new Error('Unsupported ID3v2 tag flags');
+  }
+
+  const size = readSyncsafe(data, 6);
+  const end = 10 + size;
+  const frames = [];
+  let offset = 10;
+
+  while (offset + 10 <= end && data[offset] !== 0) {
+    const id = data.toString('latin1', offset, offset + 4);
+    const frameSize = version === 4 ? readSyncsafe(data, offset + 4) : data.readUInt32BE(offset + 4);
+    const bodyStart = offset + 10;
+
+    if (bodyStart + frameSize > end) {
+      throw new Error(`Corrupt ID3v2 frame: ${id}`);
+    }
+
+    frames.push({
+      id,
+      flags: data.subarray(offset + 8, offset + 10),
+      body: data.subarray(bodyStart, bodyStart + frameSize)
+    });
+    offset = bodyStart + frameSize;
+  }
+
+  return { version, flags, size, frames };
+}
+
+/**
+ * Return a copy of an MP3 file's contents with every POPM rating set
+ * A POPM frame is added if the file has none; a tag is added if it has none.
+ *
+ * @param {Buffer} data - MP3 file contents
+ * @param {number} popmValue - POPM rating byte
+ * @returns {Buffer} Updated file contents
+ */
+function setPopmRating(data, popmValue) {
+  const hasTag = data.length >= 10 && data.toString('latin1', 0, 3) === 'ID3';
+  const tag = hasTag
+    ? parseId3Tag(data)
+    : { version: 4, flags: 0, size: 0, frames: [] };
+
+  let found = false;
+  const frames = tag.frames.map(frame => {
+    // Compressed/encrypted frames can't be edited in place; leave them alone
+    const formatFlags = frame.flags[1];
+    const encoded = tag.version === 4 ? formatFlags & 0x0f : formatFlags & 0xe0;
+    const emailEnd = frame.body.indexOf(0);
+
+    if (frame.id !== 'POPM' || encoded || emailEnd === -1 || emailEnd + 1 >= frame.body.length) {
+      return frame;
+    }
+
+    found = true;
+    const body = Buffer.from(frame.body);
+    body[emailEnd + 1] = popmValue;
+    return { ...frame, body };
+  });
+
+  if (!found) {
+    frames.push({
+      id: 'POPM',
+      flags: Buffer.alloc(2),
+      body: Buffer.concat([Buffer.from(`${DEFAULT_POPM_EMAIL}\0`, 'latin1'), Buffer.from([popmValue])])
+    });
+  }
+
+  const frameBytes = Buffer.concat(frames.map(frame => {
+    const header = Buffer.alloc(10);
+    header.write(frame.id, 0, 'latin1');
+    if (tag.version === 4) {
+      syncsafe(frame.body.length).copy(header, 4);
+    } else {
+      header.writeUInt32BE(frame.body.length, 4);
+    }
+    frame.flags.copy(header, 8);
+    return Buffer.concat([header, frame.body]);
+  }));
+
+  // Reuse the existing padding when the frames still fit
+  const size = frameBytes.length <= tag.size ? tag.size : frameBytes.length + TAG_PADDING;
+  const header = Buffer.from([0x49, 0x44, 0x33, tag.version, 0, tag.flags, 0, 0, 0, 0]);
+  syncsafe(size).copy(header, 6);
+
+  return Buffer.concat([
+    header,
+    frameBytes,
+    Buffer.alloc(size - frameBytes.length),
+    data.subarray(hasTag ? 10 + tag.size : 0)
+  ]);
+}
+
+/**
+ * Write a rating to an audio file's tags
+ * The file is rewritten through a temporary file, so a failed write leaves it intact.
+ *
+ * @param {string} filePath - Absolute path to the audio file
+ * @param {number|null} rating - Rating in stars (null = unrated)
+ * @throws {Error} If the format isn't supported or the tag can't be edited
+ */
+async function writeRatingTag(filePath, rating) {
+  if (path.extname(filePath).toLowerCase() !== '.mp3') {
+    throw new Error('Writing rating tags is only supported for MP3 files');
+  }
+
+  const data = await fs.readFile(filePath);
+  const updated = setPopmRating(data, ratingToPopm(rating));
+
+  const tempPath = `${filePath}.rating-tmp`;
+  try {
+    await fs.writeFile(tempPath, updated);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  popmToRating,
+  ratingToPopm,
+  readRatingFromMetadata,
+  setPopmRating,
+  writeRatingTag
+};
@@ -0,0 +1,136 @@
+/**
+ * Rating Tag Tests
+ *
+ * POPM conversion, reading ratings from parsed metadata and writing
+ * POPM frames into MP3 files.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const {
+  popmToRating,
+  ratingToPopm,
+  readRatingFromMetadata,
+  setPopmRating,
+  writeRatingTag
+} = require('./rating-tags');
+const { extractMetadata } = require('./metadata');
+
+const FIXTURES_DIR = path.join(__dirname, '../../tests/fixtures/audio');
+
+describe('Rating Tags', () => {
+  describe('POPM conversion', () => {
+    test('round-trips every half star', () => {
+      for (let rating = 0.5; rating <= 5; rating += 0.5) {
+        expect(popmToRating(ratingToPopm(rating))).toBe(rating);
+      }
+    });
+
+    test('uses the Windows Media Player values for whole stars', () => {
+      expect([1, 2, 3, 4, 5].map(ratingToPopm)).toEqual([1, 64, 128, 196, 255]);
+    });
+
+    test('maps other bytes proportionally', () => {
+      expect(popmToRating(100)).toBe(2);
+      expect(popmToRating(2)).toBe(0.5);
+    });
+
+    test('treats 0 as unrated', () => {
+      expect(popmToRating(0)).toBeNull();
+      expect(ratingToPopm(null)).toBe(0);
+    });
+  });
+
+  describe('readRatingFromMetadata()', () => {
+    test('prefers raw POPM frames', () => {
+      const metadata = {
+        native: {
+          'ID3v2.3': [
+            { id: 'POPM', value: { email: 'other@example.com', rating: 50, counter: 0 } },
+            { id: 'POPM', value: { email: 'Windows Media Player 9 Series', rating: 128, counter: 0 } }
+          ]
+        },
+        common: { rating: [{ rating: 0.2 }] }
+      };
+
+      expect(readRatingFromMetadata(metadata)).toBe(3);
+    });
+
+    test('falls back to normalized common ratings', () => {
+      expect(readRatingFromMetadata({ native: {}, common: { rating: [{ rating: 0.8 }] } })).toBe(4);
+    });
+
+    test('returns null when unrated', () => {
+      expect(readRatingFromMetadata({ native: {}, common: {} })).toBeNull();
+    });
+  });
+
+  describe('writeRatingTag()', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rating-tags-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    const copyFixture = async (name) => {
+      const filePath = path.join(tempDir, name);
+      await fs.copyFile(path.join(FIXTURES_DIR, name), filePath);
+      return filePath;
+    };
+
+    test('adds a POPM frame that is read back on import', async () => {
+      const filePath = await copyFixture('test.mp3');
+
+      await writeRatingTag(filePath, 3.5);
+
+      const metadata = await extractMetadata(filePath);
+      expect(metadata.rating).toBe(3.5);
+      expect(metadata.title).toBe('Test Track');
+    });
+
+    test('updates an existing POPM frame in place', async () => {
+      const filePath = await copyFixture('test.mp3');
+      await writeRatingTag(filePath, 1);
+      const { size } = await fs.stat(filePath);
+
+      await writeRatingTag(filePath, 4.5);
+
+      expect((await fs.stat(filePath)).size).toBe(size);
+      expect((await extractMetadata(filePath)).rating).toBe(4.5);
+    });
+
+    test('adds a tag to files without one', async () => {
+      const filePath = await copyFixture('no-tags.mp3');
+
+      await writeRatingTag(filePath, 5);
+
+      expect((await extractMetadata(filePath)).rating).toBe(5);
+    });
+
+    test('clears the rating', async () => {
+      const filePath = await copyFixture('test.mp3');
+      await writeRatingTag(filePath, 2);
+
+      await writeRatingTag(filePath, null);
+
+      expect((await extractMetadata(filePath)).rating).toBeNull();
+    });
+
+    test('rejects formats other than MP3', async () => {
+      const filePath = await copyFixture('test.flac');
+
+      await expect(writeRatingTag(filePath, 3)).rejects.toThrow('only supported for MP3');
+    });
+
+    test('refuses tags it cannot edit safely', () => {
+      const unsynchronised = Buffer.from([0x49, 0x44, 0x33, 4, 0, 0x80, 0, 0, 0, 0]);
+
+      expect(() => setPopmRating(unsynchronised, 128)).toThrow('Unsupported ID3v2 tag flags');
+    });
+  });
+});
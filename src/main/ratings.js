@@ -0,0 +1,73 @@
+/**
+ * Ratings and Loved Flags
+ *
+ * Tracks have a 0-5 star rating in half-star steps (NULL = unrated) and a
+ * loved flag: 1 = loved, -1 = disliked, 0 = neither.
+ *
+ * Albums have an optional user_rating. Until it is set, an album's rating is
+ * the average of its rated tracks, rounded to the nearest half star.
+ */
+
+const { albumMembership } = require('./albums');
+
+const MAX_RATING = 5;
+const RATING_STEP = 0.5;
+
+const LOVED_VALUES = {
+  loved: 1,
+  none: 0,
+  disliked: -1
+};
+
+/**
+ * SQL CHECK constraint for a rating column: NULL, or 0-5 in half steps
+ *
+ * @param {string} column - Column name
+ * @returns {string} SQL constraint
+ */
+function ratingCheck(column) {
+  return `CHECK (${column} IS NULL OR (${column} BETWEEN 0 AND ${MAX_RATING}
+    AND ${column} * 2 = CAST(${column} * 2 AS INTEGER)))`;
+}
+
+/**
+ * Add rating and loved columns to tracks and a user rating to albums
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createRatingsSchema(db) {
+  db.exec(`
+    ALTER TABLE tracks ADD COLUMN rating REAL ${ratingCheck('rating')};
+    ALTER TABLE tracks ADD COLUMN loved INTEGER NOT NULL DEFAULT 0 CHECK (loved IN (-1, 0, 1));
+    ALTER TABLE albums ADD COLUMN user_rating REAL ${ratingCheck('user_rating')};
+
+    CREATE INDEX IF NOT EXISTS idx_tracks_rating ON tracks(rating);
+  `);
+}
+
+/**
+ * SQL expressions for an album's effective rating
+ * rating is the user rating if set, otherwise the rounded average of the rated tracks;
+ * rating_is_computed tells the two apart.
+ *
+ * @param {string} albumRef - Alias of the albums table
+ * @returns {string} SQL select list fragment
+ */
+function albumRatingSelect(albumRef) {
+  return `
+    COALESCE(${albumRef}.user_rating, (
+      SELECT ROUND(AVG(rt.rating) * 2) / 2 FROM tracks rt
+      WHERE ${albumMembership('rt', `${albumRef}.album_title`, `${albumRef}.album_artist`)}
+        AND rt.rating IS NOT NULL
+    )) AS rating,
+    (${albumRef}.user_rating IS NULL) AS rating_is_computed
+  `;
+}
+
+module.exports = {
+  MAX_RATING,
+  RATING_STEP,
+  LOVED_VALUES,
+  createRatingsSchema,
+  albumRatingSelect
+};
@@ -0,0 +1,325 @@
+/**
+ * Library Search
+ *
+ * Full-text search over the library backed by an SQLite FTS5 index.
+ *
+ * - tracks_fts mirrors title, artist, album, album_artist and genres for every track
+ * - Triggers on tracks, track_genres and genres keep the index in sync
+ * - Diacritics are folded by the tokenizer, so "bjork" matches "Björk"
+ * - Every search term is treated as a prefix, so "radio" matches "Radiohead"
+ * - Results are ranked with bm25 and grouped into tracks, albums and artists
+ * - Queries with fields, operators or phrases (see query-language.js) are
+ *   compiled by the caller and run through searchLibraryByQuery instead
+ */
+
+// Column weights for bm25 ranking, in tracks_fts column order:
+// title, artist, album, album_artist, genres
+const RANK_WEIGHTS = '10.0, 6.0, 4.0, 3.0, 1.0';
+
+const SEARCH_DEFAULTS = {
+  trackLimit: 50,
+  albumLimit: 20,
+  artistLimit: 20
+};
+
+// Upper bound on any result group so a single request can't dump the whole library
+const MAX_RESULT_LIMIT = 500;
+
+/**
+ * Create the FTS5 table and its sync triggers
+ * Populates the index from existing tracks the first time it is created
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createSearchSchema(db) {
+  const exists = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type = 'table' AND name = 'tracks_fts'
+  `).get();
+
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS tracks_fts USING fts5(
+      title, artist, album, album_artist, genres,
+      tokenize = 'unicode61 remove_diacritics 2',
+      prefix = '2 3'
+    );
+  `);
+
+  // Keep the index in sync with track metadata
+  db.exec(`
+    CREATE TRIGGER IF NOT EXISTS tracks_fts_insert
+    AFTER INSERT ON tracks
+    FOR EACH ROW
+    BEGIN
+      INSERT INTO tracks_fts (rowid, title, artist, album, album_artist, genres)
+      VALUES (NEW.track_id, NEW.title, NEW.artist, NEW.album, NEW.album_artist, '');
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS tracks_fts_update
+    AFTER UPDATE OF title, artist, album, album_artist ON tracks
+    FOR EACH ROW
+    BEGIN
+      UPDATE tracks_fts
+      SET title = NEW.title,
+          artist = NEW.artist,
+          album = NEW.album,
+          album_artist = NEW.album_artist
+      WHERE rowid = NEW.track_id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS tracks_fts_delete
+    AFTER DELETE ON tracks
+    FOR EACH ROW
+    BEGIN
+      DELETE FROM tracks_fts WHERE rowid = OLD.track_id;
+    END;
+  `);
+
+  // Keep the genres column in sync with track_genres and genre renames
+  db.exec(`
+    CREATE TRIGGER IF NOT EXISTS track_genres_fts_insert
+    AFTER INSERT ON track_genres
+    FOR EACH ROW
+    BEGIN
+      UPDATE tracks_fts
+      SET genres = (
+        SELECT COALESCE(group_concat(g.name, ' '), '')
+        FROM track_genres tg
+        JOIN genres g ON g.genre_id = tg.genre_id
+        WHERE tg.track_id = NEW.track_id
+      )
+      WHERE rowid = NEW.track_id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS track_genres_fts_delete
+    AFTER DELETE ON track_genres
+    FOR EACH ROW
+    BEGIN
+      UPDATE tracks_fts
+      SET genres = (
+        SELECT COALESCE(group_concat(g.name, ' '), '')
+        FROM track_genres tg
+        JOIN genres g ON g.genre_id = tg.genre_id
+        WHERE tg.track_id = OLD.track_id
+      )
+      WHERE rowid = OLD.track_id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS genres_fts_update
+    AFTER UPDATE OF name ON genres
+    FOR EACH ROW
+    BEGIN
+      UPDATE tracks_fts
+      SET genres = (
+        SELECT COALESCE(group_concat(g.name, ' '), '')
+        FROM track_genres tg
+        JOIN genres g ON g.genre_id = tg.genre_id
+        WHERE tg.track_id = tracks_fts.rowid
+      )
+      WHERE rowid IN (SELECT track_id FROM track_genres WHERE genre_id = NEW.genre_id);
+    END;
+  `);
+
+  // Libraries created before the index existed need a one-time backfill
+  if (!exists) {
+    rebuildSearchIndex(db);
+  }
+}
+
+/**
+ * Repopulate the search index from the tracks table
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function rebuildSearchIndex(db) {
+  db.exec(`
+    DELETE FROM tracks_fts;
+
+    INSERT INTO tracks_fts (rowid, title, artist, album, album_artist, genres)
+    SELECT
+      t.track_id, t.title, t.artist, t.album, t.album_artist,
+      COALESCE((
+        SELECT group_concat(g.name, ' ')
+        FROM track_genres tg
+        JOIN genres g ON g.genre_id = tg.genre_id
+        WHERE tg.track_id = t.track_id
+      ), '')
+    FROM tracks t;
+  `);
+}
+
+/**
+ * Convert free text typed by the user into an FTS5 match expression
+ * Each term is quoted (so FTS5 syntax characters are inert) and prefix-matched.
+ * All terms must match.
+ *
+ * @param {string} query - Raw search text
+ * @returns {string|null} FTS5 expression or null if the query has no searchable terms
+ */
+function buildMatchExpression(query) {
+  if (typeof query !== 'string') {
+    return null;
+  }
+
+  const terms = query
+    .split(/\s+/)
+    .map(term => term.replace(/"/g, ''))
+    .filter(term => /[\p{L}\p{N}]/u.test(term));
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+/**
+ * Normalize a requested result limit
+ *
+ * @param {any} value - Requested limit
+ * @param {number} fallback - Default limit
+ * @returns {number} Limit between 0 and MAX_RESULT_LIMIT
+ */
+function normalizeLimit(value, fallback) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Invalid search limit: ${value}`);
+  }
+  return Math.min(value, MAX_RESULT_LIMIT);
+}
+
+/**
+ * Search the library
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} query - Raw search text
+ * @param {Object} options - Search options
+ * @param {number} options.trackLimit - Maximum tracks to return
+ * @param {number} options.albumLimit - Maximum albums to return
+ * @param {number} options.artistLimit - Maximum artists to return
+ * @returns {Object} { tracks, albums, artists } ordered by relevance
+ */
+function searchLibrary(db, query, options = {}) {
+  const trackLimit = normalizeLimit(options.trackLimit, SEARCH_DEFAULTS.trackLimit);
+  const albumLimit = normalizeLimit(options.albumLimit, SEARCH_DEFAULTS.albumLimit);
+  const artistLimit = normalizeLimit(options.artistLimit, SEARCH_DEFAULTS.artistLimit);
+
+  const expression = buildMatchExpression(query);
+  if (!expression) {
+    return { tracks: [], albums: [], artists: [] };
+  }
+
+  const tracks = db.prepare(`
+    SELECT t.*
+    FROM tracks_fts
+    JOIN tracks t ON t.track_id = tracks_fts.rowid
+    WHERE tracks_fts MATCH @match
+    ORDER BY bm25(tracks_fts, ${RANK_WEIGHTS}), t.track_id
+    LIMIT @limit
+  `).all({ match: expression, limit: trackLimit });
+
+  // bm25() can't be used inside an aggregate, so rank in a materialized CTE first
+  const albums = db.prepare(`
+    WITH matches AS MATERIALIZED (
+      SELECT rowid AS track_id, bm25(tracks_fts, ${RANK_WEIGHTS}) AS score
+      FROM tracks_fts
+      WHERE tracks_fts MATCH @match
+    )
+    SELECT
+      t.album AS album_title,
+      t.album_artist,
+      COUNT(*) AS matched_tracks,
+      MAX(t.artwork_path) AS artwork_path,
+      MIN(m.score) AS score
+    FROM matches m
+    JOIN tracks t ON t.track_id = m.track_id
+    WHERE t.album IS NOT NULL
+    GROUP BY t.album, t.album_artist
+    ORDER BY score, t.album
+    LIMIT @limit
+  `).all({ match: `{album album_artist} : (${expression})`, limit: albumLimit });
+
+  const artists = db.prepare(`
+    WITH matches AS MATERIALIZED (
+      SELECT rowid AS track_id, bm25(tracks_fts, ${RANK_WEIGHTS}) AS score
+      FROM tracks_fts
+      WHERE tracks_fts MATCH @match
+    )
+    SELECT
+      t.artist AS name,
+      COUNT(*) AS matched_tracks,
+      MIN(m.score) AS score
+    FROM matches m
+    JOIN tracks t ON t.track_id = m.track_id
+    WHERE t.artist IS NOT NULL
+    GROUP BY t.artist
+    ORDER BY score, t.artist
+    LIMIT @limit
+  `).all({ match: `{artist} : (${expression})`, limit: artistLimit });
+
+  return { tracks, albums, artists };
+}
+
+/**
+ * Search the library with a compiled query-language condition
+ * Results come in library order rather than by relevance; albums and artists
+ * are ranked by how many of their tracks match, and score is that count negated
+ * so that lower is still better.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} condition - SQL condition over tracks (alias t) from compileQuery()
+ * @param {Object} params - Parameters bound by the condition
+ * @param {Object} options - trackLimit, albumLimit and artistLimit as for searchLibrary
+ * @returns {Object} { tracks, albums, artists }
+ */
+function searchLibraryByQuery(db, condition, params, options = {}) {
+  const trackLimit = normalizeLimit(options.trackLimit, SEARCH_DEFAULTS.trackLimit);
+  const albumLimit = normalizeLimit(options.albumLimit, SEARCH_DEFAULTS.albumLimit);
+  const artistLimit = normalizeLimit(options.artistLimit, SEARCH_DEFAULTS.artistLimit);
+
+  const tracks = db.prepare(`
+    SELECT t.* FROM tracks t
+    WHERE ${condition}
+    ORDER BY t.artist_sort, t.album, COALESCE(t.disc_number, 1), t.track_number, t.track_id
+    LIMIT @search_limit
+  `).all({ ...params, search_limit: trackLimit });
+
+  const albums = db.prepare(`
+    SELECT
+      t.album AS album_title,
+      t.album_artist,
+      COUNT(*) AS matched_tracks,
+      MAX(t.artwork_path) AS artwork_path,
+      -COUNT(*) AS score
+    FROM tracks t
+    WHERE ${condition} AND t.album IS NOT NULL
+    GROUP BY t.album, t.album_artist
+    ORDER BY score, t.album
+    LIMIT @search_limit
+  `).all({ ...params, search_limit: albumLimit });
+
+  const artists = db.prepare(`
+    SELECT
+      t.artist AS name,
+      COUNT(*) AS matched_tracks,
+      -COUNT(*) AS score
+    FROM tracks t
+    WHERE ${condition} AND t.artist IS NOT NULL
+    GROUP BY t.artist
+    ORDER BY score, t.artist
+    LIMIT @search_limit
+  `).all({ ...params, search_limit: artistLimit });
+
+  return { tracks, albums, artists };
+}
+
+module.exports = {
+  createSearchSchema,
+  rebuildSearchIndex,
+  buildMatchExpression,
+  searchLibrary,
+  searchLibraryByQuery,
+  SEARCH_DEFAULTS
+};
@@ -0,0 +1,194 @@
+// Full-text search tests
+const MusicDatabase = require('./database');
+const { buildMatchExpression } = require('./search');
+
+describe('Library Search', () => {
+  let db;
+
+  const addTrack = (overrides = {}) => {
+    const { genres, ...track } = overrides;
+    const { track_id } = db.insertTrack({
+      file_path: `/music/${Math.random()}.mp3`,
+      title: 'Untitled',
+      date_added: Date.now(),
+      ...track
+    });
+    if (genres) {
+      db.addTrackGenres(track_id, genres);
+    }
+    return track_id;
+  };
+
+  beforeEach(() => {
+    db = new MusicDatabase(':memory:');
+    db.initialize();
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('buildMatchExpression()', () => {
+    test('quotes each term and adds a prefix wildcard', () => {
+      expect(buildMatchExpression('ok comp')).toBe('"ok"* "comp"*');
+    });
+
+    test('strips double quotes so FTS syntax cannot be injected', () => {
+      expect(buildMatchExpression('a"b OR c')).toBe('"ab"* "OR"* "c"*');
+    });
+
+    test('returns null for empty or punctuation-only input', () => {
+      expect(buildMatchExpression('')).toBeNull();
+      expect(buildMatchExpression('   ')).toBeNull();
+      expect(buildMatchExpression('- * ()')).toBeNull();
+      expect(buildMatchExpression(null)).toBeNull();
+    });
+  });
+
+  describe('searchTracks()', () => {
+    test('creates the tracks_fts virtual table', () => {
+      const table = db.db.prepare(`
+        SELECT name FROM sqlite_master WHERE name = 'tracks_fts'
+      `).get();
+      expect(table).toBeDefined();
+    });
+
+    test('matches on prefixes', () => {
+      const id = addTrack({ title: 'Paranoid Android', artist: 'Radiohead' });
+      addTrack({ title: 'Yellow', artist: 'Coldplay' });
+
+      const results = db.searchTracks('radio');
+
+      expect(results.tracks.map(t => t.track_id)).toEqual([id]);
+    });
+
+    test('ignores accents in both directions', () => {
+      const id = addTrack({ title: 'Jóga', artist: 'Björk' });
+
+      expect(db.searchTracks('bjork').tracks.map(t => t.track_id)).toEqual([id]);
+      expect(db.searchTracks('JOGA').tracks.map(t => t.track_id)).toEqual([id]);
+    });
+
+    test('requires every term to match', () => {
+      addTrack({ title: 'Airbag', artist: 'Radiohead', album: 'OK Computer' });
+      const id = addTrack({ title: 'Karma Police', artist: 'Radiohead', album: 'OK Computer' });
+
+      const results = db.searchTracks('radiohead karma');
+
+      expect(results.tracks.map(t => t.track_id)).toEqual([id]);
+    });
+
+    test('ranks title matches above genre matches', () => {
+      const genreOnly = addTrack({ title: 'Something', genres: ['Jazz'] });
+      const titleMatch = addTrack({ title: 'Jazz Suite' });
+
+      const results = db.searchTracks('jazz');
+
+      expect(results.tracks.map(t => t.track_id)).toEqual([titleMatch, genreOnly]);
+    });
+
+    test('searches genres', () => {
+      const id = addTrack({ title: 'Song', genres: ['Shoegaze'] });
+
+      expect(db.searchTracks('shoe').tracks.map(t => t.track_id)).toEqual([id]);
+    });
+
+    test('groups albums and artists separately', () => {
+      addTrack({ title: 'One', artist: 'Low', album: 'Things We Lost in the Fire', album_artist: 'Low' });
+      addTrack({ title: 'Two', artist: 'Low', album: 'Things We Lost in the Fire', album_artist: 'Low' });
+      addTrack({ title: 'Lowlands', artist: 'Someone', album: 'Elsewhere', album_artist: 'Someone' });
+
+      const results = db.searchTracks('low');
+
+      expect(results.tracks).toHaveLength(3);
+      expect(results.albums).toHaveLength(1);
+      expect(results.albums[0]).toMatchObject({
+        album_title: 'Things We Lost in the Fire',
+        album_artist: 'Low',
+        matched_tracks: 2
+      });
+      expect(results.artists.map(a => a.name)).toEqual(['Low']);
+    });
+
+    test('returns empty groups for blank queries', () => {
+      addTrack({ title: 'Anything' });
+
+      expect(db.searchTracks('  ')).toEqual({ tracks: [], albums: [], artists: [] });
+    });
+
+    test('respects result limits', () => {
+      for (let i = 0; i < 5; i++) {
+        addTrack({ title: `Loop ${i}` });
+      }
+
+      expect(db.searchTracks('loop', { trackLimit: 2 }).tracks).toHaveLength(2);
+    });
+
+    test('rejects invalid limits', () => {
+      expect(() => db.searchTracks('loop', { trackLimit: -1 })).toThrow('Invalid search limit');
+    });
+  });
+
+  describe('Index synchronization', () => {
+    test('reflects track updates', () => {
+      const id = addTrack({ title: 'Old Name' });
+
+      db.updateTrack(id, { title: 'New Name' });
+
+      expect(db.searchTracks('old').tracks).toHaveLength(0);
+      expect(db.searchTracks('new').tracks.map(t => t.track_id)).toEqual([id]);
+    });
+
+    test('removes deleted tracks', () => {
+      const id = addTrack({ title: 'Ephemeral' });
+
+      db.deleteTrack(id);
+
+      expect(db.searchTracks('ephemeral').tracks).toHaveLength(0);
+    });
+
+    test('reflects genre removal and renames', () => {
+      const id = addTrack({ title: 'Song', genres: ['Trip Hop'] });
+
+      db.db.prepare("UPDATE genres SET name = 'Downtempo' WHERE name = 'Trip-Hop'").run();
+      expect(db.searchTracks('downtempo').tracks.map(t => t.track_id)).toEqual([id]);
+      expect(db.searchTracks('trip').tracks).toHaveLength(0);
+
+      db.clearTrackGenres(id);
+      expect(db.searchTracks('downtempo').tracks).toHaveLength(0);
+    });
+
+    test('rebuildSearchIndex() restores a dropped index', () => {
+      const id = addTrack({ title: 'Recovered', genres: ['Ambient'] });
+      db.db.exec('DELETE FROM tracks_fts');
+
+      db.rebuildSearchIndex();
+
+      expect(db.searchTracks('recovered ambient').tracks.map(t => t.track_id)).toEqual([id]);
+    });
+  });
+
+  describe('Performance', () => {
+    test('searches a 40,000 track library in under 200ms', () => {
+      const insert = db.db.transaction(() => {
+        for (let i = 0; i < 40000; i++) {
+          addTrack({
+            file_path: `/music/perf/${i}.mp3`,
+            title: `Track ${i}`,
+            artist: `Artist ${i % 500}`,
+            album: `Album ${i % 3000}`,
+            album_artist: `Artist ${i % 500}`
+          });
+        }
+      });
+      insert();
+
+      const start = Date.now();
+      const results = db.searchTracks('artist 12');
+      const elapsed = Date.now() - start;
+
+      expect(results.tracks.length).toBeGreaterThan(0);
+      expect(elapsed).toBeLessThan(200);
+    });
+  });
+});
@@ -19,22 +19,152 @@ const schema = {
         type: 'string',
         default: path.join(os.homedir(), 'Music', 'Tuuuuunes'),
       },
+      // Mirror rating changes into MP3 POPM tags
+      writeRatingTags: {
+        type: 'boolean',
+        default: false,
+      },
     },
     default: {},
   },
   import: {
     type: 'object',
     properties: {
-      // V1 only supports copy mode
+      // copy or move files into the library, or reference them where they are
       mode: {
         type: 'string',
-        enum: ['copy'],
+        enum: ['copy', 'move', 'reference'],
         default: 'copy',
       },
+      // What to do with a file already in the library: skip it, replace the
+      // track's file with it, or keep both (true and false are from older versions)
       skipDuplicates: {
+        enum: ['skip', 'replace', 'keep-both', true, false],
+        default: 'skip',
+      },
+      // Files read and files copied at once during an import
+      concurrency: {
+        type: 'object',
+        properties: {
+          metadata: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 16,
+            default: 4,
+          },
+          copy: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 16,
+            default: 2,
+          },
+        },
+        default: {},
+      },
+      // Most tracks written to the database in one transaction
+      batchSize: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 1000,
+        default: 50,
+      },
+    },
+    default: {},
+  },
+  // Folders imported from automatically as files arrive (see watch-folders.js)
+  watchedFolders: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+        },
+        mode: {
+          type: 'string',
+          enum: ['copy', 'move', 'reference'],
+          default: 'copy',
+        },
+        // File and folder names to skip; '*' matches anything
+        ignore: {
+          type: 'array',
+          items: { type: 'string' },
+          default: [],
+        },
+        // Keep the track, or move it to Recently Deleted, when its file is removed from the folder
+        onDelete: {
+          type: 'string',
+          enum: ['keep', 'trash'],
+          default: 'keep',
+        },
+      },
+      required: ['path'],
+    },
+    default: [],
+  },
+  backup: {
+    type: 'object',
+    properties: {
+      enabled: {
         type: 'boolean',
         default: true,
       },
+      // How often scheduled backups run
+      intervalHours: {
+        type: 'number',
+        minimum: 1,
+        maximum: 168,
+        default: 24,
+      },
+      // Rotation: how many backups of each kind to keep (manual backups are never rotated)
+      keepScheduled: {
+        type: 'number',
+        minimum: 1,
+        maximum: 100,
+        default: 7,
+      },
+      keepPreOperation: {
+        type: 'number',
+        minimum: 1,
+        maximum: 100,
+        default: 10,
+      },
+    },
+    default: {},
+  },
+  trash: {
+    type: 'object',
+    properties: {
+      // Purge expired tracks from Recently Deleted automatically
+      enabled: {
+        type: 'boolean',
+        default: true,
+      },
+      // Days a deleted track stays restorable before it and its file are removed
+      retentionDays: {
+        type: 'number',
+        minimum: 1,
+        maximum: 365,
+        default: 30,
+      },
+    },
+    default: {},
+  },
+  playback: {
+    type: 'object',
+    properties: {
+      // A listen counts as a play at this share of the track or this many seconds, whichever comes first
+      playThresholdPercent: {
+        type: 'number',
+        minimum: 1,
+        maximum: 100,
+        default: 50,
+      },
+      playThresholdSeconds: {
+        type: 'number',
+        minimum: 1,
+        default: 240,
+      },
     },
     default: {},
   },
@@ -117,10 +247,31 @@ const schema = {
 const defaults = {
   library: {
     path: path.join(os.homedir(), 'Music', 'Tuuuuunes'),
+    writeRatingTags: false,
   },
   import: {
     mode: 'copy',
-    skipDuplicates: true,
+    skipDuplicates: 'skip',
+    concurrency: {
+      metadata: 4,
+      copy: 2,
+    },
+    batchSize: 50,
+  },
+  watchedFolders: [],
+  backup: {
+    enabled: true,
+    intervalHours: 24,
+    keepScheduled: 7,
+    keepPreOperation: 10,
+  },
+  trash: {
+    enabled: true,
+    retentionDays: 30,
+  },
+  playback: {
+    playThresholdPercent: 50,
+    playThresholdSeconds: 240,
   },
   ui: {
     theme: 'dark',
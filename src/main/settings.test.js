@@ -127,6 +127,10 @@ describe('Settings Module', () => {
       expect(settings.defaults.library.path).toBe(expectedPath)
     })
 
+    test('should not write rating tags by default', () => {
+      expect(settings.defaults.library.writeRatingTags).toBe(false)
+    })
+
     test('should have correct default theme', () => {
       expect(settings.defaults.ui.theme).toBe('dark')
     })
@@ -143,6 +147,42 @@ describe('Settings Module', () => {
     test('should have correct default import mode', () => {
       expect(settings.defaults.import.mode).toBe('copy')
     })
+
+    test('should skip duplicates by default', () => {
+      expect(settings.defaults.import.skipDuplicates).toBe('skip')
+    })
+
+    test('should import several files at once by default', () => {
+      expect(settings.defaults.import.concurrency).toEqual({ metadata: 4, copy: 2 })
+      expect(settings.defaults.import.batchSize).toBe(50)
+    })
+
+    test('should have no watched folders by default', () => {
+      expect(settings.defaults.watchedFolders).toEqual([])
+    })
+
+    test('should have correct default play threshold', () => {
+      expect(settings.defaults.playback).toEqual({
+        playThresholdPercent: 50,
+        playThresholdSeconds: 240,
+      })
+    })
+
+    test('should have correct default backup policy', () => {
+      expect(settings.defaults.backup).toEqual({
+        enabled: true,
+        intervalHours: 24,
+        keepScheduled: 7,
+        keepPreOperation: 10,
+      })
+    })
+
+    test('should have correct default trash policy', () => {
+      expect(settings.defaults.trash).toEqual({
+        enabled: true,
+        retentionDays: 30,
+      })
+    })
   })
 
   describe('window state helpers', () => {
@@ -0,0 +1,458 @@
+/**
+ * Smart Playlists
+ *
+ * A smart playlist stores its rules as JSON in playlists.smart_rules and is
+ * compiled to a parameterized SELECT over tracks:
+ *
+ *   {
+ *     "match": "all",                       // or "any"
+ *     "rules": [
+ *       { "field": "genre", "operator": "is", "value": "Jazz" },
+ *       { "match": "any", "rules": [        // nested group
+ *         { "field": "rating", "operator": "greater_than", "value": 3.5 },
+ *         { "field": "play_count", "operator": "in_range", "value": [5, 20] }
+ *       ] },
+ *       { "field": "date_added", "operator": "in_the_last", "value": { "amount": 2, "unit": "weeks" } },
+ *       { "field": "query", "operator": "matches", "value": "artist:radiohead -live" }
+ *     ],
+ *     "limit": { "value": 2, "unit": "hours", "selectedBy": "random" },
+ *     "liveUpdating": true
+ *   }
+ *
+ * Fields, operators and limit orderings are whitelisted; only values are bound as
+ * parameters, so no part of the JSON is ever spliced into SQL. A "query" rule
+ * holds text in the library query language (see query-language.js), which is
+ * how saved searches are stored.
+ *
+ * Live playlists are evaluated whenever they are read. Others keep the tracks
+ * matched when the rules were saved or the playlist was last refreshed.
+ */
+
+const { escapeLike, parseQuery, compileQuery } = require('./query-language');
+
+// Field name -> SQL expression and value type
+const SMART_FIELDS = {
+  title: { type: 'string', column: 't.title' },
+  artist: { type: 'string', column: 't.artist' },
+  album: { type: 'string', column: 't.album' },
+  album_artist: { type: 'string', column: 't.album_artist' },
+  codec: { type: 'string', column: 't.codec' },
+  genre: { type: 'genre' },
+  year: { type: 'number', column: 't.release_year' },
+  rating: { type: 'number', column: 'COALESCE(t.rating, 0)' }, // unrated counts as 0 stars
+  loved: { type: 'number', column: 't.loved' },
+  play_count: { type: 'number', column: 't.play_count' },
+  skip_count: { type: 'number', column: 't.skip_count' },
+  bitrate: { type: 'number', column: 't.bitrate' },
+  sample_rate: { type: 'number', column: 't.sample_rate' },
+  duration: { type: 'number', column: 't.duration_seconds' },
+  track_number: { type: 'number', column: 't.track_number' },
+  disc_number: { type: 'number', column: 't.disc_number' },
+  file_size: { type: 'number', column: 't.file_size_bytes' },
+  date_added: { type: 'date', column: 't.date_added' },
+  last_played: { type: 'date', column: 't.last_played' },
+  is_compilation: { type: 'boolean', column: 't.is_compilation' },
+  query: { type: 'query' }
+};
+
+// Operators allowed for each field type
+const SMART_OPERATORS = {
+  string: ['is', 'is_not', 'contains', 'does_not_contain', 'starts_with', 'ends_with'],
+  genre: ['is', 'is_not', 'contains', 'does_not_contain', 'starts_with', 'ends_with'],
+  number: ['is', 'is_not', 'greater_than', 'less_than', 'in_range'],
+  date: ['is_after', 'is_before', 'in_range', 'in_the_last', 'not_in_the_last'],
+  boolean: ['is_true', 'is_false'],
+  query: ['matches', 'does_not_match']
+};
+
+// Relative date units for in_the_last / not_in_the_last, in seconds
+const DATE_UNITS = {
+  days: 24 * 60 * 60,
+  weeks: 7 * 24 * 60 * 60,
+  months: 30 * 24 * 60 * 60
+};
+
+// Limit units -> what they measure and the multiplier to its stored unit
+const LIMIT_UNITS = {
+  items: { measure: null, multiplier: 1 },
+  minutes: { measure: 'COALESCE(t.duration_seconds, 0)', multiplier: 60 },
+  hours: { measure: 'COALESCE(t.duration_seconds, 0)', multiplier: 60 * 60 },
+  MB: { measure: 'COALESCE(t.file_size_bytes, 0)', multiplier: 1024 * 1024 },
+  GB: { measure: 'COALESCE(t.file_size_bytes, 0)', multiplier: 1024 * 1024 * 1024 }
+};
+
+// How tracks are chosen when a limit applies
+const SELECTED_BY = {
+  random: 'random()',
+  most_played: 't.play_count DESC',
+  least_played: 't.play_count ASC',
+  highest_rated: 'COALESCE(t.rating, 0) DESC',
+  lowest_rated: 'COALESCE(t.rating, 0) ASC',
+  most_recently_added: 't.date_added DESC',
+  least_recently_added: 't.date_added ASC',
+  most_recently_played: 't.last_played DESC',
+  least_recently_played: 't.last_played ASC',
+  title: 't.title COLLATE NOCASE ASC',
+  artist: 't.artist COLLATE NOCASE ASC',
+  album: 't.album COLLATE NOCASE ASC'
+};
+
+// Order of smart playlists without a limit
+const DEFAULT_ORDER = 't.artist COLLATE NOCASE, t.album COLLATE NOCASE, COALESCE(t.disc_number, 1), t.track_number';
+
+// Guards against pathological rule sets
+const MAX_DEPTH = 8;
+const MAX_RULES = 200;
+const MAX_STRING_LENGTH = 500;
+const MAX_ITEMS_LIMIT = 100000;
+
+/**
+ * Add the smart_rules column to playlists
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createSmartPlaylistSchema(db) {
+  db.exec(`
+    ALTER TABLE playlists ADD COLUMN smart_rules TEXT;
+  `);
+}
+
+/**
+ * Validate one rule value for its field type and operator
+ *
+ * @param {string} type - Field type
+ * @param {string} operator - Operator
+ * @param {*} value - Rule value
+ * @param {Function} fail - Throws an error for the current rule
+ * @returns {*} Normalized value
+ */
+function validateRuleValue(type, operator, value, fail) {
+  if (type === 'boolean') {
+    return null;
+  }
+
+  if (type === 'string' || type === 'genre' || type === 'query') {
+    if (typeof value !== 'string' || value.length === 0 || value.length > MAX_STRING_LENGTH) {
+      fail(`value must be a non-empty string of at most ${MAX_STRING_LENGTH} characters`);
+    }
+    if (type === 'query') {
+      try {
+        parseQuery(value);
+      } catch (error) {
+        fail(error.message);
+      }
+    }
+    return value;
+  }
+
+  const isNumber = (n) => typeof n === 'number' && Number.isFinite(n);
+
+  if (operator === 'in_range') {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(isNumber) || value[0] > value[1]) {
+      fail('value must be [min, max] with min <= max');
+    }
+    return [value[0], value[1]];
+  }
+
+  if (operator === 'in_the_last' || operator === 'not_in_the_last') {
+    if (!value || !isNumber(value.amount) || value.amount <= 0 || !DATE_UNITS[value.unit]) {
+      fail(`value must be { amount, unit } with unit one of ${Object.keys(DATE_UNITS).join(', ')}`);
+    }
+    return { amount: value.amount, unit: value.unit };
+  }
+
+  if (!isNumber(value)) {
+    fail(type === 'date' ? 'value must be a Unix timestamp in seconds' : 'value must be a number');
+  }
+  return value;
+}
+
+/**
+ * Validate and normalize smart playlist rules
+ *
+ * @param {Object} rules - Rules object (see module docs)
+ * @returns {Object} Normalized rules { match, rules, limit, liveUpdating }
+ * @throws {Error} Describing the first invalid rule and where it is
+ */
+function validateSmartRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('Smart playlist rules must be an object');
+  }
+
+  let ruleCount = 0;
+
+  const validateGroup = (group, location, depth) => {
+    const fail = (message) => {
+      throw new Error(`Invalid smart playlist rule at ${location}: ${message}`);
+    };
+
+    if (depth > MAX_DEPTH) {
+      fail(`groups can be nested at most ${MAX_DEPTH} levels deep`);
+    }
+    if (group.match !== 'all' && group.match !== 'any') {
+      fail('match must be "all" or "any"');
+    }
+    if (!Array.isArray(group.rules)) {
+      fail('rules must be an array');
+    }
+
+    return {
+      match: group.match,
+      rules: group.rules.map((rule, index) => {
+        const ruleLocation = `${location}.rules[${index}]`;
+        const failRule = (message) => {
+          throw new Error(`Invalid smart playlist rule at ${ruleLocation}: ${message}`);
+        };
+
+        if (++ruleCount > MAX_RULES) {
+          failRule(`a smart playlist can have at most ${MAX_RULES} rules`);
+        }
+        if (!rule || typeof rule !== 'object') {
+          failRule('rule must be an object');
+        }
+        if (rule.rules !== undefined) {
+          return validateGroup(rule, ruleLocation, depth + 1);
+        }
+
+        const field = SMART_FIELDS[rule.field];
+        if (!Object.prototype.hasOwnProperty.call(SMART_FIELDS, rule.field)) {
+          failRule(`unknown field "${rule.field}"`);
+        }
+        if (!SMART_OPERATORS[field.type].includes(rule.operator)) {
+          failRule(`operator "${rule.operator}" can't be used with ${rule.field}; ` +
+            `use one of ${SMART_OPERATORS[field.type].join(', ')}`);
+        }
+
+        const value = validateRuleValue(field.type, rule.operator, rule.value, failRule);
+        return field.type === 'boolean'
+          ? { field: rule.field, operator: rule.operator }
+          : { field: rule.field, operator: rule.operator, value };
+      })
+    };
+  };
+
+  const normalized = validateGroup({ match: rules.match || 'all', rules: rules.rules || [] }, 'root', 1);
+
+  normalized.limit = null;
+  if (rules.limit !== undefined && rules.limit !== null) {
+    const { value, unit, selectedBy = 'random' } = rules.limit;
+
+    if (!Object.prototype.hasOwnProperty.call(LIMIT_UNITS, unit)) {
+      throw new Error(`Invalid smart playlist limit: unit must be one of ${Object.keys(LIMIT_UNITS).join(', ')}`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 ||
+        (unit === 'items' && (!Number.isInteger(value) || value > MAX_ITEMS_LIMIT))) {
+      throw new Error(unit === 'items'
+        ? `Invalid smart playlist limit: value must be an integer between 1 and ${MAX_ITEMS_LIMIT}`
+        : 'Invalid smart playlist limit: value must be a positive number');
+    }
+    if (!Object.prototype.hasOwnProperty.call(SELECTED_BY, selectedBy)) {
+      throw new Error(`Invalid smart playlist limit: selectedBy must be one of ${Object.keys(SELECTED_BY).join(', ')}`);
+    }
+
+    normalized.limit = { value, unit, selectedBy };
+  }
+
+  if (rules.liveUpdating !== undefined && typeof rules.liveUpdating !== 'boolean') {
+    throw new Error('Smart playlist liveUpdating must be a boolean');
+  }
+  normalized.liveUpdating = rules.liveUpdating !== false;
+
+  return normalized;
+}
+
+/**
+ * Compile a string comparison
+ *
+ * @param {string} column - SQL expression
+ * @param {string} operator - String operator
+ * @param {string} param - Bound parameter name
+ * @param {Object} params - Named parameters (mutated)
+ * @param {string} value - Rule value
+ * @returns {string} SQL condition (positive form for negated operators)
+ */
+function compileStringMatch(column, operator, param, params, value) {
+  switch (operator) {
+    case 'is':
+    case 'is_not':
+      params[param] = value;
+      return `${column} = @${param} COLLATE NOCASE`;
+    case 'contains':
+    case 'does_not_contain':
+      params[param] = `%${escapeLike(value)}%`;
+      break;
+    case 'starts_with':
+      params[param] = `${escapeLike(value)}%`;
+      break;
+    case 'ends_with':
+      params[param] = `%${escapeLike(value)}`;
+      break;
+  }
+  return `${column} LIKE @${param} ESCAPE '\\'`;
+}
+
+/**
+ * Compile a single validated rule to a SQL condition
+ *
+ * @param {Object} rule - Normalized rule
+ * @param {Object} params - Named parameters (mutated)
+ * @returns {string} SQL condition
+ */
+function compileRule(rule, params) {
+  const field = SMART_FIELDS[rule.field];
+  const param = `p${Object.keys(params).length}`;
+  const negated = rule.operator === 'is_not' || rule.operator === 'does_not_contain';
+
+  switch (field.type) {
+    case 'string': {
+      const match = compileStringMatch(`COALESCE(${field.column}, '')`, rule.operator, param, params, rule.value);
+      return negated ? `NOT (${match})` : match;
+    }
+
+    case 'genre': {
+      const match = compileStringMatch('g.name', rule.operator, param, params, rule.value);
+      const exists = `EXISTS (
+        SELECT 1 FROM track_genres tg
+        JOIN genres g ON g.genre_id = tg.genre_id
+        WHERE tg.track_id = t.track_id AND ${match}
+      )`;
+      return negated ? `NOT ${exists}` : exists;
+    }
+
+    case 'number':
+    case 'date': {
+      switch (rule.operator) {
+        case 'is':
+          params[param] = rule.value;
+          return `${field.column} = @${param}`;
+        case 'is_not':
+          params[param] = rule.value;
+          return `${field.column} IS NOT @${param}`;
+        case 'greater_than':
+        case 'is_after':
+          params[param] = rule.value;
+          return `${field.column} > @${param}`;
+        case 'less_than':
+        case 'is_before':
+          params[param] = rule.value;
+          return `${field.column} < @${param}`;
+        case 'in_range':
+          params[`${param}_min`] = rule.value[0];
+          params[`${param}_max`] = rule.value[1];
+          return `${field.column} BETWEEN @${param}_min AND @${param}_max`;
+        case 'in_the_last':
+          // Relative to the time of evaluation, so live playlists keep rolling forward
+          params[param] = rule.value.amount * DATE_UNITS[rule.value.unit];
+          return `${field.column} >= CAST(strftime('%s', 'now') AS INTEGER) - @${param}`;
+        case 'not_in_the_last':
+          params[param] = rule.value.amount * DATE_UNITS[rule.value.unit];
+          return `(${field.column} IS NULL OR ${field.column} < CAST(strftime('%s', 'now') AS INTEGER) - @${param})`;
+      }
+      break;
+    }
+
+    case 'boolean':
+      return rule.operator === 'is_true' ? `${field.column} = 1` : `COALESCE(${field.column}, 0) = 0`;
+
+    case 'query': {
+      const match = compileQuery(rule.value, params);
+      return rule.operator === 'does_not_match' ? `NOT COALESCE(${match}, 0)` : match;
+    }
+  }
+
+  throw new Error(`Unsupported smart playlist rule: ${rule.field} ${rule.operator}`);
+}
+
+/**
+ * Compile a validated rule group
+ *
+ * @param {Object} group - Normalized group { match, rules }
+ * @param {Object} params - Named parameters (mutated)
+ * @returns {string} SQL condition
+ */
+function compileGroup(group, params) {
+  const conditions = group.rules.map(rule => (
+    rule.rules ? compileGroup(rule, params) : compileRule(rule, params)
+  ));
+
+  // An empty "all" group matches everything, an empty "any" group nothing
+  if (conditions.length === 0) {
+    return group.match === 'all' ? '1' : '0';
+  }
+  return `(${conditions.join(group.match === 'all' ? ' AND ' : ' OR ')})`;
+}
+
+/**
+ * Compile smart playlist rules to a parameterized query returning matching tracks
+ * Size and time limits keep adding tracks in selection order while the running
+ * total stays within the limit.
+ *
+ * @param {Object} rules - Rules object (validated here)
+ * @returns {Object} { sql, params } - rows are tracks; time/size limits add smart_running_total
+ * @throws {Error} If the rules are invalid
+ */
+function compileSmartRules(rules) {
+  const normalized = validateSmartRules(rules);
+  const params = {};
+  const where = compileGroup(normalized, params);
+  const { limit } = normalized;
+
+  if (!limit) {
+    return {
+      sql: `SELECT t.* FROM tracks t WHERE ${where} ORDER BY ${DEFAULT_ORDER}, t.track_id`,
+      params
+    };
+  }
+
+  const order = `${SELECTED_BY[limit.selectedBy]}, t.track_id`;
+  const { measure, multiplier } = LIMIT_UNITS[limit.unit];
+  params.limit = limit.value * multiplier;
+
+  if (!measure) {
+    return {
+      sql: `SELECT t.* FROM tracks t WHERE ${where} ORDER BY ${order} LIMIT @limit`,
+      params
+    };
+  }
+
+  return {
+    sql: `
+      SELECT * FROM (
+        SELECT t.*, SUM(${measure}) OVER (ORDER BY ${order} ROWS UNBOUNDED PRECEDING) AS smart_running_total
+        FROM tracks t
+        WHERE ${where}
+      )
+      WHERE smart_running_total <= @limit
+      ORDER BY smart_running_total, track_id
+    `,
+    params
+  };
+}
+
+/**
+ * Run smart playlist rules against the library
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Object} rules - Rules object
+ * @returns {Array} Matching tracks in playlist order, with 1-based position
+ * @throws {Error} If the rules are invalid
+ */
+function evaluateSmartRules(db, rules) {
+  const { sql, params } = compileSmartRules(rules);
+
+  return db.prepare(sql).all(params).map((row, index) => {
+    const { smart_running_total: _runningTotal, ...track } = row;
+    return { ...track, position: index + 1 };
+  });
+}
+
+module.exports = {
+  SMART_FIELDS,
+  SMART_OPERATORS,
+  LIMIT_UNITS,
+  SELECTED_BY,
+  createSmartPlaylistSchema,
+  validateSmartRules,
+  compileSmartRules,
+  evaluateSmartRules
+};
@@ -0,0 +1,116 @@
+// Smart playlist rule validation and compilation tests
+const { validateSmartRules, compileSmartRules } = require('./smart-playlists');
+
+describe('Smart Playlists', () => {
+  describe('validateSmartRules()', () => {
+    test('fills in defaults', () => {
+      expect(validateSmartRules({ rules: [] })).toEqual({
+        match: 'all',
+        rules: [],
+        limit: null,
+        liveUpdating: true
+      });
+    });
+
+    test('defaults the limit selection to random', () => {
+      const rules = validateSmartRules({ match: 'any', rules: [], limit: { value: 25, unit: 'items' } });
+      expect(rules.limit).toEqual({ value: 25, unit: 'items', selectedBy: 'random' });
+    });
+
+    test('rejects unknown fields with the rule location', () => {
+      expect(() => validateSmartRules({
+        match: 'all',
+        rules: [
+          { field: 'title', operator: 'is', value: 'A' },
+          { match: 'any', rules: [{ field: 'file_path', operator: 'is', value: '/x' }] }
+        ]
+      })).toThrow('root.rules[1].rules[0]: unknown field "file_path"');
+    });
+
+    test('rejects operators that do not fit the field type', () => {
+      expect(() => validateSmartRules({ rules: [{ field: 'rating', operator: 'contains', value: 3 }] }))
+        .toThrow('operator "contains" can\'t be used with rating');
+      expect(() => validateSmartRules({ rules: [{ field: 'title', operator: 'greater_than', value: 'A' }] }))
+        .toThrow('operator "greater_than"');
+    });
+
+    test('rejects malformed values', () => {
+      expect(() => validateSmartRules({ rules: [{ field: 'year', operator: 'is', value: '1999' }] }))
+        .toThrow('value must be a number');
+      expect(() => validateSmartRules({ rules: [{ field: 'year', operator: 'in_range', value: [2000, 1990] }] }))
+        .toThrow('min <= max');
+      expect(() => validateSmartRules({
+        rules: [{ field: 'date_added', operator: 'in_the_last', value: { amount: 2, unit: 'years' } }]
+      })).toThrow('unit one of days, weeks, months');
+      expect(() => validateSmartRules({ rules: [{ field: 'genre', operator: 'is', value: '' }] }))
+        .toThrow('non-empty string');
+    });
+
+    test('rejects invalid limits', () => {
+      expect(() => validateSmartRules({ rules: [], limit: { value: 2, unit: 'days' } })).toThrow('unit must be one of');
+      expect(() => validateSmartRules({ rules: [], limit: { value: 2.5, unit: 'items' } })).toThrow('integer');
+      expect(() => validateSmartRules({ rules: [], limit: { value: 2, unit: 'hours', selectedBy: 'file_path' } }))
+        .toThrow('selectedBy must be one of');
+    });
+
+    test('rejects deeply nested groups', () => {
+      let group = { match: 'all', rules: [] };
+      for (let i = 0; i < 10; i++) {
+        group = { match: 'all', rules: [group] };
+      }
+      expect(() => validateSmartRules(group)).toThrow('nested at most');
+    });
+  });
+
+  describe('compileSmartRules()', () => {
+    test('binds values as parameters', () => {
+      const { sql, params } = compileSmartRules({
+        match: 'all',
+        rules: [
+          { field: 'artist', operator: 'is', value: "Robert'); DROP TABLE tracks; --" },
+          { field: 'play_count', operator: 'greater_than', value: 10 }
+        ]
+      });
+
+      expect(sql).not.toContain('DROP TABLE');
+      expect(sql).toContain('@p0');
+      expect(params).toEqual({ p0: "Robert'); DROP TABLE tracks; --", p1: 10 });
+    });
+
+    test('escapes LIKE wildcards in string values', () => {
+      const { params } = compileSmartRules({ rules: [{ field: 'title', operator: 'contains', value: '100%_pure' }] });
+      expect(params.p0).toBe('%100\\%\\_pure%');
+    });
+
+    test('joins nested groups with AND and OR', () => {
+      const { sql } = compileSmartRules({
+        match: 'all',
+        rules: [
+          { field: 'is_compilation', operator: 'is_false' },
+          {
+            match: 'any',
+            rules: [
+              { field: 'year', operator: 'less_than', value: 1970 },
+              { field: 'year', operator: 'greater_than', value: 2020 }
+            ]
+          }
+        ]
+      });
+
+      expect(sql).toContain('COALESCE(t.is_compilation, 0) = 0 AND (t.release_year < @p0 OR t.release_year > @p1)');
+    });
+
+    test('converts relative dates to seconds', () => {
+      const { sql, params } = compileSmartRules({
+        rules: [{ field: 'last_played', operator: 'in_the_last', value: { amount: 2, unit: 'weeks' } }]
+      });
+      expect(sql).toContain("strftime('%s', 'now')");
+      expect(params.p0).toBe(14 * 24 * 60 * 60);
+    });
+
+    test('converts time and size limits to stored units', () => {
+      expect(compileSmartRules({ rules: [], limit: { value: 2, unit: 'hours' } }).params.limit).toBe(7200);
+      expect(compileSmartRules({ rules: [], limit: { value: 1, unit: 'GB' } }).params.limit).toBe(1024 ** 3);
+    });
+  });
+});
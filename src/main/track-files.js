@@ -0,0 +1,283 @@
+/**
+ * Track Files
+ *
+ * Where a track's audio lives, and whether it can be reached right now.
+ *
+ * storage:
+ * - managed: the file was copied or moved into Music/ and belongs to the library
+ * - referenced: file_path is the user's original, wherever it was imported from;
+ *   the library never moves, renames or deletes it
+ *
+ * file_state (referenced tracks only, managed files live with the database):
+ * - available: the file was there at the last check
+ * - missing: the drive it was on is mounted, but the file is gone
+ * - offline: the drive it was on isn't mounted, e.g. an unplugged USB disk
+ *
+ * An offline track keeps everything else (playlists, plays, ratings) and is
+ * available again at the first check after its drive comes back. Neither state
+ * is journaled, so undo never brings back a stale state.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { syncTrackArtists } = require('./artists');
+
+const STORAGE_TYPES = ['managed', 'referenced'];
+const FILE_STATES = ['available', 'missing', 'offline'];
+
+// Folders removable drives are mounted under: macOS, udisks, older udisks, manual mounts
+const MOUNT_PATTERNS = [
+  /^\/Volumes\/[^/]+/,
+  /^\/media\/[^/]+\/[^/]+/,
+  /^\/run\/media\/[^/]+\/[^/]+/,
+  /^\/mnt\/[^/]+/
+];
+
+/**
+ * Add storage and file state columns to tracks
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createTrackFilesSchema(db) {
+  db.exec(`
+    ALTER TABLE tracks ADD COLUMN storage TEXT NOT NULL DEFAULT 'managed'
+      CHECK (storage IN ('managed', 'referenced'));
+    ALTER TABLE tracks ADD COLUMN file_state TEXT NOT NULL DEFAULT 'available'
+      CHECK (file_state IN ('available', 'missing', 'offline'));
+    ALTER TABLE tracks ADD COLUMN file_checked_at INTEGER;
+
+    CREATE INDEX IF NOT EXISTS idx_tracks_storage ON tracks(storage);
+  `);
+}
+
+/**
+ * Find the root of the volume a file is on
+ * Drive letters and UNC shares on Windows, removable drive mount points on macOS
+ * and Linux, and the filesystem root for everything else.
+ *
+ * @param {string} filePath - Absolute file path
+ * @returns {string} Volume root
+ */
+function volumeRoot(filePath) {
+  const windowsRoot = /^([a-zA-Z]:[\\/]|[\\/]{2}[^\\/]+[\\/][^\\/]+)/.exec(filePath);
+  if (windowsRoot) {
+    return windowsRoot[1];
+  }
+
+  for (const pattern of MOUNT_PATTERNS) {
+    const match = pattern.exec(filePath);
+    if (match) {
+      return match[0];
+    }
+  }
+
+  return path.parse(filePath).root || '/';
+}
+
+/**
+ * Check whether a volume is mounted
+ * Mount points usually stay behind as empty folders when their drive is removed.
+ *
+ * @param {string} root - Volume root (see volumeRoot)
+ * @returns {Promise<boolean>} True if the volume can be read and isn't empty
+ */
+async function isVolumeMounted(root) {
+  try {
+    return (await fs.readdir(root)).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Work out the state of a file
+ *
+ * @param {string} filePath - Absolute file path
+ * @param {Map<string, Promise<boolean>>} volumes - Mounted volumes seen so far, shared across calls
+ * @returns {Promise<string>} 'available', 'missing' or 'offline'
+ */
+async function checkFileState(filePath, volumes = new Map()) {
+  try {
+    await fs.access(filePath);
+    return 'available';
+  } catch (error) {
+    const root = volumeRoot(filePath);
+    if (!volumes.has(root)) {
+      volumes.set(root, isVolumeMounted(root));
+    }
+    return await volumes.get(root) ? 'missing' : 'offline';
+  }
+}
+
+/**
+ * Get the files of referenced tracks
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Array<number>|null} trackIds - Tracks to get (default: all referenced tracks)
+ * @returns {Array<Object>} { track_id, file_path, file_state } rows
+ */
+function getReferencedTrackFiles(db, trackIds = null) {
+  const sql = "SELECT track_id, file_path, file_state FROM tracks WHERE storage = 'referenced'";
+  if (!trackIds) {
+    return db.prepare(`${sql} ORDER BY track_id`).all();
+  }
+
+  const select = db.prepare(`${sql} AND track_id = ?`);
+  return trackIds.map(trackId => select.get(trackId)).filter(Boolean);
+}
+
+/**
+ * Record the result of checking track files
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Object<string, Array<number>>} states - Track IDs by file state
+ * @param {number} checkedAt - Unix timestamp in seconds
+ * @returns {Array<number>} IDs of tracks whose state changed
+ */
+function setTrackFileStates(db, states, checkedAt = Math.floor(Date.now() / 1000)) {
+  const select = db.prepare('SELECT file_state FROM tracks WHERE track_id = ?');
+  const update = db.prepare('UPDATE tracks SET file_state = ?, file_checked_at = ? WHERE track_id = ?');
+
+  const transaction = db.transaction(() => {
+    const changed = [];
+    Object.entries(states).forEach(([state, trackIds]) => {
+      if (!FILE_STATES.includes(state)) {
+        throw new Error(`Invalid file state: ${state}`);
+      }
+      trackIds.forEach(trackId => {
+        const row = select.get(trackId);
+        if (!row) return;
+        update.run(state, checkedAt, trackId);
+        if (row.file_state !== state) {
+          changed.push(trackId);
+        }
+      });
+    });
+    return changed;
+  });
+
+  return transaction();
+}
+
+/**
+ * Point a referenced track at a new location of its file
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} trackId - Track ID
+ * @param {string} filePath - Absolute path of the file
+ * @param {number} checkedAt - Unix timestamp in seconds
+ * @throws {Error} If the track isn't referenced or another track has the file
+ */
+function relinkTrackFile(db, trackId, filePath, checkedAt = Math.floor(Date.now() / 1000)) {
+  const track = db.prepare('SELECT storage FROM tracks WHERE track_id = ?').get(trackId);
+  if (!track) {
+    throw new Error(`Track ${trackId} not found`);
+  }
+  if (track.storage !== 'referenced') {
+    throw new Error(`Track ${trackId} is managed by the library and can't be relinked`);
+  }
+  if (db.prepare('SELECT 1 FROM tracks WHERE file_path = ? AND track_id != ?').get(filePath, trackId)) {
+    throw new Error(`Another track already uses ${filePath}`);
+  }
+
+  db.prepare(`
+    UPDATE tracks SET file_path = ?, file_state = 'available', file_checked_at = ? WHERE track_id = ?
+  `).run(filePath, checkedAt, trackId);
+}
+
+/**
+ * Swap the file behind a track for a new copy of the same audio
+ * The track keeps its ID, play history, playlists and rating; its tags and audio
+ * properties come from the new file. Artwork is only replaced when the new file has some.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} trackId - Track ID
+ * @param {Object} track - Track data for the new file, as for insertTrack
+ * @throws {Error} If the track doesn't exist or another track has the file
+ */
+function replaceTrackFile(db, trackId, track) {
+  const storage = track.storage || 'managed';
+  if (!STORAGE_TYPES.includes(storage)) {
+    throw new Error(`Invalid storage: ${storage}`);
+  }
+
+  const transaction = db.transaction(() => {
+    if (!db.prepare('SELECT 1 FROM tracks WHERE track_id = ?').get(trackId)) {
+      throw new Error(`Track ${trackId} not found`);
+    }
+    if (db.prepare('SELECT 1 FROM tracks WHERE file_path = ? AND track_id != ?').get(track.file_path, trackId)) {
+      throw new Error(`Another track already uses ${track.file_path}`);
+    }
+
+    db.prepare(`
+      UPDATE tracks SET
+        file_path = @file_path, storage = @storage, file_state = 'available', file_checked_at = NULL,
+        content_hash = @content_hash, title = @title, artist = @artist, album = @album,
+        album_artist = @album_artist, track_number = @track_number, disc_number = @disc_number,
+        release_year = @release_year, duration_seconds = @duration_seconds, bitrate = @bitrate,
+        sample_rate = @sample_rate, codec = @codec, file_size_bytes = @file_size_bytes,
+        is_compilation = @is_compilation, artwork_path = COALESCE(@artwork_path, artwork_path),
+        rating = COALESCE(rating, @rating), date_modified = @date_modified
+      WHERE track_id = @track_id
+    `).run({
+      track_id: trackId,
+      file_path: track.file_path,
+      storage,
+      content_hash: track.content_hash || null,
+      title: track.title,
+      artist: track.artist || null,
+      album: track.album || null,
+      album_artist: track.album_artist || null,
+      track_number: track.track_number || null,
+      disc_number: track.disc_number || null,
+      release_year: track.release_year || null,
+      duration_seconds: track.duration_seconds || null,
+      bitrate: track.bitrate || null,
+      sample_rate: track.sample_rate || null,
+      codec: track.codec || null,
+      file_size_bytes: track.file_size_bytes || null,
+      is_compilation: track.is_compilation ? 1 : 0,
+      artwork_path: track.artwork_path || null,
+      rating: track.rating ?? null,
+      date_modified: Math.floor(Date.now() / 1000)
+    });
+
+    syncTrackArtists(db, trackId, { composers: track.composers, remixers: track.remixers });
+  });
+
+  transaction();
+}
+
+/**
+ * Check that the files of referenced tracks can be reached, and record their state
+ *
+ * @param {MusicDatabase|DatabaseClient} database - Library database
+ * @param {Object} options - Check options
+ * @param {Array<number>} options.trackIds - Tracks to check (default: all referenced tracks)
+ * @returns {Promise<Object>} { checked, available, missing, offline, changed } with track ID lists
+ */
+async function checkTrackFiles(database, options = {}) {
+  const files = await database.getReferencedTrackFiles(options.trackIds || null);
+  const states = Object.fromEntries(FILE_STATES.map(state => [state, []]));
+  const volumes = new Map();
+
+  for (const file of files) {
+    states[await checkFileState(file.file_path, volumes)].push(file.track_id);
+  }
+
+  const changed = files.length > 0 ? await database.setTrackFileStates(states) : [];
+  return { checked: files.length, ...states, changed };
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  FILE_STATES,
+  createTrackFilesSchema,
+  volumeRoot,
+  checkFileState,
+  getReferencedTrackFiles,
+  setTrackFileStates,
+  relinkTrackFile,
+  replaceTrackFile,
+  checkTrackFiles
+};
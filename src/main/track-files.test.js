@@ -0,0 +1,113 @@
+// Track file tests
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const MusicDatabase = require('./database');
+const { volumeRoot, checkFileState, checkTrackFiles } = require('./track-files');
+
+describe('Track Files', () => {
+  let db;
+  let tempDir;
+
+  const addTrack = (title, overrides = {}) => db.insertTrack({
+    file_path: path.join(tempDir, `${title}.mp3`),
+    title,
+    artist: 'Band',
+    date_added: 1,
+    storage: 'referenced',
+    ...overrides
+  }).track_id;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'track-files-test-'));
+    db = new MusicDatabase(':memory:');
+    db.initialize();
+  });
+
+  afterEach(async () => {
+    db.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('volumeRoot()', () => {
+    test('finds drive letters, shares and removable drive mount points', () => {
+      expect(volumeRoot('E:\\Music\\Band\\Song.mp3')).toBe('E:\\');
+      expect(volumeRoot('\\\\nas\\music\\Band\\Song.mp3')).toBe('\\\\nas\\music');
+      expect(volumeRoot('/Volumes/USB Drive/Music/Song.mp3')).toBe('/Volumes/USB Drive');
+      expect(volumeRoot('/media/sam/USB/Song.mp3')).toBe('/media/sam/USB');
+      expect(volumeRoot('/run/media/sam/USB/Song.mp3')).toBe('/run/media/sam/USB');
+      expect(volumeRoot('/mnt/archive/Song.mp3')).toBe('/mnt/archive');
+    });
+
+    test('falls back to the filesystem root', () => {
+      expect(volumeRoot('/home/sam/Music/Song.mp3')).toBe('/');
+    });
+  });
+
+  describe('checkFileState()', () => {
+    test('tells missing files from files on a drive that is not mounted', async () => {
+      const present = path.join(tempDir, 'present.mp3');
+      await fs.writeFile(present, 'data');
+
+      expect(await checkFileState(present)).toBe('available');
+      expect(await checkFileState(path.join(tempDir, 'gone.mp3'))).toBe('missing');
+      expect(await checkFileState('/Volumes/No Such Drive/Song.mp3')).toBe('offline');
+    });
+  });
+
+  describe('checkTrackFiles()', () => {
+    test('records the state of referenced tracks only', async () => {
+      await fs.writeFile(path.join(tempDir, 'Present.mp3'), 'data');
+      const present = addTrack('Present');
+      const gone = addTrack('Gone');
+      const unplugged = addTrack('Unplugged', { file_path: '/Volumes/No Such Drive/Unplugged.mp3' });
+      const managed = addTrack('Managed', { storage: 'managed' });
+      db.changes.flush();
+
+      const result = await checkTrackFiles(db);
+
+      expect(result).toEqual({
+        checked: 3,
+        available: [present],
+        missing: [gone],
+        offline: [unplugged],
+        changed: [gone, unplugged]
+      });
+      expect(db.getTrack(gone)).toMatchObject({ file_state: 'missing', file_checked_at: expect.any(Number) });
+      expect(db.getTrack(managed)).toMatchObject({ file_state: 'available', file_checked_at: null });
+      expect(db.changes.flush()).toContainEqual({ type: 'tracks-updated', ids: [gone, unplugged] });
+    });
+
+    test('marks a track available again once its file is back', async () => {
+      const trackId = addTrack('Returning');
+      await checkTrackFiles(db, { trackIds: [trackId] });
+      await fs.writeFile(path.join(tempDir, 'Returning.mp3'), 'data');
+
+      const result = await checkTrackFiles(db, { trackIds: [trackId] });
+
+      expect(result.changed).toEqual([trackId]);
+      expect(db.getTrack(trackId).file_state).toBe('available');
+    });
+  });
+
+  describe('relinkTrackFile()', () => {
+    test('points a referenced track at its new location', () => {
+      const trackId = addTrack('Moved');
+      db.setTrackFileStates({ missing: [trackId] });
+      const newPath = path.join(tempDir, 'Elsewhere', 'Moved.mp3');
+
+      db.relinkTrackFile(trackId, newPath);
+
+      expect(db.getTrack(trackId)).toMatchObject({ file_path: newPath, file_state: 'available' });
+    });
+
+    test('refuses managed tracks and paths another track uses', () => {
+      const managed = addTrack('Managed', { storage: 'managed' });
+      const referenced = addTrack('Referenced');
+
+      expect(() => db.relinkTrackFile(managed, '/elsewhere/Managed.mp3')).toThrow('managed by the library');
+      expect(() => db.relinkTrackFile(referenced, db.getTrack(managed).file_path)).toThrow('Another track already uses');
+      expect(() => db.setTrackFileStates({ lost: [referenced] })).toThrow('Invalid file state: lost');
+    });
+  });
+});
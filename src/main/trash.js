@@ -0,0 +1,465 @@
+/**
+ * Recently Deleted
+ *
+ * Deleting a track moves it to deleted_tracks instead of dropping it: the row
+ * keeps a JSON snapshot of everything the delete would otherwise cascade away,
+ * so a restore puts the track back exactly as it was:
+ * - the tracks row, including play counts and ratings, under its original track_id
+ * - genres, composer and remixer credits, and the fingerprint
+ * - play history
+ * - playlist entries, with their entry_id and position
+ * - the album's own rating and artwork, which go when its last track does
+ *
+ * The managed file stays in Music/ while the track is in the bin. Purging a
+ * track (emptying the bin, or expiry after retentionDays) removes the row for
+ * good; TrashService then deletes the file and any artwork nothing uses anymore.
+ * Journal operations that moved a purged track to the bin are discarded, since
+ * they can no longer be undone (see change-journal.js).
+ * Only files inside the library folder are ever deleted, and never the file of a
+ * referenced track (see track-files.js).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { albumMembership } = require('./albums');
+const { syncTrackArtists } = require('./artists');
+const { resolveGenre } = require('./genres');
+const { clampIndex } = require('./playlist-entries');
+
+const DEFAULT_TRASH_POLICY = {
+  enabled: true,
+  retentionDays: 30,
+  // How often expired tracks are looked for
+  intervalHours: 24
+};
+
+/**
+ * Create the deleted_tracks table
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createTrashSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS deleted_tracks (
+      track_id INTEGER PRIMARY KEY,
+      file_path TEXT NOT NULL,
+      title TEXT,
+      artist TEXT,
+      album TEXT,
+      deleted_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      snapshot TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_deleted_tracks_deleted_at ON deleted_tracks(deleted_at);
+  `);
+}
+
+/**
+ * Collect everything a track delete cascades away
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} trackId - Track ID
+ * @returns {Object|null} Snapshot, or null if the track doesn't exist
+ */
+function snapshotTrack(db, trackId) {
+  const track = db.prepare('SELECT * FROM tracks WHERE track_id = ?').get(trackId);
+  if (!track) {
+    return null;
+  }
+
+  const credits = role => db.prepare(`
+    SELECT ar.name FROM track_artists ta JOIN artists ar ON ar.artist_id = ta.artist_id
+    WHERE ta.track_id = ? AND ta.role = ? ORDER BY ta.position
+  `).all(trackId, role).map(row => row.name);
+  const fingerprint = db.prepare(`
+    SELECT version, fingerprint, duration_seconds, created_at FROM track_fingerprints WHERE track_id = ?
+  `).get(trackId);
+
+  return {
+    track,
+    genres: db.prepare(`
+      SELECT g.name FROM track_genres tg JOIN genres g ON g.genre_id = tg.genre_id
+      WHERE tg.track_id = ? ORDER BY g.name
+    `).all(trackId).map(row => row.name),
+    composers: credits('composer'),
+    remixers: credits('remixer'),
+    plays: db.prepare('SELECT * FROM plays WHERE track_id = ? ORDER BY play_id').all(trackId),
+    playlist_entries: db.prepare(`
+      SELECT entry_id, playlist_id, position, added_at FROM playlist_tracks WHERE track_id = ?
+    `).all(trackId),
+    fingerprint: fingerprint ? { ...fingerprint, fingerprint: fingerprint.fingerprint.toString('base64') } : null,
+    album: db.prepare(`
+      SELECT a.user_rating, a.artwork_path FROM albums a
+      JOIN tracks t ON ${albumMembership('t', 'a.album_title', 'a.album_artist')}
+      WHERE t.track_id = ?
+    `).get(trackId) || null
+  };
+}
+
+/**
+ * Insert a row, keeping only the columns the table has now
+ * Snapshots taken under an older schema still restore after a migration.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} table - Table name
+ * @param {Object} row - Column values
+ */
+function insertRow(db, table, row) {
+  const columns = db.pragma(`table_info(${table})`).map(column => column.name).filter(name => name in row);
+  db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(name => `@${name}`).join(', ')})`)
+    .run(Object.fromEntries(columns.map(name => [name, row[name]])));
+}
+
+/**
+ * Number a playlist's entries 1..n in their current order
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {number} playlistId - Playlist ID
+ * @param {Array<number>} order - Entry IDs in their new order (default: current order)
+ */
+function renumberPlaylist(db, playlistId, order = null) {
+  const entryIds = order || db.prepare('SELECT entry_id FROM playlist_tracks WHERE playlist_id = ? ORDER BY position, entry_id')
+    .all(playlistId).map(row => row.entry_id);
+  const stmt = db.prepare('UPDATE playlist_tracks SET position = ? WHERE entry_id = ? AND position != ?');
+  entryIds.forEach((entryId, index) => stmt.run(index + 1, entryId, index + 1));
+}
+
+/**
+ * Move tracks to the bin
+ * Playlists the tracks were in are renumbered without them.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Array<number>} trackIds - Tracks to delete
+ * @returns {number} Number of tracks moved (missing IDs are ignored)
+ */
+function moveTracksToTrash(db, trackIds) {
+  const transaction = db.transaction(() => {
+    const insert = db.prepare(`
+      INSERT INTO deleted_tracks (track_id, file_path, title, artist, album, snapshot)
+      VALUES (@track_id, @file_path, @title, @artist, @album, @snapshot)
+    `);
+    const playlists = new Set();
+    let moved = 0;
+
+    [...new Set(trackIds)].forEach(trackId => {
+      const snapshot = snapshotTrack(db, trackId);
+      if (!snapshot) {
+        return;
+      }
+
+      const { track } = snapshot;
+      insert.run({
+        track_id: track.track_id,
+        file_path: track.file_path,
+        title: track.title,
+        artist: track.artist,
+        album: track.album,
+        snapshot: JSON.stringify(snapshot)
+      });
+      snapshot.playlist_entries.forEach(entry => playlists.add(entry.playlist_id));
+      moved += db.prepare('DELETE FROM tracks WHERE track_id = ?').run(trackId).changes;
+    });
+
+    playlists.forEach(playlistId => renumberPlaylist(db, playlistId));
+    return moved;
+  });
+
+  return transaction();
+}
+
+/**
+ * Put tracks back from the bin
+ * Playlist entries return to their old positions in playlists that still exist.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Array<number>} trackIds - Tracks to restore
+ * @returns {number} Number of tracks restored
+ * @throws {Error} If a track isn't in the bin or its file path is in use again
+ */
+function restoreTracksFromTrash(db, trackIds) {
+  const transaction = db.transaction(() => {
+    const ids = [...new Set(trackIds)];
+    const rows = ids.map(trackId => {
+      const row = db.prepare('SELECT * FROM deleted_tracks WHERE track_id = ?').get(trackId);
+      if (!row) {
+        throw new Error(`Track is not in Recently Deleted: ${trackId}`);
+      }
+      if (db.prepare('SELECT 1 FROM tracks WHERE file_path = ?').get(row.file_path)) {
+        throw new Error(`Another track already uses ${row.file_path}`);
+      }
+      return row;
+    });
+
+    const entries = [];
+    rows.forEach(row => {
+      const snapshot = JSON.parse(row.snapshot);
+      const { track } = snapshot;
+
+      insertRow(db, 'tracks', track);
+      syncTrackArtists(db, track.track_id, { composers: snapshot.composers, remixers: snapshot.remixers });
+
+      const tag = db.prepare('INSERT OR IGNORE INTO track_genres (track_id, genre_id) VALUES (?, ?)');
+      snapshot.genres.forEach(name => tag.run(track.track_id, resolveGenre(db, name)));
+      snapshot.plays.forEach(play => insertRow(db, 'plays', play));
+      if (snapshot.fingerprint) {
+        insertRow(db, 'track_fingerprints', {
+          ...snapshot.fingerprint,
+          track_id: track.track_id,
+          fingerprint: Buffer.from(snapshot.fingerprint.fingerprint, 'base64')
+        });
+      }
+      if (snapshot.album) {
+        db.prepare(`
+          UPDATE albums SET
+            user_rating = COALESCE(user_rating, @user_rating),
+            artwork_path = COALESCE(artwork_path, @artwork_path)
+          WHERE album_id IN (
+            SELECT a.album_id FROM albums a
+            JOIN tracks t ON ${albumMembership('t', 'a.album_title', 'a.album_artist')}
+            WHERE t.track_id = @track_id
+          )
+        `).run({ ...snapshot.album, track_id: track.track_id });
+      }
+
+      snapshot.playlist_entries.forEach(entry => entries.push({ ...entry, track_id: track.track_id }));
+      db.prepare('DELETE FROM deleted_tracks WHERE track_id = ?').run(track.track_id);
+    });
+
+    // Lowest positions first, so entries restored together land back in their old order
+    entries.sort((a, b) => a.position - b.position);
+    entries.forEach(entry => {
+      if (!db.prepare('SELECT 1 FROM playlists WHERE playlist_id = ?').get(entry.playlist_id)) {
+        return;
+      }
+      const order = db.prepare('SELECT entry_id FROM playlist_tracks WHERE playlist_id = ? ORDER BY position, entry_id')
+        .all(entry.playlist_id).map(row => row.entry_id);
+      insertRow(db, 'playlist_tracks', { ...entry, position: order.length + 1 });
+      order.splice(clampIndex(entry.position - 1, order.length), 0, entry.entry_id);
+      renumberPlaylist(db, entry.playlist_id, order);
+    });
+
+    return rows.length;
+  });
+
+  return transaction();
+}
+
+/**
+ * Permanently remove tracks from the bin
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Object} options - trackIds to purge, or deletedBefore (Unix seconds); neither purges everything
+ * @returns {Array<Object>} Purged tracks { track_id, file_path, artwork_paths }; file_path is null for referenced tracks
+ */
+function purgeTrash(db, options = {}) {
+  const transaction = db.transaction(() => {
+    let rows;
+    if (options.trackIds) {
+      const select = db.prepare('SELECT * FROM deleted_tracks WHERE track_id = ?');
+      rows = options.trackIds.map(trackId => select.get(trackId)).filter(Boolean);
+    } else if (options.deletedBefore !== undefined) {
+      rows = db.prepare('SELECT * FROM deleted_tracks WHERE deleted_at < ?').all(options.deletedBefore);
+    } else {
+      rows = db.prepare('SELECT * FROM deleted_tracks').all();
+    }
+
+    // Undoing an operation that moved these tracks to the bin would need them back
+    db.prepare(`
+      UPDATE journal_operations SET state = 'discarded', changed_at = strftime('%s', 'now')
+      WHERE state != 'discarded' AND operation_id IN (
+        SELECT operation_id FROM journal_changes
+        WHERE table_name = 'deleted_tracks'
+          AND json_extract(row_key, '$.track_id') IN (SELECT value FROM json_each(?))
+      )
+    `).run(JSON.stringify(rows.map(row => row.track_id)));
+
+    const remove = db.prepare('DELETE FROM deleted_tracks WHERE track_id = ?');
+    return rows.map(row => {
+      const snapshot = JSON.parse(row.snapshot);
+      remove.run(row.track_id);
+      return {
+        track_id: row.track_id,
+        file_path: snapshot.track.storage === 'referenced' ? null : row.file_path,
+        artwork_paths: [...new Set([snapshot.track.artwork_path, snapshot.album && snapshot.album.artwork_path])]
+          .filter(Boolean)
+      };
+    });
+  });
+
+  return transaction();
+}
+
+/**
+ * Delete a file inside the library folder that nothing refers to anymore
+ * Empty folders left behind in Music/ are removed too.
+ *
+ * @param {MusicDatabase|DatabaseClient} database - Library database
+ * @param {LibraryManager} libraryManager - Library manager instance
+ * @param {string} filePath - Audio or artwork path
+ * @returns {Promise<boolean>} True if the file was deleted
+ */
+async function deleteUnusedLibraryFile(database, libraryManager, filePath) {
+  const libraryRoot = path.resolve(libraryManager.libraryPath);
+  const resolved = path.resolve(filePath);
+
+  // Security: Never delete files the library doesn't manage, such as referenced originals
+  if (!resolved.startsWith(libraryRoot + path.sep) || await database.isFileReferenced(filePath)) {
+    return false;
+  }
+
+  try {
+    await fs.unlink(resolved);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+
+  const musicRoot = path.resolve(libraryManager.getMusicPath());
+  let dir = path.dirname(resolved);
+  while (dir.startsWith(musicRoot + path.sep)) {
+    try {
+      await fs.rmdir(dir);
+    } catch (error) {
+      break;
+    }
+    dir = path.dirname(dir);
+  }
+
+  return true;
+}
+
+/**
+ * Check whether anything in the library still uses a file
+ * Tracks in the bin count, since they may be restored.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} filePath - Audio or artwork path
+ * @returns {boolean} True if a track, album, playlist or deleted track refers to it
+ */
+function isFileReferenced(db, filePath) {
+  return Boolean(db.prepare(`
+    SELECT 1 FROM tracks WHERE file_path = @path OR artwork_path = @path
+    UNION ALL SELECT 1 FROM albums WHERE artwork_path = @path
+    UNION ALL SELECT 1 FROM playlists WHERE artwork_path = @path
+    UNION ALL SELECT 1 FROM deleted_tracks
+      WHERE file_path = @path
+        OR json_extract(snapshot, '$.track.artwork_path') = @path
+        OR json_extract(snapshot, '$.album.artwork_path') = @path
+    LIMIT 1
+  `).get({ path: filePath }));
+}
+
+class TrashService {
+  /**
+   * Create a new TrashService
+   * @param {MusicDatabase|DatabaseClient} database - Library database
+   * @param {LibraryManager} libraryManager - Library folder layout; only files inside it are deleted
+   * @param {Object} options - Service options
+   * @param {Object} options.policy - Expiry policy (see DEFAULT_TRASH_POLICY)
+   */
+  constructor(database, libraryManager, options = {}) {
+    this.database = database;
+    this.libraryManager = libraryManager;
+    this.policy = { ...DEFAULT_TRASH_POLICY, ...options.policy };
+    this.timer = null;
+    this.pending = null;
+  }
+
+  /**
+   * Update the expiry policy
+   * Restarts the scheduler if it is running.
+   * @param {Object} policy - Partial policy
+   */
+  setPolicy(policy = {}) {
+    this.policy = { ...this.policy, ...policy };
+    if (this.timer) {
+      this.stop();
+      this.start();
+    }
+  }
+
+  /**
+   * Permanently delete tracks from the bin, with their files
+   * @param {Object} options - As for purgeTrash: trackIds, deletedBefore, or neither for everything
+   * @returns {Promise<Object>} { purged, deletedFiles } - deletedFiles lists the paths removed from disk
+   */
+  async purge(options = {}) {
+    const purged = await this.database.purgeDeletedTracks(options);
+    const candidates = [...new Set(purged.flatMap(track => [track.file_path, ...track.artwork_paths]))].filter(Boolean);
+    const deletedFiles = [];
+
+    for (const filePath of candidates) {
+      if (await this.deleteUnusedFile(filePath)) {
+        deletedFiles.push(filePath);
+      }
+    }
+
+    return { purged: purged.length, deletedFiles };
+  }
+
+  /**
+   * Permanently delete tracks that have been in the bin longer than retentionDays
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<Object>} As for purge()
+   */
+  async purgeExpired(now = Date.now()) {
+    const deletedBefore = Math.floor(now / 1000) - this.policy.retentionDays * 24 * 60 * 60;
+    return this.purge({ deletedBefore });
+  }
+
+  /**
+   * Delete a file inside the library folder that nothing refers to anymore
+   * @param {string} filePath - Audio or artwork path
+   * @returns {Promise<boolean>} True if the file was deleted
+   */
+  async deleteUnusedFile(filePath) {
+    return deleteUnusedLibraryFile(this.database, this.libraryManager, filePath);
+  }
+
+  /**
+   * Start purging expired tracks on an interval (and once now)
+   */
+  start() {
+    if (this.timer || !this.policy.enabled) {
+      return;
+    }
+
+    const tick = () => {
+      if (this.pending) return;
+      this.pending = this.purgeExpired()
+        .catch(error => console.error('[Trash] Expiry failed:', error.message))
+        .finally(() => {
+          this.pending = null;
+        });
+    };
+
+    this.timer = setInterval(tick, this.policy.intervalHours * 60 * 60 * 1000);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    tick();
+  }
+
+  /**
+   * Stop the expiry scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_TRASH_POLICY,
+  TrashService,
+  createTrashSchema,
+  moveTracksToTrash,
+  restoreTracksFromTrash,
+  purgeTrash,
+  isFileReferenced,
+  deleteUnusedLibraryFile
+};
@@ -0,0 +1,227 @@
+// Recently Deleted tests
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const MusicDatabase = require('./database');
+const LibraryManager = require('./library-manager');
+const { TrashService } = require('./trash');
+
+describe('Recently Deleted', () => {
+  let db;
+  let trackId;
+
+  const addTrack = (title, overrides = {}) => db.insertTrack({
+    file_path: `/music/${title}.mp3`,
+    title,
+    artist: 'Band',
+    album: 'Record',
+    album_artist: 'Band',
+    date_added: 1,
+    ...overrides
+  }).track_id;
+  const playlistTitles = playlistId => db.getPlaylistTracks(playlistId).map(track => [track.position, track.title]);
+
+  beforeEach(() => {
+    db = new MusicDatabase(':memory:');
+    db.initialize();
+    trackId = addTrack('Opener', { composers: ['Writer'] });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('deleteTracks()', () => {
+    test('moves tracks to the bin', () => {
+      expect(db.deleteTracks([trackId, 999])).toEqual({ changes: 1 });
+
+      expect(db.getTrack(trackId)).toBeUndefined();
+      expect(db.getDeletedTracks()).toEqual([
+        expect.objectContaining({ track_id: trackId, title: 'Opener', file_path: '/music/Opener.mp3' })
+      ]);
+    });
+
+    test('closes the gaps in playlists', () => {
+      const second = addTrack('Second');
+      const playlistId = db.createPlaylist({ name: 'Mix' }).playlist_id;
+      db.addTracksToPlaylist(playlistId, [trackId, second, trackId]);
+
+      db.deleteTrack(trackId);
+
+      expect(playlistTitles(playlistId)).toEqual([[1, 'Second']]);
+    });
+  });
+
+  describe('restoreTracks()', () => {
+    test('puts back metadata, genres, credits, history and fingerprint', () => {
+      db.updateTrack(trackId, { rating: 4, loved: 1 });
+      db.addTrackGenres(trackId, ['Post-Rock']);
+      db.recordPlayback(trackId, { listenedSeconds: 200, durationSeconds: 200, endReason: 'completed', playedAt: 100 });
+      db.setTrackFingerprint(trackId, new Uint32Array([1, 2, 3]), 200);
+      const before = db.getTrack(trackId);
+
+      db.deleteTrack(trackId);
+      expect(db.restoreTracks([trackId])).toEqual({ restored: 1 });
+
+      expect(db.getTrack(trackId)).toEqual(before);
+      expect(db.getTrackGenres(trackId)).toEqual(['Post-Rock']);
+      expect(db.getTrackArtists(trackId).map(credit => [credit.role, credit.name]))
+        .toEqual([['primary', 'Band'], ['composer', 'Writer'], ['album_artist', 'Band']]);
+      expect(db.db.prepare('SELECT played_at FROM plays WHERE track_id = ?').all(trackId)).toEqual([{ played_at: 100 }]);
+      expect(db.findSimilarRecordings(addTrack('Copy'))).toEqual([]);
+      expect(db.findTracksByFingerprint(new Uint32Array([1, 2, 3])).map(track => track.track_id)).toEqual([trackId]);
+      expect(db.getDeletedTracks()).toEqual([]);
+      expect(db.searchTracks('opener').tracks.map(track => track.track_id)).toEqual([trackId]);
+    });
+
+    test('puts playlist entries back in their old positions', () => {
+      const ids = ['Two', 'Three', 'Four'].map(title => addTrack(title));
+      const playlistId = db.createPlaylist({ name: 'Mix' }).playlist_id;
+      db.addTracksToPlaylist(playlistId, [trackId, ids[0], ids[1], trackId, ids[2]]);
+      const entries = db.getPlaylistTracks(playlistId).map(track => track.entry_id);
+
+      db.deleteTracks([trackId, ids[1]]);
+      db.restoreTracks([ids[1], trackId]);
+
+      expect(db.getPlaylistTracks(playlistId).map(track => track.entry_id)).toEqual(entries);
+      expect(playlistTitles(playlistId)).toEqual([
+        [1, 'Opener'], [2, 'Two'], [3, 'Three'], [4, 'Opener'], [5, 'Four']
+      ]);
+    });
+
+    test('skips playlists that were deleted meanwhile', () => {
+      const playlistId = db.createPlaylist({ name: 'Mix' }).playlist_id;
+      db.addTracksToPlaylist(playlistId, [trackId]);
+
+      db.deleteTrack(trackId);
+      db.deletePlaylist(playlistId);
+      db.restoreTracks([trackId]);
+
+      expect(db.db.prepare('SELECT COUNT(*) AS count FROM playlist_tracks').get().count).toBe(0);
+    });
+
+    test('keeps the rating of an album whose last track was deleted', () => {
+      const [album] = db.getAlbums();
+      db.setAlbumRating(album.album_id, 5);
+
+      db.deleteTrack(trackId);
+      expect(db.getAlbums()).toEqual([]);
+      db.restoreTracks([trackId]);
+
+      expect(db.getAlbums()[0].user_rating).toBe(5);
+    });
+
+    test('refuses tracks that are not in the bin or whose file is in use', () => {
+      expect(() => db.restoreTracks([trackId])).toThrow(`Track is not in Recently Deleted: ${trackId}`);
+
+      db.deleteTrack(trackId);
+      addTrack('Opener');
+      expect(() => db.restoreTracks([trackId])).toThrow('Another track already uses /music/Opener.mp3');
+      expect(db.getDeletedTracks()).toHaveLength(1);
+    });
+  });
+
+  describe('purgeDeletedTracks()', () => {
+    test('purges tracks deleted before a time, or everything', () => {
+      const second = addTrack('Second', { album: 'Single', artwork_path: '/art/second.jpg' });
+      db.deleteTracks([trackId, second]);
+      db.db.prepare('UPDATE deleted_tracks SET deleted_at = 100 WHERE track_id = ?').run(trackId);
+
+      expect(db.purgeDeletedTracks({ deletedBefore: 1000 })).toEqual([
+        { track_id: trackId, file_path: '/music/Opener.mp3', artwork_paths: [] }
+      ]);
+      expect(db.purgeDeletedTracks()).toEqual([
+        { track_id: second, file_path: '/music/Second.mp3', artwork_paths: ['/art/second.jpg'] }
+      ]);
+      expect(db.getDeletedTracks()).toEqual([]);
+    });
+  });
+
+  describe('TrashService', () => {
+    let libraryPath;
+    let libraryManager;
+    let service;
+
+    const exists = filePath => fs.access(filePath).then(() => true, () => false);
+    const writeFile = async (filePath) => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, 'data');
+      return filePath;
+    };
+
+    beforeEach(async () => {
+      libraryPath = await fs.mkdtemp(path.join(os.tmpdir(), 'trash-test-'));
+      libraryManager = new LibraryManager(libraryPath);
+      await libraryManager.initialize();
+      service = new TrashService(db, libraryManager, { policy: { retentionDays: 30 } });
+    });
+
+    afterEach(async () => {
+      service.stop();
+      await fs.rm(libraryPath, { recursive: true, force: true });
+    });
+
+    test('deletes the files and artwork nothing uses anymore', async () => {
+      const music = libraryManager.getMusicPath();
+      const albumArt = await writeFile(path.join(libraryManager.getAlbumsArtworkPath(), 'shared.jpg'));
+      const ownArt = await writeFile(path.join(libraryManager.getAlbumsArtworkPath(), 'own.jpg'));
+      const gone = addTrack('Gone', {
+        file_path: await writeFile(path.join(music, 'Band', 'Single', 'Gone.mp3')),
+        album: 'Single',
+        artwork_path: ownArt
+      });
+      const kept = addTrack('Kept', {
+        file_path: await writeFile(path.join(music, 'Band', 'Record', 'Kept.mp3')),
+        artwork_path: albumArt
+      });
+      const other = addTrack('Other', { file_path: await writeFile(path.join(music, 'Band', 'Record', 'Other.mp3')) });
+      db.updateTrack(other, { artwork_path: albumArt });
+      db.deleteTracks([gone, kept]);
+
+      const result = await service.purge({ trackIds: [gone, kept] });
+
+      expect(result.purged).toBe(2);
+      expect(result.deletedFiles.sort()).toEqual([
+        ownArt,
+        path.join(music, 'Band', 'Record', 'Kept.mp3'),
+        path.join(music, 'Band', 'Single', 'Gone.mp3')
+      ].sort());
+      expect(await exists(albumArt)).toBe(true);
+      expect(await exists(path.join(music, 'Band', 'Single'))).toBe(false);
+      expect(await exists(path.join(music, 'Band', 'Record', 'Other.mp3'))).toBe(true);
+    });
+
+    test('never deletes files outside the library folder', async () => {
+      const outside = await fs.mkdtemp(path.join(os.tmpdir(), 'trash-outside-'));
+      const original = await writeFile(path.join(outside, 'Original.mp3'));
+      db.deleteTrack(addTrack('Referenced', { file_path: original }));
+
+      const result = await service.purge();
+
+      expect(result).toEqual({ purged: 1, deletedFiles: [] });
+      expect(await exists(original)).toBe(true);
+      await fs.rm(outside, { recursive: true, force: true });
+    });
+
+    test('never deletes the file of a referenced track, even inside the library folder', async () => {
+      const original = await writeFile(path.join(libraryManager.getMusicPath(), 'Dropped', 'Original.mp3'));
+      db.deleteTrack(addTrack('Referenced', { file_path: original, storage: 'referenced' }));
+
+      const result = await service.purge();
+
+      expect(result).toEqual({ purged: 1, deletedFiles: [] });
+      expect(await exists(original)).toBe(true);
+    });
+
+    test('purges only tracks past the retention period', async () => {
+      const now = Date.now();
+      const old = addTrack('Old');
+      db.deleteTracks([trackId, old]);
+      db.db.prepare('UPDATE deleted_tracks SET deleted_at = ? WHERE track_id = ?')
+        .run(Math.floor(now / 1000) - 31 * 24 * 60 * 60, old);
+
+      expect((await service.purgeExpired(now)).purged).toBe(1);
+      expect(db.getDeletedTracks().map(track => track.track_id)).toEqual([trackId]);
+    });
+  });
+});
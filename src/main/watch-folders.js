@@ -0,0 +1,447 @@
+/**
+ * Watched Folders
+ *
+ * Imports new audio from folders the user downloads or rips into, without a
+ * manual import. Each folder has its own settings (see DEFAULT_WATCHED_FOLDER):
+ * - mode: 'copy', 'move' or 'reference', as for importFiles
+ * - ignore: file and folder names to leave alone; '*' matches anything
+ * - onDelete: what happens when a file is removed from the folder. 'keep' leaves
+ *   its track (a referenced track shows as missing), 'trash' moves the track to
+ *   Recently Deleted
+ *
+ * watched_files (see watched-files.js) remembers every file seen, with its size
+ * and modification time, so whatever changed while the app was closed is caught
+ * up on at start. While running, filesystem events are collected per folder and
+ * handled after debounceMs of quiet. Files whose size or modification time still
+ * changes over stableMs are being written and are looked at again later.
+ *
+ * A removed file and a new one with the same size and modification time are a
+ * rename: the watched file moves, and a referenced track is relinked. Any other
+ * new file goes through importFiles, which also relinks a referenced track that
+ * went missing when the same recording turns up.
+ *
+ * A folder that can't be read (its drive isn't mounted) is left as it was.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { importFiles, scanFolder, IMPORT_MODES } = require('./import');
+const { isSupportedAudioFile } = require('./metadata');
+
+const DELETE_ACTIONS = ['keep', 'trash'];
+
+const DEFAULT_WATCHED_FOLDER = {
+  mode: 'copy',
+  ignore: [],
+  onDelete: 'keep'
+};
+
+// Quiet time after the last filesystem event before a folder is looked at
+const DEFAULT_DEBOUNCE_MS = 2000;
+// How long a file's size and modification time must hold before it is imported
+const DEFAULT_STABLE_MS = 1000;
+
+/**
+ * Fill in defaults for a watched folder and check its settings
+ *
+ * @param {Object} folder - { path, mode, ignore, onDelete }
+ * @returns {Object} Folder with an absolute path and every setting present
+ * @throws {Error} If the path is missing or a setting is invalid
+ */
+function normalizeWatchedFolder(folder) {
+  if (!folder || typeof folder.path !== 'string' || !path.isAbsolute(folder.path)) {
+    throw new Error('Watched folder path must be absolute');
+  }
+
+  const normalized = { ...DEFAULT_WATCHED_FOLDER, ...folder, path: path.resolve(folder.path) };
+  if (!IMPORT_MODES.includes(normalized.mode)) {
+    throw new Error(`Invalid import mode: ${normalized.mode}`);
+  }
+  if (!DELETE_ACTIONS.includes(normalized.onDelete)) {
+    throw new Error(`Invalid delete action: ${normalized.onDelete}`);
+  }
+  if (!Array.isArray(normalized.ignore) || !normalized.ignore.every(pattern => typeof pattern === 'string')) {
+    throw new Error('Ignore patterns must be an array of strings');
+  }
+  return normalized;
+}
+
+/**
+ * Check whether any part of a path matches an ignore pattern
+ *
+ * @param {string} relativePath - Path inside the watched folder
+ * @param {Array<string>} patterns - Name patterns, '*' matching anything, case-insensitive
+ * @returns {boolean} True if the file should be left alone
+ */
+function isIgnored(relativePath, patterns) {
+  if (patterns.length === 0) {
+    return false;
+  }
+
+  const expressions = patterns.map(pattern => new RegExp(
+    `^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`,
+    'i'
+  ));
+  return relativePath.split(path.sep).some(name => expressions.some(expression => expression.test(name)));
+}
+
+/**
+ * Get the size and modification time of a file
+ *
+ * @param {string} filePath - File path
+ * @returns {Promise<Object|null>} { size_bytes, modified_at } or null if it isn't a file
+ */
+async function statFile(filePath) {
+  try {
+    const stats = await fs.promises.stat(filePath);
+    return stats.isFile() ? { size_bytes: stats.size, modified_at: Math.round(stats.mtimeMs) } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a path is a readable folder
+ *
+ * @param {string} folderPath - Folder path
+ * @returns {Promise<boolean>} True if it is a folder
+ */
+async function isDirectory(folderPath) {
+  try {
+    return (await fs.promises.stat(folderPath)).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+const sameFile = (a, b) => a.size_bytes === b.size_bytes && a.modified_at === b.modified_at;
+
+class WatchService {
+  /**
+   * Create a new WatchService
+   * @param {MusicDatabase|DatabaseClient} database - Library database
+   * @param {LibraryManager} libraryManager - Library folder layout; nothing inside it is imported
+   * @param {Object} options - Service options
+   * @param {Array<Object>} options.folders - Watched folders (see DEFAULT_WATCHED_FOLDER)
+   * @param {number} options.debounceMs - Quiet time before events are handled
+   * @param {number} options.stableMs - How long a file must stay unchanged before it is imported
+   * @param {string|boolean} options.onDuplicate - 'skip' (default), 'replace' or 'keep-both', as for importFiles
+   */
+  constructor(database, libraryManager, options = {}) {
+    this.database = database;
+    this.libraryManager = libraryManager;
+    this.folders = (options.folders || []).map(normalizeWatchedFolder);
+    this.debounceMs = options.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+    this.stableMs = options.stableMs ?? DEFAULT_STABLE_MS;
+    this.onDuplicate = options.onDuplicate ?? 'skip';
+    // Folder path -> { folder, watcher, timer, paths, full }; watcher is null for a
+    // folder that can't be watched but has files waiting to be looked at again
+    this.watchers = new Map();
+    this.running = false;
+    // Folder syncs run one at a time; their imports also wait for any other import (see importFiles)
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Replace the watched folders
+   * Folders that are no longer watched are forgotten. Restarts the watchers if they are running.
+   * @param {Array<Object>} folders - Watched folders
+   * @returns {Promise<void>} Resolves once the new folders are caught up on
+   */
+  setFolders(folders = []) {
+    const next = folders.map(normalizeWatchedFolder);
+    const removed = this.folders.filter(folder => !next.some(other => other.path === folder.path));
+    const running = this.running;
+
+    this.stop();
+    this.folders = next;
+    removed.forEach(folder => this.enqueue(() => this.database.forgetWatchedFiles({ folderPath: folder.path })));
+    return running ? this.start() : this.idle();
+  }
+
+  /**
+   * Watch every folder, catching up on changes made while the app was closed
+   * @returns {Promise<void>} Resolves once the catch-up is done
+   */
+  start() {
+    if (this.running) {
+      return this.idle();
+    }
+    this.running = true;
+
+    this.folders.forEach(folder => {
+      this.watch(folder);
+      this.enqueue(() => this.syncFolder(folder));
+    });
+    return this.idle();
+  }
+
+  /**
+   * Stop watching; a sync already under way still finishes
+   */
+  stop() {
+    this.running = false;
+    this.watchers.forEach(entry => {
+      clearTimeout(entry.timer);
+      if (entry.watcher) {
+        entry.watcher.close();
+      }
+    });
+    this.watchers.clear();
+  }
+
+  /**
+   * Wait for queued syncs to finish
+   * @returns {Promise<void>}
+   */
+  idle() {
+    return this.queue;
+  }
+
+  /**
+   * Run a sync after the ones already queued
+   * @param {Function} task - Async task
+   * @returns {Promise<void>}
+   */
+  enqueue(task) {
+    this.queue = this.queue
+      .then(task)
+      .then(() => undefined, error => console.error('[Watch] Sync failed:', error.message));
+    return this.queue;
+  }
+
+  /**
+   * Start listening for filesystem events in a folder
+   * @param {Object} folder - Watched folder
+   */
+  watch(folder) {
+    let watcher;
+    try {
+      watcher = fs.watch(folder.path, { recursive: true }, (_eventType, filename) => {
+        this.queuePath(folder, filename ? path.join(folder.path, filename.toString()) : null);
+      });
+    } catch (error) {
+      // Picked up at the next start, e.g. once its drive is back
+      console.error(`[Watch] Can't watch ${folder.path}:`, error.message);
+      return;
+    }
+
+    watcher.on('error', error => console.error(`[Watch] Stopped watching ${folder.path}:`, error.message));
+    this.watchers.set(folder.path, { folder, watcher, timer: null, paths: new Set(), full: false });
+  }
+
+  /**
+   * Collect a changed path and (re)start the folder's debounce timer
+   * @param {Object} folder - Watched folder
+   * @param {string|null} filePath - Changed path, or null when the whole folder should be looked at
+   */
+  queuePath(folder, filePath) {
+    let entry = this.watchers.get(folder.path);
+    if (!entry) {
+      // Stopped or no longer watched: the next start catches up on the folder
+      const current = this.running && this.folders.find(other => other.path === folder.path);
+      if (!current) return;
+      entry = { folder: current, watcher: null, timer: null, paths: new Set(), full: false };
+      this.watchers.set(folder.path, entry);
+    }
+
+    if (filePath) {
+      entry.paths.add(filePath);
+    } else {
+      entry.full = true;
+    }
+
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      const paths = entry.full ? null : [...entry.paths];
+      entry.paths = new Set();
+      entry.full = false;
+      entry.timer = null;
+      this.enqueue(() => this.syncFolder(entry.folder, paths));
+    }, this.debounceMs);
+  }
+
+  /**
+   * Bring the library up to date with a watched folder
+   * @param {Object} folder - Watched folder
+   * @param {Array<string>|null} paths - Paths that changed, or null to look at the whole folder
+   * @returns {Promise<Object|null>} { imported, replaced, relinked, renamed, removed, trashed, waiting },
+   *   or null if the folder can't be read
+   */
+  async syncFolder(folder, paths = null) {
+    if (!(await isDirectory(folder.path))) {
+      return null;
+    }
+
+    const known = new Map((await this.database.getWatchedFiles(folder.path)).map(row => [row.file_path, row]));
+
+    // Audio files there now, and known files that may be gone
+    let found = [];
+    let candidates = [];
+    if (paths === null) {
+      found = await scanFolder(folder.path);
+      candidates = [...known.keys()];
+    } else {
+      for (const changedPath of paths) {
+        if (await isDirectory(changedPath)) {
+          found.push(...await scanFolder(changedPath));
+        } else if (isSupportedAudioFile(changedPath)) {
+          found.push(changedPath);
+        }
+        known.forEach((_row, filePath) => {
+          if (filePath === changedPath || filePath.startsWith(changedPath + path.sep)) {
+            candidates.push(filePath);
+          }
+        });
+      }
+    }
+
+    const libraryRoot = path.resolve(this.libraryManager.libraryPath);
+    const present = new Map();
+    for (const filePath of new Set(found)) {
+      const ignored = filePath.startsWith(libraryRoot + path.sep) ||
+        isIgnored(path.relative(folder.path, filePath), folder.ignore);
+      const stat = ignored ? null : await statFile(filePath);
+      if (stat) {
+        present.set(filePath, stat);
+      }
+    }
+
+    let removed = [...new Set(candidates)].filter(filePath => !present.has(filePath)).map(filePath => known.get(filePath));
+    const changed = [...present.keys()].filter(filePath => !known.has(filePath) || !sameFile(known.get(filePath), present.get(filePath)));
+
+    // Files still being written are looked at again once they settle
+    const { ready, waiting } = await this.waitUntilWritten(changed, present);
+    waiting.forEach(filePath => this.queuePath(folder, filePath));
+
+    // Renames keep their track
+    const renames = [];
+    removed = removed.filter(row => {
+      const index = ready.findIndex(filePath => !known.has(filePath) && sameFile(row, present.get(filePath)));
+      if (index === -1) return true;
+      renames.push({ from: row, to: ready.splice(index, 1)[0] });
+      return false;
+    });
+    let relinked = 0;
+    for (const { from, to } of renames) {
+      const track = await this.database.getTrackByPath(from.file_path);
+      if (track && track.storage === 'referenced') {
+        await this.database.relinkTrackFile(track.track_id, to);
+        relinked++;
+      }
+      await this.database.forgetWatchedFiles({ filePaths: [from.file_path] });
+      await this.database.recordWatchedFiles(folder.path, [{ file_path: to, ...present.get(to), track_id: from.track_id }]);
+    }
+
+    // Referenced tracks whose file is gone show as missing, unless importFiles relinks them
+    const removedTracks = [];
+    for (const row of removed) {
+      const track = await this.database.getTrackByPath(row.file_path);
+      if (track && track.storage === 'referenced') {
+        removedTracks.push(track.track_id);
+      }
+    }
+    if (removedTracks.length > 0) {
+      await this.database.setTrackFileStates({ missing: removedTracks });
+    }
+
+    let results = { imported: 0, replaced: 0, relinked: 0, importedTracks: [] };
+    if (ready.length > 0) {
+      const failed = new Set();
+      results = await importFiles(ready, this.database, this.libraryManager, {
+        mode: folder.mode,
+        onDuplicate: this.onDuplicate,
+        onError: filePath => failed.add(filePath)
+      });
+
+      // Failed files are tried again next time; moved files aren't in the folder anymore.
+      // Only new tracks belong to the folder, so removing a file never trashes a track it replaced.
+      const trackIds = new Map(results.importedTracks.map(track => [track.filePath, track.replaced ? null : track.trackId]));
+      const seen = ready
+        .filter(filePath => !failed.has(filePath) && !(folder.mode === 'move' && trackIds.has(filePath)))
+        .map(filePath => ({ file_path: filePath, ...present.get(filePath), track_id: trackIds.get(filePath) || null }));
+      await this.database.recordWatchedFiles(folder.path, seen);
+    }
+
+    let trashed = 0;
+    if (removed.length > 0) {
+      await this.database.forgetWatchedFiles({ filePaths: removed.map(row => row.file_path) });
+      if (folder.onDelete === 'trash') {
+        trashed = await this.trashRemoved(removed);
+      }
+    }
+
+    const summary = {
+      imported: results.imported,
+      replaced: results.replaced,
+      relinked: relinked + results.relinked,
+      renamed: renames.length,
+      removed: removed.length,
+      trashed,
+      waiting: waiting.length
+    };
+    if (ready.length > 0 || renames.length > 0 || removed.length > 0) {
+      console.log(`[Watch] ${folder.path}:`, summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Wait stableMs and split files into those that stayed the same and those still changing
+   * @param {Array<string>} filePaths - Files to check
+   * @param {Map<string, Object>} present - Their size and modification time; updated in place
+   * @returns {Promise<Object>} { ready, waiting } lists of paths
+   */
+  async waitUntilWritten(filePaths, present) {
+    if (filePaths.length === 0) {
+      return { ready: [], waiting: [] };
+    }
+
+    await new Promise(resolve => setTimeout(resolve, this.stableMs));
+
+    const ready = [];
+    const waiting = [];
+    for (const filePath of filePaths) {
+      const stat = await statFile(filePath);
+      if (!stat) continue; // Gone again; its event brings it back if it reappears
+      if (sameFile(stat, present.get(filePath))) {
+        ready.push(filePath);
+      } else {
+        present.set(filePath, stat);
+        waiting.push(filePath);
+      }
+    }
+    return { ready, waiting };
+  }
+
+  /**
+   * Move the tracks of removed files to Recently Deleted
+   * A referenced track still at the removed path goes, and so does a copy imported
+   * from the file. Referenced tracks that were relinked stay.
+   * @param {Array<Object>} rows - watched_files rows of the removed files
+   * @returns {Promise<number>} Tracks moved to Recently Deleted
+   */
+  async trashRemoved(rows) {
+    const trackIds = new Set();
+    for (const row of rows) {
+      const referenced = await this.database.getTrackByPath(row.file_path);
+      const imported = row.track_id ? await this.database.getTrack(row.track_id) : null;
+      if (referenced && referenced.storage === 'referenced') {
+        trackIds.add(referenced.track_id);
+      } else if (imported && imported.storage === 'managed') {
+        trackIds.add(imported.track_id);
+      }
+    }
+
+    return trackIds.size > 0 ? (await this.database.deleteTracks([...trackIds])).changes : 0;
+  }
+}
+
+module.exports = {
+  DEFAULT_WATCHED_FOLDER,
+  DEFAULT_DEBOUNCE_MS,
+  DEFAULT_STABLE_MS,
+  WatchService,
+  normalizeWatchedFolder,
+  isIgnored
+};
@@ -0,0 +1,197 @@
+// Watched folder tests
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const MusicDatabase = require('./database');
+const LibraryManager = require('./library-manager');
+const { WatchService, normalizeWatchedFolder, isIgnored } = require('./watch-folders');
+
+const FIXTURES_DIR = path.join(__dirname, '../../tests/fixtures/audio');
+const TEST_MP3 = path.join(FIXTURES_DIR, 'test.mp3');
+const TEST_M4A = path.join(FIXTURES_DIR, 'test.m4a');
+
+describe('Watched Folders', () => {
+  let db;
+  let libraryManager;
+  let libraryPath;
+  let watched;
+  let service;
+
+  const drop = async (fixture, name) => {
+    const filePath = path.join(watched, name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.copyFile(fixture, filePath);
+    return filePath;
+  };
+  const watch = (folder = {}) => {
+    service = new WatchService(db, libraryManager, {
+      folders: [{ path: watched, ...folder }],
+      debounceMs: 20,
+      stableMs: 20
+    });
+    return service.folders[0];
+  };
+
+  beforeEach(async () => {
+    libraryPath = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-library-'));
+    watched = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-folder-'));
+    libraryManager = new LibraryManager(libraryPath);
+    await libraryManager.initialize();
+    db = new MusicDatabase(':memory:');
+    db.initialize();
+  });
+
+  afterEach(async () => {
+    if (service) {
+      service.stop();
+      await service.idle();
+      service = null;
+    }
+    db.close();
+    await fs.rm(libraryPath, { recursive: true, force: true });
+    await fs.rm(watched, { recursive: true, force: true });
+  });
+
+  describe('normalizeWatchedFolder()', () => {
+    test('fills in defaults and rejects invalid settings', () => {
+      expect(normalizeWatchedFolder({ path: '/music/incoming/' })).toEqual({
+        path: '/music/incoming', mode: 'copy', ignore: [], onDelete: 'keep'
+      });
+      expect(() => normalizeWatchedFolder({ path: 'incoming' })).toThrow('must be absolute');
+      expect(() => normalizeWatchedFolder({ path: '/music', mode: 'link' })).toThrow('Invalid import mode: link');
+      expect(() => normalizeWatchedFolder({ path: '/music', onDelete: 'purge' })).toThrow('Invalid delete action: purge');
+    });
+  });
+
+  describe('isIgnored()', () => {
+    test('matches any file or folder name in the path', () => {
+      expect(isIgnored(path.join('Incomplete', 'Song.mp3'), ['incomplete'])).toBe(true);
+      expect(isIgnored(path.join('Album', 'Song.sample.mp3'), ['*.sample.*'])).toBe(true);
+      expect(isIgnored(path.join('Album', 'Song.mp3'), ['*.sample.*', 'Incomplete'])).toBe(false);
+    });
+  });
+
+  describe('syncFolder()', () => {
+    test('imports what arrived while the app was closed, once', async () => {
+      const folder = watch();
+      await drop(TEST_MP3, 'Album/one.mp3');
+      await drop(TEST_M4A, 'Album/two.m4a');
+
+      expect(await service.syncFolder(folder)).toMatchObject({ imported: 2, removed: 0 });
+      expect(db.getWatchedFiles(watched).map(row => path.basename(row.file_path))).toEqual(['one.mp3', 'two.m4a']);
+      expect(await service.syncFolder(folder)).toMatchObject({ imported: 0 });
+      expect(db.getTracks()).toHaveLength(2);
+    });
+
+    test('skips ignored files', async () => {
+      const folder = watch({ ignore: ['Incomplete'] });
+      await drop(TEST_MP3, 'Incomplete/one.mp3');
+
+      expect(await service.syncFolder(folder)).toMatchObject({ imported: 0 });
+      expect(db.getWatchedFiles(watched)).toEqual([]);
+    });
+
+    test('waits for files that are still being written', async () => {
+      const folder = watch({ mode: 'reference' });
+      const filePath = await drop(TEST_MP3, 'growing.mp3');
+      setTimeout(() => fs.appendFile(filePath, Buffer.alloc(16)), 5);
+
+      expect(await service.syncFolder(folder)).toMatchObject({ imported: 0, waiting: 1 });
+      expect(await service.syncFolder(folder)).toMatchObject({ imported: 1, waiting: 0 });
+    });
+
+    test('relinks referenced tracks whose file was renamed', async () => {
+      const folder = watch({ mode: 'reference' });
+      const original = await drop(TEST_MP3, 'one.mp3');
+      await service.syncFolder(folder);
+      const trackId = db.getTrackByPath(original).track_id;
+      const renamed = path.join(watched, 'Renamed', 'one.mp3');
+      await fs.mkdir(path.dirname(renamed));
+      await fs.rename(original, renamed);
+
+      expect(await service.syncFolder(folder, [original, path.dirname(renamed)])).toMatchObject({ renamed: 1, relinked: 1 });
+      expect(db.getTrack(trackId)).toMatchObject({ file_path: renamed, file_state: 'available' });
+      expect(db.getWatchedFiles(watched).map(row => row.file_path)).toEqual([renamed]);
+    });
+
+    test('marks referenced tracks missing when their file is removed', async () => {
+      const folder = watch({ mode: 'reference' });
+      const filePath = await drop(TEST_MP3, 'one.mp3');
+      await service.syncFolder(folder);
+      await fs.rm(filePath);
+
+      expect(await service.syncFolder(folder)).toMatchObject({ removed: 1, trashed: 0 });
+      expect(db.getTrackByPath(filePath).file_state).toBe('missing');
+      expect(db.getWatchedFiles(watched)).toEqual([]);
+    });
+
+    test('moves the tracks of removed files to Recently Deleted when asked to', async () => {
+      const folder = watch({ onDelete: 'trash' });
+      const filePath = await drop(TEST_MP3, 'one.mp3');
+      await service.syncFolder(folder);
+      const trackId = db.getTracks()[0].track_id;
+      await fs.rm(filePath);
+
+      expect(await service.syncFolder(folder)).toMatchObject({ removed: 1, trashed: 1 });
+      expect(db.getDeletedTracks().map(track => track.track_id)).toEqual([trackId]);
+    });
+
+    test('leaves a folder that cannot be read alone', async () => {
+      const folder = watch({ mode: 'reference' });
+      await drop(TEST_MP3, 'one.mp3');
+      await service.syncFolder(folder);
+      await fs.rm(watched, { recursive: true, force: true });
+
+      expect(await service.syncFolder(folder)).toBeNull();
+      expect(db.getWatchedFiles(watched)).toHaveLength(1);
+    });
+  });
+
+  describe('WatchService', () => {
+    test('imports files as they arrive', async () => {
+      watch({ mode: 'move' });
+      await service.start();
+
+      await drop(TEST_MP3, 'one.mp3');
+      for (let i = 0; i < 100 && db.getTracks().length === 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        await service.idle();
+      }
+
+      const tracks = db.getTracks();
+      expect(tracks).toHaveLength(1);
+      expect(tracks[0].file_path.startsWith(libraryManager.getMusicPath())).toBe(true);
+      expect(await fs.readdir(watched)).toEqual([]);
+    });
+
+    test('looks again at files waiting in a folder it cannot watch', async () => {
+      const watchFolder = jest.spyOn(require('fs'), 'watch').mockImplementation(() => {
+        throw new Error('Too many open files');
+      });
+      const folder = watch({ mode: 'reference' });
+      try {
+        await service.start();
+      } finally {
+        watchFolder.mockRestore();
+      }
+
+      service.queuePath(folder, await drop(TEST_MP3, 'one.mp3'));
+      for (let i = 0; i < 100 && db.getTracks().length === 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        await service.idle();
+      }
+
+      expect(db.getTracks()).toHaveLength(1);
+    });
+
+    test('forgets folders that are no longer watched', async () => {
+      const folder = watch();
+      await drop(TEST_MP3, 'one.mp3');
+      await service.syncFolder(folder);
+
+      await service.setFolders([]);
+
+      expect(db.getWatchedFiles(watched)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Watched Files
+ *
+ * The files seen in watched folders (see watch-folders.js), with their size and
+ * modification time when they were last looked at and the track they were
+ * imported as. Kept apart from the watcher so the database doesn't load the
+ * import pipeline.
+ */
+
+/**
+ * Create the watched_files table
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ */
+function createWatchedFilesSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS watched_files (
+      file_path TEXT PRIMARY KEY,
+      folder_path TEXT NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      modified_at INTEGER NOT NULL,
+      track_id INTEGER REFERENCES tracks(track_id) ON DELETE SET NULL,
+      seen_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_watched_files_folder ON watched_files(folder_path);
+    CREATE INDEX IF NOT EXISTS idx_watched_files_track ON watched_files(track_id);
+  `);
+}
+
+/**
+ * Get the files seen in a watched folder
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} folderPath - Watched folder
+ * @returns {Array<Object>} { file_path, size_bytes, modified_at, track_id } rows
+ */
+function getWatchedFiles(db, folderPath) {
+  return db.prepare(`
+    SELECT file_path, size_bytes, modified_at, track_id FROM watched_files
+    WHERE folder_path = ? ORDER BY file_path
+  `).all(folderPath);
+}
+
+/**
+ * Remember files seen in a watched folder
+ * A file seen again keeps the track it was imported as unless a new one is given.
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {string} folderPath - Watched folder
+ * @param {Array<Object>} files - { file_path, size_bytes, modified_at, track_id }
+ */
+function recordWatchedFiles(db, folderPath, files) {
+  const upsert = db.prepare(`
+    INSERT INTO watched_files (file_path, folder_path, size_bytes, modified_at, track_id)
+    VALUES (@file_path, @folder_path, @size_bytes, @modified_at, @track_id)
+    ON CONFLICT(file_path) DO UPDATE SET
+      folder_path = excluded.folder_path,
+      size_bytes = excluded.size_bytes,
+      modified_at = excluded.modified_at,
+      track_id = COALESCE(excluded.track_id, watched_files.track_id),
+      seen_at = strftime('%s', 'now')
+  `);
+  const trackExists = db.prepare('SELECT 1 FROM tracks WHERE track_id = ?');
+
+  db.transaction(() => {
+    files.forEach(file => upsert.run({
+      file_path: file.file_path,
+      folder_path: folderPath,
+      size_bytes: file.size_bytes,
+      modified_at: file.modified_at,
+      // The track may have been deleted since
+      track_id: file.track_id && trackExists.get(file.track_id) ? file.track_id : null
+    }));
+  })();
+}
+
+/**
+ * Forget files, or everything seen in a folder
+ *
+ * @param {Object} db - better-sqlite3 database handle
+ * @param {Object} target - { filePaths } or { folderPath }
+ * @returns {number} Rows removed
+ */
+function forgetWatchedFiles(db, { filePaths = null, folderPath = null }) {
+  if (folderPath) {
+    return db.prepare('DELETE FROM watched_files WHERE folder_path = ?').run(folderPath).changes;
+  }
+
+  const remove = db.prepare('DELETE FROM watched_files WHERE file_path = ?');
+  return db.transaction(() => (filePaths || []).reduce((count, filePath) => count + remove.run(filePath).changes, 0))();
+}
+
+module.exports = {
+  createWatchedFilesSchema,
+  getWatchedFiles,
+  recordWatchedFiles,
+  forgetWatchedFiles
+};
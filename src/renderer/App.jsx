@@ -8,6 +8,8 @@ import Sidebar from './components/Sidebar';
 import MainContent from './components/MainContent';
 import AudioEngine from './AudioEngine';
 import QueueManager from './QueueManager';
+import { getRatingShortcut } from './ratingShortcuts';
+import { getUndoShortcut } from './undoShortcuts';
 import './App.css';
 
 function App() {
@@ -16,6 +18,9 @@ function App() {
   const queueManagerRef = useRef(null);
   const timeUpdateIntervalRef = useRef(null);
 
+  // Track whose listen will be reported for play statistics
+  const playingTrackRef = useRef(null);
+
   // Playback state
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTrack, setCurrentTrack] = useState(null);
@@ -43,6 +48,24 @@ function App() {
     }
   }, [currentTime]);
 
+  // Report the current listen so it can be counted as a play or skip
+  // endReason: 'completed' (played to the end), 'skipped' (user moved on) or 'stopped'
+  const reportPlayback = (endReason) => {
+    const track = playingTrackRef.current;
+    if (!track?.track_id || !audioEngineRef.current || !window.api?.recordPlayback) return;
+
+    // Each listen is reported once
+    playingTrackRef.current = null;
+
+    Promise.resolve(window.api.recordPlayback(track.track_id, {
+      listenedSeconds: audioEngineRef.current.getListenedTime(),
+      durationSeconds: audioEngineRef.current.getDuration(),
+      endReason,
+    })).catch((error) => {
+      console.error('Failed to record playback:', error);
+    });
+  };
+
   // Initialize audio engine and queue manager on mount
   useEffect(() => {
     audioEngineRef.current = new AudioEngine();
@@ -50,6 +73,8 @@ function App() {
 
     // Set up track ended callback - auto-advance to next track
     audioEngineRef.current.onTrackEnded = () => {
+      reportPlayback('completed');
+
       if (queueManagerRef.current && queueManagerRef.current.hasNext()) {
         const nextTrack = queueManagerRef.current.next();
         if (nextTrack) {
@@ -77,6 +102,7 @@ function App() {
         clearInterval(timeUpdateIntervalRef.current);
       }
       if (audioEngineRef.current) {
+        reportPlayback('stopped');
         audioEngineRef.current.dispose();
       }
     };
@@ -114,9 +140,13 @@ function App() {
   const playTrackInternal = async (track) => {
     if (!audioEngineRef.current || !track?.file_path) return;
 
+    // Moving on before the current track finished counts toward a skip
+    reportPlayback('skipped');
+
     setIsLoading(true);
     try {
       const loaded = await audioEngineRef.current.loadTrack(track.file_path);
+      playingTrackRef.current = track;
       setCurrentTrack(track);
       setDuration(loaded.duration);
       setCurrentTime(0);
@@ -126,6 +156,10 @@ function App() {
       updateQueueState();
     } catch (error) {
       console.error('Failed to load track:', error);
+      // A referenced file may be gone or on a drive that isn't mounted; record which
+      if (track.storage === 'referenced' && window.api?.checkTrackFiles) {
+        window.api.checkTrackFiles([track.track_id]).catch(() => {});
+      }
     } finally {
       setIsLoading(false);
     }
@@ -197,6 +231,53 @@ function App() {
     setVolume(newVolume);
   }, []);
 
+  // Rate or love the current track and show the change in the player bar
+  const handleRateTrack = useCallback(async (updates) => {
+    if (!currentTrack?.track_id) return;
+
+    try {
+      await window.api.updateTrack(currentTrack.track_id, updates);
+      setCurrentTrack((track) => (
+        track?.track_id === currentTrack.track_id ? { ...track, ...updates } : track
+      ));
+    } catch (error) {
+      console.error('Failed to rate track:', error);
+    }
+  }, [currentTrack]);
+
+  // Undo or redo the last library edit; the player bar picks up the change from the library events
+  const handleUndo = useCallback(async (direction) => {
+    try {
+      await (direction === 'redo' ? window.api.redo() : window.api.undo());
+    } catch (error) {
+      console.error(`Failed to ${direction}:`, error);
+    }
+  }, []);
+
+  // Refresh the current track when the library reports it changed (edits, undo, restores)
+  const currentTrackId = currentTrack?.track_id;
+  useEffect(() => {
+    if (!currentTrackId || !window.api?.onLibraryChange) return undefined;
+
+    return window.api.onLibraryChange(async (events) => {
+      const changed = events.some(({ type, ids }) => (
+        type === 'library-reset' || (type === 'tracks-updated' && (ids === null || ids.includes(currentTrackId)))
+      ));
+      if (!changed) return;
+
+      try {
+        const track = await window.api.getTrack(currentTrackId);
+        if (track) {
+          setCurrentTrack((current) => (
+            current?.track_id === track.track_id ? { ...current, ...track } : current
+          ));
+        }
+      } catch (error) {
+        console.error('Failed to refresh the current track:', error);
+      }
+    });
+  }, [currentTrackId]);
+
   // Global keyboard shortcuts
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -205,6 +286,22 @@ function App() {
         return;
       }
 
+      // Ctrl/Cmd + digit rates, Ctrl/Cmd + L/D loves or dislikes the current track
+      const ratingUpdate = getRatingShortcut(e, currentTrack);
+      if (ratingUpdate) {
+        e.preventDefault();
+        handleRateTrack(ratingUpdate);
+        return;
+      }
+
+      // Ctrl/Cmd + Z undoes library edits, Shift or Ctrl + Y redoes
+      const undoDirection = getUndoShortcut(e);
+      if (undoDirection) {
+        e.preventDefault();
+        handleUndo(undoDirection);
+        return;
+      }
+
       switch (e.key) {
         case ' ':
           // Space - Play/Pause
@@ -218,7 +315,7 @@ function App() {
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [handlePlayPause]);
+  }, [handlePlayPause, handleRateTrack, handleUndo, currentTrack]);
 
   // Expose playTrack for MainContent to use (will be replaced by context in Ticket 2.4)
   const playbackHandlers = {
@@ -19,6 +19,10 @@ class AudioEngine {
     this.startTime = 0;
     this.pauseTime = 0;
 
+    // Listening time for play statistics (seeks don't count)
+    this.listenedTime = 0;
+    this.segmentStart = 0;
+
     // Callbacks
     this.onTrackEnded = null;
     this.onError = null;
@@ -92,6 +96,7 @@ class AudioEngine {
 
       // Reset playback position
       this.pauseTime = 0;
+      this.listenedTime = 0;
 
       return this.currentTrack;
     } catch (error) {
@@ -129,12 +134,14 @@ class AudioEngine {
     const offset = this.pauseTime;
     this.sourceNode.start(0, offset);
     this.startTime = this.audioContext.currentTime - offset;
+    this.segmentStart = offset;
     this.isPlaying = true;
 
     // Handle track end
     this.sourceNode.onended = () => {
       if (this.isPlaying) {
         // Track ended naturally (not stopped programmatically)
+        this.endListeningSegment();
         this.isPlaying = false;
         this.pauseTime = 0;
 
@@ -155,6 +162,7 @@ class AudioEngine {
 
     // Save current position before stopping
     this.pauseTime = this.getCurrentTime();
+    this.endListeningSegment();
 
     // Stop the source node
     this.sourceNode.stop();
@@ -168,6 +176,10 @@ class AudioEngine {
    * Stop playback and reset position
    */
   stop() {
+    if (this.isPlaying) {
+      this.endListeningSegment();
+    }
+
     if (this.sourceNode) {
       try {
         this.sourceNode.stop();
@@ -200,6 +212,25 @@ class AudioEngine {
     return Math.min(elapsed, this.currentTrack.duration);
   }
 
+  /**
+   * Add the time played since the last play/seek to the listening time
+   */
+  endListeningSegment() {
+    this.listenedTime += Math.max(0, this.getCurrentTime() - this.segmentStart);
+  }
+
+  /**
+   * Get how long the current track has actually been listened to
+   * Unlike getCurrentTime(), seeking forward or back doesn't change it.
+   * @returns {number} Listening time in seconds
+   */
+  getListenedTime() {
+    if (!this.isPlaying) {
+      return this.listenedTime;
+    }
+    return this.listenedTime + Math.max(0, this.getCurrentTime() - this.segmentStart);
+  }
+
   /**
    * Get track duration in seconds
    * @returns {number} Duration in seconds, or 0 if no track loaded
@@ -221,6 +252,9 @@ class AudioEngine {
     const clampedTime = Math.max(0, Math.min(time, this.currentTrack.duration));
 
     const wasPlaying = this.isPlaying;
+    if (wasPlaying) {
+      this.endListeningSegment();
+    }
 
     // Stop current playback
     if (this.sourceNode) {
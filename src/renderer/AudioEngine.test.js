@@ -291,6 +291,46 @@ describe('AudioEngine', () => {
     });
   });
 
+  describe('getListenedTime', () => {
+    beforeEach(async () => {
+      await engine.loadTrack('/path/to/track.mp3');
+    });
+
+    test('should count time while playing', () => {
+      engine.play();
+      engine.audioContext.currentTime += 40;
+
+      expect(engine.getListenedTime()).toBeCloseTo(40, 0);
+    });
+
+    test('should not count seeks', () => {
+      engine.play();
+      engine.audioContext.currentTime += 20;
+      engine.seek(150);
+      engine.audioContext.currentTime += 10;
+
+      expect(engine.getListenedTime()).toBeCloseTo(30, 0);
+    });
+
+    test('should keep listened time while paused', () => {
+      engine.play();
+      engine.audioContext.currentTime += 25;
+      engine.pause();
+      engine.audioContext.currentTime += 100;
+
+      expect(engine.getListenedTime()).toBeCloseTo(25, 0);
+    });
+
+    test('should reset when a new track is loaded', async () => {
+      engine.play();
+      engine.audioContext.currentTime += 25;
+
+      await engine.loadTrack('/path/to/track2.mp3');
+
+      expect(engine.getListenedTime()).toBe(0);
+    });
+  });
+
   describe('volume control', () => {
     beforeEach(() => {
       engine.initialize();
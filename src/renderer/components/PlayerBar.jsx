@@ -2,6 +2,7 @@
 // Implements playback UI with progress bar dragging, artwork, and disabled states
 
 import { useState, useRef, useCallback, useEffect } from 'react';
+import { formatRating, LOVED, DISLIKED } from '../ratingShortcuts';
 import './PlayerBar.css';
 
 function PlayerBar({
@@ -216,6 +217,15 @@ function PlayerBar({
             <div className="player-bar__track-info">
               <span className="player-bar__track-title">{currentTrack.title}</span>
               <span className="player-bar__track-artist">{currentTrack.artist}</span>
+              {(currentTrack.rating != null || currentTrack.loved === LOVED || currentTrack.loved === DISLIKED) && (
+                <span className="player-bar__track-rating" data-testid="track-rating">
+                  {currentTrack.loved === LOVED && <span aria-label="Loved">♥ </span>}
+                  {currentTrack.loved === DISLIKED && <span aria-label="Disliked">✕ </span>}
+                  <span aria-label={currentTrack.rating != null ? `${currentTrack.rating} stars` : undefined}>
+                    {formatRating(currentTrack.rating)}
+                  </span>
+                </span>
+              )}
             </div>
           </>
         ) : (
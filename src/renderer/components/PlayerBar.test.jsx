@@ -97,6 +97,20 @@ describe('PlayerBar Component', () => {
       expect(screen.getByText('Test Artist')).toBeInTheDocument();
     });
 
+    test('displays rating and loved flag', () => {
+      const track = { title: 'Test Song', artist: 'Test Artist', rating: 3.5, loved: 1 };
+      render(<PlayerBar currentTrack={track} />);
+
+      expect(screen.getByLabelText('3.5 stars')).toHaveTextContent('★★★½');
+      expect(screen.getByLabelText('Loved')).toBeInTheDocument();
+    });
+
+    test('hides rating for unrated tracks', () => {
+      const track = { title: 'Test Song', artist: 'Test Artist', rating: null, loved: 0 };
+      render(<PlayerBar currentTrack={track} />);
+
+      expect(screen.queryByTestId('track-rating')).not.toBeInTheDocument();
+    });
   });
 
   describe('Volume Control', () => {
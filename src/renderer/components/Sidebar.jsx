@@ -1,12 +1,55 @@
 // Sidebar navigation component
 // iTunes 11 architecture: clear hierarchical navigation
 
-import React from 'react';
+import React, { useState, useCallback } from 'react';
 import { useView, VIEW_TYPES } from '../contexts/ViewContext';
 import './Sidebar.css';
 
+// Indentation per folder level, in pixels
+const NEST_INDENT = 14;
+
+/**
+ * Flatten the playlist tree into sidebar rows, skipping collapsed folders' contents
+ * @param {Array} playlists - Playlists; folders have is_folder and a children array
+ * @param {Set} collapsed - IDs of collapsed folders
+ * @param {number} depth - Nesting level of this list
+ * @returns {Array} Rows of { playlist, depth }
+ */
+function flattenPlaylists(playlists, collapsed, depth = 0) {
+  return playlists.flatMap((playlist) => {
+    const row = { playlist, depth };
+    if (!playlist.is_folder || collapsed.has(playlist.id)) {
+      return [row];
+    }
+    return [row, ...flattenPlaylists(playlist.children || [], collapsed, depth + 1)];
+  });
+}
+
 const Sidebar = ({ playlists = [] }) => {
   const { currentView, selectedPlaylistId, navigateToLibrary, navigateToAlbums, navigateToPlaylist } = useView();
+  const [collapsedFolders, setCollapsedFolders] = useState(() => new Set());
+
+  const setFolderExpanded = useCallback((folderId, expanded) => {
+    setCollapsedFolders((previous) => {
+      const next = new Set(previous);
+      if (expanded) {
+        next.delete(folderId);
+      } else {
+        next.add(folderId);
+      }
+      return next;
+    });
+  }, []);
+
+  // Enter opens a playlist or folder; Right/Left expand and collapse folders
+  const handlePlaylistKeyDown = (e, playlist) => {
+    if (e.key === 'Enter') {
+      navigateToPlaylist(playlist.id);
+    } else if (playlist.is_folder && (e.key === 'ArrowRight' || e.key === 'ArrowLeft')) {
+      e.preventDefault();
+      setFolderExpanded(playlist.id, e.key === 'ArrowRight');
+    }
+  };
 
   return (
     <aside className="sidebar">
@@ -44,21 +87,45 @@ const Sidebar = ({ playlists = [] }) => {
         <h3 className="sidebar__section-title">PLAYLISTS</h3>
         {playlists.length > 0 ? (
           <ul className="sidebar__list">
-            {playlists.map((playlist) => (
-              <li
-                key={playlist.id}
-                className={`sidebar__item ${currentView === VIEW_TYPES.PLAYLIST && selectedPlaylistId === playlist.id ? 'sidebar__item--active' : ''}`}
-                onClick={() => navigateToPlaylist(playlist.id)}
-                role="button"
-                tabIndex={0}
-                onKeyDown={(e) => e.key === 'Enter' && navigateToPlaylist(playlist.id)}
-              >
-                <svg className="sidebar__icon" viewBox="0 0 24 24" fill="currentColor">
-                  <path d="M15 6H3v2h12V6zm0 4H3v2h12v-2zM3 16h8v-2H3v2zM17 6v8.18c-.31-.11-.65-.18-1-.18-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3V8h3V6h-5z"/>
-                </svg>
-                <span>{playlist.name}</span>
-              </li>
-            ))}
+            {flattenPlaylists(playlists, collapsedFolders).map(({ playlist, depth }) => {
+              const expanded = playlist.is_folder ? !collapsedFolders.has(playlist.id) : undefined;
+
+              return (
+                <li
+                  key={playlist.id}
+                  className={`sidebar__item ${playlist.is_folder ? 'sidebar__item--folder' : ''} ${currentView === VIEW_TYPES.PLAYLIST && selectedPlaylistId === playlist.id ? 'sidebar__item--active' : ''}`}
+                  style={{ paddingLeft: 16 + depth * NEST_INDENT }}
+                  onClick={() => navigateToPlaylist(playlist.id)}
+                  role="button"
+                  tabIndex={0}
+                  aria-expanded={expanded}
+                  onKeyDown={(e) => handlePlaylistKeyDown(e, playlist)}
+                >
+                  {playlist.is_folder ? (
+                    <>
+                      <span
+                        className={`sidebar__disclosure ${expanded ? 'sidebar__disclosure--expanded' : ''}`}
+                        aria-label={expanded ? `Collapse ${playlist.name}` : `Expand ${playlist.name}`}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setFolderExpanded(playlist.id, !expanded);
+                        }}
+                      >
+                        ▸
+                      </span>
+                      <svg className="sidebar__icon" viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M10 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z"/>
+                      </svg>
+                    </>
+                  ) : (
+                    <svg className="sidebar__icon" viewBox="0 0 24 24" fill="currentColor">
+                      <path d="M15 6H3v2h12V6zm0 4H3v2h12v-2zM3 16h8v-2H3v2zM17 6v8.18c-.31-.11-.65-.18-1-.18-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3V8h3V6h-5z"/>
+                    </svg>
+                  )}
+                  <span>{playlist.name}</span>
+                </li>
+              );
+            })}
           </ul>
         ) : (
           <p className="sidebar__empty">No playlists yet</p>
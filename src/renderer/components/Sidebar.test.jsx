@@ -114,6 +114,62 @@ describe('Sidebar Component', () => {
     });
   });
 
+  describe('Playlist Folders', () => {
+    const playlists = [
+      {
+        id: 10,
+        name: 'Team',
+        is_folder: 1,
+        children: [
+          { id: 11, name: 'Focus' },
+          { id: 12, name: 'Archive', is_folder: 1, children: [{ id: 13, name: '2023' }] },
+        ],
+      },
+      { id: 1, name: 'Favorites' },
+    ];
+
+    test('renders nested playlists indented under their folder', () => {
+      renderSidebar({ playlists });
+
+      expect(screen.getByText('Team').closest('li')).toHaveClass('sidebar__item--folder');
+      expect(screen.getByText('Team').closest('li')).toHaveStyle({ paddingLeft: '16px' });
+      expect(screen.getByText('Focus').closest('li')).toHaveStyle({ paddingLeft: '30px' });
+      expect(screen.getByText('2023').closest('li')).toHaveStyle({ paddingLeft: '44px' });
+    });
+
+    test('collapsing a folder hides its contents', () => {
+      renderSidebar({ playlists });
+
+      fireEvent.click(screen.getByLabelText('Collapse Team'));
+
+      expect(screen.queryByText('Focus')).not.toBeInTheDocument();
+      expect(screen.queryByText('2023')).not.toBeInTheDocument();
+      expect(screen.getByText('Team').closest('li')).toHaveAttribute('aria-expanded', 'false');
+      expect(screen.getByText('Team').closest('li')).not.toHaveClass('sidebar__item--active');
+
+      fireEvent.click(screen.getByLabelText('Expand Team'));
+      expect(screen.getByText('Focus')).toBeInTheDocument();
+    });
+
+    test('arrow keys collapse and expand folders', () => {
+      renderSidebar({ playlists });
+      const folder = screen.getByText('Archive').closest('li');
+
+      fireEvent.keyDown(folder, { key: 'ArrowLeft' });
+      expect(screen.queryByText('2023')).not.toBeInTheDocument();
+
+      fireEvent.keyDown(folder, { key: 'ArrowRight' });
+      expect(screen.getByText('2023')).toBeInTheDocument();
+    });
+
+    test('clicking a folder opens it as a playlist', () => {
+      renderSidebar({ playlists });
+
+      fireEvent.click(screen.getByText('Team'));
+      expect(screen.getByText('Team').closest('li')).toHaveClass('sidebar__item--active');
+    });
+  });
+
   describe('Accessibility', () => {
     test('all items have role="button"', () => {
       const playlists = [{ id: 1, name: 'Favorites' }];
@@ -0,0 +1,59 @@
+// Rating shortcuts - keyboard shortcuts for rating and loving the current track
+//
+// Ctrl/Cmd + 1-5        Rate 1-5 stars
+// Ctrl/Cmd + Alt + 1-5  Rate half a star less (0.5-4.5)
+// Ctrl/Cmd + 0          Clear the rating
+// Ctrl/Cmd + L          Toggle loved
+// Ctrl/Cmd + D          Toggle disliked
+
+export const LOVED = 1;
+export const DISLIKED = -1;
+
+/**
+ * Map a keydown event to a track update
+ * @param {KeyboardEvent} event - Keydown event
+ * @param {Object} track - Track the shortcut applies to (for toggles)
+ * @returns {Object|null} Fields to pass to updateTrack, or null if not a rating shortcut
+ */
+export function getRatingShortcut(event, track) {
+  if (!(event.ctrlKey || event.metaKey) || event.shiftKey) {
+    return null;
+  }
+
+  // Use the physical key: Alt changes event.key on macOS
+  const digit = /^Digit([0-5])$/.exec(event.code || '');
+  if (digit) {
+    const stars = Number(digit[1]);
+    if (stars === 0) {
+      return event.altKey ? null : { rating: null };
+    }
+    return { rating: event.altKey ? stars - 0.5 : stars };
+  }
+
+  if (event.altKey) {
+    return null;
+  }
+
+  const loved = track?.loved || 0;
+  switch (event.code) {
+    case 'KeyL':
+      return { loved: loved === LOVED ? 0 : LOVED };
+    case 'KeyD':
+      return { loved: loved === DISLIKED ? 0 : DISLIKED };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Format a rating as stars for display
+ * @param {number|null} rating - Rating from 0 to 5 in half steps
+ * @returns {string} e.g. '★★★½', or '' if unrated
+ */
+export function formatRating(rating) {
+  if (rating === null || rating === undefined) {
+    return '';
+  }
+  const whole = Math.floor(rating);
+  return '★'.repeat(whole) + (rating - whole >= 0.5 ? '½' : '');
+}
@@ -0,0 +1,57 @@
+// Rating shortcut tests
+import { getRatingShortcut, formatRating } from './ratingShortcuts';
+
+const keyEvent = (code, modifiers = {}) => ({
+  code,
+  ctrlKey: true,
+  metaKey: false,
+  altKey: false,
+  shiftKey: false,
+  ...modifiers,
+});
+
+describe('ratingShortcuts', () => {
+  describe('getRatingShortcut', () => {
+    test('should rate whole stars with Ctrl/Cmd + digit', () => {
+      expect(getRatingShortcut(keyEvent('Digit4'))).toEqual({ rating: 4 });
+      expect(getRatingShortcut(keyEvent('Digit1', { ctrlKey: false, metaKey: true }))).toEqual({ rating: 1 });
+    });
+
+    test('should rate half stars with Alt', () => {
+      expect(getRatingShortcut(keyEvent('Digit4', { altKey: true }))).toEqual({ rating: 3.5 });
+      expect(getRatingShortcut(keyEvent('Digit1', { altKey: true }))).toEqual({ rating: 0.5 });
+    });
+
+    test('should clear the rating with 0', () => {
+      expect(getRatingShortcut(keyEvent('Digit0'))).toEqual({ rating: null });
+    });
+
+    test('should toggle loved and disliked', () => {
+      expect(getRatingShortcut(keyEvent('KeyL'), { loved: 0 })).toEqual({ loved: 1 });
+      expect(getRatingShortcut(keyEvent('KeyL'), { loved: 1 })).toEqual({ loved: 0 });
+      expect(getRatingShortcut(keyEvent('KeyD'), { loved: 1 })).toEqual({ loved: -1 });
+      expect(getRatingShortcut(keyEvent('KeyD'), { loved: -1 })).toEqual({ loved: 0 });
+    });
+
+    test('should ignore keys without Ctrl/Cmd', () => {
+      expect(getRatingShortcut(keyEvent('Digit3', { ctrlKey: false }))).toBeNull();
+    });
+
+    test('should ignore other keys', () => {
+      expect(getRatingShortcut(keyEvent('Digit7'))).toBeNull();
+      expect(getRatingShortcut(keyEvent('KeyQ'))).toBeNull();
+      expect(getRatingShortcut(keyEvent('Digit3', { shiftKey: true }))).toBeNull();
+    });
+  });
+
+  describe('formatRating', () => {
+    test('should format half stars', () => {
+      expect(formatRating(3.5)).toBe('★★★½');
+      expect(formatRating(5)).toBe('★★★★★');
+    });
+
+    test('should return an empty string when unrated', () => {
+      expect(formatRating(null)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,39 @@
+// Undo shortcuts - keyboard shortcuts for undoing library edits
+//
+// Ctrl/Cmd + Z          Undo
+// Ctrl/Cmd + Shift + Z  Redo
+// Ctrl + Y              Redo (Windows/Linux)
+//
+// Text fields keep their own undo: shortcuts typed into them are left alone.
+
+/**
+ * Check whether an element handles undo itself
+ * @param {Element} target - Event target
+ * @returns {boolean} True for inputs, textareas and contenteditable elements
+ */
+export function isTextEditable(target) {
+  if (!target) {
+    return false;
+  }
+  return target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable === true;
+}
+
+/**
+ * Map a keydown event to a library undo or redo
+ * @param {KeyboardEvent} event - Keydown event
+ * @returns {string|null} 'undo', 'redo', or null if not an undo shortcut for the library
+ */
+export function getUndoShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey || isTextEditable(event.target)) {
+    return null;
+  }
+
+  switch (event.code) {
+    case 'KeyZ':
+      return event.shiftKey ? 'redo' : 'undo';
+    case 'KeyY':
+      return event.ctrlKey && !event.shiftKey ? 'redo' : null;
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,46 @@
+// Undo shortcut tests
+import { getUndoShortcut, isTextEditable } from './undoShortcuts';
+
+const keyEvent = (code, modifiers = {}, target = document.body) => ({
+  code,
+  ctrlKey: false,
+  metaKey: false,
+  shiftKey: false,
+  altKey: false,
+  target,
+  ...modifiers,
+});
+
+describe('undoShortcuts', () => {
+  describe('getUndoShortcut()', () => {
+    test('Ctrl/Cmd+Z undoes', () => {
+      expect(getUndoShortcut(keyEvent('KeyZ', { metaKey: true }))).toBe('undo');
+      expect(getUndoShortcut(keyEvent('KeyZ', { ctrlKey: true }))).toBe('undo');
+    });
+
+    test('Shift+Ctrl/Cmd+Z and Ctrl+Y redo', () => {
+      expect(getUndoShortcut(keyEvent('KeyZ', { metaKey: true, shiftKey: true }))).toBe('redo');
+      expect(getUndoShortcut(keyEvent('KeyY', { ctrlKey: true }))).toBe('redo');
+      expect(getUndoShortcut(keyEvent('KeyY', { metaKey: true }))).toBeNull();
+    });
+
+    test('ignores keys without a modifier', () => {
+      expect(getUndoShortcut(keyEvent('KeyZ'))).toBeNull();
+      expect(getUndoShortcut(keyEvent('KeyZ', { ctrlKey: true, altKey: true }))).toBeNull();
+    });
+
+    test('leaves text fields to their own undo', () => {
+      const input = document.createElement('input');
+      expect(getUndoShortcut(keyEvent('KeyZ', { metaKey: true }, input))).toBeNull();
+    });
+  });
+
+  describe('isTextEditable()', () => {
+    test('recognizes editable elements', () => {
+      expect(isTextEditable(document.createElement('textarea'))).toBe(true);
+      expect(isTextEditable({ tagName: 'DIV', isContentEditable: true })).toBe(true);
+      expect(isTextEditable(document.createElement('button'))).toBe(false);
+      expect(isTextEditable(null)).toBe(false);
+    });
+  });
+});
@@ -21,10 +21,85 @@ interface Track {
   date_modified?: number
   is_compilation?: boolean
   artwork_path?: string
+  play_count?: number
+  skip_count?: number
+  last_played?: number | null
+  rating?: number | null
+  loved?: LovedState
+  artist_sort?: string | null
+  album_artist_sort?: string | null
+  storage?: TrackStorage
+  file_state?: TrackFileState
+  // Unix seconds of the last availability check, for referenced tracks
+  file_checked_at?: number | null
+  // SHA-256 of the audio without its tags, for telling duplicates apart
+  content_hash?: string | null
   created_at?: number
   updated_at?: number
 }
 
+// managed files live in the library folder; referenced files stay where they were imported from
+type TrackStorage = 'managed' | 'referenced'
+
+// missing: the drive is there but the file isn't; offline: the drive isn't mounted
+type TrackFileState = 'available' | 'missing' | 'offline'
+
+// Track IDs by state after checking referenced files
+interface TrackFileCheck {
+  checked: number
+  available: number[]
+  missing: number[]
+  offline: number[]
+  // Tracks whose state differs from the previous check
+  changed: number[]
+}
+
+// 1 = loved, -1 = disliked, 0 = neither
+type LovedState = -1 | 0 | 1
+
+// Edits applied to every track by updateTracks
+type BatchTrackUpdates = Partial<Pick<Track,
+  'title' | 'artist' | 'album' | 'album_artist' | 'track_number' | 'disc_number' |
+  'release_year' | 'is_compilation' | 'artwork_path' | 'rating' | 'loved'
+>> & {
+  genres?: { replace: string[] } | { add?: string[], remove?: string[] }
+}
+
+interface BatchUpdateResult {
+  // Tracks changed in any way
+  tracks: number
+  // Per field, the number of tracks whose value actually changed
+  fields: Record<string, number>
+}
+
+type LibraryChangeType =
+  | 'tracks-added' | 'tracks-updated' | 'tracks-removed'
+  | 'albums-changed' | 'playlist-changed' | 'genres-changed' | 'artists-changed'
+  | 'library-reset'
+
+// One entry of a batch sent on 'library:changed'; ids null means any of them
+interface LibraryChange {
+  type: LibraryChangeType
+  ids: number[] | null
+}
+
+// A track in Recently Deleted
+interface DeletedTrack {
+  track_id: number
+  file_path: string
+  title: string
+  artist?: string
+  album?: string
+  // Unix seconds
+  deleted_at: number
+}
+
+interface PurgeResult {
+  purged: number
+  // Files removed from the library folder
+  deletedFiles: string[]
+}
+
 interface Album {
   album_id: number
   album_title: string
@@ -33,11 +108,53 @@ interface Album {
   artwork_path?: string
   is_compilation?: boolean
   track_count?: number
+  total_duration_seconds?: number
+  disc_count?: number
+  min_year?: number
+  max_year?: number
+  rating?: number | null
+  user_rating?: number | null
+  rating_is_computed?: number
+  album_artist_sort?: string | null
   created_at?: number
+  updated_at?: number
+}
+
+interface AlbumDisc {
+  disc_number: number
+  tracks: Track[]
 }
 
 interface AlbumDetails extends Album {
-  tracks?: Track[]
+  discs: AlbumDisc[]
+}
+
+type SmartRuleField =
+  | 'title' | 'artist' | 'album' | 'album_artist' | 'codec' | 'genre'
+  | 'year' | 'rating' | 'loved' | 'play_count' | 'skip_count' | 'bitrate' | 'sample_rate'
+  | 'duration' | 'track_number' | 'disc_number' | 'file_size'
+  | 'date_added' | 'last_played' | 'is_compilation' | 'query'
+
+interface SmartRule {
+  field: SmartRuleField
+  operator: string
+  value?: string | number | [number, number] | { amount: number; unit: 'days' | 'weeks' | 'months' }
+}
+
+interface SmartRuleGroup {
+  match: 'all' | 'any'
+  rules: Array<SmartRule | SmartRuleGroup>
+}
+
+interface SmartPlaylistLimit {
+  value: number
+  unit: 'items' | 'minutes' | 'hours' | 'MB' | 'GB'
+  selectedBy?: string
+}
+
+interface SmartPlaylistRules extends SmartRuleGroup {
+  limit?: SmartPlaylistLimit | null
+  liveUpdating?: boolean
 }
 
 interface Playlist {
@@ -45,10 +162,96 @@ interface Playlist {
   name: string
   description?: string
   artwork_path?: string
+  smart_rules: SmartPlaylistRules | null
+  parent_id: number | null
+  is_folder: number
+  sort_order: number
   created_at?: number
   updated_at?: number
 }
 
+interface PlaylistTrack extends Track {
+  entry_id?: number
+  position: number
+  added_at?: number
+}
+
+interface PlaylistTreeNode extends Playlist {
+  children?: PlaylistTreeNode[]
+}
+
+interface SearchAlbumResult {
+  album_title: string
+  album_artist?: string
+  matched_tracks: number
+  artwork_path?: string
+  score: number
+}
+
+interface SearchArtistResult {
+  name: string
+  matched_tracks: number
+  score: number
+}
+
+interface SearchResults {
+  tracks: Track[]
+  albums: SearchAlbumResult[]
+  artists: SearchArtistResult[]
+}
+
+interface QueryValidation {
+  valid: boolean
+  error: string | null
+  // 1-based character position of the error
+  position: number | null
+}
+
+interface SearchOptions {
+  trackLimit?: number
+  albumLimit?: number
+  artistLimit?: number
+}
+
+interface NumericRange {
+  min?: number
+  max?: number
+}
+
+interface TrackFilters {
+  artist?: string
+  album?: string
+  album_artist?: string
+  genre?: string | string[]
+  codec?: string | string[]
+  year?: NumericRange
+  duration?: NumericRange
+  bitrate?: NumericRange
+  date_added?: NumericRange
+  play_count?: NumericRange
+  last_played?: NumericRange
+  rating?: NumericRange
+  // Library query language, e.g. 'artist:radiohead year:1995..2001 -live'
+  query?: string
+}
+
+interface TrackSortKey {
+  column: string
+  direction?: 'asc' | 'desc' | 'ASC' | 'DESC'
+}
+
+interface TrackPageOptions {
+  limit?: number
+  cursor?: string | null
+  includeTotal?: boolean
+}
+
+interface TrackPage {
+  tracks: Track[]
+  total: number | null
+  nextCursor: string | null
+}
+
 interface LibraryStats {
   total_tracks: number
   total_albums: number
@@ -58,6 +261,72 @@ interface LibraryStats {
   library_size_bytes: number
 }
 
+type PlaybackEndReason = 'completed' | 'skipped' | 'stopped'
+
+interface PlaybackReport {
+  listenedSeconds: number
+  endReason: PlaybackEndReason
+  durationSeconds?: number
+  playedAt?: number
+}
+
+interface PlaybackResult {
+  outcome: 'play' | 'skip' | null
+  play_id: number | null
+}
+
+interface PlayHistoryEntry {
+  play_id: number
+  track_id: number
+  played_at: number
+  listened_seconds: number
+  outcome: 'play' | 'skip'
+}
+
+interface MostPlayedOptions {
+  limit?: number
+  since?: number
+}
+
+interface AppliedMigration {
+  version: number
+  description: string
+  backupPath: string | null
+}
+
+interface MigrationStatus {
+  state: 'up-to-date' | 'migrated' | 'failed' | 'unsupported'
+  startVersion: number
+  currentVersion: number
+  latestVersion: number
+  applied: AppliedMigration[]
+  error: string | null
+  failedVersion: number | null
+  backupPath: string | null
+}
+
+interface BackupInfo {
+  path: string
+  fileName: string
+  reason: string
+  category: 'scheduled' | 'manual' | 'pre-operation'
+  createdAt: number
+  sizeBytes: number
+}
+
+interface BackupVerification {
+  valid: boolean
+  problems: string[]
+  schemaVersion: number | null
+  trackCount: number | null
+}
+
+interface RestoreResult {
+  restoredFrom: string
+  safetyBackup: string
+  migrationStatus: MigrationStatus
+}
+
 interface ImportProgress {
   processed: number
   total: number
@@ -74,41 +343,221 @@ interface ImportResult {
   errors: number
 }
 
+type ImportFileStatus = 'pending' | 'placing' | 'imported' | 'replaced' | 'relinked' | 'duplicate' | 'skipped' | 'error'
+
+interface ImportJob {
+  job_id: number
+  folder_path: string | null
+  mode: 'copy' | 'move' | 'reference'
+  on_duplicate: 'skip' | 'replace' | 'keep-both'
+  state: 'running' | 'paused'
+  created_at: number
+  updated_at: number
+  total: number
+  remaining: number
+  counts: Record<ImportFileStatus, number>
+}
+
+type ArtistRole = 'primary' | 'featured' | 'remixer' | 'composer' | 'album_artist'
+
+interface Artist {
+  artist_id: number
+  name: string
+  sort_name: string
+  created_at: number
+  track_count?: number
+  aliases?: string[]
+}
+
+interface TrackArtistCredit {
+  artist_id: number
+  name: string
+  sort_name: string
+  role: ArtistRole
+  position: number
+}
+
+interface Genre {
+  genre_id: number
+  name: string
+  match_key: string
+  parent_id: number | null
+  created_at: number
+  track_count?: number
+  aliases?: string[]
+}
+
+interface GenreTreeNode extends Genre {
+  children: GenreTreeNode[]
+}
+
+interface DuplicateOptions {
+  durationTolerance?: number
+  matchAlbum?: boolean
+}
+
+interface DuplicateGroup {
+  best_track_id: number
+  tracks: Track[]
+}
+
+interface MergeDuplicatesResult {
+  track_id: number
+  removed: { track_id: number; file_path: string }[]
+}
+
+interface FingerprintMatchOptions {
+  minSimilarity?: number
+  durationTolerance?: number
+}
+
+interface RecordingMatch extends Track {
+  similarity: number
+}
+
+interface JournalOperationRef {
+  operation_id: number
+  label: string
+}
+
+interface UndoState {
+  undo: JournalOperationRef | null
+  redo: JournalOperationRef | null
+}
+
+interface JournalChange {
+  table: 'tracks' | 'track_genres' | 'genres' | 'genre_aliases' | 'artists' | 'artist_aliases' |
+    'track_artists' | 'albums' | 'playlists' | 'playlist_tracks'
+  key: Record<string, number | string>
+  before: Record<string, unknown> | null
+  after: Record<string, unknown> | null
+}
+
+interface JournalOperation extends JournalOperationRef {
+  state: 'done' | 'undone' | 'discarded'
+  created_at: number
+  changed_at: number
+  changes: JournalChange[]
+}
+
 interface ElectronAPI {
   // ===== FILE OPERATIONS =====
   selectFolder: () => Promise<string | null>
   importMusic: (path: string) => Promise<ImportResult>
   scanFolder: (path: string) => Promise<string[]>
+  getUnfinishedImports: () => Promise<ImportJob[]>
+  resumeImport: (jobId: number) => Promise<ImportResult>
+  discardImport: (jobId: number) => Promise<boolean>
 
   // ===== DATABASE: TRACKS =====
-  getTracks: (filters?: object, sort?: object) => Promise<Track[]>
+  getTracks: (
+    filters?: TrackFilters,
+    sort?: string | TrackSortKey | TrackSortKey[],
+    page?: TrackPageOptions
+  ) => Promise<TrackPage>
   getTrack: (trackId: number) => Promise<Track | null>
-  updateTrack: (trackId: number, updates: object) => Promise<void>
-  searchTracks: (query: string) => Promise<Track[]>
+  updateTrack: (trackId: number, updates: object) => Promise<{ changes: number }>
+  updateTracks: (trackIds: number[], updates: BatchTrackUpdates) => Promise<BatchUpdateResult>
+  searchTracks: (query: string, options?: SearchOptions) => Promise<SearchResults>
+  validateQuery: (query: string) => Promise<QueryValidation>
+  saveSearch: (name: string, query: string, parentId?: number | null) => Promise<{ playlist_id: number }>
+
+  // ===== DATABASE: RECENTLY DELETED =====
+  deleteTracks: (trackIds: number[]) => Promise<{ changes: number }>
+  getDeletedTracks: () => Promise<DeletedTrack[]>
+  restoreTracks: (trackIds: number[]) => Promise<{ restored: number }>
+  purgeDeletedTracks: (trackIds?: number[]) => Promise<PurgeResult>
+
+  // ===== DATABASE: TRACK FILES =====
+  checkTrackFiles: (trackIds?: number[]) => Promise<TrackFileCheck>
+  relinkTrackFile: (trackId: number, filePath: string) => Promise<void>
 
   // ===== DATABASE: ALBUMS =====
   getAlbums: (filters?: object, sort?: object) => Promise<Album[]>
-  getAlbumDetails: (albumTitle: string, albumArtist: string) => Promise<AlbumDetails | null>
+  getAlbumDetails: (albumTitle: string, albumArtist: string | null) => Promise<AlbumDetails | null>
+  setAlbumRating: (albumId: number, rating: number | null) => Promise<{ changes: number }>
+
+  // ===== DATABASE: ARTISTS =====
+  getArtists: (options?: { role?: ArtistRole }) => Promise<Artist[]>
+  getArtist: (artistId: number) => Promise<Artist | null>
+  getTrackArtists: (trackId: number) => Promise<TrackArtistCredit[]>
+  getArtistTracks: (artistId: number, role?: ArtistRole | null) => Promise<Track[]>
+  createArtist: (name: string, sortName?: string | null) => Promise<{ artist_id: number }>
+  setArtistSortName: (artistId: number, sortName: string | null) => Promise<{ changes: number }>
+  addArtistAlias: (artistId: number, alias: string) => Promise<{ merged_artist_id: number | null }>
+  removeArtistAlias: (alias: string) => Promise<{ changes: number }>
+
+  // ===== DATABASE: GENRES =====
+  getGenreTree: () => Promise<GenreTreeNode[]>
+  getGenre: (genreId: number) => Promise<Genre | null>
+  renameGenre: (genreId: number, name: string) => Promise<{ changes: number }>
+  setGenreParent: (genreId: number, parentId: number | null) => Promise<{ changes: number }>
+  addGenreAlias: (genreId: number, alias: string) => Promise<{ merged_genre_id: number | null }>
+  removeGenreAlias: (alias: string) => Promise<{ changes: number }>
+  mergeGenres: (genreIds: number[], targetId: number) => Promise<{ genre_id: number, merged: number }>
+  removeUnusedGenres: () => Promise<{ changes: number }>
+
+  // ===== DATABASE: DUPLICATES =====
+  findDuplicates: (options?: DuplicateOptions) => Promise<DuplicateGroup[]>
+  mergeDuplicates: (trackIds: number[], keepTrackId?: number | null) => Promise<MergeDuplicatesResult>
+
+  // ===== DATABASE: FINGERPRINTS =====
+  findSimilarRecordings: (trackId: number, options?: FingerprintMatchOptions) => Promise<RecordingMatch[]>
+  identifyFile: (filePath: string) => Promise<RecordingMatch[]>
 
   // ===== DATABASE: PLAYLISTS =====
   getPlaylists: () => Promise<Playlist[]>
   getPlaylist: (playlistId: number) => Promise<Playlist | null>
-  getPlaylistTracks: (playlistId: number) => Promise<Track[]>
-  createPlaylist: (name: string, description?: string) => Promise<{ playlist_id: number }>
+  getPlaylistTracks: (playlistId: number) => Promise<PlaylistTrack[]>
+  createPlaylist: (name: string, description?: string, parentId?: number | null) => Promise<{ playlist_id: number }>
   updatePlaylist: (playlistId: number, updates: object) => Promise<void>
-  deletePlaylist: (playlistId: number) => Promise<void>
-  addTracksToPlaylist: (playlistId: number, trackIds: number[]) => Promise<void>
-  removeTrackFromPlaylist: (playlistId: number, trackId: number) => Promise<void>
+  deletePlaylist: (playlistId: number, options?: { recursive?: boolean }) => Promise<{ changes: number }>
+  addTracksToPlaylist: (playlistId: number, trackIds: number[], index?: number) => Promise<{ entry_ids: number[] }>
+  removeTrackFromPlaylist: (playlistId: number, trackId: number) => Promise<{ changes: number }>
+  movePlaylistEntries: (playlistId: number, entryIds: number[], index: number) => Promise<{ changes: number }>
+  movePlaylistRange: (playlistId: number, start: number, count: number, position: number) => Promise<{ changes: number }>
+  removePlaylistEntries: (playlistId: number, entryIds: number[]) => Promise<{ changes: number }>
+
+  // ===== DATABASE: PLAYLIST FOLDERS =====
+  getPlaylistTree: () => Promise<PlaylistTreeNode[]>
+  createPlaylistFolder: (name: string, parentId?: number | null) => Promise<{ playlist_id: number }>
+  movePlaylist: (playlistId: number, parentId: number | null, index?: number) => Promise<{ changes: number }>
+
+  // ===== DATABASE: SMART PLAYLISTS =====
+  createSmartPlaylist: (name: string, rules: SmartPlaylistRules, description?: string) => Promise<{ playlist_id: number }>
+  previewSmartPlaylist: (rules: SmartPlaylistRules) => Promise<Track[]>
+  refreshSmartPlaylist: (playlistId: number) => Promise<{ track_count: number }>
+
+  // ===== DATABASE: UNDO / REDO =====
+  undo: () => Promise<JournalOperationRef | null>
+  redo: () => Promise<JournalOperationRef | null>
+  getUndoState: () => Promise<UndoState>
+  getChangeHistory: (limit?: number) => Promise<JournalOperation[]>
+
+  // ===== DATABASE: PLAY STATISTICS =====
+  recordPlayback: (trackId: number, playback: PlaybackReport) => Promise<PlaybackResult>
+  getRecentlyPlayed: (limit?: number) => Promise<Track[]>
+  getMostPlayed: (options?: MostPlayedOptions) => Promise<(Track & { period_play_count?: number })[]>
+  getPlayHistory: (trackId: number, limit?: number) => Promise<PlayHistoryEntry[]>
 
   // ===== SYSTEM / LIBRARY =====
   getLibraryPath: () => Promise<string>
   getLibraryStats: () => Promise<LibraryStats>
   checkLibraryExists: () => Promise<boolean>
+  getMigrationStatus: () => Promise<MigrationStatus | null>
+
+  // ===== BACKUPS =====
+  listBackups: () => Promise<BackupInfo[]>
+  createBackup: () => Promise<BackupInfo>
+  verifyBackup: (backupPath: string) => Promise<BackupVerification>
+  restoreBackup: (backupPath: string) => Promise<RestoreResult>
 
   // ===== EVENT LISTENERS =====
   onImportProgress: (callback: (data: ImportProgress) => void) => void
   onImportComplete: (callback: (data: ImportResult) => void) => void
   onImportError: (callback: (error: string) => void) => void
+  onMigrationStatus: (callback: (status: MigrationStatus) => void) => void
+  onLibraryChange: (callback: (events: LibraryChange[]) => void) => () => void
 }
 
 interface Window {
@@ -0,0 +1,189 @@
+// Minimal FLAC encoder for tests: 16-bit audio in 4096-sample frames with a
+// chosen subframe coding and stereo mode. CRCs and the MD5 signature are zeroed.
+
+const BLOCK_SIZE = 4096;
+const BITS_PER_SAMPLE = 16;
+
+// Frame header channel assignment codes for stereo modes
+const STEREO_MODES = {
+  independent: 1,
+  'left-side': 8,
+  'side-right': 9,
+  'mid-side': 10
+};
+
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.current = 0;
+    this.bitCount = 0;
+  }
+
+  write(value, bits) {
+    const unsigned = value < 0 ? value + 2 ** bits : value;
+    for (let i = bits - 1; i >= 0; i--) {
+      this.current = (this.current << 1) | (Math.floor(unsigned / 2 ** i) & 1);
+      if (++this.bitCount === 8) {
+        this.bytes.push(this.current);
+        this.current = 0;
+        this.bitCount = 0;
+      }
+    }
+  }
+
+  align() {
+    while (this.bitCount !== 0) {
+      this.write(0, 1);
+    }
+  }
+
+  toBuffer() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+function writeResidual(writer, residual) {
+  const mean = residual.reduce((sum, value) => sum + Math.abs(value), 0) / Math.max(residual.length, 1);
+  const parameter = Math.min(14, Math.max(0, Math.floor(Math.log2(mean + 1))));
+
+  writer.write(0, 2); // 4-bit Rice parameters
+  writer.write(0, 4); // one partition
+  writer.write(parameter, 4);
+  for (const value of residual) {
+    const folded = value >= 0 ? value * 2 : -value * 2 - 1;
+    const quotient = Math.floor(folded / 2 ** parameter);
+    for (let i = 0; i < quotient; i++) {
+      writer.write(0, 1);
+    }
+    writer.write(1, 1);
+    writer.write(folded % 2 ** parameter, parameter);
+  }
+}
+
+function writeSubframe(writer, samples, bits, coding) {
+  writer.write(0, 1);
+
+  if (coding === 'constant') {
+    writer.write(0, 6);
+    writer.write(0, 1);
+    writer.write(samples[0], bits);
+    return;
+  }
+
+  if (coding === 'verbatim') {
+    writer.write(1, 6);
+    writer.write(0, 1);
+    samples.forEach(sample => writer.write(sample, bits));
+    return;
+  }
+
+  const { fixed, lpc, precision = 12, shift = 10 } = coding;
+  const coefficients = fixed !== undefined ? [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]][fixed] : lpc;
+  const order = coefficients.length;
+  const divisor = fixed !== undefined ? 1 : 2 ** shift;
+
+  writer.write(fixed !== undefined ? 8 + order : 31 + order, 6);
+  writer.write(0, 1);
+  for (let i = 0; i < order; i++) {
+    writer.write(samples[i], bits);
+  }
+  if (fixed === undefined) {
+    writer.write(precision - 1, 4);
+    writer.write(shift, 5);
+    coefficients.forEach(coefficient => writer.write(coefficient, precision));
+  }
+
+  const residual = [];
+  for (let i = order; i < samples.length; i++) {
+    let prediction = 0;
+    for (let j = 0; j < order; j++) {
+      prediction += coefficients[j] * samples[i - 1 - j];
+    }
+    residual.push(samples[i] - Math.floor(prediction / divisor));
+  }
+  writeResidual(writer, residual);
+}
+
+function writeFrameNumber(writer, number) {
+  if (number < 0x80) {
+    writer.write(number, 8);
+  } else {
+    writer.write(0xc0 | (number >> 6), 8);
+    writer.write(0x80 | (number & 0x3f), 8);
+  }
+}
+
+/**
+ * Encode 16-bit PCM as FLAC
+ *
+ * @param {Array<Array<number>>} channels - Integer samples per channel (one or two channels)
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - subframe: 'verbatim', 'constant', { fixed: order } or
+ *   { lpc: coefficients, precision, shift }; stereo: a STEREO_MODES key
+ * @returns {Buffer} FLAC file contents
+ */
+function encodeFlac(channels, sampleRate, { subframe = 'verbatim', stereo = 'independent' } = {}) {
+  const total = channels[0].length;
+  const writer = new BitWriter();
+
+  writer.write(0x664c6143, 32); // "fLaC"
+  writer.write(0x80, 8); // last metadata block, STREAMINFO
+  writer.write(34, 24);
+  writer.write(BLOCK_SIZE, 16);
+  writer.write(BLOCK_SIZE, 16);
+  writer.write(0, 24);
+  writer.write(0, 24);
+  writer.write(sampleRate, 20);
+  writer.write(channels.length - 1, 3);
+  writer.write(BITS_PER_SAMPLE - 1, 5);
+  writer.write(Math.floor(total / 2 ** 32), 4);
+  writer.write(total % 2 ** 32, 32);
+  for (let i = 0; i < 16; i++) {
+    writer.write(0, 8);
+  }
+
+  for (let start = 0, frame = 0; start < total; start += BLOCK_SIZE, frame++) {
+    const size = Math.min(BLOCK_SIZE, total - start);
+    let block = channels.map(channel => channel.slice(start, start + size));
+    const assignment = channels.length === 2 ? STEREO_MODES[stereo] : channels.length - 1;
+
+    writer.write(0x3ffe, 14);
+    writer.write(0, 2);
+    writer.write(size === BLOCK_SIZE ? 12 : 7, 4);
+    writer.write(0, 4);
+    writer.write(assignment, 4);
+    writer.write(4, 3);
+    writer.write(0, 1);
+    writeFrameNumber(writer, frame);
+    if (size !== BLOCK_SIZE) {
+      writer.write(size - 1, 16);
+    }
+    writer.write(0, 8);
+
+    let sideChannel = -1;
+    if (assignment >= 8) {
+      const [left, right] = block;
+      const side = left.map((l, i) => l - right[i]);
+      if (assignment === 8) {
+        block = [left, side];
+        sideChannel = 1;
+      } else if (assignment === 9) {
+        block = [side, right];
+        sideChannel = 0;
+      } else {
+        block = [left.map((l, i) => Math.floor((l + right[i]) / 2)), side];
+        sideChannel = 1;
+      }
+    }
+
+    block.forEach((samples, channel) => {
+      writeSubframe(writer, samples, BITS_PER_SAMPLE + (channel === sideChannel ? 1 : 0), subframe);
+    });
+    writer.align();
+    writer.write(0, 16);
+  }
+
+  return writer.toBuffer();
+}
+
+module.exports = { encodeFlac };
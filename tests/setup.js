@@ -11,6 +11,10 @@ global.window.api = {
   getPlaylists: jest.fn(),
   updateTrack: jest.fn(),
   createPlaylist: jest.fn(),
+  getTrack: jest.fn(),
+  recordPlayback: jest.fn(),
+  undo: jest.fn(),
+  redo: jest.fn(),
   onImportProgress: jest.fn(),
 };
 